@@ -20,12 +20,74 @@ export const config = {
     projectId: process.env.FIREBASE_PROJECT_ID
   },
 
+  // Session tokens issued by POST /auth/login
+  auth: {
+    tokenSecret: process.env.AUTH_TOKEN_SECRET,
+    tokenTtlSeconds: parseInt(process.env.AUTH_TOKEN_TTL_SECONDS) || 12 * 60 * 60, // 12 hours
+    // Account lockout: after maxFailedLogins bad PINs the account is locked,
+    // doubling the lock for every further failure up to lockoutMaxSeconds
+    maxFailedLogins: parseInt(process.env.AUTH_MAX_FAILED_LOGINS) || 5,
+    lockoutBaseSeconds: parseInt(process.env.AUTH_LOCKOUT_BASE_SECONDS) || 60,
+    lockoutMaxSeconds: parseInt(process.env.AUTH_LOCKOUT_MAX_SECONDS) || 24 * 60 * 60
+  },
+
+  // Socket.IO fan-out
+  socket: {
+    // Also broadcast new_message / new_room_complete to every connected client,
+    // for frontends not yet listening on their user/role channels. Leaks all conversations to all agents.
+    legacyGlobalEvents: process.env.SOCKET_LEGACY_GLOBAL_EVENTS === 'true'
+  },
+
+  // Webhook inbox worker (POST /webhook/whatsapp only stores the payload)
+  webhookInbox: {
+    pollIntervalMs: parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS) || 2000,
+    batchSize: parseInt(process.env.WEBHOOK_BATCH_SIZE) || 10,
+    // After maxAttempts failures the event is dead-lettered until re-driven from /webhook-events
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+    retryBaseSeconds: parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30,
+    retryMaxSeconds: parseInt(process.env.WEBHOOK_RETRY_MAX_SECONDS) || 60 * 60,
+    // A 'processing' row older than this is assumed abandoned by a crashed worker
+    staleLockSeconds: parseInt(process.env.WEBHOOK_STALE_LOCK_SECONDS) || 5 * 60
+  },
+
+  // Outbound webhooks (subscriptions in webhook_subscriptions, delivered by a background worker)
+  outboundWebhooks: {
+    pollIntervalMs: parseInt(process.env.OUTBOUND_WEBHOOK_POLL_INTERVAL_MS) || 2000,
+    batchSize: parseInt(process.env.OUTBOUND_WEBHOOK_BATCH_SIZE) || 20,
+    timeoutMs: parseInt(process.env.OUTBOUND_WEBHOOK_TIMEOUT_MS) || 10000,
+    // After maxAttempts failures a delivery is dead until redelivered from /outbound-webhooks
+    maxAttempts: parseInt(process.env.OUTBOUND_WEBHOOK_MAX_ATTEMPTS) || 10,
+    retryBaseSeconds: parseInt(process.env.OUTBOUND_WEBHOOK_RETRY_BASE_SECONDS) || 30,
+    retryMaxSeconds: parseInt(process.env.OUTBOUND_WEBHOOK_RETRY_MAX_SECONDS) || 6 * 60 * 60,
+    staleLockSeconds: parseInt(process.env.OUTBOUND_WEBHOOK_STALE_LOCK_SECONDS) || 5 * 60
+  },
+
+  // Outbound WhatsApp messages: saved as pending, sent by a background worker (outbound_queue)
+  outboundQueue: {
+    pollIntervalMs: parseInt(process.env.OUTBOUND_QUEUE_POLL_INTERVAL_MS) || 1000,
+    batchSize: parseInt(process.env.OUTBOUND_QUEUE_BATCH_SIZE) || 20,
+    // Transient and rate-limit errors are retried; after maxAttempts the message is failed
+    maxAttempts: parseInt(process.env.OUTBOUND_QUEUE_MAX_ATTEMPTS) || 6,
+    retryBaseSeconds: parseInt(process.env.OUTBOUND_QUEUE_RETRY_BASE_SECONDS) || 5,
+    retryMaxSeconds: parseInt(process.env.OUTBOUND_QUEUE_RETRY_MAX_SECONDS) || 5 * 60,
+    staleLockSeconds: parseInt(process.env.OUTBOUND_QUEUE_STALE_LOCK_SECONDS) || 2 * 60
+  },
+
+  // Scheduled messages: due rows are handed to the outbound queue by a background worker
+  scheduledMessages: {
+    pollIntervalMs: parseInt(process.env.SCHEDULED_MESSAGES_POLL_INTERVAL_MS) || 15000,
+    batchSize: parseInt(process.env.SCHEDULED_MESSAGES_BATCH_SIZE) || 20,
+    staleLockSeconds: parseInt(process.env.SCHEDULED_MESSAGES_STALE_LOCK_SECONDS) || 5 * 60
+  },
+
   whatsapp: {
     verifyToken: process.env.WHATSAPP_VERIFY_TOKEN,
     appSecret: process.env.WHATSAPP_SECRET,
     accessToken: process.env.WHATSAPP_ACCESS_TOKEN,
     phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID,
     businessAccountId: process.env.WHATSAPP_BUSINESS_ACCOUNT_ID,
+    // Default catalog for product messages (Commerce Manager catalog linked to the WABA)
+    catalogId: process.env.WHATSAPP_CATALOG_ID,
     graphVersion: 'v24.0',
     baseUrl: 'https://graph.facebook.com'
   }
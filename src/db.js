@@ -108,12 +108,19 @@ export async function insertMessage(messageData) {
         wa_message_id: messageData.wa_message_id
       }
     }, '❌ Supabase insertMessage error - DETAILED');
-    throw new Error(`Insert message failed: ${error.message} (code: ${error.code}, details: ${error.details})`);
+    const err = new Error(`Insert message failed: ${error.message} (code: ${error.code}, details: ${error.details})`);
+    err.code = error.code;
+    throw err;
   }
   
   return { rows: [data], rowCount: 1 };
 }
 
+// True for errors from a unique constraint (e.g. a redelivered wa_message_id)
+export function isUniqueViolation(err) {
+  return err?.code === '23505';
+}
+
 export async function updateMessage(id, updates) {
   if (!supabase) {
     throw new Error('Supabase client not initialized');
@@ -154,16 +161,19 @@ export async function getMessage(id) {
   return { rows: [data], rowCount: 1 };
 }
 
-export async function getMessagesByRoom(roomId, limit = 50, offset = 0) {
+// Room timeline order: WhatsApp timestamp, id as tie-breaker (see 2026_10_19_message_wa_timestamp.sql)
+export async function getMessagesByRoom(roomId, limit = 50, offset = 0, order = 'DESC') {
   if (!supabase) {
     throw new Error('Supabase client not initialized');
   }
   
+  const ascending = String(order).toUpperCase() === 'ASC';
   const { data, error } = await supabase
     .from('messages')
     .select('*')
     .eq('room_id', roomId)
-    .order('created_at', { ascending: false })
+    .order('wa_timestamp', { ascending })
+    .order('id', { ascending })
     .range(offset, offset + limit - 1);
     
   if (error) {
@@ -173,6 +183,74 @@ export async function getMessagesByRoom(roomId, limit = 50, offset = 0) {
   return { rows: data || [], rowCount: data?.length || 0 };
 }
 
+/**
+ * Keyset page of a room's messages next to a cursor.
+ * direction 'before': older than the cursor, newest first; 'after': newer, oldest first.
+ * cursor is { wa_timestamp, id } (a message) or { wa_timestamp } (a point in time); none starts at the edge.
+ * Reads limit + 1 rows so has_more is exact.
+ */
+export async function getMessagesByRoomCursor(roomId, { direction = 'before', cursor = null, limit = 50 } = {}) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const ascending = direction === 'after';
+  const op = ascending ? 'gt' : 'lt';
+
+  let query = supabase
+    .from('messages')
+    .select('*')
+    .eq('room_id', roomId);
+
+  if (cursor?.id) {
+    const ts = `"${cursor.wa_timestamp}"`;
+    query = query.or(`wa_timestamp.${op}.${ts},and(wa_timestamp.eq.${ts},id.${op}.${cursor.id})`);
+  } else if (cursor?.wa_timestamp) {
+    query = query[op]('wa_timestamp', cursor.wa_timestamp);
+  }
+
+  const { data, error } = await query
+    .order('wa_timestamp', { ascending })
+    .order('id', { ascending })
+    .limit(limit + 1);
+
+  if (error) {
+    throw new Error(`Get messages by room cursor failed: ${error.message}`);
+  }
+
+  const rows = (data || []).slice(0, limit);
+  return { rows, rowCount: rows.length, hasMore: (data?.length || 0) > limit };
+}
+
+// Full-text search (see search_messages in 2026_10_19_message_search.sql)
+// filters: { query, room_id, lead_status, sender ('customer' | 'agent'), content_type, from, to,
+//            participant_user_id (only rooms of this user), limit, offset }
+export async function searchMessages(filters) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase.rpc('search_messages', {
+    search_query: filters.query,
+    filter_room_id: filters.room_id || null,
+    filter_lead_status: filters.lead_status || null,
+    filter_sender: filters.sender || null,
+    filter_content_type: filters.content_type || null,
+    filter_from: filters.from || null,
+    filter_to: filters.to || null,
+    participant_user_id: filters.participant_user_id || null,
+    result_limit: filters.limit || 20,
+    result_offset: filters.offset || 0
+  });
+
+  if (error) {
+    throw new Error(`Search messages failed: ${error.message}`);
+  }
+
+  const rows = data || [];
+  return { rows, rowCount: rows.length, totalCount: rows.length > 0 ? Number(rows[0].total_count) : 0 };
+}
+
 // Health check function
 export async function healthCheck() {
   if (!supabase) {
@@ -218,15 +296,24 @@ export async function getRoomById(roomId) {
   return { rows: [data], rowCount: 1 };
 }
 
-export async function getRoomByPhone(phone) {
+// channelId: undefined = any channel, null = rooms not bound to a channel yet
+export async function getRoomByPhone(phone, channelId = undefined) {
   if (!supabase) {
     throw new Error('Supabase client not initialized');
   }
   
-  const { data, error } = await supabase
+  let query = supabase
     .from('rooms')
     .select('*')
     .eq('phone', phone);
+
+  if (channelId === null) {
+    query = query.is('channel_id', null);
+  } else if (channelId !== undefined) {
+    query = query.eq('channel_id', channelId);
+  }
+
+  const { data, error } = await query;
     
   if (error) {
     throw new Error(`Get room by phone failed: ${error.message}`);
@@ -342,14 +429,20 @@ export async function listRooms(options = {}) {
   return { rows: data || [], rowCount: data?.length || 0 };
 }
 
+// Rooms of one WhatsApp channel; includeUnbound also matches rooms created before channels existed
+function channelFilter(channelId, includeUnbound) {
+  return includeUnbound ? `channel_id.eq.${channelId},channel_id.is.null` : `channel_id.eq.${channelId}`;
+}
+
 // Get rooms assigned to specific user (agent)
 // Query: room_participants -> LEFT JOIN rooms -> LEFT JOIN leads
-export async function getRoomsByUser(userId) {
+// filters: { channel_id, include_unbound }
+export async function getRoomsByUser(userId, filters = {}) {
   if (!supabase) {
     throw new Error('Supabase client not initialized');
   }
   
-  const { data, error } = await supabase
+  let query = supabase
     .from('room_participants')
     .select(`
       room_id,
@@ -360,6 +453,7 @@ export async function getRoomsByUser(userId) {
         leads_id,
         phone,
         title,
+        channel_id,
         created_at,
         updated_at,
         leads (
@@ -374,8 +468,13 @@ export async function getRoomsByUser(userId) {
         )
       )
     `)
-    .eq('user_id', userId)
-    .order('joined_at', { ascending: false });
+    .eq('user_id', userId);
+
+  if (filters.channel_id) {
+    query = query.or(channelFilter(filters.channel_id, filters.include_unbound), { referencedTable: 'rooms' });
+  }
+
+  const { data, error } = await query.order('joined_at', { ascending: false });
     
   if (error) {
     throw new Error(`Get rooms by user failed: ${error.message}`);
@@ -475,6 +574,7 @@ export async function getRoomsByUser(userId) {
     room_id: item.rooms.id,
     room_phone: item.rooms.phone,
     room_title: item.rooms.title,
+    channel_id: item.rooms.channel_id || null,
     room_created_at: item.rooms.created_at,
     room_updated_at: item.rooms.updated_at,
     leads_id: item.rooms.leads_id || null,
@@ -500,18 +600,20 @@ export async function getRoomsByUser(userId) {
 
 // Get all rooms with participants and leads (for admin/supervisor)
 // Query: rooms -> LEFT JOIN leads -> LEFT JOIN room_participants -> LEFT JOIN users
-export async function getAllRoomsWithDetails() {
+// filters: { channel_id, include_unbound }
+export async function getAllRoomsWithDetails(filters = {}) {
   if (!supabase) {
     throw new Error('Supabase client not initialized');
   }
   
-  const { data, error } = await supabase
+  let query = supabase
     .from('rooms')
     .select(`
       id,
       leads_id,
       phone,
       title,
+      channel_id,
       created_at,
       updated_at,
       leads (
@@ -534,8 +636,13 @@ export async function getAllRoomsWithDetails() {
           role
         )
       )
-    `)
-    .order('updated_at', { ascending: false });
+    `);
+
+  if (filters.channel_id) {
+    query = query.or(channelFilter(filters.channel_id, filters.include_unbound));
+  }
+
+  const { data, error } = await query.order('updated_at', { ascending: false });
     
   if (error) {
     throw new Error(`Get all rooms with details failed: ${error.message}`);
@@ -617,6 +724,7 @@ export async function getAllRoomsWithDetails() {
         room_id: room.id,
         room_phone: room.phone,
         room_title: room.title,
+        channel_id: room.channel_id || null,
         room_created_at: room.created_at,
         room_updated_at: room.updated_at,
         leads_id: room.leads_id || null,
@@ -707,6 +815,29 @@ export async function deleteDeviceTokens(tokens) {
   return { rows: data || [], rowCount: data?.length || 0 };
 }
 
+// Device tokens of specific users (e.g. users mentioned in a note)
+export async function getDeviceTokensByUserIds(userIds) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  if (!userIds || userIds.length === 0) {
+    return { rows: [], rowCount: 0 };
+  }
+
+  const { data, error } = await supabase
+    .from('devices')
+    .select('user_id, device_token')
+    .in('user_id', userIds)
+    .not('device_token', 'is', null);
+
+  if (error) {
+    throw new Error(`Get device tokens failed: ${error.message}`);
+  }
+
+  return { rows: data || [], rowCount: data?.length || 0 };
+}
+
 // Helper functions for system events
 export async function insertSystemEvent(eventData) {
   if (!supabase) {
@@ -723,7 +854,9 @@ export async function insertSystemEvent(eventData) {
     .single();
     
   if (error) {
-    throw new Error(`Insert system event failed: ${error.message}`);
+    const err = new Error(`Insert system event failed: ${error.message}`);
+    err.code = error.code;
+    throw err;
   }
   
   return { rows: [data], rowCount: 1 };
@@ -748,21 +881,75 @@ export async function getSystemEvents(roomId, limit = 50) {
   return { rows: data || [], rowCount: data?.length || 0 };
 }
 
+// Phone alias functions (customer changed their WhatsApp number)
+export async function insertPhoneAlias(aliasData) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase
+    .from('phone_aliases')
+    .insert(aliasData)
+    .select()
+    .single();
+
+  if (error) {
+    const err = new Error(`Insert phone alias failed: ${error.message}`);
+    err.code = error.code;
+    throw err;
+  }
+
+  return { rows: [data], rowCount: 1 };
+}
+
+// Most recent number a phone was changed to (empty if it never changed)
+export async function getPhoneAliasByOldPhone(oldPhone) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase
+    .from('phone_aliases')
+    .select('*')
+    .eq('old_phone', oldPhone)
+    .order('changed_at', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Get phone alias failed: ${error.message}`);
+  }
+
+  return { rows: data || [], rowCount: data?.length || 0 };
+}
+
 // Helper functions for message status operations
-export async function updateMessageStatus(waMessageId, status, timestamp) {
+
+// Compare-and-set: only updates while the current status is one of allowedFrom (null = no status yet),
+// so concurrent or out-of-order webhooks cannot move a message backwards
+export async function updateMessageStatus(waMessageId, status, timestamp, allowedFrom = null) {
   if (!supabase) {
     throw new Error('Supabase client not initialized');
   }
   
-  const { data, error } = await supabase
+  let query = supabase
     .from('messages')
     .update({
       status,
       status_timestamp: timestamp,
       updated_at: new Date().toISOString()
     })
-    .eq('wa_message_id', waMessageId)
-    .select('id, room_id');
+    .eq('wa_message_id', waMessageId);
+
+  if (allowedFrom) {
+    const previous = allowedFrom.filter(Boolean);
+    const conditions = ['status.is.null'];
+    if (previous.length > 0) {
+      conditions.push(`status.in.(${previous.join(',')})`);
+    }
+    query = query.or(conditions.join(','));
+  }
+
+  const { data, error } = await query.select('id, room_id');
     
   if (error) {
     throw new Error(`Update message status failed: ${error.message}`);
@@ -796,6 +983,26 @@ export async function insertStatusHistory(statusData) {
   return { rows: [data], rowCount: 1 };
 }
 
+// Full status timeline of a message, oldest first
+export async function getStatusHistory(messageId) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase
+    .from('message_status_history')
+    .select('*')
+    .eq('message_id', messageId)
+    .order('timestamp', { ascending: true })
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Get status history failed: ${error.message}`);
+  }
+
+  return { rows: data || [], rowCount: data?.length || 0 };
+}
+
 export async function getMessageByWaId(waMessageId) {
   if (!supabase) {
     throw new Error('Supabase client not initialized');
@@ -803,7 +1010,7 @@ export async function getMessageByWaId(waMessageId) {
   
   const { data, error } = await supabase
     .from('messages')
-    .select('room_id')
+    .select('id, room_id, status')
     .eq('wa_message_id', waMessageId)
     .limit(1)
     .single();
@@ -1203,6 +1410,86 @@ export async function getLeadsByAssignedUser(userId, filters = {}) {
   return { rows: data || [], rowCount: data?.length || 0 };
 }
 
+// Lead attribution functions (Click-to-WhatsApp referrals)
+export async function insertLeadAttribution(attributionData) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase
+    .from('lead_attributions')
+    .insert(attributionData)
+    .select()
+    .single();
+
+  if (error) {
+    const err = new Error(`Insert lead attribution failed: ${error.message}`);
+    err.code = error.code;
+    throw err;
+  }
+
+  return { rows: [data], rowCount: 1 };
+}
+
+// Attributions of a lead, first touch first
+export async function getLeadAttributions(leadId) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase
+    .from('lead_attributions')
+    .select('*')
+    .eq('lead_id', leadId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Get lead attributions failed: ${error.message}`);
+  }
+
+  return { rows: data || [], rowCount: data?.length || 0 };
+}
+
+// Latest referral seen for an ad/post id (headline, url, media of the ad)
+export async function getLatestAttributionBySource(sourceId) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase
+    .from('lead_attributions')
+    .select('*')
+    .eq('source_id', sourceId)
+    .order('created_at', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Get attribution by source failed: ${error.message}`);
+  }
+
+  return { rows: data || [], rowCount: data?.length || 0 };
+}
+
+// Lead count per leads_status for one UTM (see get_utm_lead_stats in 2026_10_19_utm_lead_stats.sql)
+// participantUserId limits the count to leads of rooms that user is assigned to
+export async function getUtmLeadStats(utmId, participantUserId = null) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase.rpc('get_utm_lead_stats', {
+    target_utm_id: utmId,
+    participant_user_id: participantUserId
+  });
+
+  if (error) {
+    throw new Error(`Get UTM lead stats failed: ${error.message}`);
+  }
+
+  const rows = (data || []).map(row => ({ leads_status: row.leads_status, count: Number(row.lead_count) }));
+  return { rows, rowCount: rows.length };
+}
+
 // Helper functions for media message operations
 export async function getMediaMessage(messageId) {
   if (!supabase) {
@@ -1310,26 +1597,25 @@ export async function getUserById(id) {
   return { rows: [data], rowCount: 1 };
 }
 
-export async function getUserByPin(pin) {
+export async function getUsersByIds(ids) {
   if (!supabase) {
     throw new Error('Supabase client not initialized');
   }
-  
+
+  if (!ids || ids.length === 0) {
+    return { rows: [], rowCount: 0 };
+  }
+
   const { data, error } = await supabase
     .from('users')
-    .select('*')
-    .eq('pin', parseInt(pin))
-    .eq('is_active', true)
-    .single();
-    
+    .select('id, name, role, is_active')
+    .in('id', ids);
+
   if (error) {
-    if (error.code === 'PGRST116') {
-      return { rows: [], rowCount: 0 };
-    }
-    throw new Error(`Get user by PIN failed: ${error.message}`);
+    throw new Error(`Get users by IDs failed: ${error.message}`);
   }
-  
-  return { rows: [data], rowCount: 1 };
+
+  return { rows: data || [], rowCount: data?.length || 0 };
 }
 
 export async function insertUser(userData) {
@@ -1353,6 +1639,27 @@ export async function insertUser(userData) {
   return { rows: [data], rowCount: 1 };
 }
 
+// Count a login attempt unless the account is locked (see begin_login_attempt in the migration)
+// lockout: { maxFailed, baseSeconds, maxSeconds }
+export async function beginLoginAttempt(userId, lockout) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase.rpc('begin_login_attempt', {
+    target_user_id: userId,
+    max_failed: lockout.maxFailed,
+    lockout_base_seconds: lockout.baseSeconds,
+    lockout_max_seconds: lockout.maxSeconds
+  });
+
+  if (error) {
+    throw new Error(`Begin login attempt failed: ${error.message}`);
+  }
+
+  return { rows: data || [], rowCount: data?.length || 0 };
+}
+
 export async function updateUser(id, updates) {
   if (!supabase) {
     throw new Error('Supabase client not initialized');
@@ -1415,75 +1722,1324 @@ export async function getAgents() {
   return { rows: data || [], rowCount: data?.length || 0 };
 }
 
-// Room participants management functions
-export async function addRoomParticipant(participantData) {
+// Session management functions (signed tokens issued by /auth/login)
+export async function insertUserSession(sessionData) {
   if (!supabase) {
     throw new Error('Supabase client not initialized');
   }
-  
+
   const { data, error } = await supabase
-    .from('room_participants')
+    .from('user_sessions')
     .insert({
-      room_id: participantData.room_id,
-      user_id: participantData.user_id,
-      joined_at: participantData.joined_at || new Date().toISOString()
+      ...sessionData,
+      created_at: new Date().toISOString()
     })
     .select()
     .single();
-    
+
   if (error) {
-    throw new Error(`Add room participant failed: ${error.message}`);
+    throw new Error(`Insert user session failed: ${error.message}`);
   }
-  
+
   return { rows: [data], rowCount: 1 };
 }
 
-export async function removeRoomParticipant(roomId, userId) {
+export async function getUserSession(sessionId) {
   if (!supabase) {
     throw new Error('Supabase client not initialized');
   }
-  
+
   const { data, error } = await supabase
-    .from('room_participants')
-    .delete()
-    .eq('room_id', roomId)
-    .eq('user_id', userId)
-    .select();
-    
+    .from('user_sessions')
+    .select('*')
+    .eq('id', sessionId)
+    .single();
+
   if (error) {
-    throw new Error(`Remove room participant failed: ${error.message}`);
+    if (error.code === 'PGRST116') {
+      return { rows: [], rowCount: 0 };
+    }
+    throw new Error(`Get user session failed: ${error.message}`);
   }
-  
-  return { rows: data || [], rowCount: data?.length || 0 };
+
+  return { rows: [data], rowCount: 1 };
 }
 
-export async function removeRoomParticipantById(participantId) {
+export async function revokeUserSession(sessionId) {
   if (!supabase) {
     throw new Error('Supabase client not initialized');
   }
-  
+
   const { data, error } = await supabase
-    .from('room_participants')
-    .delete()
-    .eq('id', participantId)
+    .from('user_sessions')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', sessionId)
+    .is('revoked_at', null)
     .select();
-    
+
   if (error) {
-    throw new Error(`Remove room participant by ID failed: ${error.message}`);
+    throw new Error(`Revoke user session failed: ${error.message}`);
   }
-  
+
   return { rows: data || [], rowCount: data?.length || 0 };
 }
 
-export async function getRoomParticipantsWithUsers(roomId) {
+// Role management functions (permission sets referenced by users.role)
+export async function getRoles() {
   if (!supabase) {
     throw new Error('Supabase client not initialized');
   }
-  
+
   const { data, error } = await supabase
-    .from('room_participants')
-    .select(`
-      user_id,
+    .from('roles')
+    .select('*')
+    .order('name', { ascending: true });
+
+  if (error) {
+    throw new Error(`Get roles failed: ${error.message}`);
+  }
+
+  return { rows: data || [], rowCount: data?.length || 0 };
+}
+
+export async function getRoleByName(name) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase
+    .from('roles')
+    .select('*')
+    .eq('name', name)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      return { rows: [], rowCount: 0 };
+    }
+    throw new Error(`Get role failed: ${error.message}`);
+  }
+
+  return { rows: [data], rowCount: 1 };
+}
+
+export async function insertRole(roleData) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase
+    .from('roles')
+    .insert({
+      ...roleData,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Insert role failed: ${error.message}`);
+  }
+
+  return { rows: [data], rowCount: 1 };
+}
+
+export async function updateRole(name, updates) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase
+    .from('roles')
+    .update({
+      ...updates,
+      updated_at: new Date().toISOString()
+    })
+    .eq('name', name)
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      return { rows: [], rowCount: 0 };
+    }
+    throw new Error(`Update role failed: ${error.message}`);
+  }
+
+  return { rows: [data], rowCount: 1 };
+}
+
+export async function deleteRole(name) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase
+    .from('roles')
+    .delete()
+    .eq('name', name)
+    .select();
+
+  if (error) {
+    throw new Error(`Delete role failed: ${error.message}`);
+  }
+
+  return { rows: data || [], rowCount: data?.length || 0 };
+}
+
+export async function countUsersWithRole(name) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { count, error } = await supabase
+    .from('users')
+    .select('id', { count: 'exact', head: true })
+    .eq('role', name);
+
+  if (error) {
+    throw new Error(`Count users with role failed: ${error.message}`);
+  }
+
+  return { rows: [{ count: count || 0 }], rowCount: 1 };
+}
+
+// Audit log functions (append-only table)
+export async function insertAuditLog(entry) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase
+    .from('audit_logs')
+    .insert(entry)
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Insert audit log failed: ${error.message}`);
+  }
+
+  return { rows: [data], rowCount: 1 };
+}
+
+export async function getAuditLogs(filters = {}) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  let query = supabase
+    .from('audit_logs')
+    .select('*', { count: 'exact' });
+
+  if (filters.actor_id) {
+    query = query.eq('actor_id', filters.actor_id);
+  }
+
+  if (filters.action) {
+    query = query.eq('action', filters.action);
+  }
+
+  if (filters.target_type) {
+    query = query.eq('target_type', filters.target_type);
+  }
+
+  if (filters.target_id) {
+    query = query.eq('target_id', filters.target_id);
+  }
+
+  if (filters.from) {
+    query = query.gte('created_at', filters.from);
+  }
+
+  if (filters.to) {
+    query = query.lte('created_at', filters.to);
+  }
+
+  const limit = filters.limit || 50;
+  const offset = filters.offset || 0;
+
+  query = query
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  const { data, error, count } = await query;
+
+  if (error) {
+    throw new Error(`Get audit logs failed: ${error.message}`);
+  }
+
+  return { rows: data || [], rowCount: data?.length || 0, totalCount: count || 0 };
+}
+
+// Webhook inbox functions
+export async function insertWebhookEvent(eventData) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase
+    .from('webhook_events')
+    .insert(eventData)
+    .select('id, source, status, received_at')
+    .single();
+
+  if (error) {
+    throw new Error(`Insert webhook event failed: ${error.message}`);
+  }
+
+  return { rows: [data], rowCount: 1 };
+}
+
+// Atomically mark due events as processing (see claim_webhook_events in the migration)
+export async function claimWebhookEvents(batchSize, staleSeconds) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase.rpc('claim_webhook_events', {
+    batch_size: batchSize,
+    stale_seconds: staleSeconds
+  });
+
+  if (error) {
+    throw new Error(`Claim webhook events failed: ${error.message}`);
+  }
+
+  return { rows: data || [], rowCount: data?.length || 0 };
+}
+
+export async function updateWebhookEvent(id, updates) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase
+    .from('webhook_events')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select();
+
+  if (error) {
+    throw new Error(`Update webhook event failed: ${error.message}`);
+  }
+
+  return { rows: data || [], rowCount: data?.length || 0 };
+}
+
+export async function getWebhookEventById(id) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase
+    .from('webhook_events')
+    .select('*')
+    .eq('id', id)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      return { rows: [], rowCount: 0 };
+    }
+    throw new Error(`Get webhook event failed: ${error.message}`);
+  }
+
+  return { rows: [data], rowCount: 1 };
+}
+
+export async function getWebhookEvents(filters = {}) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  // Payloads can be large, list without them (GET /webhook-events/:id returns the full row)
+  let query = supabase
+    .from('webhook_events')
+    .select('id, source, status, attempts, next_attempt_at, last_error, result, processed_at, received_at, updated_at', { count: 'exact' });
+
+  if (filters.status) {
+    query = query.in('status', [].concat(filters.status));
+  }
+
+  if (filters.source) {
+    query = query.eq('source', filters.source);
+  }
+
+  // Free-text match on the verbatim body (phone number, wamid, text, ...)
+  if (filters.search) {
+    query = query.ilike('raw_body', `%${filters.search}%`);
+  }
+
+  if (filters.from) {
+    query = query.gte('received_at', filters.from);
+  }
+
+  if (filters.to) {
+    query = query.lte('received_at', filters.to);
+  }
+
+  const limit = filters.limit || 50;
+  const offset = filters.offset || 0;
+
+  query = query
+    .order('received_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  const { data, error, count } = await query;
+
+  if (error) {
+    throw new Error(`Get webhook events failed: ${error.message}`);
+  }
+
+  return { rows: data || [], rowCount: data?.length || 0, totalCount: count || 0 };
+}
+
+// WhatsApp account event functions
+export async function insertAccountEvent(eventData) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase
+    .from('whatsapp_account_events')
+    .insert(eventData)
+    .select()
+    .single();
+
+  if (error) {
+    const err = new Error(`Insert account event failed: ${error.message}`);
+    err.code = error.code;
+    throw err;
+  }
+
+  return { rows: [data], rowCount: 1 };
+}
+
+export async function getAccountEvents(filters = {}) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  let query = supabase
+    .from('whatsapp_account_events')
+    .select('*', { count: 'exact' });
+
+  if (filters.field) {
+    query = query.eq('field', filters.field);
+  }
+
+  if (filters.severity) {
+    query = query.eq('severity', filters.severity);
+  }
+
+  if (filters.template_name) {
+    query = query.eq('template_name', filters.template_name);
+  }
+
+  if (filters.from) {
+    query = query.gte('created_at', filters.from);
+  }
+
+  if (filters.to) {
+    query = query.lte('created_at', filters.to);
+  }
+
+  const limit = filters.limit || 50;
+  const offset = filters.offset || 0;
+
+  query = query
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  const { data, error, count } = await query;
+
+  if (error) {
+    throw new Error(`Get account events failed: ${error.message}`);
+  }
+
+  return { rows: data || [], rowCount: data?.length || 0, totalCount: count || 0 };
+}
+
+// Outbound webhook subscription functions
+export async function getWebhookSubscriptions(filters = {}) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  let query = supabase
+    .from('webhook_subscriptions')
+    .select('*');
+
+  if (filters.active_only) {
+    query = query.eq('is_active', true);
+  }
+
+  if (filters.event_type) {
+    query = query.contains('event_types', [filters.event_type]);
+  }
+
+  const { data, error } = await query.order('created_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Get webhook subscriptions failed: ${error.message}`);
+  }
+
+  return { rows: data || [], rowCount: data?.length || 0 };
+}
+
+export async function getWebhookSubscriptionById(id) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase
+    .from('webhook_subscriptions')
+    .select('*')
+    .eq('id', id)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      return { rows: [], rowCount: 0 };
+    }
+    throw new Error(`Get webhook subscription failed: ${error.message}`);
+  }
+
+  return { rows: [data], rowCount: 1 };
+}
+
+export async function insertWebhookSubscription(subscriptionData) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase
+    .from('webhook_subscriptions')
+    .insert(subscriptionData)
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Insert webhook subscription failed: ${error.message}`);
+  }
+
+  return { rows: [data], rowCount: 1 };
+}
+
+export async function updateWebhookSubscription(id, updates) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase
+    .from('webhook_subscriptions')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select();
+
+  if (error) {
+    throw new Error(`Update webhook subscription failed: ${error.message}`);
+  }
+
+  return { rows: data || [], rowCount: data?.length || 0 };
+}
+
+export async function deleteWebhookSubscription(id) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  // Deliveries are removed by ON DELETE CASCADE
+  const { data, error } = await supabase
+    .from('webhook_subscriptions')
+    .delete()
+    .eq('id', id)
+    .select();
+
+  if (error) {
+    throw new Error(`Delete webhook subscription failed: ${error.message}`);
+  }
+
+  return { rows: data || [], rowCount: data?.length || 0 };
+}
+
+// Outbound webhook delivery functions
+export async function insertWebhookDeliveries(deliveries) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase
+    .from('webhook_deliveries')
+    .insert(deliveries)
+    .select('id, subscription_id, event_id, event_type, status');
+
+  if (error) {
+    throw new Error(`Insert webhook deliveries failed: ${error.message}`);
+  }
+
+  return { rows: data || [], rowCount: data?.length || 0 };
+}
+
+export async function claimWebhookDeliveries(batchSize, staleSeconds) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase.rpc('claim_webhook_deliveries', {
+    batch_size: batchSize,
+    stale_seconds: staleSeconds
+  });
+
+  if (error) {
+    throw new Error(`Claim webhook deliveries failed: ${error.message}`);
+  }
+
+  return { rows: data || [], rowCount: data?.length || 0 };
+}
+
+export async function updateWebhookDelivery(id, updates) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase
+    .from('webhook_deliveries')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select();
+
+  if (error) {
+    throw new Error(`Update webhook delivery failed: ${error.message}`);
+  }
+
+  return { rows: data || [], rowCount: data?.length || 0 };
+}
+
+export async function getWebhookDeliveryById(id) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase
+    .from('webhook_deliveries')
+    .select('*')
+    .eq('id', id)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      return { rows: [], rowCount: 0 };
+    }
+    throw new Error(`Get webhook delivery failed: ${error.message}`);
+  }
+
+  return { rows: [data], rowCount: 1 };
+}
+
+export async function getWebhookDeliveries(filters = {}) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  let query = supabase
+    .from('webhook_deliveries')
+    .select('*', { count: 'exact' });
+
+  if (filters.subscription_id) {
+    query = query.eq('subscription_id', filters.subscription_id);
+  }
+
+  if (filters.status) {
+    query = query.in('status', [].concat(filters.status));
+  }
+
+  if (filters.event_type) {
+    query = query.eq('event_type', filters.event_type);
+  }
+
+  const limit = filters.limit || 50;
+  const offset = filters.offset || 0;
+
+  query = query
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  const { data, error, count } = await query;
+
+  if (error) {
+    throw new Error(`Get webhook deliveries failed: ${error.message}`);
+  }
+
+  return { rows: data || [], rowCount: data?.length || 0, totalCount: count || 0 };
+}
+
+// WhatsApp channel (phone number) functions
+export async function getChannels() {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase
+    .from('whatsapp_channels')
+    .select('*')
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Get channels failed: ${error.message}`);
+  }
+
+  return { rows: data || [], rowCount: data?.length || 0 };
+}
+
+export async function insertChannel(channelData) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase
+    .from('whatsapp_channels')
+    .insert(channelData)
+    .select()
+    .single();
+
+  if (error) {
+    const err = new Error(`Insert channel failed: ${error.message}`);
+    err.code = error.code;
+    throw err;
+  }
+
+  return { rows: [data], rowCount: 1 };
+}
+
+export async function updateChannel(id, updates) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase
+    .from('whatsapp_channels')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select();
+
+  if (error) {
+    const err = new Error(`Update channel failed: ${error.message}`);
+    err.code = error.code;
+    throw err;
+  }
+
+  return { rows: data || [], rowCount: data?.length || 0 };
+}
+
+// Unset is_default on every channel (before marking another one as default)
+export async function clearDefaultChannel() {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { error } = await supabase
+    .from('whatsapp_channels')
+    .update({ is_default: false, updated_at: new Date().toISOString() })
+    .eq('is_default', true);
+
+  if (error) {
+    throw new Error(`Clear default channel failed: ${error.message}`);
+  }
+}
+
+// Outbound message queue (see claim_outbound_messages in the migration)
+export async function insertOutboundJob(jobData) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase
+    .from('outbound_queue')
+    .insert(jobData)
+    .select()
+    .single();
+
+  if (error) {
+    const err = new Error(`Insert outbound job failed: ${error.message}`);
+    err.code = error.code;
+    throw err;
+  }
+
+  return { rows: [data], rowCount: 1 };
+}
+
+export async function claimOutboundJobs(batchSize, staleSeconds) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase.rpc('claim_outbound_messages', {
+    batch_size: batchSize,
+    stale_seconds: staleSeconds
+  });
+
+  if (error) {
+    throw new Error(`Claim outbound messages failed: ${error.message}`);
+  }
+
+  return { rows: data || [], rowCount: data?.length || 0 };
+}
+
+export async function getOutboundJobByMessageId(messageId) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase
+    .from('outbound_queue')
+    .select('*')
+    .eq('message_id', messageId)
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Get outbound job failed: ${error.message}`);
+  }
+
+  return { rows: data || [], rowCount: data?.length || 0 };
+}
+
+export async function updateOutboundJob(id, updates) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase
+    .from('outbound_queue')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select();
+
+  if (error) {
+    throw new Error(`Update outbound job failed: ${error.message}`);
+  }
+
+  return { rows: data || [], rowCount: data?.length || 0 };
+}
+
+// Scheduled message functions (see claim_scheduled_messages in the migration)
+export async function insertScheduledMessage(scheduledData) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase
+    .from('scheduled_messages')
+    .insert(scheduledData)
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Insert scheduled message failed: ${error.message}`);
+  }
+
+  return { rows: [data], rowCount: 1 };
+}
+
+export async function getScheduledMessage(id) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase
+    .from('scheduled_messages')
+    .select('*')
+    .eq('id', id)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      return { rows: [], rowCount: 0 };
+    }
+    throw new Error(`Get scheduled message failed: ${error.message}`);
+  }
+
+  return { rows: [data], rowCount: 1 };
+}
+
+export async function getScheduledMessages(filters = {}) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  let query = supabase
+    .from('scheduled_messages')
+    .select('*', { count: 'exact' });
+
+  if (filters.room_id) {
+    query = query.eq('room_id', filters.room_id);
+  }
+
+  if (filters.created_by) {
+    query = query.eq('created_by', filters.created_by);
+  }
+
+  if (filters.status) {
+    query = query.eq('status', filters.status);
+  }
+
+  const limit = filters.limit || 50;
+  const offset = filters.offset || 0;
+
+  query = query
+    .order('scheduled_at', { ascending: true })
+    .range(offset, offset + limit - 1);
+
+  const { data, error, count } = await query;
+
+  if (error) {
+    throw new Error(`Get scheduled messages failed: ${error.message}`);
+  }
+
+  return { rows: data || [], rowCount: data?.length || 0, totalCount: count || 0 };
+}
+
+/**
+ * Update a scheduled message; with expectedStatus the row is only changed while it still has that
+ * status (an edit or cancel must not race the worker), rowCount 0 otherwise
+ */
+export async function updateScheduledMessage(id, updates, expectedStatus = null) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  let query = supabase
+    .from('scheduled_messages')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', id);
+
+  if (expectedStatus) {
+    query = query.eq('status', expectedStatus);
+  }
+
+  const { data, error } = await query.select();
+
+  if (error) {
+    throw new Error(`Update scheduled message failed: ${error.message}`);
+  }
+
+  return { rows: data || [], rowCount: data?.length || 0 };
+}
+
+export async function claimScheduledMessages(batchSize, staleSeconds) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase.rpc('claim_scheduled_messages', {
+    batch_size: batchSize,
+    stale_seconds: staleSeconds
+  });
+
+  if (error) {
+    throw new Error(`Claim scheduled messages failed: ${error.message}`);
+  }
+
+  return { rows: data || [], rowCount: data?.length || 0 };
+}
+
+/**
+ * WhatsApp time of the customer's latest message in a room (opens the 24-hour service window)
+ * @returns {Promise<string|null>} ISO timestamp, null if the customer never wrote
+ */
+export async function getLastCustomerMessageAt(roomId) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  // Customer messages: no agent user_id and a WhatsApp id (system events and call logs do not count)
+  const { data, error } = await supabase
+    .from('messages')
+    .select('wa_timestamp')
+    .eq('room_id', roomId)
+    .is('user_id', null)
+    .not('wa_message_id', 'is', null)
+    .not('content_type', 'in', '(system,call)')
+    .order('wa_timestamp', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Get last customer message failed: ${error.message}`);
+  }
+
+  return data?.[0]?.wa_timestamp || null;
+}
+
+// Call log functions (WhatsApp Business Calling)
+export async function insertCallLog(callLogData) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase
+    .from('call_logs')
+    .insert(callLogData)
+    .select()
+    .single();
+
+  if (error) {
+    const err = new Error(`Insert call log failed: ${error.message}`);
+    err.code = error.code;
+    throw err;
+  }
+
+  return { rows: [data], rowCount: 1 };
+}
+
+export async function getCallLog(callId, event) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase
+    .from('call_logs')
+    .select('*')
+    .eq('call_id', callId)
+    .eq('event', event)
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Get call log failed: ${error.message}`);
+  }
+
+  return { rows: data || [], rowCount: data?.length || 0 };
+}
+
+export async function updateCallLog(id, updates) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase
+    .from('call_logs')
+    .update(updates)
+    .eq('id', id)
+    .select();
+
+  if (error) {
+    throw new Error(`Update call log failed: ${error.message}`);
+  }
+
+  return { rows: data || [], rowCount: data?.length || 0 };
+}
+
+// Order functions (catalog orders received over WhatsApp)
+export async function insertOrder(orderData, items = []) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase
+    .from('orders')
+    .insert(orderData)
+    .select()
+    .single();
+
+  if (error) {
+    const err = new Error(`Insert order failed: ${error.message}`);
+    err.code = error.code;
+    throw err;
+  }
+
+  let insertedItems = [];
+  if (items.length > 0) {
+    const { data: itemRows, error: itemsError } = await supabase
+      .from('order_items')
+      .insert(items.map(item => ({ ...item, order_id: data.id })))
+      .select();
+
+    if (itemsError) {
+      // Without its items the order is useless: remove it so a retry starts clean
+      await supabase.from('orders').delete().eq('id', data.id);
+      throw new Error(`Insert order items failed: ${itemsError.message}`);
+    }
+    insertedItems = itemRows || [];
+  }
+
+  return { rows: [{ ...data, items: insertedItems }], rowCount: 1 };
+}
+
+export async function getOrderById(id) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase
+    .from('orders')
+    .select('*, items:order_items(*)')
+    .eq('id', id)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      return { rows: [], rowCount: 0 };
+    }
+    throw new Error(`Get order failed: ${error.message}`);
+  }
+
+  return { rows: [data], rowCount: 1 };
+}
+
+export async function getOrderByWaMessageId(waMessageId) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase
+    .from('orders')
+    .select('*, items:order_items(*)')
+    .eq('wa_message_id', waMessageId)
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Get order by message failed: ${error.message}`);
+  }
+
+  return { rows: data || [], rowCount: data?.length || 0 };
+}
+
+// filters: { room_id, lead_id, status, from, to, participant_user_id (only rooms of this user), limit, offset }
+export async function getOrders(filters = {}) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  let roomIds = null;
+  if (filters.participant_user_id) {
+    const { data: participantData, error: participantError } = await supabase
+      .from('room_participants')
+      .select('room_id')
+      .eq('user_id', filters.participant_user_id);
+
+    if (participantError) {
+      throw new Error(`Get room participants failed: ${participantError.message}`);
+    }
+
+    roomIds = participantData?.map(p => p.room_id) || [];
+    if (roomIds.length === 0) {
+      return { rows: [], rowCount: 0, totalCount: 0 };
+    }
+  }
+
+  let query = supabase
+    .from('orders')
+    .select('*, items:order_items(*)', { count: 'exact' });
+
+  if (roomIds) {
+    query = query.in('room_id', roomIds);
+  }
+
+  if (filters.room_id) {
+    query = query.eq('room_id', filters.room_id);
+  }
+
+  if (filters.lead_id) {
+    query = query.eq('lead_id', filters.lead_id);
+  }
+
+  if (filters.status) {
+    query = query.eq('status', filters.status);
+  }
+
+  if (filters.from) {
+    query = query.gte('created_at', filters.from);
+  }
+
+  if (filters.to) {
+    query = query.lte('created_at', filters.to);
+  }
+
+  const limit = filters.limit || 50;
+  const offset = filters.offset || 0;
+
+  query = query
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  const { data, error, count } = await query;
+
+  if (error) {
+    throw new Error(`Get orders failed: ${error.message}`);
+  }
+
+  return { rows: data || [], rowCount: data?.length || 0, totalCount: count || 0 };
+}
+
+export async function updateOrder(id, updates, expectedStatus = null) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  let query = supabase
+    .from('orders')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', id);
+
+  if (expectedStatus) {
+    query = query.eq('status', expectedStatus);
+  }
+
+  const { data, error } = await query.select('*, items:order_items(*)');
+
+  if (error) {
+    throw new Error(`Update order failed: ${error.message}`);
+  }
+
+  return { rows: data || [], rowCount: data?.length || 0 };
+}
+
+// WhatsApp Flows mapping functions
+export async function getFlowMappings() {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase
+    .from('flow_mappings')
+    .select('*')
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Get flow mappings failed: ${error.message}`);
+  }
+
+  return { rows: data || [], rowCount: data?.length || 0 };
+}
+
+export async function insertFlowMapping(mappingData) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase
+    .from('flow_mappings')
+    .insert(mappingData)
+    .select()
+    .single();
+
+  if (error) {
+    const err = new Error(`Insert flow mapping failed: ${error.message}`);
+    err.code = error.code;
+    throw err;
+  }
+
+  return { rows: [data], rowCount: 1 };
+}
+
+export async function updateFlowMapping(id, updates) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase
+    .from('flow_mappings')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select();
+
+  if (error) {
+    const err = new Error(`Update flow mapping failed: ${error.message}`);
+    err.code = error.code;
+    throw err;
+  }
+
+  return { rows: data || [], rowCount: data?.length || 0 };
+}
+
+export async function deleteFlowMapping(id) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase
+    .from('flow_mappings')
+    .delete()
+    .eq('id', id)
+    .select();
+
+  if (error) {
+    throw new Error(`Delete flow mapping failed: ${error.message}`);
+  }
+
+  return { rows: data || [], rowCount: data?.length || 0 };
+}
+
+// Room participants management functions
+export async function addRoomParticipant(participantData) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+  
+  const { data, error } = await supabase
+    .from('room_participants')
+    .insert({
+      room_id: participantData.room_id,
+      user_id: participantData.user_id,
+      joined_at: participantData.joined_at || new Date().toISOString()
+    })
+    .select()
+    .single();
+    
+  if (error) {
+    throw new Error(`Add room participant failed: ${error.message}`);
+  }
+  
+  return { rows: [data], rowCount: 1 };
+}
+
+export async function removeRoomParticipant(roomId, userId) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+  
+  const { data, error } = await supabase
+    .from('room_participants')
+    .delete()
+    .eq('room_id', roomId)
+    .eq('user_id', userId)
+    .select();
+    
+  if (error) {
+    throw new Error(`Remove room participant failed: ${error.message}`);
+  }
+  
+  return { rows: data || [], rowCount: data?.length || 0 };
+}
+
+export async function removeRoomParticipantById(participantId) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+  
+  const { data, error } = await supabase
+    .from('room_participants')
+    .delete()
+    .eq('id', participantId)
+    .select();
+    
+  if (error) {
+    throw new Error(`Remove room participant by ID failed: ${error.message}`);
+  }
+  
+  return { rows: data || [], rowCount: data?.length || 0 };
+}
+
+export async function getRoomParticipantsWithUsers(roomId) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+  
+  const { data, error } = await supabase
+    .from('room_participants')
+    .select(`
+      user_id,
       joined_at,
       users!inner (
         id,
@@ -1533,6 +3089,58 @@ export async function checkRoomParticipant(roomId, userId) {
   return { rows: [data], rowCount: 1 };
 }
 
+// User ids of every participant of a room (with or without registered devices)
+export async function getRoomParticipantUserIds(roomId) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const { data, error } = await supabase
+    .from('room_participants')
+    .select('user_id')
+    .eq('room_id', roomId);
+
+  if (error) {
+    throw new Error(`Get room participant ids failed: ${error.message}`);
+  }
+
+  const rows = data || [];
+  return { rows, rowCount: rows.length };
+}
+
+// Check if user is a participant of any room linked to the lead
+export async function checkLeadParticipant(leadId, userId) {
+  if (!supabase) {
+    throw new Error('Supabase client not initialized');
+  }
+  
+  const { data: rooms, error: roomsError } = await supabase
+    .from('rooms')
+    .select('id')
+    .eq('leads_id', leadId);
+    
+  if (roomsError) {
+    throw new Error(`Get rooms for lead failed: ${roomsError.message}`);
+  }
+  
+  if (!rooms || rooms.length === 0) {
+    return { rows: [], rowCount: 0 };
+  }
+  
+  const { data, error } = await supabase
+    .from('room_participants')
+    .select('room_id, user_id')
+    .in('room_id', rooms.map(r => r.id))
+    .eq('user_id', userId)
+    .limit(1);
+    
+  if (error) {
+    throw new Error(`Check lead participant failed: ${error.message}`);
+  }
+  
+  return { rows: data || [], rowCount: data?.length || 0 };
+}
+
 // Helper function to get leads by phone number
 export async function getLeadByPhone(phone) {
   if (!supabase) {
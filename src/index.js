@@ -14,8 +14,21 @@ import leadsRouter from './routes/leads.js';
 import usersRouter from './routes/users.js';
 import authRouter from './routes/auth.js';
 import roomsRouter from './routes/rooms.js';
+import rolesRouter from './routes/roles.js';
+import auditRouter from './routes/audit.js';
+import { createWebhookEventsRouter } from './routes/webhookEvents.js';
+import accountEventsRouter from './routes/accountEvents.js';
+import channelsRouter from './routes/channels.js';
+import outboundWebhooksRouter from './routes/outboundWebhooks.js';
+import flowMappingsRouter from './routes/flowMappings.js';
+import ordersRouter from './routes/orders.js';
+import { authenticateUser } from './middleware/auth.js';
 import { initializeFirebase } from './services/fcmService.js';
 import { initializeStorage } from './services/storageService.js';
+import { startWebhookWorker, stopWebhookWorker } from './services/webhookInboxService.js';
+import { startOutboundWebhookWorker, stopOutboundWebhookWorker } from './services/outboundWebhookService.js';
+import { startOutboundQueueWorker, stopOutboundQueueWorker } from './services/outboundQueueService.js';
+import { startScheduledMessageWorker, stopScheduledMessageWorker } from './services/scheduledMessageService.js';
 
 const app = express();
 
@@ -100,17 +113,28 @@ async function initializeServices() {
 }
 
 // Routes
-app.use('/webhook', createWebhookRouter(io));
-app.use('/devices', devicesRouter);
-app.use('/media', mediaRouter);
-app.use('/messages', createMessagesRouter(io));
-app.use('/leads', leadsRouter);
-app.use('/users', usersRouter);
+// Public: /webhook (verified by signature), /health and /auth (login/session endpoints guard themselves)
+app.use('/webhook', createWebhookRouter());
 app.use('/auth', authRouter);
-app.use('/rooms', roomsRouter);
+
+// Everything else requires a session token; permissions and ownership come from req.user
+app.use('/devices', authenticateUser, devicesRouter);
+app.use('/media', authenticateUser, mediaRouter);
+app.use('/messages', authenticateUser, createMessagesRouter(io));
+app.use('/leads', authenticateUser, leadsRouter);
+app.use('/users', authenticateUser, usersRouter);
+app.use('/rooms', authenticateUser, roomsRouter);
+app.use('/roles', authenticateUser, rolesRouter);
+app.use('/audit', authenticateUser, auditRouter);
+app.use('/webhook-events', authenticateUser, createWebhookEventsRouter(io));
+app.use('/account-events', authenticateUser, accountEventsRouter);
+app.use('/channels', authenticateUser, channelsRouter);
+app.use('/outbound-webhooks', authenticateUser, outboundWebhooksRouter);
+app.use('/flow-mappings', authenticateUser, flowMappingsRouter);
+app.use('/orders', authenticateUser, ordersRouter);
 
 // API info endpoint
-app.get('/api', (req, res) => {
+app.get('/api', authenticateUser, (req, res) => {
   res.json({
     name: 'Boztell Backend',
     version: '2.0.0',
@@ -129,6 +153,14 @@ app.get('/api', (req, res) => {
       media: '/media/upload',
       messages: '/messages/send',
       rooms: '/rooms',
+      roles: '/roles',
+      audit: '/audit',
+      webhookEvents: '/webhook-events',
+      accountEvents: '/account-events',
+      channels: '/channels',
+      outboundWebhooks: '/outbound-webhooks',
+      flowMappings: '/flow-mappings',
+      orders: '/orders',
       auth: '/auth/login',
       health: '/health'
     }
@@ -160,6 +192,12 @@ async function startServer() {
       logger.info(`Health check: http://${config.host === '0.0.0.0' ? 'localhost' : config.host}:${config.port}/health`);
       logger.info(`API info: http://${config.host === '0.0.0.0' ? 'localhost' : config.host}:${config.port}/api`);
       logger.info('Server started successfully');
+
+      // Process stored webhooks and deliver outbound webhooks in the background
+      startWebhookWorker({ io });
+      startOutboundWebhookWorker();
+      startOutboundQueueWorker({ io });
+      startScheduledMessageWorker({ io });
     });
     
     // Handle server errors
@@ -177,6 +215,10 @@ async function startServer() {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  stopWebhookWorker();
+  stopOutboundWebhookWorker();
+  stopOutboundQueueWorker();
+  stopScheduledMessageWorker();
   server.close(() => {
     logger.info('Server closed');
     process.exit(0);
@@ -185,6 +227,10 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
+  stopWebhookWorker();
+  stopOutboundWebhookWorker();
+  stopOutboundQueueWorker();
+  stopScheduledMessageWorker();
   server.close(() => {
     logger.info('Server closed');
     process.exit(0);
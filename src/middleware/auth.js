@@ -1,63 +1,88 @@
-import { getUserById } from '../db.js';
+import { getUserById, checkRoomParticipant, checkLeadParticipant } from '../db.js';
 import { logger } from '../utils/logger.js';
+import { validateSessionToken, extractBearerToken } from '../services/sessionService.js';
+import { getPermissionsForRole } from '../services/permissionService.js';
 
 /**
- * Middleware to authenticate user based on user_id
- * Expects x-user-id header or user_id in request body
+ * Resolve the active user behind a session token
+ * Shared by the REST middleware and the socket handshake
+ * @param {string} token - Signed access token from /auth/login
+ * @returns {object} { user, session } on success, { error, status } otherwise
+ */
+export async function resolveUserFromToken(token) {
+  const validation = await validateSessionToken(token);
+
+  if (!validation.valid) {
+    return { error: validation.reason, status: 401 };
+  }
+
+  const result = await getUserById(validation.payload.sub);
+
+  if (result.rowCount === 0) {
+    logger.warn({ userId: validation.payload.sub }, 'Authentication failed - user not found');
+    return { error: 'User not found', status: 401 };
+  }
+
+  const user = result.rows[0];
+
+  if (!user.is_active) {
+    logger.warn({ userId: user.id }, 'Authentication failed - inactive user');
+    return { error: 'User account is inactive', status: 401 };
+  }
+
+  return {
+    user: {
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      permissions: await getPermissionsForRole(user.role),
+      phone: user.phone,
+      is_active: user.is_active,
+      created_at: user.created_at
+    },
+    session: validation.session
+  };
+}
+
+/**
+ * Middleware to authenticate user based on a signed session token
+ * Expects Authorization: Bearer <token> issued by POST /auth/login
  */
 export async function authenticateUser(req, res, next) {
   try {
-    const userId = req.headers['x-user-id'] || req.body.user_id || req.query.user_id;
+    const token = extractBearerToken(req.headers.authorization);
     
-    if (!userId) {
+    if (!token) {
       return res.status(401).json({
         success: false,
-        error: 'Authentication required. Provide user_id in x-user-id header, request body, or query parameter.'
+        error: 'Authentication required. Provide a session token in the Authorization header (Bearer <token>).'
       });
     }
 
-    // Get user by ID
-    const result = await getUserById(userId);
-    
-    if (result.rowCount === 0) {
-      logger.warn('Authentication failed - user not found', { userId });
-      return res.status(401).json({
-        success: false,
-        error: 'User not found'
-      });
-    }
+    const resolved = await resolveUserFromToken(token);
 
-    const user = result.rows[0];
-    
-    // Check if user is active
-    if (!user.is_active) {
-      logger.warn('Authentication failed - inactive user', { userId: user.id });
-      return res.status(401).json({
+    if (resolved.error) {
+      return res.status(resolved.status).json({
         success: false,
-        error: 'User account is inactive'
+        error: resolved.error
       });
     }
 
-    // Add user to request object
-    req.user = {
-      id: user.id,
-      name: user.name,
-      email: user.email,
-      role: user.role,
-      phone: user.phone,
-      is_active: user.is_active,
-      created_at: user.created_at
-    };
+    // Add user and session to request object
+    req.user = resolved.user;
+    req.session = resolved.session;
+    req.sessionToken = token;
 
-    logger.info('User authenticated successfully', {
-      userId: user.id,
-      role: user.role,
+    logger.debug({
+      userId: req.user.id,
+      role: req.user.role,
       endpoint: req.originalUrl
-    });
+    }, 'User authenticated successfully');
 
     next();
   } catch (error) {
-    logger.error('Authentication middleware error:', error);
+    logger.error({ err: error }, 'Authentication middleware error');
     res.status(500).json({
       success: false,
       error: 'Authentication failed',
@@ -67,9 +92,17 @@ export async function authenticateUser(req, res, next) {
 }
 
 /**
- * Middleware to check if user has required role
+ * Check if user has a permission (permissions are resolved from the role at authentication)
  */
-export function requireRole(roles) {
+export function hasPermission(user, permission) {
+  return !!user && Array.isArray(user.permissions) && user.permissions.includes(permission);
+}
+
+/**
+ * Middleware to check if user has at least one of the given permissions
+ * @param {...string} permissions - Permission names from permissionService.PERMISSIONS
+ */
+export function requirePermission(...permissions) {
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
@@ -78,20 +111,17 @@ export function requireRole(roles) {
       });
     }
 
-    const userRole = req.user.role;
-    const allowedRoles = Array.isArray(roles) ? roles : [roles];
-
-    if (!allowedRoles.includes(userRole)) {
-      logger.warn('Access denied - insufficient role', {
+    if (!permissions.some(permission => hasPermission(req.user, permission))) {
+      logger.warn({
         userId: req.user.id,
-        userRole,
-        requiredRoles: allowedRoles,
+        userRole: req.user.role,
+        requiredPermissions: permissions,
         endpoint: req.originalUrl
-      });
+      }, 'Access denied - missing permission');
       
       return res.status(403).json({
         success: false,
-        error: `Access denied. Required role: ${allowedRoles.join(' or ')}`
+        error: `Access denied. Required permission: ${permissions.join(' or ')}`
       });
     }
 
@@ -100,42 +130,101 @@ export function requireRole(roles) {
 }
 
 /**
- * Middleware for admin-only endpoints
+ * Check if user can read/write a room (rooms.view_all, or room participant)
  */
-export const requireAdmin = requireRole('admin');
+export async function canAccessRoom(user, roomId) {
+  if (!user || !roomId) return false;
+  if (hasPermission(user, 'rooms.view_all')) return true;
+
+  const result = await checkRoomParticipant(roomId, user.id);
+  return result.rowCount > 0;
+}
 
 /**
- * Middleware for admin and supervisor endpoints
+ * Check if user can read/write a lead (leads.view_all, or participant of a room linked to the lead)
  */
-export const requireAdminOrSupervisor = requireRole(['admin', 'supervisor']);
+export async function canAccessLead(user, leadId) {
+  if (!user || !leadId) return false;
+  if (hasPermission(user, 'leads.view_all')) return true;
+
+  const result = await checkLeadParticipant(leadId, user.id);
+  return result.rowCount > 0;
+}
 
 /**
- * Optional authentication - sets user if user_id provided but doesn't fail if not
+ * Middleware factory: reject the request unless req.user can access the room
+ * @param {Function} getRoomId - Extracts the room id from the request (default: req.params.roomId).
+ *                               When no room id is present the request is passed through so the
+ *                               route can return its own validation error.
+ */
+export function requireRoomAccess(getRoomId = (req) => req.params.roomId) {
+  return async (req, res, next) => {
+    try {
+      const roomId = getRoomId(req);
+      if (!roomId) return next();
+
+      if (!(await canAccessRoom(req.user, roomId))) {
+        logger.warn({ userId: req.user?.id, roomId, endpoint: req.originalUrl }, 'Access denied - not a room participant');
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied. You are not assigned to this room.'
+        });
+      }
+
+      next();
+    } catch (error) {
+      logger.error({ err: error }, 'Room access check failed');
+      res.status(500).json({ success: false, error: 'Failed to check room access' });
+    }
+  };
+}
+
+/**
+ * Middleware factory: reject the request unless req.user can access the lead
+ * @param {Function} getLeadId - Extracts the lead id from the request (default: req.params.id)
+ */
+export function requireLeadAccess(getLeadId = (req) => req.params.id) {
+  return async (req, res, next) => {
+    try {
+      const leadId = getLeadId(req);
+      if (!leadId) return next();
+
+      if (!(await canAccessLead(req.user, leadId))) {
+        logger.warn({ userId: req.user?.id, leadId, endpoint: req.originalUrl }, 'Access denied - lead not assigned');
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied. This lead is not assigned to you.'
+        });
+      }
+
+      next();
+    } catch (error) {
+      logger.error({ err: error }, 'Lead access check failed');
+      res.status(500).json({ success: false, error: 'Failed to check lead access' });
+    }
+  };
+}
+
+/**
+ * Optional authentication - sets user if a valid token is provided but doesn't fail if not
  */
 export async function optionalAuth(req, res, next) {
   try {
-    const userId = req.headers['x-user-id'] || req.body.user_id || req.query.user_id;
+    const token = extractBearerToken(req.headers.authorization);
     
-    if (userId) {
-      const result = await getUserById(userId);
-      if (result.rowCount > 0 && result.rows[0].is_active) {
-        const user = result.rows[0];
-        req.user = {
-          id: user.id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-          phone: user.phone,
-          is_active: user.is_active,
-          created_at: user.created_at
-        };
+    if (token) {
+      const resolved = await resolveUserFromToken(token);
+      if (!resolved.error) {
+        req.user = resolved.user;
+        req.session = resolved.session;
+        req.sessionToken = token;
       }
     }
 
     next();
   } catch (error) {
-    logger.error('Optional auth middleware error:', error);
+    logger.error({ err: error }, 'Optional auth middleware error');
     // Don't fail the request, just continue without user
     next();
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,47 @@
+-- Migration: Atomic login attempt counter
+-- Created: 2026-10-19
+-- Purpose: Check the lock and count the attempt in one statement, before the PIN is compared.
+--          Reading locked_until in the API and recording the failure afterwards let a parallel
+--          burst of guesses all pass the lock check, so the lockout did not cap the number of tries.
+--          A successful login resets the counter (userService.authenticateUser).
+
+DROP FUNCTION IF EXISTS register_failed_login(uuid);
+
+-- Counts one attempt unless the account is locked. The attempt that reaches max_failed sets the
+-- lock (lockout_base_seconds, doubled for every attempt past it, at most lockout_max_seconds),
+-- so later attempts are refused even while this one is still being checked.
+-- allowed = false: the account was already locked, nothing was counted.
+CREATE OR REPLACE FUNCTION begin_login_attempt(
+  target_user_id uuid,
+  max_failed integer,
+  lockout_base_seconds integer,
+  lockout_max_seconds integer
+)
+RETURNS TABLE (allowed boolean, failed_login_attempts integer, locked_until timestamptz)
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+BEGIN
+  RETURN QUERY
+  UPDATE users u
+  SET failed_login_attempts = u.failed_login_attempts + 1,
+      locked_until = CASE
+        WHEN u.failed_login_attempts + 1 >= max_failed THEN now() + make_interval(secs => least(
+          lockout_base_seconds * power(2, u.failed_login_attempts + 1 - max_failed),
+          lockout_max_seconds
+        ))
+        ELSE NULL
+      END,
+      updated_at = now()
+  WHERE u.id = target_user_id
+    AND (u.locked_until IS NULL OR u.locked_until <= now())
+  RETURNING true, u.failed_login_attempts, u.locked_until;
+
+  IF NOT FOUND THEN
+    RETURN QUERY
+    SELECT false, u.failed_login_attempts, u.locked_until
+    FROM users u
+    WHERE u.id = target_user_id;
+  END IF;
+END;
+$$;
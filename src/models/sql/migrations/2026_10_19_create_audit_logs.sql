@@ -0,0 +1,51 @@
+-- Migration: Append-only audit log
+-- Created: 2026-10-19
+-- Purpose: Record who changed what (room assignment, lead updates, user management,
+--          outgoing messages, ...) for compliance. Rows can only be inserted.
+
+CREATE TABLE IF NOT EXISTS audit_logs (
+  id bigserial PRIMARY KEY,
+  actor_id uuid,                 -- users.id of the authenticated user (no FK: survives user deletion)
+  actor_role text,
+  action text NOT NULL,          -- e.g. room.assign, lead.update, user.delete, message.send
+  target_type text NOT NULL,     -- room | lead | user | role | message
+  target_id text,
+  changes jsonb,                 -- { field: { from, to } } for updates
+  before jsonb,
+  after jsonb,
+  metadata jsonb,
+  ip_address text,
+  user_agent text,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_logs_actor ON audit_logs(actor_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_target ON audit_logs(target_type, target_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_created_at ON audit_logs(created_at DESC);
+
+-- Append-only: reject UPDATE and DELETE for every role, including the service role
+CREATE OR REPLACE FUNCTION prevent_audit_log_changes()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_logs is append-only (% not allowed)', TG_OP;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS audit_logs_append_only ON audit_logs;
+CREATE TRIGGER audit_logs_append_only
+  BEFORE UPDATE OR DELETE ON audit_logs
+  FOR EACH ROW EXECUTE FUNCTION prevent_audit_log_changes();
+
+DROP TRIGGER IF EXISTS audit_logs_no_truncate ON audit_logs;
+CREATE TRIGGER audit_logs_no_truncate
+  BEFORE TRUNCATE ON audit_logs
+  FOR EACH STATEMENT EXECUTE FUNCTION prevent_audit_log_changes();
+
+-- Admins can read the audit log
+UPDATE roles
+SET permissions = array_append(permissions, 'audit.view'), updated_at = now()
+WHERE name = 'admin' AND NOT ('audit.view' = ANY(permissions));
+
+COMMENT ON TABLE audit_logs IS 'Append-only audit trail of state-changing API actions';
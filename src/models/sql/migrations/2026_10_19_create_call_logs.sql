@@ -0,0 +1,27 @@
+-- Migration: WhatsApp Business Calling log
+-- Created: 2026-10-19
+-- Purpose: Store 'calls' webhook events (connect, terminate) per call. Every entry is also posted
+--          in the room timeline as a message with content_type 'call'; missed calls notify participants.
+
+CREATE TABLE IF NOT EXISTS call_logs (
+  id bigserial PRIMARY KEY,
+  call_id text NOT NULL,                -- wacid.*, shared by all events of one call
+  event text NOT NULL,                  -- connect, terminate
+  room_id uuid REFERENCES rooms(id) ON DELETE SET NULL,
+  message_id uuid,                      -- timeline message posted for this entry
+  direction text,                       -- USER_INITIATED or BUSINESS_INITIATED
+  from_phone text,
+  to_phone text,
+  status text,                          -- terminate: Completed / Failed
+  is_missed boolean NOT NULL DEFAULT false,
+  start_time timestamptz,
+  end_time timestamptz,
+  duration_seconds integer,
+  payload jsonb NOT NULL,               -- call object as received (SDP session included)
+  occurred_at timestamptz NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (call_id, event)
+);
+
+CREATE INDEX IF NOT EXISTS idx_call_logs_room ON call_logs(room_id, occurred_at DESC);
+CREATE INDEX IF NOT EXISTS idx_call_logs_missed ON call_logs(occurred_at DESC) WHERE is_missed;
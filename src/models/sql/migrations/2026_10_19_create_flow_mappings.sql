@@ -0,0 +1,28 @@
+-- Migration: WhatsApp Flows field mappings
+-- Created: 2026-10-19
+-- Purpose: A completed WhatsApp Flow arrives as an interactive nfm_reply whose response_json holds
+--          the answers. Admins map answer fields onto lead columns (name, outstanding, loan_type)
+--          or onto leads.custom_attributes, so e.g. a loan pre-qualification flow updates the lead.
+
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS custom_attributes jsonb NOT NULL DEFAULT '{}'::jsonb;
+
+CREATE TABLE IF NOT EXISTS flow_mappings (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  -- Matched against response_json.flow_token: equal, or a prefix followed by ':'
+  -- (send the flow with flow_token 'loan_prequal:<anything>' to reuse one mapping)
+  flow_token text NOT NULL UNIQUE,
+  name text NOT NULL,
+  description text,
+  -- [{ "flow_field": "full_name", "target": "name" },
+  --  { "flow_field": "monthly_income", "target": "custom_attributes.monthly_income" }]
+  field_mappings jsonb NOT NULL DEFAULT '[]'::jsonb,
+  is_active boolean NOT NULL DEFAULT true,
+  created_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+-- Admins manage flow mappings
+UPDATE roles
+SET permissions = array_append(permissions, 'flows.manage'), updated_at = now()
+WHERE name = 'admin' AND NOT ('flows.manage' = ANY(permissions));
@@ -0,0 +1,29 @@
+-- Migration: Click-to-WhatsApp ad attribution
+-- Created: 2026-10-19
+-- Purpose: Keep the referral block WhatsApp attaches to messages sent from an ad (Click-to-WhatsApp)
+--          or a post, linked to the lead. The first touch also sets leads.utm_id to the ad id
+--          so GET /leads/utm/:utm_id can report leads and conversion per ad.
+
+CREATE TABLE IF NOT EXISTS lead_attributions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  lead_id uuid REFERENCES leads(id) ON DELETE CASCADE,
+  room_id uuid REFERENCES rooms(id) ON DELETE SET NULL,
+  wa_message_id text UNIQUE,            -- inbound message that carried the referral
+  source_type text,                     -- 'ad' or 'post'
+  source_id text,                       -- Meta ad/post id, copied to leads.utm_id
+  source_url text,
+  ctwa_clid text,                       -- click id for the Conversions API
+  headline text,
+  body text,
+  media_type text,                      -- 'image' or 'video'
+  image_url text,
+  video_url text,
+  thumbnail_url text,
+  is_first_touch boolean NOT NULL DEFAULT false,
+  referral jsonb NOT NULL,              -- referral block as received
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_attributions_lead ON lead_attributions(lead_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_lead_attributions_source ON lead_attributions(source_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_leads_utm_id ON leads(utm_id);
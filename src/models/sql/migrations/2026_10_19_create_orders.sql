@@ -0,0 +1,35 @@
+-- Migration: Orders from WhatsApp catalog messages
+-- Created: 2026-10-19
+-- Purpose: A customer sending a cart from a catalog (single/multi-product message) arrives as an
+--          'order' message. It is stored as an order with its line items, linked to room and lead.
+
+CREATE TABLE IF NOT EXISTS orders (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  room_id uuid REFERENCES rooms(id) ON DELETE SET NULL,
+  lead_id uuid REFERENCES leads(id) ON DELETE SET NULL,
+  wa_message_id text UNIQUE,            -- order message, one order per message
+  catalog_id text,
+  status text NOT NULL DEFAULT 'received' CHECK (status IN ('received', 'confirmed', 'fulfilled', 'cancelled')),
+  currency text,                        -- currency of the items (null if they mix currencies)
+  total_amount numeric(14, 2) NOT NULL DEFAULT 0,
+  item_count integer NOT NULL DEFAULT 0, -- sum of quantities
+  customer_note text,                   -- order.text written by the customer
+  payload jsonb NOT NULL,               -- order object as received
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS order_items (
+  id bigserial PRIMARY KEY,
+  order_id uuid NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  product_retailer_id text NOT NULL,
+  quantity integer NOT NULL,
+  item_price numeric(14, 2) NOT NULL,
+  currency text,
+  line_total numeric(14, 2) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_orders_room ON orders(room_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_orders_lead ON orders(lead_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_orders_status ON orders(status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_order_items_order ON order_items(order_id);
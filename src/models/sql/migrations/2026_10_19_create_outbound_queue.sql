@@ -0,0 +1,68 @@
+-- Migration: Durable outbound message queue
+-- Created: 2026-10-19
+-- Purpose: Agent messages (text, media, template, contacts, location, reaction, product) are saved
+--          first as messages.status = 'pending' with one outbound_queue row holding the WhatsApp
+--          call to make. A background worker sends them, retries transient and rate-limit errors
+--          with backoff and marks final failures 'failed' with the WhatsApp error code.
+
+CREATE TABLE IF NOT EXISTS outbound_queue (
+  id bigserial PRIMARY KEY,
+  message_id uuid NOT NULL UNIQUE,      -- messages row shown in the timeline
+  room_id uuid NOT NULL,
+  channel_id uuid,                      -- whatsapp_channels.id, null = default channel
+  to_phone text NOT NULL,
+  kind text NOT NULL,                   -- text, media, template, contacts, location, reaction, product, product_list
+  payload jsonb NOT NULL,               -- arguments of the WhatsApp send call
+  status text NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'sending', 'sent', 'failed')),
+  attempts integer NOT NULL DEFAULT 0,
+  next_attempt_at timestamptz NOT NULL DEFAULT now(),
+  locked_at timestamptz,
+  last_error text,
+  error_code text,                      -- WhatsApp error code of the last failed attempt
+  wa_message_id text,
+  sent_at timestamptz,
+  created_by uuid,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_outbound_queue_due
+  ON outbound_queue(next_attempt_at)
+  WHERE status IN ('pending', 'sending');
+CREATE INDEX IF NOT EXISTS idx_outbound_queue_room
+  ON outbound_queue(room_id, created_at)
+  WHERE status IN ('pending', 'sending');
+
+-- Claim due messages, same pattern as claim_webhook_deliveries.
+-- A room's messages go out in order: nothing is claimed while an older message of the same room
+-- is still pending (e.g. waiting for a retry). A 'sending' row older than stale_seconds is
+-- assumed abandoned by a crashed worker and sent again.
+CREATE OR REPLACE FUNCTION claim_outbound_messages(batch_size integer, stale_seconds integer)
+RETURNS SETOF outbound_queue
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE outbound_queue q
+  SET status = 'sending',
+      locked_at = now(),
+      attempts = q.attempts + 1,
+      updated_at = now()
+  WHERE q.id IN (
+    SELECT c.id FROM outbound_queue c
+    WHERE ((c.status = 'pending' AND c.next_attempt_at <= now())
+        OR (c.status = 'sending' AND c.locked_at < now() - make_interval(secs => stale_seconds)))
+      AND NOT EXISTS (
+        SELECT 1 FROM outbound_queue older
+        WHERE older.room_id = c.room_id
+          AND older.status IN ('pending', 'sending')
+          AND older.created_at < c.created_at
+      )
+    ORDER BY c.created_at
+    LIMIT batch_size
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING q.*;
+END;
+$$;
@@ -0,0 +1,71 @@
+-- Migration: Outbound webhooks
+-- Created: 2026-10-19
+-- Purpose: External systems (e.g. loan origination) subscribe to events instead of polling.
+--          Every event is queued as one delivery per matching subscription; a background worker
+--          POSTs it with an HMAC signature and retries with backoff. Deliveries double as the log.
+
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  url text NOT NULL,
+  description text,
+  event_types text[] NOT NULL,          -- e.g. {message.received, lead.created}
+  secret text NOT NULL,                 -- HMAC-SHA256 key for X-Boztell-Signature
+  is_active boolean NOT NULL DEFAULT true,
+  created_by uuid,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id bigserial PRIMARY KEY,
+  subscription_id uuid NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+  event_id uuid NOT NULL,               -- same for every subscription receiving the event
+  event_type text NOT NULL,
+  payload jsonb NOT NULL,               -- request body as sent
+  status text NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'delivering', 'succeeded', 'failed', 'dead')),
+  attempts integer NOT NULL DEFAULT 0,
+  next_attempt_at timestamptz NOT NULL DEFAULT now(),
+  locked_at timestamptz,
+  response_status integer,
+  response_body text,                   -- first 2000 characters
+  last_error text,
+  delivered_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due
+  ON webhook_deliveries(next_attempt_at)
+  WHERE status IN ('pending', 'failed');
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription
+  ON webhook_deliveries(subscription_id, created_at DESC);
+
+-- Claim due deliveries, same pattern as claim_webhook_events
+CREATE OR REPLACE FUNCTION claim_webhook_deliveries(batch_size integer, stale_seconds integer)
+RETURNS SETOF webhook_deliveries
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE webhook_deliveries d
+  SET status = 'delivering',
+      locked_at = now(),
+      attempts = d.attempts + 1,
+      updated_at = now()
+  WHERE d.id IN (
+    SELECT id FROM webhook_deliveries
+    WHERE (status IN ('pending', 'failed') AND next_attempt_at <= now())
+       OR (status = 'delivering' AND locked_at < now() - make_interval(secs => stale_seconds))
+    ORDER BY created_at
+    LIMIT batch_size
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING d.*;
+END;
+$$;
+
+-- Admins manage subscriptions
+UPDATE roles
+SET permissions = array_append(permissions, 'integrations.manage'), updated_at = now()
+WHERE name = 'admin' AND NOT ('integrations.manage' = ANY(permissions));
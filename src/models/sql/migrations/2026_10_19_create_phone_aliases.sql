@@ -0,0 +1,19 @@
+-- Migration: Customer phone aliases
+-- Created: 2026-10-19
+-- Purpose: WhatsApp sends a system message (customer_changed_number) when a customer moves to a
+--          new number. The room and lead are moved to the new number and the old one is kept here,
+--          so late or replayed webhooks from the old number still land in the same room.
+
+CREATE TABLE IF NOT EXISTS phone_aliases (
+  id bigserial PRIMARY KEY,
+  old_phone text NOT NULL,
+  new_phone text NOT NULL,
+  room_id uuid REFERENCES rooms(id) ON DELETE CASCADE,
+  lead_id uuid REFERENCES leads(id) ON DELETE SET NULL,
+  wa_message_id text UNIQUE,            -- system message that announced the change
+  changed_at timestamptz NOT NULL DEFAULT now(),
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_phone_aliases_old_phone ON phone_aliases(old_phone, changed_at DESC);
+CREATE INDEX IF NOT EXISTS idx_phone_aliases_room ON phone_aliases(room_id);
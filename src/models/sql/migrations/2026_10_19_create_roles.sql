@@ -0,0 +1,37 @@
+-- Migration: Roles and permissions
+-- Created: 2026-10-19
+-- Purpose: Routes check named permissions (e.g. leads.export, rooms.assign) instead of
+--          hard-coded role names. Roles are rows here and group those permissions, so new
+--          roles ("team_lead", "collections", ...) can be created via /roles without code changes.
+--          users.role holds the role name.
+--          The permission catalog lives in src/services/permissionService.js.
+
+CREATE TABLE IF NOT EXISTS roles (
+  name text PRIMARY KEY,                    -- value stored in users.role
+  description text,
+  permissions text[] NOT NULL DEFAULT '{}',
+  is_system boolean NOT NULL DEFAULT false, -- built-in roles cannot be deleted
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+INSERT INTO roles (name, description, permissions, is_system) VALUES
+  ('admin', 'Full access', ARRAY[
+    'leads.view_all', 'leads.create', 'leads.delete', 'leads.bulk_update', 'leads.export', 'leads.stats',
+    'rooms.view_all', 'rooms.assign',
+    'messages.send', 'templates.send',
+    'users.view', 'users.manage', 'roles.manage',
+    'system.debug'
+  ], true),
+  ('supervisor', 'Sees and assigns every room and lead', ARRAY[
+    'leads.view_all', 'leads.create', 'leads.delete', 'leads.bulk_update', 'leads.export', 'leads.stats',
+    'rooms.view_all', 'rooms.assign',
+    'messages.send', 'templates.send',
+    'users.view'
+  ], true),
+  ('agent', 'Works only on assigned rooms and leads', ARRAY[
+    'messages.send', 'templates.send'
+  ], true)
+ON CONFLICT (name) DO NOTHING;
+
+COMMENT ON TABLE roles IS 'Named permission sets referenced by users.role';
@@ -0,0 +1,66 @@
+-- Migration: Scheduled outbound messages
+-- Created: 2026-10-19
+-- Purpose: Agents schedule a text or template message for a room ("remind customer tomorrow 09:00").
+--          A background worker picks due rows and hands them to the outbound queue, where they become
+--          normal messages. Text messages are only sent while the 24-hour customer service window is
+--          open; otherwise the row is marked failed and the agent has to use a template.
+
+CREATE TABLE IF NOT EXISTS scheduled_messages (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  room_id uuid NOT NULL REFERENCES rooms(id) ON DELETE CASCADE,
+  created_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  kind text NOT NULL CHECK (kind IN ('text', 'template')),
+  content_text text,                    -- text messages
+  template_name text,                   -- template messages
+  language_code text,
+  parameters jsonb NOT NULL DEFAULT '[]'::jsonb,
+  reply_to text,                        -- wamid to reply to
+  scheduled_at timestamptz NOT NULL,
+  status text NOT NULL DEFAULT 'scheduled'
+    CHECK (status IN ('scheduled', 'processing', 'sent', 'failed', 'cancelled')),
+  attempts integer NOT NULL DEFAULT 0,
+  locked_at timestamptz,
+  message_id uuid,                      -- messages row once sent (same id as this row)
+  error text,
+  error_code text,                      -- e.g. customer_window_closed
+  sent_at timestamptz,
+  cancelled_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  cancelled_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  CHECK (kind <> 'text' OR content_text IS NOT NULL),
+  CHECK (kind <> 'template' OR (template_name IS NOT NULL AND language_code IS NOT NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_messages_due
+  ON scheduled_messages(scheduled_at)
+  WHERE status IN ('scheduled', 'processing');
+CREATE INDEX IF NOT EXISTS idx_scheduled_messages_room
+  ON scheduled_messages(room_id, scheduled_at DESC);
+CREATE INDEX IF NOT EXISTS idx_scheduled_messages_created_by
+  ON scheduled_messages(created_by, scheduled_at DESC);
+
+-- Claim due rows, same pattern as claim_outbound_messages. A 'processing' row older than
+-- stale_seconds is assumed abandoned by a crashed worker and picked up again.
+CREATE OR REPLACE FUNCTION claim_scheduled_messages(batch_size integer, stale_seconds integer)
+RETURNS SETOF scheduled_messages
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE scheduled_messages s
+  SET status = 'processing',
+      locked_at = now(),
+      attempts = s.attempts + 1,
+      updated_at = now()
+  WHERE s.id IN (
+    SELECT c.id FROM scheduled_messages c
+    WHERE (c.status = 'scheduled' AND c.scheduled_at <= now())
+       OR (c.status = 'processing' AND c.locked_at < now() - make_interval(secs => stale_seconds))
+    ORDER BY c.scheduled_at
+    LIMIT batch_size
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING s.*;
+END;
+$$;
@@ -0,0 +1,21 @@
+-- Migration: Session table backing signed access tokens
+-- Created: 2026-10-19
+-- Purpose: Every token issued by POST /auth/login has a row here so it can be
+--          revoked (POST /auth/logout) before it expires
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id uuid PRIMARY KEY,                      -- token jti claim
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  issued_at timestamptz NOT NULL,
+  expires_at timestamptz NOT NULL,
+  revoked_at timestamptz,
+  ip_address text,
+  user_agent text,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_expires_at ON user_sessions(expires_at);
+
+COMMENT ON TABLE user_sessions IS
+'Sessions for signed access tokens. A token is valid only while its row exists, is not revoked and has not expired.';
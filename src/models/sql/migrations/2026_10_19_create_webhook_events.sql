@@ -0,0 +1,58 @@
+-- Migration: Webhook inbox
+-- Created: 2026-10-19
+-- Purpose: POST /webhook/whatsapp stores the raw payload here and answers 200 at once.
+--          A background worker (webhookInboxService) processes pending rows with retries;
+--          rows that keep failing end up in the dead-letter state for manual re-drive.
+
+CREATE TABLE IF NOT EXISTS webhook_events (
+  id bigserial PRIMARY KEY,
+  source text NOT NULL DEFAULT 'whatsapp',
+  payload jsonb NOT NULL,
+  status text NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'processing', 'processed', 'failed', 'dead')),
+  attempts integer NOT NULL DEFAULT 0,
+  next_attempt_at timestamptz NOT NULL DEFAULT now(),
+  locked_at timestamptz,                   -- set while a worker holds the row
+  last_error text,
+  processed_at timestamptz,
+  received_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_events_due
+  ON webhook_events(next_attempt_at)
+  WHERE status IN ('pending', 'failed');
+CREATE INDEX IF NOT EXISTS idx_webhook_events_status ON webhook_events(status, received_at DESC);
+
+-- Claim due events for one worker. SKIP LOCKED lets several instances poll the same table;
+-- rows stuck in 'processing' longer than stale_seconds (crashed worker) are claimed again.
+CREATE OR REPLACE FUNCTION claim_webhook_events(batch_size integer, stale_seconds integer)
+RETURNS SETOF webhook_events
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE webhook_events e
+  SET status = 'processing',
+      locked_at = now(),
+      attempts = e.attempts + 1,
+      updated_at = now()
+  WHERE e.id IN (
+    SELECT id FROM webhook_events
+    WHERE (status IN ('pending', 'failed') AND next_attempt_at <= now())
+       OR (status = 'processing' AND locked_at < now() - make_interval(secs => stale_seconds))
+    ORDER BY received_at
+    LIMIT batch_size
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING e.*;
+END;
+$$;
+
+-- Admins can inspect and re-drive webhook events
+UPDATE roles
+SET permissions = array_append(permissions, 'webhooks.manage'), updated_at = now()
+WHERE name = 'admin' AND NOT ('webhooks.manage' = ANY(permissions));
+
+COMMENT ON TABLE webhook_events IS
+'Inbox of raw webhook payloads. pending/failed = due for processing, dead = gave up after max attempts';
@@ -0,0 +1,46 @@
+-- Migration: WhatsApp account-level webhook events
+-- Created: 2026-10-19
+-- Purpose: Store non-message webhook fields (template status/quality, phone number quality,
+--          account and business capability updates). Admins are alerted over the socket as they arrive.
+
+CREATE TABLE IF NOT EXISTS whatsapp_account_events (
+  id bigserial PRIMARY KEY,
+  field text NOT NULL,                  -- webhook change.field, e.g. message_template_status_update
+  event text,                           -- e.g. APPROVED, REJECTED, PAUSED, FLAGGED, DOWNGRADE, ACCOUNT_VIOLATION
+  severity text NOT NULL DEFAULT 'info' CHECK (severity IN ('info', 'warning', 'critical')),
+  waba_id text,                         -- entry.id (WhatsApp Business Account)
+  template_id text,
+  template_name text,
+  template_language text,
+  phone_number text,
+  summary text NOT NULL,                -- human readable, shown in the admin alert
+  payload jsonb NOT NULL,               -- change.value as received
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_whatsapp_account_events_created_at ON whatsapp_account_events(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_whatsapp_account_events_field ON whatsapp_account_events(field, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_whatsapp_account_events_template ON whatsapp_account_events(template_name, created_at DESC);
+
+-- entry.time of the webhook; rows stored before this column existed use their created_at
+ALTER TABLE whatsapp_account_events ADD COLUMN IF NOT EXISTS event_time timestamptz;
+UPDATE whatsapp_account_events SET event_time = created_at WHERE event_time IS NULL;
+ALTER TABLE whatsapp_account_events ALTER COLUMN event_time SET NOT NULL;
+
+-- Remove duplicates created by earlier redeliveries, keeping the first stored row
+DELETE FROM whatsapp_account_events e
+USING whatsapp_account_events older
+WHERE e.field = older.field
+  AND e.waba_id IS NOT DISTINCT FROM older.waba_id
+  AND e.event_time = older.event_time
+  AND e.payload = older.payload
+  AND e.id > older.id;
+
+-- Inbox retries and Meta redeliveries of the same change are ignored (handleAccountEvent treats 23505 as a duplicate)
+CREATE UNIQUE INDEX IF NOT EXISTS uq_whatsapp_account_events_event
+  ON whatsapp_account_events(field, coalesce(waba_id, ''), event_time, md5(payload::text));
+
+-- Admins receive and can read account alerts
+UPDATE roles
+SET permissions = array_append(permissions, 'account_events.view'), updated_at = now()
+WHERE name = 'admin' AND NOT ('account_events.view' = ANY(permissions));
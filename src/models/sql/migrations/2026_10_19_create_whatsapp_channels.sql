@@ -0,0 +1,33 @@
+-- Migration: Multiple WhatsApp phone numbers (channels)
+-- Created: 2026-10-19
+-- Purpose: One row per WhatsApp Business phone number this deployment sends from and receives on.
+--          Rooms are bound to the channel the customer wrote to and replies go out through it.
+--          Without any channel rows the WHATSAPP_* env vars are used as the only (default) channel.
+
+CREATE TABLE IF NOT EXISTS whatsapp_channels (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  display_name text NOT NULL,           -- e.g. 'Sales', 'Collections'
+  phone_number_id text NOT NULL UNIQUE, -- Cloud API phone number id (webhook value.metadata.phone_number_id)
+  display_phone_number text,
+  waba_id text,                         -- WhatsApp Business Account id (templates)
+  access_token text NOT NULL,
+  is_default boolean NOT NULL DEFAULT false,
+  is_active boolean NOT NULL DEFAULT true,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+-- At most one default channel: used for rooms created before channels existed (channel_id IS NULL)
+CREATE UNIQUE INDEX IF NOT EXISTS uq_whatsapp_channels_default
+  ON whatsapp_channels(is_default)
+  WHERE is_default;
+
+ALTER TABLE rooms ADD COLUMN IF NOT EXISTS channel_id uuid REFERENCES whatsapp_channels(id);
+
+CREATE INDEX IF NOT EXISTS idx_rooms_channel_id ON rooms(channel_id);
+CREATE INDEX IF NOT EXISTS idx_rooms_phone_channel ON rooms(phone, channel_id);
+
+-- Admins manage channels
+UPDATE roles
+SET permissions = array_append(permissions, 'channels.manage'), updated_at = now()
+WHERE name = 'admin' AND NOT ('channels.manage' = ANY(permissions));
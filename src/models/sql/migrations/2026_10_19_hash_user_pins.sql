@@ -0,0 +1,24 @@
+-- Migration: Hashed PINs and account lockout
+-- Created: 2026-10-19
+-- Purpose: Store PINs as salted scrypt hashes instead of plaintext integers and
+--          track failed logins so accounts can be locked with exponential backoff
+--
+-- After applying this migration run the one-time backfill:
+--   node src/scripts/hash-existing-pins.js
+-- It hashes every remaining plaintext pin into pin_hash and clears the pin column.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS pin_hash text;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_login_attempts integer NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until timestamptz;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS last_failed_login_at timestamptz;
+
+-- Plaintext pin is no longer written; keep the column only until the backfill has run
+ALTER TABLE users ALTER COLUMN pin DROP NOT NULL;
+
+-- Plaintext PIN index is no longer used for lookups
+DROP INDEX IF EXISTS idx_users_pin;
+
+COMMENT ON COLUMN users.pin IS 'DEPRECATED: plaintext PIN, cleared by src/scripts/hash-existing-pins.js';
+COMMENT ON COLUMN users.pin_hash IS 'scrypt hash of the 6-digit PIN: scrypt$N$r$p$salt$hash';
+COMMENT ON COLUMN users.failed_login_attempts IS 'Consecutive failed logins, reset on success or admin unlock';
+COMMENT ON COLUMN users.locked_until IS 'Login is refused until this time';
@@ -0,0 +1,110 @@
+-- Migration: Full-text search over messages
+-- Created: 2026-10-19
+-- Purpose: GET /messages/search. Text, media captions (stored in content_text) and document
+--          filenames are indexed in a generated tsvector. The 'simple' configuration is used because
+--          conversations mix Indonesian and English: no stemming, no language-specific stop words.
+
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS search_vector tsvector
+  GENERATED ALWAYS AS (
+    to_tsvector('simple', coalesce(content_text, '') || ' ' || coalesce(original_filename, ''))
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_messages_search_vector ON messages USING gin(search_vector);
+
+DROP FUNCTION IF EXISTS search_messages(text, text, text, text, text, timestamptz, timestamptz, text, integer, integer);
+
+-- search_query uses web search syntax: words, "exact phrase", OR, -excluded
+-- participant_user_id limits results to rooms the user is assigned to (null = all rooms)
+-- total_count is the number of matches before limit/offset
+CREATE OR REPLACE FUNCTION search_messages(
+  search_query text,
+  filter_room_id text DEFAULT NULL,
+  filter_lead_status text DEFAULT NULL,
+  filter_sender text DEFAULT NULL,        -- 'customer' (user_id is null) or 'agent'
+  filter_content_type text DEFAULT NULL,
+  filter_from timestamptz DEFAULT NULL,
+  filter_to timestamptz DEFAULT NULL,
+  participant_user_id text DEFAULT NULL,
+  result_limit integer DEFAULT 20,
+  result_offset integer DEFAULT 0
+)
+RETURNS TABLE (
+  message_id text,
+  room_id text,
+  room_phone text,
+  room_title text,
+  leads_id text,
+  lead_name text,
+  leads_status text,
+  user_id text,
+  content_type text,
+  media_type text,
+  content_text text,
+  original_filename text,
+  wa_message_id text,
+  wa_timestamp timestamptz,
+  snippet text,
+  rank real,
+  total_count bigint
+)
+LANGUAGE plpgsql
+STABLE
+AS $$
+#variable_conflict use_column
+DECLARE
+  q tsquery := websearch_to_tsquery('simple', search_query);
+BEGIN
+  RETURN QUERY
+  WITH matches AS (
+    SELECT m.*, ts_rank(m.search_vector, q) AS match_rank,
+           r.phone AS r_phone, r.title AS r_title, r.leads_id::text AS r_leads_id,
+           l.name AS l_name, l.leads_status AS l_status
+    FROM messages m
+    JOIN rooms r ON r.id::text = m.room_id::text
+    LEFT JOIN leads l ON l.id = r.leads_id
+    WHERE m.search_vector @@ q
+      AND (filter_room_id IS NULL OR m.room_id::text = filter_room_id)
+      AND (filter_lead_status IS NULL OR l.leads_status = filter_lead_status)
+      AND (filter_sender IS NULL
+           OR (filter_sender = 'customer' AND m.user_id IS NULL)
+           OR (filter_sender = 'agent' AND m.user_id IS NOT NULL))
+      AND (filter_content_type IS NULL OR m.content_type = filter_content_type)
+      AND (filter_from IS NULL OR m.wa_timestamp >= filter_from)
+      AND (filter_to IS NULL OR m.wa_timestamp <= filter_to)
+      AND (participant_user_id IS NULL OR EXISTS (
+        SELECT 1 FROM room_participants p
+        WHERE p.room_id::text = m.room_id::text AND p.user_id::text = participant_user_id
+      ))
+  ),
+  counted AS (
+    SELECT matches.*, count(*) OVER () AS match_total
+    FROM matches
+    ORDER BY match_rank DESC, matches.wa_timestamp DESC
+    LIMIT result_limit OFFSET result_offset
+  )
+  SELECT
+    c.id::text,
+    c.room_id::text,
+    c.r_phone::text,
+    c.r_title::text,
+    c.r_leads_id,
+    c.l_name::text,
+    c.l_status::text,
+    c.user_id::text,
+    c.content_type::text,
+    c.media_type::text,
+    c.content_text::text,
+    c.original_filename::text,
+    c.wa_message_id::text,
+    c.wa_timestamp,
+    -- Highlight only the rows of this page (the API HTML-escapes the snippet and keeps <mark>)
+    ts_headline('simple', concat_ws(' ', c.content_text, c.original_filename), q,
+      'StartSel=<mark>, StopSel=</mark>, MaxWords=30, MinWords=10, MaxFragments=2, FragmentDelimiter=" … "'),
+    c.match_rank,
+    c.match_total
+  FROM counted c
+  ORDER BY c.match_rank DESC, c.wa_timestamp DESC;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION search_messages(text, text, text, text, text, timestamptz, timestamptz, text, integer, integer) TO service_role;
@@ -0,0 +1,36 @@
+-- Migration: Message status history timeline
+-- Created: 2026-10-19
+-- Purpose: Every WhatsApp status webhook (sent, delivered, read, failed) is stored here,
+--          including out-of-order events that did not change messages.status.
+--          Served by GET /messages/:id/status-history
+
+CREATE TABLE IF NOT EXISTS message_status_history (
+  id bigserial PRIMARY KEY,
+  message_id uuid NOT NULL,                 -- messages.id
+  status text NOT NULL,
+  timestamp timestamptz NOT NULL,           -- time reported by WhatsApp
+  recipient_id text,
+  metadata jsonb DEFAULT '{}'::jsonb,
+  created_at timestamptz DEFAULT now()
+);
+
+-- false = event arrived out of order (or duplicated) and was only recorded
+ALTER TABLE message_status_history ADD COLUMN IF NOT EXISTS applied boolean NOT NULL DEFAULT true;
+
+CREATE INDEX IF NOT EXISTS idx_message_status_history_message_id
+  ON message_status_history(message_id, timestamp);
+
+-- Remove duplicates created by earlier redeliveries, keeping the first stored row
+DELETE FROM message_status_history h
+USING message_status_history older
+WHERE h.message_id = older.message_id
+  AND h.status = older.status
+  AND h.timestamp = older.timestamp
+  AND h.id > older.id;
+
+-- Webhook redeliveries of the same event are ignored (insertStatusHistory treats 23505 as a no-op)
+CREATE UNIQUE INDEX IF NOT EXISTS uq_message_status_history_event
+  ON message_status_history(message_id, status, timestamp);
+
+COMMENT ON COLUMN message_status_history.applied IS
+'Whether this event moved messages.status forward (pending < sent < delivered < read, failed terminal)';
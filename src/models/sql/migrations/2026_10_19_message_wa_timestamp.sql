@@ -0,0 +1,23 @@
+-- Migration: Order messages by WhatsApp timestamp
+-- Created: 2026-10-19
+-- Purpose: Webhooks can arrive late or out of order (retries, inbox redrive), so created_at is not
+--          the order the customer sent messages in. wa_timestamp holds the WhatsApp timestamp for
+--          incoming messages and the send time for outgoing ones. GET /messages/room/:roomId pages
+--          on (wa_timestamp, id) with before/after cursors.
+
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS wa_timestamp timestamptz;
+
+-- Incoming messages keep the WhatsApp timestamp (milliseconds) in metadata.timestamp
+UPDATE messages
+SET wa_timestamp = CASE
+  WHEN metadata->>'timestamp' ~ '^[0-9]{13}$'
+    THEN to_timestamp((metadata->>'timestamp')::bigint / 1000.0)
+  ELSE COALESCE(created_at, now())
+END
+WHERE wa_timestamp IS NULL;
+
+ALTER TABLE messages ALTER COLUMN wa_timestamp SET DEFAULT now();
+ALTER TABLE messages ALTER COLUMN wa_timestamp SET NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_messages_room_wa_timestamp
+  ON messages(room_id, wa_timestamp DESC, id DESC);
@@ -0,0 +1,9 @@
+-- Migration: orders.manage permission
+-- Created: 2026-10-19
+-- Purpose: Changing an order status (PATCH /orders/:id/status) needs orders.manage instead of
+--          only access to the room. The built-in roles get it so nothing changes for them;
+--          custom roles have to be granted it explicitly.
+
+UPDATE roles
+SET permissions = array_append(permissions, 'orders.manage'), updated_at = now()
+WHERE name IN ('admin', 'supervisor', 'agent') AND NOT ('orders.manage' = ANY(permissions));
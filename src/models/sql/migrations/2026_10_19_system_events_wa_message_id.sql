@@ -0,0 +1,10 @@
+-- Migration: One system_events row per WhatsApp system message
+-- Created: 2026-10-19
+-- Purpose: Webhook inbox retries and Meta redeliveries stored the same system message again and ran
+--          the customer number change again. The wamid of the system message is the idempotency key;
+--          rows stored before this column existed keep wa_message_id null and are not affected.
+
+ALTER TABLE system_events ADD COLUMN IF NOT EXISTS wa_message_id text;
+
+-- handleSystemEvent treats 23505 as a redelivery
+CREATE UNIQUE INDEX IF NOT EXISTS uq_system_events_wa_message_id ON system_events(wa_message_id);
@@ -0,0 +1,17 @@
+-- Migration: One message row per WhatsApp message id
+-- Created: 2026-10-19
+-- Purpose: Meta delivers webhooks at least once. The webhook handler skips messages it already
+--          stored; this index also catches two workers inserting the same message concurrently
+--          (the insert fails with 23505 and is treated as a duplicate).
+
+-- Remove duplicates created by earlier redeliveries, keeping the first stored row
+DELETE FROM messages m
+USING messages older
+WHERE m.wa_message_id IS NOT NULL
+  AND m.wa_message_id = older.wa_message_id
+  AND (m.created_at > older.created_at
+       OR (m.created_at = older.created_at AND m.id::text > older.id::text));
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_messages_wa_message_id
+  ON messages(wa_message_id)
+  WHERE wa_message_id IS NOT NULL;
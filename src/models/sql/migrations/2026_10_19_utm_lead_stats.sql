@@ -0,0 +1,25 @@
+-- Migration: Lead counts per UTM / ad
+-- Created: 2026-10-19
+-- Purpose: GET /leads/utm/:utm_id counted leads per status in the API from one unpaginated
+--          select, which PostgREST caps at 1000 rows. The counts are grouped here instead and the
+--          lead list itself is paginated.
+
+-- participant_user_id limits the count to leads of rooms the user is assigned to (null = all leads)
+CREATE OR REPLACE FUNCTION get_utm_lead_stats(
+  target_utm_id text,
+  participant_user_id text DEFAULT NULL
+)
+RETURNS TABLE (leads_status text, lead_count bigint)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT l.leads_status::text, count(*)
+  FROM leads l
+  WHERE l.utm_id::text = target_utm_id
+    AND (participant_user_id IS NULL OR EXISTS (
+      SELECT 1 FROM rooms r
+      JOIN room_participants p ON p.room_id::text = r.id::text
+      WHERE r.leads_id = l.id AND p.user_id::text = participant_user_id
+    ))
+  GROUP BY l.leads_status;
+$$;
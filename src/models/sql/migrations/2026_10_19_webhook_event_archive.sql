@@ -0,0 +1,14 @@
+-- Migration: Raw webhook archive
+-- Created: 2026-10-19
+-- Purpose: Keep every verified webhook body verbatim (exact bytes as text) with its signature
+--          and the processing outcome, so mishandled payloads can be inspected and replayed
+--          (GET /webhook-events, POST /webhook-events/:id/replay)
+
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS raw_body text;        -- request body exactly as received
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS signature text;       -- X-Hub-Signature-256 header
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS result jsonb;         -- per-event outcome of the last processing run
+
+CREATE INDEX IF NOT EXISTS idx_webhook_events_received_at ON webhook_events(received_at DESC);
+
+COMMENT ON COLUMN webhook_events.raw_body IS 'Verbatim request body, payload is the parsed copy used for processing';
+COMMENT ON COLUMN webhook_events.result IS 'Summary of routeWhatsAppWebhook results: [{ type, success, error, room_id, message_id, wa_message_id }]';
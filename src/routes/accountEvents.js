@@ -0,0 +1,67 @@
+import express from 'express';
+import { getAccountEvents } from '../db.js';
+import { ACCOUNT_EVENT_FIELDS } from '../services/accountEventService.js';
+import { requirePermission } from '../middleware/auth.js';
+import { logger } from '../utils/logger.js';
+
+// All routes here run behind authenticateUser (mounted in index.js)
+const router = express.Router();
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+const MAX_LIMIT = 200;
+
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+}
+
+// Template status/quality, phone number quality and account alerts, newest first
+router.get('/', requirePermission('account_events.view'), async (req, res) => {
+  try {
+    const { field, severity, template_name, from, to, page = 1, limit = 50 } = req.query;
+
+    if (field && !ACCOUNT_EVENT_FIELDS.includes(field)) {
+      return res.status(400).json({ success: false, error: `field must be one of: ${ACCOUNT_EVENT_FIELDS.join(', ')}` });
+    }
+
+    if (severity && !SEVERITIES.includes(severity)) {
+      return res.status(400).json({ success: false, error: `severity must be one of: ${SEVERITIES.join(', ')}` });
+    }
+
+    const fromDate = parseDate(from);
+    const toDate = parseDate(to);
+    if (fromDate === undefined || toDate === undefined) {
+      return res.status(400).json({ success: false, error: 'from and to must be valid dates (ISO 8601)' });
+    }
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_LIMIT);
+
+    const { rows, totalCount } = await getAccountEvents({
+      field,
+      severity,
+      template_name,
+      from: fromDate,
+      to: toDate,
+      limit: pageSize,
+      offset: (pageNumber - 1) * pageSize
+    });
+
+    res.json({
+      success: true,
+      data: rows,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total: totalCount,
+        pages: Math.ceil(totalCount / pageSize)
+      }
+    });
+  } catch (error) {
+    logger.error({ error }, 'Failed to get account events');
+    res.status(500).json({ success: false, error: 'Failed to get account events' });
+  }
+});
+
+export default router;
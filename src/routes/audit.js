@@ -0,0 +1,58 @@
+import express from 'express';
+import { getAuditLogs } from '../db.js';
+import { requirePermission } from '../middleware/auth.js';
+import { logger } from '../utils/logger.js';
+
+// All routes here run behind authenticateUser (mounted in index.js)
+const router = express.Router();
+
+const MAX_LIMIT = 200;
+
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+}
+
+// List audit entries, newest first
+router.get('/', requirePermission('audit.view'), async (req, res) => {
+  try {
+    const { actor_id, action, target_type, target_id, from, to, page = 1, limit = 50 } = req.query;
+
+    const fromDate = parseDate(from);
+    const toDate = parseDate(to);
+    if (fromDate === undefined || toDate === undefined) {
+      return res.status(400).json({ success: false, error: 'from and to must be valid dates (ISO 8601)' });
+    }
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_LIMIT);
+
+    const { rows, totalCount } = await getAuditLogs({
+      actor_id,
+      action,
+      target_type,
+      target_id,
+      from: fromDate,
+      to: toDate,
+      limit: pageSize,
+      offset: (pageNumber - 1) * pageSize
+    });
+
+    res.json({
+      success: true,
+      data: rows,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total: totalCount,
+        pages: Math.ceil(totalCount / pageSize)
+      }
+    });
+  } catch (error) {
+    logger.error({ error }, 'Failed to get audit logs');
+    res.status(500).json({ success: false, error: 'Failed to get audit logs' });
+  }
+});
+
+export default router;
@@ -8,12 +8,21 @@ import {
   getSingleUser,
   removeUser 
 } from '../services/userService.js';
+import { roleExists } from '../services/permissionService.js';
+import { recordAudit } from '../services/auditService.js';
+import { issueSessionToken, revokeSessionToken, extractBearerToken } from '../services/sessionService.js';
+import { disconnectSession } from '../socket/index.js';
+import {
+  resolveUserFromToken,
+  authenticateUser as authenticateRequest, // userService already exports authenticateUser (PIN login)
+  requirePermission
+} from '../middleware/auth.js';
 
 const router = express.Router();
 
 /**
  * POST /api/auth/login
- * Authenticate user with phone/email and PIN
+ * Authenticate user with phone/email and PIN, returns a signed session token
  */
 router.post('/login', async (req, res) => {
   try {
@@ -29,9 +38,20 @@ router.post('/login', async (req, res) => {
     const result = await authenticateUser(identifier, pin);
     
     if (result.success) {
-      return res.json(result);
+      const session = await issueSessionToken(result.user, {
+        ip: req.ip,
+        user_agent: req.get('user-agent')
+      });
+
+      return res.json({
+        ...result,
+        token: session.token,
+        token_type: session.token_type,
+        expires_at: session.expires_at
+      });
     } else {
-      return res.status(401).json(result);
+      // 423 Locked while the account is in lockout, 401 for bad credentials
+      return res.status(result.locked ? 423 : 401).json(result);
     }
     
   } catch (error) {
@@ -47,7 +67,7 @@ router.post('/login', async (req, res) => {
  * GET /api/auth/user/:id
  * Get user info by ID (for message sender lookup)
  */
-router.get('/user/:id', async (req, res) => {
+router.get('/user/:id', authenticateRequest, async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -76,15 +96,23 @@ router.get('/user/:id', async (req, res) => {
 
 /**
  * POST /api/auth/users
- * Create new user (admin only)
+ * Create new user (users.manage)
  */
-router.post('/users', async (req, res) => {
+router.post('/users', authenticateRequest, requirePermission('users.manage'), async (req, res) => {
   try {
     const userData = req.body;
     
+    if (userData.role && !(await roleExists(userData.role))) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown role: ${userData.role}`
+      });
+    }
+    
     const result = await createUser(userData);
     
     if (result.success) {
+      await recordAudit(req, { action: 'user.create', targetType: 'user', targetId: result.user.id, after: result.user });
       res.status(201).json(result);
     } else {
       res.status(400).json(result);
@@ -101,9 +129,9 @@ router.post('/users', async (req, res) => {
 
 /**
  * GET /api/auth/users
- * Get all users (admin only)
+ * Get all users (users.view)
  */
-router.get('/users', async (req, res) => {
+router.get('/users', authenticateRequest, requirePermission('users.view'), async (req, res) => {
   try {
     const { role, is_active } = req.query;
     const filters = {};
@@ -130,13 +158,20 @@ router.get('/users', async (req, res) => {
 
 /**
  * PUT /api/auth/user/:id/pin
- * Update user PIN
+ * Update user PIN (own account only)
  */
-router.put('/user/:id/pin', async (req, res) => {
+router.put('/user/:id/pin', authenticateRequest, async (req, res) => {
   try {
     const { id } = req.params;
     const { oldPin, newPin } = req.body;
     
+    if (id !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only change your own PIN'
+      });
+    }
+    
     if (!oldPin || !newPin) {
       return res.status(400).json({
         success: false,
@@ -147,6 +182,7 @@ router.put('/user/:id/pin', async (req, res) => {
     const result = await updateUserPin(id, oldPin, newPin);
     
     if (result.success) {
+      await recordAudit(req, { action: 'user.pin_change', targetType: 'user', targetId: id });
       res.json(result);
     } else {
       res.status(400).json(result);
@@ -163,15 +199,17 @@ router.put('/user/:id/pin', async (req, res) => {
 
 /**
  * DELETE /api/auth/user/:id
- * Delete user (admin only)
+ * Delete user (users.manage)
  */
-router.delete('/user/:id', async (req, res) => {
+router.delete('/user/:id', authenticateRequest, requirePermission('users.manage'), async (req, res) => {
   try {
     const { id } = req.params;
     
+    const before = await getSingleUser(id);
     const result = await removeUser(id);
     
     if (result.success) {
+      await recordAudit(req, { action: 'user.delete', targetType: 'user', targetId: id, before: before.user });
       res.json(result);
     } else {
       res.status(404).json(result);
@@ -188,33 +226,36 @@ router.delete('/user/:id', async (req, res) => {
 
 /**
  * POST /api/auth/validate-session
- * Validate if user session is still valid (for frontend)
+ * Validate if the session token is still valid (for frontend)
+ * Token is read from Authorization: Bearer <token> (or body.token)
  */
 router.post('/validate-session', async (req, res) => {
   try {
-    const { userId } = req.body;
+    const token = extractBearerToken(req.headers.authorization) || req.body?.token;
     
-    if (!userId) {
+    if (!token) {
       return res.status(400).json({
         success: false,
-        message: 'User ID is required'
+        message: 'Session token is required'
       });
     }
     
-    const user = await getUserForMessage(userId);
+    const resolved = await resolveUserFromToken(token);
     
-    if (user) {
-      res.json({
-        success: true,
-        message: 'Session valid',
-        user
-      });
-    } else {
-      res.status(401).json({
+    if (resolved.error) {
+      return res.status(401).json({
         success: false,
-        message: 'Invalid session'
+        message: 'Invalid session',
+        reason: resolved.error
       });
     }
+
+    res.json({
+      success: true,
+      message: 'Session valid',
+      user: resolved.user,
+      expires_at: resolved.session.expires_at
+    });
     
   } catch (error) {
     console.error('Validate session error:', error);
@@ -225,4 +266,38 @@ router.post('/validate-session', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/auth/logout
+ * Revoke the current session token
+ */
+router.post('/logout', async (req, res) => {
+  try {
+    const token = extractBearerToken(req.headers.authorization) || req.body?.token;
+    
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Session token is required'
+      });
+    }
+    
+    const result = await revokeSessionToken(token);
+    
+    if (result.success) {
+      const { session_id, ...response } = result;
+      disconnectSession(session_id);
+      res.json(response);
+    } else {
+      res.status(401).json(result);
+    }
+    
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
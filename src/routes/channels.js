@@ -0,0 +1,113 @@
+import express from 'express';
+import { getChannels, insertChannel, updateChannel, clearDefaultChannel, isUniqueViolation } from '../db.js';
+import { listChannels, invalidateChannelCache, toPublicChannel } from '../services/channelService.js';
+import { requirePermission } from '../middleware/auth.js';
+import { recordAudit } from '../services/auditService.js';
+import { logger } from '../utils/logger.js';
+
+// All routes here run behind authenticateUser (mounted in index.js)
+const router = express.Router();
+
+const EDITABLE_FIELDS = ['display_name', 'display_phone_number', 'waba_id', 'access_token', 'is_default', 'is_active'];
+
+// List channels (for the room filter); access tokens are never returned
+router.get('/', async (req, res) => {
+  try {
+    const channels = await listChannels();
+    res.json({ success: true, data: channels.map(toPublicChannel) });
+  } catch (error) {
+    logger.error({ error }, 'Failed to get channels');
+    res.status(500).json({ success: false, error: 'Failed to get channels' });
+  }
+});
+
+// Register a WhatsApp phone number
+router.post('/', requirePermission('channels.manage'), async (req, res) => {
+  try {
+    const {
+      display_name,
+      phone_number_id,
+      access_token,
+      display_phone_number = null,
+      waba_id = null,
+      is_default = false
+    } = req.body;
+
+    if (!display_name || !phone_number_id || !access_token) {
+      return res.status(400).json({ success: false, error: 'display_name, phone_number_id and access_token are required' });
+    }
+
+    if (is_default) {
+      await clearDefaultChannel();
+    }
+
+    const { rows } = await insertChannel({
+      display_name,
+      phone_number_id: String(phone_number_id),
+      access_token,
+      display_phone_number,
+      waba_id: waba_id ? String(waba_id) : null,
+      is_default: is_default === true
+    });
+    invalidateChannelCache();
+
+    const channel = toPublicChannel(rows[0]);
+    logger.info({ channelId: channel.id, phoneNumberId: channel.phone_number_id, createdBy: req.user.id }, 'WhatsApp channel created');
+    await recordAudit(req, { action: 'channel.create', targetType: 'channel', targetId: channel.id, after: channel });
+
+    res.status(201).json({ success: true, data: channel });
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      return res.status(409).json({ success: false, error: 'A channel with this phone_number_id already exists' });
+    }
+    logger.error({ error }, 'Failed to create channel');
+    res.status(500).json({ success: false, error: 'Failed to create channel' });
+  }
+});
+
+// Update a channel; phone_number_id is immutable (webhooks and rooms are matched on it).
+// Channels are deactivated (is_active: false) rather than deleted, rooms keep referencing them.
+router.put('/:id', requirePermission('channels.manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const updates = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ success: false, error: `Nothing to update (${EDITABLE_FIELDS.join(', ')})` });
+    }
+
+    const { rows: existing } = await getChannels();
+    const before = existing.find(channel => channel.id === id);
+    if (!before) {
+      return res.status(404).json({ success: false, error: 'Channel not found' });
+    }
+
+    if (updates.is_default === true && !before.is_default) {
+      await clearDefaultChannel();
+    }
+
+    const { rows } = await updateChannel(id, updates);
+    invalidateChannelCache();
+
+    const channel = toPublicChannel(rows[0]);
+    logger.info({ channelId: id, fields: Object.keys(updates), updatedBy: req.user.id }, 'WhatsApp channel updated');
+    await recordAudit(req, {
+      action: 'channel.update',
+      targetType: 'channel',
+      targetId: id,
+      before: toPublicChannel(before),
+      after: channel
+    });
+
+    res.json({ success: true, data: channel });
+  } catch (error) {
+    logger.error({ error }, 'Failed to update channel');
+    res.status(500).json({ success: false, error: 'Failed to update channel' });
+  }
+});
+
+export default router;
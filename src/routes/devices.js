@@ -3,9 +3,10 @@ import { upsertDeviceToken } from '../services/deviceService.js';
 
 export const devicesRouter = express.Router();
 
+// Devices are always registered for the authenticated user (authenticateUser is mounted in index.js)
 devicesRouter.post('/register', async (req, res) => {
-  const { user_id, device_token, platform } = req.body || {};
-  if (!user_id || !device_token) return res.status(400).json({ error: 'user_id and device_token required' });
-  const rec = await upsertDeviceToken({ user_id, device_token, platform });
+  const { device_token, platform } = req.body || {};
+  if (!device_token) return res.status(400).json({ error: 'device_token required' });
+  const rec = await upsertDeviceToken({ user_id: req.user.id, device_token, platform });
   res.json({ ok: true, device: rec });
 });
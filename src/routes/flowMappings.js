@@ -0,0 +1,155 @@
+import express from 'express';
+import { getFlowMappings, insertFlowMapping, updateFlowMapping, deleteFlowMapping, isUniqueViolation } from '../db.js';
+import {
+  FLOW_LEAD_FIELDS,
+  invalidateFlowMappingCache,
+  validateFieldMappings,
+  buildLeadUpdates,
+  parseFlowResponse
+} from '../services/flowService.js';
+import { requirePermission } from '../middleware/auth.js';
+import { recordAudit } from '../services/auditService.js';
+import { logger } from '../utils/logger.js';
+
+// All routes here run behind authenticateUser (mounted in index.js)
+const router = express.Router();
+
+router.use(requirePermission('flows.manage'));
+
+const EDITABLE_FIELDS = ['flow_token', 'name', 'description', 'field_mappings', 'is_active'];
+
+// Lead fields a flow answer can be mapped to
+router.get('/targets', (req, res) => {
+  res.json({ success: true, data: { lead_fields: FLOW_LEAD_FIELDS, custom_attribute_prefix: 'custom_attributes.' } });
+});
+
+// List mappings
+router.get('/', async (req, res) => {
+  try {
+    const { rows } = await getFlowMappings();
+    res.json({ success: true, data: rows });
+  } catch (error) {
+    logger.error({ error }, 'Failed to get flow mappings');
+    res.status(500).json({ success: false, error: 'Failed to get flow mappings' });
+  }
+});
+
+// Create a mapping for flows sent with this flow_token (or '<flow_token>:...')
+router.post('/', async (req, res) => {
+  try {
+    const { flow_token, name, description = null, field_mappings, is_active = true } = req.body;
+
+    if (!flow_token || !name || !field_mappings) {
+      return res.status(400).json({ success: false, error: 'flow_token, name and field_mappings are required' });
+    }
+
+    const validationError = validateFieldMappings(field_mappings);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const { rows } = await insertFlowMapping({
+      flow_token: String(flow_token),
+      name,
+      description,
+      field_mappings,
+      is_active: is_active !== false,
+      created_by: req.user.id
+    });
+    invalidateFlowMappingCache();
+
+    logger.info({ mappingId: rows[0].id, flowToken: rows[0].flow_token, createdBy: req.user.id }, 'Flow mapping created');
+    await recordAudit(req, { action: 'flow_mapping.create', targetType: 'flow_mapping', targetId: rows[0].id, after: rows[0] });
+
+    res.status(201).json({ success: true, data: rows[0] });
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      return res.status(409).json({ success: false, error: 'A flow mapping with this flow_token already exists' });
+    }
+    logger.error({ error }, 'Failed to create flow mapping');
+    res.status(500).json({ success: false, error: 'Failed to create flow mapping' });
+  }
+});
+
+// Update a mapping
+router.put('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const updates = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ success: false, error: `Nothing to update (${EDITABLE_FIELDS.join(', ')})` });
+    }
+
+    if (updates.field_mappings !== undefined) {
+      const validationError = validateFieldMappings(updates.field_mappings);
+      if (validationError) {
+        return res.status(400).json({ success: false, error: validationError });
+      }
+    }
+
+    const { rows: existing } = await getFlowMappings();
+    const before = existing.find(mapping => mapping.id === id);
+    if (!before) {
+      return res.status(404).json({ success: false, error: 'Flow mapping not found' });
+    }
+
+    const { rows } = await updateFlowMapping(id, updates);
+    invalidateFlowMappingCache();
+
+    logger.info({ mappingId: id, fields: Object.keys(updates), updatedBy: req.user.id }, 'Flow mapping updated');
+    await recordAudit(req, { action: 'flow_mapping.update', targetType: 'flow_mapping', targetId: id, before, after: rows[0] });
+
+    res.json({ success: true, data: rows[0] });
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      return res.status(409).json({ success: false, error: 'A flow mapping with this flow_token already exists' });
+    }
+    logger.error({ error }, 'Failed to update flow mapping');
+    res.status(500).json({ success: false, error: 'Failed to update flow mapping' });
+  }
+});
+
+// Delete a mapping (replies for its flow_token are then only stored as messages)
+router.delete('/:id', async (req, res) => {
+  try {
+    const { rows } = await deleteFlowMapping(req.params.id);
+
+    if (rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Flow mapping not found' });
+    }
+    invalidateFlowMappingCache();
+
+    await recordAudit(req, { action: 'flow_mapping.delete', targetType: 'flow_mapping', targetId: req.params.id, before: rows[0] });
+
+    res.json({ success: true, message: 'Flow mapping deleted' });
+  } catch (error) {
+    logger.error({ error }, 'Failed to delete flow mapping');
+    res.status(500).json({ success: false, error: 'Failed to delete flow mapping' });
+  }
+});
+
+// Show what a sample response_json would write to a lead, without touching any lead
+router.post('/:id/preview', async (req, res) => {
+  try {
+    const { rows } = await getFlowMappings();
+    const mapping = rows.find(m => m.id === req.params.id);
+    if (!mapping) {
+      return res.status(404).json({ success: false, error: 'Flow mapping not found' });
+    }
+
+    const response = parseFlowResponse({ response_json: req.body?.response_json });
+    const { updates, customAttributes, missing } = buildLeadUpdates(mapping, response);
+
+    res.json({ success: true, data: { updates, custom_attributes: customAttributes, missing } });
+  } catch (error) {
+    logger.error({ error }, 'Failed to preview flow mapping');
+    res.status(500).json({ success: false, error: 'Failed to preview flow mapping' });
+  }
+});
+
+export default router;
@@ -1,13 +1,32 @@
 import express from 'express';
-import { getLeads, getLeadsCount, getLeadById, insertLead, updateLead, deleteLead, getLeadsStats, getLeadsByUserId, getLeadsByAssignedUser, updateRoom } from '../db.js';
+import { getLeads, getLeadsCount, getLeadById, insertLead, updateLead, deleteLead, getLeadsStats, getLeadsByUserId, getLeadsByAssignedUser, updateRoom, getLeadAttributions, getLatestAttributionBySource, getUtmLeadStats } from '../db.js';
 import { logger } from '../utils/logger.js';
+import { recordAudit } from '../services/auditService.js';
+import { publishEvent } from '../services/outboundWebhookService.js';
+import { hasPermission, canAccessLead, canAccessRoom, requireLeadAccess, requirePermission } from '../middleware/auth.js';
 
+// All routes here run behind authenticateUser (mounted in index.js)
 const router = express.Router();
 
+// Statuses at or past 'paid' in the pipeline count as converted
+const CONVERTED_STATUSES = ['paid', 'service', 'repayment', 'advocate'];
+
+const UTM_MAX_LIMIT = 200;
+
+// Tell subscribed systems about a leads_status change (no-op when the status stayed the same)
+async function publishStatusChange(before, after) {
+  if (!after || before?.leads_status === after.leads_status) return;
+  await publishEvent('lead.status_changed', {
+    lead: after,
+    previous_status: before?.leads_status || null,
+    status: after.leads_status
+  });
+}
+
 // Get all leads with filtering and search
-// Role-based access:
-// - admin/supervisor: can access all leads
-// - agent: can only access assigned leads (via room_participants)
+// Access (from the authenticated user's permissions):
+// - leads.view_all: can access all leads
+// - otherwise: can only access assigned leads (via room_participants)
 router.get('/', async (req, res) => {
   try {
     const { 
@@ -17,10 +36,9 @@ router.get('/', async (req, res) => {
       utm_id,
       search, 
       page = 1, 
-      limit = 50,
-      user_id,
-      user_role
+      limit = 50
     } = req.query;
+    const { id: user_id, role: user_role } = req.user;
 
     const offset = (parseInt(page) - 1) * parseInt(limit);
     
@@ -37,21 +55,21 @@ router.get('/', async (req, res) => {
     let rows, total;
 
     // Role-based access control
-    if (user_role === 'agent' && user_id) {
-      // Agent: only get assigned leads
+    if (!hasPermission(req.user, 'leads.view_all')) {
+      // Only assigned leads
       const result = await getLeadsByAssignedUser(user_id, filters);
       rows = result.rows;
       total = result.rowCount;
       
-      logger.info({ user_id, user_role, leadCount: total }, 'Agent accessed assigned leads');
+      logger.info({ user_id, user_role, leadCount: total }, 'User accessed assigned leads');
     } else {
-      // Admin/Supervisor: get all leads
+      // leads.view_all: get all leads
       const result = await getLeads(filters);
       const countResult = await getLeadsCount(filters);
       rows = result.rows;
       total = parseInt(countResult.rows[0].count);
       
-      logger.info({ user_role, leadCount: total }, 'Admin/Supervisor accessed all leads');
+      logger.info({ user_id, user_role, leadCount: total }, 'User accessed all leads');
     }
 
     res.json({
@@ -65,7 +83,7 @@ router.get('/', async (req, res) => {
       },
       meta: {
         user_role,
-        access_type: user_role === 'agent' ? 'assigned_only' : 'all_leads'
+        access_type: hasPermission(req.user, 'leads.view_all') ? 'all_leads' : 'assigned_only'
       }
     });
   } catch (error) {
@@ -74,8 +92,40 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Export leads as CSV (same filters as GET /, all leads with leads.view_all)
+router.get('/export', requirePermission('leads.export'), async (req, res) => {
+  try {
+    const { leads_status, contact_status, loan_type, utm_id, search } = req.query;
+    const filters = { leads_status, contact_status, loan_type, utm_id, search };
+
+    const { rows } = hasPermission(req.user, 'leads.view_all')
+      ? await getLeads(filters)
+      : await getLeadsByAssignedUser(req.user.id, filters);
+
+    const columns = ['id', 'utm_id', 'name', 'phone', 'outstanding', 'loan_type', 'leads_status', 'contact_status', 'created_at', 'updated_at'];
+    const escapeCsv = (value) => {
+      if (value === null || value === undefined) return '';
+      const text = String(value);
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const csv = [
+      columns.join(','),
+      ...rows.map(lead => columns.map(column => escapeCsv(lead[column])).join(','))
+    ].join('\n');
+
+    logger.info({ user_id: req.user.id, leadCount: rows.length }, 'Leads exported');
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="leads-${new Date().toISOString().split('T')[0]}.csv"`);
+    res.send(csv);
+  } catch (error) {
+    logger.error({ error }, 'Failed to export leads');
+    res.status(500).json({ success: false, error: 'Failed to export leads' });
+  }
+});
+
 // Get single lead
-router.get('/:id', async (req, res) => {
+router.get('/:id', requireLeadAccess(), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -92,8 +142,19 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Create new lead
-router.post('/', async (req, res) => {
+// Ad/post referrals of a lead (Click-to-WhatsApp), first touch first
+router.get('/:id/attributions', requireLeadAccess(), async (req, res) => {
+  try {
+    const { rows } = await getLeadAttributions(req.params.id);
+    res.json({ success: true, data: rows });
+  } catch (error) {
+    logger.error({ error }, 'Failed to get lead attributions');
+    res.status(500).json({ success: false, error: 'Failed to get lead attributions' });
+  }
+});
+
+// Create new lead (users without leads.create get leads through room assignment)
+router.post('/', requirePermission('leads.create'), async (req, res) => {
   try {
     const {
       utm_id,
@@ -124,6 +185,9 @@ router.post('/', async (req, res) => {
 
     const { rows } = await insertLead(leadData);
 
+    await recordAudit(req, { action: 'lead.create', targetType: 'lead', targetId: rows[0].id, after: rows[0] });
+    await publishEvent('lead.created', { lead: rows[0], source: 'api' });
+
     res.status(201).json({ success: true, data: rows[0] });
   } catch (error) {
     logger.error({ error }, 'Failed to create lead');
@@ -132,7 +196,7 @@ router.post('/', async (req, res) => {
 });
 
 // Update lead
-router.put('/:id', async (req, res) => {
+router.put('/:id', requireLeadAccess(), async (req, res) => {
   try {
     const { id } = req.params;
     const {
@@ -143,10 +207,15 @@ router.put('/:id', async (req, res) => {
       loan_type,
       leads_status,
       contact_status,
+      custom_attributes,
       room_id,
       title
     } = req.body;
 
+    if (custom_attributes !== undefined && (typeof custom_attributes !== 'object' || custom_attributes === null || Array.isArray(custom_attributes))) {
+      return res.status(400).json({ success: false, error: 'custom_attributes must be an object' });
+    }
+
     // Build updates object with only non-null values
     const updates = {};
     if (utm_id !== undefined) updates.utm_id = utm_id;
@@ -157,18 +226,38 @@ router.put('/:id', async (req, res) => {
     if (leads_status !== undefined) updates.leads_status = leads_status;
     if (contact_status !== undefined) updates.contact_status = contact_status;
 
+    // Room title can only be changed on a room the user has access to
+    if (room_id && title && !(await canAccessRoom(req.user, room_id))) {
+      return res.status(403).json({ success: false, error: 'Access denied. You are not assigned to this room.' });
+    }
+
     // Update lead
+    const { rows: beforeRows } = await getLeadById(id);
+
+    // custom_attributes are merged (a key set to null is removed), other keys stay untouched
+    if (custom_attributes !== undefined) {
+      const merged = { ...(beforeRows[0]?.custom_attributes || {}), ...custom_attributes };
+      for (const key of Object.keys(merged)) {
+        if (merged[key] === null) delete merged[key];
+      }
+      updates.custom_attributes = merged;
+    }
+
     const { rows } = await updateLead(id, updates);
 
     if (rows.length === 0) {
       return res.status(404).json({ success: false, error: 'Lead not found' });
     }
 
+    await recordAudit(req, { action: 'lead.update', targetType: 'lead', targetId: id, before: beforeRows[0], after: rows[0] });
+    await publishStatusChange(beforeRows[0], rows[0]);
+
     // If room_id and title provided, update room title as well
     if (room_id && title) {
       try {
-        await updateRoom(room_id, { title });
+        const { rows: roomRows } = await updateRoom(room_id, { title });
         logger.info({ room_id, title, lead_id: id }, 'Room title updated along with lead');
+        await recordAudit(req, { action: 'room.update', targetType: 'room', targetId: room_id, after: roomRows[0], metadata: { title, lead_id: id } });
       } catch (roomError) {
         logger.error({ error: roomError, room_id, title }, 'Failed to update room title, but lead updated successfully');
         // Don't fail the whole request if room update fails
@@ -183,7 +272,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // Delete lead
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('leads.delete'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -193,6 +282,8 @@ router.delete('/:id', async (req, res) => {
       return res.status(404).json({ success: false, error: 'Lead not found' });
     }
 
+    await recordAudit(req, { action: 'lead.delete', targetType: 'lead', targetId: id, before: rows[0] });
+
     res.json({ success: true, message: 'Lead deleted successfully' });
   } catch (error) {
     logger.error({ error }, 'Failed to delete lead');
@@ -201,7 +292,7 @@ router.delete('/:id', async (req, res) => {
 });
 
 // Update lead contact status
-router.patch('/:id/contact-status', async (req, res) => {
+router.patch('/:id/contact-status', requireLeadAccess(), async (req, res) => {
   try {
     const { id } = req.params;
     const { contact_status } = req.body;
@@ -218,12 +309,15 @@ router.patch('/:id/contact-status', async (req, res) => {
       contact_status
     };
 
+    const { rows: beforeRows } = await getLeadById(id);
     const { rows } = await updateLead(id, updates);
 
     if (rows.length === 0) {
       return res.status(404).json({ success: false, error: 'Lead not found' });
     }
 
+    await recordAudit(req, { action: 'lead.contact_status_update', targetType: 'lead', targetId: id, before: beforeRows[0], after: rows[0] });
+
     res.json({ success: true, data: rows[0] });
   } catch (error) {
     logger.error({ error }, 'Failed to update lead contact status');
@@ -232,7 +326,7 @@ router.patch('/:id/contact-status', async (req, res) => {
 });
 
 // Get leads statistics
-router.get('/stats/overview', async (req, res) => {
+router.get('/stats/overview', requirePermission('leads.stats'), async (req, res) => {
   try {
     const { rows } = await getLeadsStats();
 
@@ -255,6 +349,11 @@ router.get('/user/:user_id', async (req, res) => {
       });
     }
 
+    // Without leads.view_all users can only list their own leads
+    if (user_id !== req.user.id && !hasPermission(req.user, 'leads.view_all')) {
+      return res.status(403).json({ success: false, error: 'Access denied' });
+    }
+
     const { rows } = await getLeadsByUserId(user_id);
 
     res.json({ 
@@ -296,6 +395,10 @@ router.get('/phone/:phone', async (req, res) => {
       });
     }
 
+    if (!(await canAccessLead(req.user, rows[0].id))) {
+      return res.status(403).json({ success: false, error: 'Access denied. This lead is not assigned to you.' });
+    }
+
     res.json({ success: true, data: rows[0] });
   } catch (error) {
     logger.error({ error }, 'Failed to get lead by phone');
@@ -304,10 +407,11 @@ router.get('/phone/:phone', async (req, res) => {
 });
 
 // Update lead status (for Kanban drag & drop)
-router.patch('/:id/status', async (req, res) => {
+router.patch('/:id/status', requireLeadAccess(), async (req, res) => {
   try {
     const { id } = req.params;
-    const { leads_status, user_id, user_name } = req.body;
+    const { leads_status } = req.body;
+    const { id: user_id, name: user_name } = req.user;
 
     const validStatuses = ['cold', 'warm', 'hot', 'paid', 'service', 'repayment', 'advocate'];
 
@@ -328,15 +432,26 @@ router.patch('/:id/status', async (req, res) => {
     }
 
     const updates = { leads_status };
+    const { rows: beforeRows } = await getLeadById(id);
     const { rows } = await updateLead(id, updates);
 
     if (rows.length === 0) {
       return res.status(404).json({ success: false, error: 'Lead not found' });
     }
 
+    await recordAudit(req, {
+      action: 'lead.status_update',
+      targetType: 'lead',
+      targetId: id,
+      before: beforeRows[0],
+      after: rows[0],
+      metadata: { source: 'kanban_drag_drop' }
+    });
+    await publishStatusChange(beforeRows[0], rows[0]);
+
     logger.info({ 
       lead_id: id, 
-      old_status: rows[0].leads_status !== leads_status ? 'changed' : 'same',
+      old_status: beforeRows[0]?.leads_status || null,
       new_status: leads_status,
       user_id,
       user_name,
@@ -354,14 +469,63 @@ router.patch('/:id/status', async (req, res) => {
 router.get('/utm/:utm_id', async (req, res) => {
   try {
     const { utm_id } = req.params;
+    const { page = 1, limit = 50 } = req.query;
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), UTM_MAX_LIMIT);
+    const filters = {
+      utm_id,
+      limit: pageSize,
+      offset: (pageNumber - 1) * pageSize
+    };
     
-    const { rows } = await getLeads({ utm_id });
+    // Without leads.view_all only assigned leads for this UTM
+    const viewAll = hasPermission(req.user, 'leads.view_all');
+    const { rows } = viewAll
+      ? await getLeads(filters)
+      : await getLeadsByAssignedUser(req.user.id, filters);
+
+    // Counted in the database: the lead list above is only one page
+    const { rows: statusCounts } = await getUtmLeadStats(utm_id, viewAll ? null : req.user.id);
+
+    // Ad details from the latest referral, null for UTMs that are not a Click-to-WhatsApp ad
+    const { rows: attributionRows } = await getLatestAttributionBySource(utm_id);
+    const ad = attributionRows[0] || null;
+
+    const byStatus = {};
+    let total = 0;
+    let converted = 0;
+    for (const { leads_status, count } of statusCounts) {
+      byStatus[leads_status] = count;
+      total += count;
+      if (CONVERTED_STATUSES.includes(leads_status)) converted += count;
+    }
 
     res.json({ 
       success: true, 
       data: rows,
-      total: rows.length,
-      utm_id 
+      total,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      },
+      utm_id,
+      ad: ad && {
+        source_type: ad.source_type,
+        source_url: ad.source_url,
+        headline: ad.headline,
+        body: ad.body,
+        media_type: ad.media_type,
+        thumbnail_url: ad.thumbnail_url,
+        last_seen_at: ad.created_at
+      },
+      stats: {
+        leads: total,
+        by_status: byStatus,
+        converted,
+        conversion_rate: total > 0 ? Math.round((converted / total) * 10000) / 100 : 0
+      }
     });
   } catch (error) {
     logger.error({ error }, 'Failed to get leads by UTM');
@@ -370,7 +534,7 @@ router.get('/utm/:utm_id', async (req, res) => {
 });
 
 // Bulk update leads
-router.patch('/bulk', async (req, res) => {
+router.patch('/bulk', requirePermission('leads.bulk_update'), async (req, res) => {
   try {
     const { lead_ids, updates } = req.body;
 
@@ -403,9 +567,19 @@ router.patch('/bulk', async (req, res) => {
     const results = [];
     for (const leadId of lead_ids) {
       try {
+        const { rows: beforeRows } = await getLeadById(leadId);
         const { rows } = await updateLead(leadId, updates);
         if (rows.length > 0) {
           results.push(rows[0]);
+          await recordAudit(req, {
+            action: 'lead.bulk_update',
+            targetType: 'lead',
+            targetId: leadId,
+            before: beforeRows[0],
+            after: rows[0],
+            metadata: { batch_size: lead_ids.length }
+          });
+          await publishStatusChange(beforeRows[0], rows[0]);
         }
       } catch (error) {
         logger.error({ error, leadId }, 'Failed to update individual lead in bulk operation');
@@ -2,10 +2,29 @@ import express from 'express';
 import multer from 'multer';
 import { uploadMediaToWhatsApp } from '../services/mediaService.js';
 import { uploadBuffer as uploadToGCS } from '../services/storageService.js';
+import { getRoom } from '../services/roomService.js';
+import { getChannel } from '../services/channelService.js';
 import { logger } from '../utils/logger.js';
+import { hasPermission, canAccessRoom, requireRoomAccess } from '../middleware/auth.js';
 
+// All routes here run behind authenticateUser (mounted in index.js)
 const router = express.Router();
 
+/**
+ * Room-scoped media queries: agents must name a room they are assigned to,
+ * phone_number-only lookups need rooms.view_all
+ */
+function requireMediaScopeAccess(req, res, next) {
+  const { room_id } = req.query;
+  if (room_id) {
+    return requireRoomAccess(() => room_id)(req, res, next);
+  }
+  if (!hasPermission(req.user, 'rooms.view_all')) {
+    return res.status(403).json({ error: 'room_id is required' });
+  }
+  next();
+}
+
 // Configure multer for file uploads (memory storage)
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -35,7 +54,7 @@ const upload = multer({
  * Upload media file to both GCS and WhatsApp
  * POST /media/upload
  */
-router.post('/upload', upload.single('file'), async (req, res) => {
+router.post('/upload', upload.single('file'), requireRoomAccess((req) => req.body?.room_id), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file provided' });
@@ -58,10 +77,13 @@ router.post('/upload', upload.single('file'), async (req, res) => {
     let whatsappResult = null;
     if (req.body.uploadToWhatsApp === 'true') {
       try {
+        // Uploaded to the room's WhatsApp number, media ids only work there
+        const room = await getRoom(room_id);
         whatsappResult = await uploadMediaToWhatsApp({
           buffer,
           filename: originalname,
-          mimeType: mimetype
+          mimeType: mimetype,
+          channel: await getChannel(room?.channel_id || null)
         });
       } catch (err) {
         logger.warn({ err, filename: originalname }, 'WhatsApp upload failed, but GCS upload succeeded');
@@ -110,11 +132,14 @@ router.post('/whatsapp-upload', upload.single('file'), async (req, res) => {
     }
 
     const { buffer, originalname, mimetype } = req.file;
+    // Media ids only work on the phone number they were uploaded to
+    const channel = await getChannel(req.body.channel_id || null);
 
     const result = await uploadMediaToWhatsApp({
       buffer,
       filename: originalname,
-      mimeType: mimetype
+      mimeType: mimetype,
+      channel
     });
 
     logger.info({ filename: originalname, mediaId: result.id }, 'Media uploaded to WhatsApp');
@@ -135,7 +160,7 @@ router.post('/whatsapp-upload', upload.single('file'), async (req, res) => {
  * List media files for a room and date
  * GET /media/list?room_id=xxx&date=2025-08-25
  */
-router.get('/list', async (req, res) => {
+router.get('/list', requireMediaScopeAccess, async (req, res) => {
   try {
     const { room_id, phone_number, date, folder = 'media' } = req.query;
     
@@ -169,7 +194,7 @@ router.get('/list', async (req, res) => {
  * Get media dates for a room (folder structure)
  * GET /media/dates?room_id=xxx
  */
-router.get('/dates', async (req, res) => {
+router.get('/dates', requireMediaScopeAccess, async (req, res) => {
   try {
     const { room_id, phone_number, folder = 'media' } = req.query;
     
@@ -201,7 +226,7 @@ router.get('/dates', async (req, res) => {
  * Get media statistics for a room
  * GET /media/stats?room_id=xxx
  */
-router.get('/stats', async (req, res) => {
+router.get('/stats', requireMediaScopeAccess, async (req, res) => {
   try {
     const { room_id, phone_number, folder = 'media' } = req.query;
     
@@ -256,6 +281,13 @@ router.post('/:fileId/refresh-url', async (req, res) => {
   try {
     const { fileId } = req.params;
     
+    // fileId is the message id; only refresh media in rooms the user can access
+    const { getMessage } = await import('../db.js');
+    const messageResult = await getMessage(fileId);
+    if (messageResult.rows.length > 0 && !(await canAccessRoom(req.user, messageResult.rows[0].room_id))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    
     const { refreshMediaUrl } = await import('../services/mediaService.js');
     const updatedMessage = await refreshMediaUrl(fileId);
     
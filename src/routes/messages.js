@@ -1,54 +1,293 @@
 import express from 'express';
 import multer from 'multer';
 import { v4 as uuidv4 } from 'uuid';
-import { sendTextMessage, sendMediaMessage, sendMediaByUrl, sendTemplateMessage, uploadMediaToWhatsApp, sendContactsMessage, sendLocationMessage, sendReactionMessage } from '../services/whatsappService.js';
+import { sendTextMessage, sendTemplateMessage, uploadMediaToWhatsApp } from '../services/whatsappService.js';
 import { validateWhatsAppPhoneNumber } from '../services/whatsappService.js';
 import { uploadBuffer as uploadToStorage } from '../services/storageService.js';
-import { ensureRoom } from '../services/roomService.js';
-import { insertMessage, updateMessage } from '../db.js';
-import { getUserForMessage } from '../services/userService.js';
+import { ensureRoom, getRoom, findRoomForChannel } from '../services/roomService.js';
+import { getChannel, getSendingChannel } from '../services/channelService.js';
+import { insertMessage, updateMessage, getMessage, getStatusHistory, getMessageByWaId, getMessagesByRoom, getMessagesByRoomCursor, searchMessages, getScheduledMessage, getScheduledMessages } from '../db.js';
 import { logger } from '../utils/logger.js';
+import { recordAudit } from '../services/auditService.js';
+import { publishEvent } from '../services/outboundWebhookService.js';
+import { createNote } from '../services/noteService.js';
+import { enqueueOutboundMessage, retryOutboundMessage } from '../services/outboundQueueService.js';
+import { SCHEDULED_STATUSES, buildScheduledFields, scheduleMessage, editScheduledMessage, cancelScheduledMessage } from '../services/scheduledMessageService.js';
+import { requireRoomAccess, requirePermission, hasPermission, canAccessRoom } from '../middleware/auth.js';
 import { convertAudioToOgg, needsAudioConversion, getFFmpegFormat } from '../utils/audioConverter.js';
 
+const MAX_HISTORY_LIMIT = 200;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// before/after/around value -> { cursor, message } for a message id (or WhatsApp wamid, which is what
+// reply_to_wa_message_id holds), { cursor } for a timestamp, { status, error } otherwise
+async function resolveMessageCursor(roomId, value) {
+  if (UUID_PATTERN.test(value) || value.startsWith('wamid.')) {
+    const { rows } = UUID_PATTERN.test(value) ? await getMessage(value) : await getMessageByWaId(value);
+    if (rows.length === 0 || rows[0].room_id !== roomId) {
+      return { status: 404, error: `Message ${value} not found in this room` };
+    }
+    return { cursor: { wa_timestamp: rows[0].wa_timestamp, id: rows[0].id }, message: rows[0] };
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return { status: 400, error: 'Cursor must be a message id or an ISO 8601 timestamp' };
+  }
+  return { cursor: { wa_timestamp: date.toISOString() } };
+}
+
+const SEARCH_MAX_LIMIT = 100;
+const SEARCH_SENDERS = ['customer', 'agent'];
+
+// Snippets hold raw message text with <mark> around matches: escape the text, keep the marks
+function escapeSnippet(snippet) {
+  return (snippet || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/&lt;(\/?)mark&gt;/g, '<$1mark>');
+}
+
+const SCHEDULED_MAX_LIMIT = 100;
+
+function parseSearchDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+}
+
 export function createMessagesRouter(io) {
+  // All routes here run behind authenticateUser (mounted in index.js)
   const router = express.Router();
 
+  // Outgoing messages must target a room the sender is assigned to (rooms.view_all: any room)
+  const requireBodyRoomAccess = requireRoomAccess((req) => req.body?.room_id);
+  const requireSendPermission = requirePermission('messages.send');
+  const requireDebugPermission = requirePermission('system.debug');
+
+  // Load :messageId into req.message, only for users who can access the message's room
+  const requireMessageAccess = async (req, res, next) => {
+    try {
+      const { rows } = await getMessage(req.params.messageId);
+      if (rows.length === 0) {
+        return res.status(404).json({ success: false, error: 'Message not found' });
+      }
+      if (!(await canAccessRoom(req.user, rows[0].room_id))) {
+        return res.status(403).json({ success: false, error: 'Access denied to this room' });
+      }
+      req.message = rows[0];
+      next();
+    } catch (err) {
+      logger.error({ err, messageId: req.params.messageId }, 'Failed to load message');
+      res.status(500).json({ success: false, error: 'Failed to load message' });
+    }
+  };
+
+  // Recipient `to` must be the customer of body.room_id: access to one room must not allow sending to any
+  // number. Runs after requireBodyRoomAccess; a missing `to` or room_id is left to the route's own 400.
+  const requireRoomRecipient = async (req, res, next) => {
+    const { to, room_id } = req.body || {};
+    if (!to || !room_id) return next();
+
+    try {
+      let cleanPhone;
+      try {
+        cleanPhone = validateWhatsAppPhoneNumber(String(to));
+      } catch (err) {
+        return res.status(400).json({ success: false, error: err.message });
+      }
+
+      const room = await getRoom(room_id);
+      if (!room) {
+        return res.status(404).json({ success: false, error: 'Room not found' });
+      }
+      if (String(room.phone || '').replace(/\D/g, '') !== cleanPhone) {
+        logger.warn({ userId: req.user.id, roomId: room_id, to: cleanPhone, endpoint: req.originalUrl }, 'Recipient does not match room phone');
+        return res.status(400).json({ success: false, error: 'to does not match the phone number of this room' });
+      }
+
+      next();
+    } catch (err) {
+      logger.error({ err, roomId: room_id }, 'Failed to check message recipient');
+      res.status(500).json({ success: false, error: 'Failed to check message recipient' });
+    }
+  };
+
+  // Load :scheduledId into req.scheduled; only its creator (while assigned to the room) or rooms.view_all may change it
+  const requireScheduledAccess = async (req, res, next) => {
+    try {
+      const { rows } = await getScheduledMessage(req.params.scheduledId);
+      if (rows.length === 0) {
+        return res.status(404).json({ success: false, error: 'Scheduled message not found' });
+      }
+      const isCreator = rows[0].created_by === req.user.id;
+      if (!hasPermission(req.user, 'rooms.view_all') && !(isCreator && await canAccessRoom(req.user, rows[0].room_id))) {
+        return res.status(403).json({ success: false, error: 'Access denied to this scheduled message' });
+      }
+      req.scheduled = rows[0];
+      next();
+    } catch (err) {
+      logger.error({ err, scheduledId: req.params.scheduledId }, 'Failed to load scheduled message');
+      res.status(500).json({ success: false, error: 'Failed to load scheduled message' });
+    }
+  };
+
+/**
+ * Full-text search over message text, captions and document filenames
+ * GET /messages/search
+ * Query params: q (required; "phrase", OR, -exclude), room_id, lead_status, sender (customer/agent),
+ * content_type, from, to (ISO dates), page (default 1), limit (default 20, max 100)
+ * Without rooms.view_all only rooms the caller is assigned to are searched.
+ */
+router.get('/search', async (req, res) => {
+  try {
+    const { room_id, lead_status, sender, content_type, from, to, page = 1, limit = 20 } = req.query;
+    const query = (req.query.q || '').trim();
+
+    if (query.length < 2) {
+      return res.status(400).json({ success: false, error: 'q must be at least 2 characters' });
+    }
+
+    if (sender && !SEARCH_SENDERS.includes(sender)) {
+      return res.status(400).json({ success: false, error: `sender must be one of: ${SEARCH_SENDERS.join(', ')}` });
+    }
+
+    const fromDate = parseSearchDate(from);
+    const toDate = parseSearchDate(to);
+    if (fromDate === undefined || toDate === undefined) {
+      return res.status(400).json({ success: false, error: 'from and to must be valid dates (ISO 8601)' });
+    }
+
+    if (room_id && !(await canAccessRoom(req.user, room_id))) {
+      return res.status(403).json({ success: false, error: 'Access denied to this room' });
+    }
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), SEARCH_MAX_LIMIT);
+
+    const { rows, totalCount } = await searchMessages({
+      query,
+      room_id,
+      lead_status,
+      sender,
+      content_type,
+      from: fromDate,
+      to: toDate,
+      participant_user_id: hasPermission(req.user, 'rooms.view_all') ? null : req.user.id,
+      limit: pageSize,
+      offset: (pageNumber - 1) * pageSize
+    });
+
+    res.json({
+      success: true,
+      query,
+      data: rows.map(({ total_count, snippet, ...row }) => ({ ...row, snippet: escapeSnippet(snippet) })),
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total: totalCount,
+        pages: Math.ceil(totalCount / pageSize)
+      }
+    });
+  } catch (err) {
+    logger.error({ err, query: req.query.q }, 'Failed to search messages');
+    res.status(500).json({ success: false, error: 'Failed to search messages' });
+  }
+});
+
 /**
- * Get messages for a room (historical messages)
+ * Get messages for a room (historical messages), ordered by WhatsApp timestamp
  * GET /messages/room/:roomId
- * Query params: limit (default 50), offset (default 0), order (asc/desc, default desc)
+ * Query params:
+ * - limit (default 50, max 200), order (asc/desc, default desc: order of the returned page)
+ * - before / after: message id or ISO timestamp, page of older / newer messages than the cursor
+ * - around: message id or wamid, window of messages around it (jump to a replied message)
+ * - offset (default 0): legacy paging from the newest (order=desc) or oldest (order=asc) message
  */
-router.get('/room/:roomId', async (req, res) => {
+router.get('/room/:roomId', requireRoomAccess(), async (req, res) => {
   try {
     const { roomId } = req.params;
-    const limit = parseInt(req.query.limit) || 50;
-    const offset = parseInt(req.query.offset) || 0;
+    const { before, after, around } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_HISTORY_LIMIT);
     const order = req.query.order === 'asc' ? 'ASC' : 'DESC';
     
     if (!roomId) {
       return res.status(400).json({ error: 'Room ID required' });
     }
+
+    if ([before, after, around].filter(Boolean).length > 1) {
+      return res.status(400).json({ success: false, error: 'Use only one of before, after, around' });
+    }
     
-    const { getMessagesByRoom } = await import('../db.js');
-    const result = await getMessagesByRoom(roomId, limit, offset, order);
+    // Pages are built oldest -> newest, then flipped for order=desc
+    let messages;
+    let pagination;
+
+    if (around) {
+      const anchor = await resolveMessageCursor(roomId, around);
+      if (!anchor.message) {
+        return res.status(anchor.status || 400).json({ success: false, error: anchor.error || 'around must be a message id or wamid' });
+      }
+
+      const olderCount = Math.floor((limit - 1) / 2);
+      const [older, newer] = await Promise.all([
+        getMessagesByRoomCursor(roomId, { direction: 'before', cursor: anchor.cursor, limit: olderCount }),
+        getMessagesByRoomCursor(roomId, { direction: 'after', cursor: anchor.cursor, limit: limit - 1 - olderCount })
+      ]);
+
+      messages = [...older.rows.reverse(), anchor.message, ...newer.rows];
+      pagination = {
+        mode: 'around',
+        anchor_id: anchor.message.id,
+        has_more: older.hasMore || newer.hasMore,
+        has_more_before: older.hasMore,
+        has_more_after: newer.hasMore
+      };
+    } else if (before || after) {
+      const direction = before ? 'before' : 'after';
+      const resolved = await resolveMessageCursor(roomId, before || after);
+      if (resolved.error) {
+        return res.status(resolved.status).json({ success: false, error: resolved.error });
+      }
+
+      const page = await getMessagesByRoomCursor(roomId, { direction, cursor: resolved.cursor, limit });
+      messages = direction === 'before' ? page.rows.reverse() : page.rows;
+      pagination = { mode: direction, has_more: page.hasMore };
+    } else {
+      const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+      const result = await getMessagesByRoom(roomId, limit + 1, offset, order);
+      const rows = result.rows.slice(0, limit);
+
+      messages = order === 'DESC' ? rows.reverse() : rows;
+      pagination = { mode: 'offset', offset, has_more: result.rows.length > limit };
+    }
+
+    // Pass cursors.before / cursors.after back as before / after to page further
+    const cursors = {
+      before: messages[0]?.id || null,
+      after: messages[messages.length - 1]?.id || null
+    };
+    if (order === 'DESC') messages.reverse();
     
     logger.info({ 
       room_id: roomId,
-      message_count: result.rows.length,
+      message_count: messages.length,
       limit,
-      offset,
-      order
+      order,
+      mode: pagination.mode
     }, 'Fetched messages for room');
     
     res.json({
       success: true,
       room_id: roomId,
-      messages: result.rows,
-      count: result.rows.length,
+      messages,
+      count: messages.length,
       limit,
-      offset,
       order,
-      has_more: result.rows.length === limit // If we got exactly limit, there might be more
+      ...pagination,
+      cursors
     });
     
   } catch (err) {
@@ -60,6 +299,181 @@ router.get('/room/:roomId', async (req, res) => {
   }
 });
 
+/**
+ * Write an internal note in a room (never sent to WhatsApp)
+ * POST /messages/notes
+ * Body: { room_id, text, mentions?: [user_id] } - text may contain @[Name](user-id) mentions
+ */
+router.post('/notes', requireBodyRoomAccess, async (req, res) => {
+  try {
+    const { room_id, text, mentions = [] } = req.body;
+
+    if (!room_id || typeof text !== 'string' || !text.trim()) {
+      return res.status(400).json({ success: false, error: 'Missing required fields: room_id, text' });
+    }
+
+    if (!Array.isArray(mentions)) {
+      return res.status(400).json({ success: false, error: 'mentions must be an array of user ids' });
+    }
+
+    const result = await createNote({ io }, { roomId: room_id, author: req.user, text: text.trim(), mentions });
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error, invalid_mentions: result.invalid_mentions });
+    }
+
+    res.status(201).json({ success: true, data: result.note });
+  } catch (err) {
+    logger.error({ err, roomId: req.body?.room_id }, 'Failed to create note');
+    res.status(500).json({ success: false, error: 'Failed to create note' });
+  }
+});
+
+/**
+ * Schedule a text or template message for a room
+ * POST /messages/schedule
+ * Body: { room_id, scheduled_at (ISO), type: 'text' | 'template', text | templateName + languageCode + parameters?, replyTo? }
+ * Text is only sent if the 24-hour customer window is open at scheduled_at; templates always go out.
+ */
+router.post('/schedule', requireSendPermission, requireBodyRoomAccess, async (req, res) => {
+  try {
+    const { room_id } = req.body;
+
+    if (!room_id || !req.body.scheduled_at) {
+      return res.status(400).json({ success: false, error: 'Missing required fields: room_id, scheduled_at' });
+    }
+
+    const { fields, error } = buildScheduledFields(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    if (fields.kind === 'template' && !hasPermission(req.user, 'templates.send')) {
+      return res.status(403).json({ success: false, error: 'Permission templates.send required to schedule a template' });
+    }
+
+    const result = await scheduleMessage({ io }, { roomId: room_id, author: req.user, fields });
+
+    await recordAudit(req, { action: 'message.schedule', targetType: 'scheduled_message', targetId: result.scheduled.id, after: result.scheduled, metadata: { room_id } });
+
+    res.status(201).json({ success: true, data: result.scheduled, customer_window: result.customer_window, warning: result.warning });
+  } catch (err) {
+    logger.error({ err, roomId: req.body?.room_id }, 'Failed to schedule message');
+    res.status(500).json({ success: false, error: 'Failed to schedule message' });
+  }
+});
+
+/**
+ * List scheduled messages of a room or a user
+ * GET /messages/scheduled
+ * Query params: room_id, user_id (creator), status, page (default 1), limit (default 50, max 100)
+ * Without room_id, users without rooms.view_all only see the messages they scheduled.
+ */
+router.get('/scheduled', async (req, res) => {
+  try {
+    const { room_id, user_id, status, page = 1, limit = 50 } = req.query;
+    const viewAll = hasPermission(req.user, 'rooms.view_all');
+
+    if (status && !SCHEDULED_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `status must be one of: ${SCHEDULED_STATUSES.join(', ')}` });
+    }
+
+    if (room_id && !(await canAccessRoom(req.user, room_id))) {
+      return res.status(403).json({ success: false, error: 'Access denied to this room' });
+    }
+
+    if (user_id && user_id !== req.user.id && !room_id && !viewAll) {
+      return res.status(403).json({ success: false, error: 'Access denied. Only your own scheduled messages can be listed.' });
+    }
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), SCHEDULED_MAX_LIMIT);
+
+    const { rows, totalCount } = await getScheduledMessages({
+      room_id: room_id || null,
+      created_by: user_id || (room_id || viewAll ? null : req.user.id),
+      status: status || null,
+      limit: pageSize,
+      offset: (pageNumber - 1) * pageSize
+    });
+
+    res.json({
+      success: true,
+      data: rows,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total: totalCount,
+        pages: Math.ceil(totalCount / pageSize)
+      }
+    });
+  } catch (err) {
+    logger.error({ err, query: req.query }, 'Failed to list scheduled messages');
+    res.status(500).json({ success: false, error: 'Failed to list scheduled messages' });
+  }
+});
+
+/**
+ * Change the time or content of a scheduled message (only while status is 'scheduled')
+ * PATCH /messages/scheduled/:scheduledId
+ * Body: any of scheduled_at, type, text, templateName, languageCode, parameters, replyTo
+ */
+router.patch('/scheduled/:scheduledId', requireSendPermission, requireScheduledAccess, async (req, res) => {
+  try {
+    const { scheduled } = req;
+
+    if (scheduled.status !== 'scheduled') {
+      return res.status(409).json({ success: false, error: `Only scheduled messages can be edited (status: ${scheduled.status})` });
+    }
+
+    const { fields, error } = buildScheduledFields(req.body, scheduled);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    if (fields.kind === 'template' && !hasPermission(req.user, 'templates.send')) {
+      return res.status(403).json({ success: false, error: 'Permission templates.send required to schedule a template' });
+    }
+
+    const result = await editScheduledMessage({ io }, { scheduled, fields });
+    if (result.conflict) {
+      return res.status(409).json({ success: false, error: 'Scheduled message is already being sent' });
+    }
+
+    await recordAudit(req, { action: 'message.schedule_update', targetType: 'scheduled_message', targetId: scheduled.id, before: scheduled, after: result.scheduled, metadata: { room_id: scheduled.room_id } });
+
+    res.json({ success: true, data: result.scheduled, customer_window: result.customer_window, warning: result.warning });
+  } catch (err) {
+    logger.error({ err, scheduledId: req.params.scheduledId }, 'Failed to update scheduled message');
+    res.status(500).json({ success: false, error: 'Failed to update scheduled message' });
+  }
+});
+
+/**
+ * Cancel a scheduled message (only while status is 'scheduled')
+ * DELETE /messages/scheduled/:scheduledId
+ */
+router.delete('/scheduled/:scheduledId', requireScheduledAccess, async (req, res) => {
+  try {
+    const { scheduled } = req;
+
+    if (scheduled.status !== 'scheduled') {
+      return res.status(409).json({ success: false, error: `Only scheduled messages can be cancelled (status: ${scheduled.status})` });
+    }
+
+    const result = await cancelScheduledMessage({ io }, { scheduled, user: req.user });
+    if (result.conflict) {
+      return res.status(409).json({ success: false, error: 'Scheduled message is already being sent' });
+    }
+
+    await recordAudit(req, { action: 'message.schedule_cancel', targetType: 'scheduled_message', targetId: scheduled.id, before: scheduled, after: result.scheduled, metadata: { room_id: scheduled.room_id } });
+
+    res.json({ success: true, data: result.scheduled });
+  } catch (err) {
+    logger.error({ err, scheduledId: req.params.scheduledId }, 'Failed to cancel scheduled message');
+    res.status(500).json({ success: false, error: 'Failed to cancel scheduled message' });
+  }
+});
+
 // Configure multer for media uploads
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -99,32 +513,10 @@ const upload = multer({
 });
 
 /**
- * Helper function to validate user_id - REQUIRED for all outgoing messages
+ * WhatsApp channel a room is bound to: replies go out through the number the customer wrote to
  */
-async function validateUserId(user_id, required = true) {
-  try {
-    // user_id is REQUIRED for all outgoing messages (agents/admin send messages)
-    if (!user_id && required) {
-      throw new Error('user_id is required for all outgoing messages. Only agents/admin can send messages.');
-    }
-    
-    // If no user_id provided and not required, it's a customer message (null)
-    if (!user_id) {
-      return null;
-    }
-    
-    // Validate that user exists in database
-    const user = await getUserForMessage(user_id);
-    if (!user) {
-      throw new Error(`User not found for user_id: ${user_id}`);
-    }
-    
-    return user_id;
-    
-  } catch (error) {
-    logger.error({ err: error, user_id }, 'Error validating user_id');
-    throw error;
-  }
+async function channelForRoom(roomId) {
+  return getSendingChannel(await getRoom(roomId));
 }
 
 /**
@@ -139,18 +531,12 @@ async function ensureRoomAndGetId(phone, metadata = {}) {
  * Send text message to WhatsApp
  * POST /messages/send
  */
-router.post('/send', async (req, res) => {
+router.post('/send', requireSendPermission, requireBodyRoomAccess, requireRoomRecipient, async (req, res) => {
   try {
-    const { to, text, room_id, user_id, ...options } = req.body;
+    const { to, text, room_id, ...options } = req.body;
     
-    // REQUIRED: Validate user_id for all outgoing messages
-    if (!user_id) {
-      return res.status(400).json({ 
-        error: 'user_id is required for all outgoing messages. Only agents/admin can send messages.',
-        required_fields: ['to', 'text', 'room_id', 'user_id']
-      });
-    }
-    const validatedUserId = await validateUserId(user_id, true);
+    // Sender is always the authenticated user
+    const validatedUserId = req.user.id;
     
     if (!to || !text || !room_id) {
       return res.status(400).json({ 
@@ -171,98 +557,42 @@ router.post('/send', async (req, res) => {
     
     // Use room_id from frontend directly
     const roomId = room_id;
+    const channel = await channelForRoom(roomId);
 
-    // 1) Send to WhatsApp first to get message ID
-    let result;
-    try {
-      result = await sendTextMessage(cleanPhone, text, { ...options, replyTo });
-    } catch (sendErr) {
-      logger.error({ err: sendErr, to: cleanPhone, text }, 'Failed to send text message to WhatsApp');
-      throw new Error(`WhatsApp send failed: ${sendErr.message}`);
-    }
-
-    // 2) Get WhatsApp message ID from response
-    const waMessageId = result.messages?.[0]?.id || null;
-    
-    // 3) Insert to database with WhatsApp message ID already included
+    // Saved as pending, the outbound queue sends it and reports the result via message:status_update
     const messageId = uuidv4();
     const baseMeta = { direction: 'outgoing', source: 'api', type: 'text' };
     if (replyTo) baseMeta.reply_to = replyTo;
-    
-    const messageData = {
-      id: messageId,
-      room_id: roomId,
-      user_id: validatedUserId,
-      content_type: 'text',
-      content_text: text,
-      media_type: null,
-      media_id: null,
-      gcs_filename: null,
-      gcs_url: null,
-      file_size: null,
-      mime_type: null,
-      original_filename: null,
-      wa_message_id: waMessageId, // Insert with WhatsApp message ID directly
-      reply_to_wa_message_id: replyTo || null,
-      metadata: baseMeta,
-      created_at: new Date().toISOString()
-    };
-    
-    try {
-      await insertMessage(messageData);
-    } catch (insertErr) {
-      logger.error({ err: insertErr, messageId, waMessageId, to: cleanPhone }, 'Failed to insert text message to database (message already sent to WhatsApp)');
-      // Don't throw error here since WhatsApp message was sent successfully
-    }
-
-    logger.info({ to: cleanPhone, messageId, waMessageId }, 'Text message sent to WhatsApp and saved to database');
 
-    // Emit Socket.IO event for real-time updates with explicit null fallbacks
-    if (io) {
-      const messagePayload = {
+    const { message } = await enqueueOutboundMessage({ io }, {
+      message: {
         id: messageId,
         room_id: roomId,
         user_id: validatedUserId,
         content_type: 'text',
         content_text: text,
-        wa_message_id: waMessageId || null,
-        status: 'sent',
-        status_timestamp: messageData.created_at,
         reply_to_wa_message_id: replyTo || null,
-        reaction_emoji: null,
-        reaction_to_wa_message_id: null,
-        media_type: null,
-        media_id: null,
-        gcs_filename: null,
-        gcs_url: null,
-        file_size: null,
-        mime_type: null,
-        original_filename: null,
-        metadata: baseMeta || null,
-        created_at: messageData.created_at,
-        updated_at: messageData.created_at
-      };
-      
-      // Emit message object directly (not wrapped)
-      io.to(`room:${roomId}`).emit('room:new_message', messagePayload);
-      io.emit('new_message', messagePayload);
-      
-      logger.info({ 
-        messageId, 
-        roomId: roomId,
-        userId: validatedUserId,
-        hasId: !!messagePayload.id,
-        payloadKeys: Object.keys(messagePayload)
-      }, '📡 Emitting new_message events for agent message');
-    }
+        metadata: baseMeta
+      },
+      to: cleanPhone,
+      channel,
+      kind: 'text',
+      payload: { text, replyTo }
+    });
 
-    res.json({
+    logger.info({ to: cleanPhone, messageId, roomId }, 'Text message queued for WhatsApp');
+
+    await recordAudit(req, { action: 'message.send', targetType: 'message', targetId: messageId, metadata: { room_id: roomId, content_type: 'text', to: cleanPhone } });
+
+    res.status(202).json({
       success: true,
       to: cleanPhone,
       type: 'text',
       message_id: messageId,
-      whatsapp_message_id: waMessageId,
-      result
+      whatsapp_message_id: null,
+      status: 'pending',
+      queued: true,
+      message
     });
     
   } catch (err) {
@@ -282,104 +612,46 @@ router.post('/send', async (req, res) => {
 /**
  * Send contacts message
  * POST /messages/send-contacts
- * body: { to, contacts: [...], room_id, replyTo?, user_id?, sender_name? }
+ * body: { to, contacts: [...], room_id, replyTo? }
  */
-router.post('/send-contacts', async (req, res) => {
+router.post('/send-contacts', requireSendPermission, requireBodyRoomAccess, requireRoomRecipient, async (req, res) => {
   try {
-    const { to, contacts, room_id, replyTo, user_id } = req.body;
+    const { to, contacts, room_id, replyTo } = req.body;
     
-    // REQUIRED: Validate user_id for all outgoing messages
-    if (!user_id) {
-      return res.status(400).json({ 
-        error: 'user_id is required for all outgoing messages. Only agents/admin can send contacts.',
-        required_fields: ['to', 'contacts', 'room_id', 'user_id']
-      });
-    }
-    const validatedUserId = await validateUserId(user_id, true);
+    // Sender is always the authenticated user
+    const validatedUserId = req.user.id;
     if (!to || !Array.isArray(contacts) || contacts.length === 0 || !room_id) {
       return res.status(400).json({ error: 'to, room_id and contacts[] required' });
     }
     const cleanPhone = validateWhatsAppPhoneNumber(to);
     const contactsRoomId = room_id;
+    const channel = await channelForRoom(contactsRoomId);
 
-    // 1) Send to WhatsApp first to get message ID
-    let result;
-    try {
-      result = await sendContactsMessage(cleanPhone, contacts, { replyTo });
-    } catch (sendErr) {
-      logger.error({ err: sendErr, to: cleanPhone, contacts }, 'Failed to send contacts message to WhatsApp');
-      throw new Error(`WhatsApp send failed: ${sendErr.message}`);
-    }
-
-    // 2) Get WhatsApp message ID from response
-    const waMessageId = result.messages?.[0]?.id || null;
-    
-    // 3) Insert to database with WhatsApp message ID already included
     const messageId = uuidv4();
     const meta = { direction: 'outgoing', source: 'api', type: 'contacts' };
     if (replyTo) meta.reply_to = replyTo;
-    
-    const messageData = {
-      id: messageId,
-      room_id: contactsRoomId,
-      user_id: validatedUserId,
-      content_type: 'contacts',
-      content_text: `contacts:${contacts.length}`,
-      media_type: null,
-      media_id: null,
-      gcs_filename: null,
-      gcs_url: null,
-      file_size: null,
-      mime_type: null,
-      original_filename: null,
-      wa_message_id: waMessageId, // Insert with WhatsApp message ID directly
-      reply_to_wa_message_id: replyTo || null,
-      metadata: meta,
-      created_at: new Date().toISOString()
-    };
-    
-    try {
-      await insertMessage(messageData);
-    } catch (insertErr) {
-      logger.error({ err: insertErr, messageId, waMessageId, to: cleanPhone }, 'Failed to insert contacts message to database (message already sent to WhatsApp)');
-      // Don't throw error here since WhatsApp message was sent successfully
-    }
 
-    // Emit Socket.IO event
-    if (io) {
-      const messagePayload = {
+    const { message } = await enqueueOutboundMessage({ io }, {
+      message: {
         id: messageId,
         room_id: contactsRoomId,
         user_id: validatedUserId,
         content_type: 'contacts',
         content_text: `contacts:${contacts.length}`,
-        wa_message_id: waMessageId,
-        status: 'sent',
-        status_timestamp: messageData.created_at,
         reply_to_wa_message_id: replyTo || null,
-        reaction_emoji: null,
-        reaction_to_wa_message_id: null,
-        media_type: null,
-        media_id: null,
-        gcs_filename: null,
-        gcs_url: null,
-        file_size: null,
-        mime_type: null,
-        original_filename: null,
-        metadata: meta,
-        created_at: messageData.created_at,
-        updated_at: messageData.created_at
-      };
-      
-      io.to(`room:${contactsRoomId}`).emit('room:new_message', messagePayload);
-      io.emit('new_message', messagePayload);
-      
-      logger.info({ messageId, roomId: contactsRoomId }, '📡 Emitting new_message events for contacts');
-    }
+        metadata: meta
+      },
+      to: cleanPhone,
+      channel,
+      kind: 'contacts',
+      payload: { contacts, replyTo }
+    });
+
+    logger.info({ to: cleanPhone, messageId, contactsCount: contacts.length }, 'Contacts message queued for WhatsApp');
 
-    logger.info({ to: cleanPhone, messageId, waMessageId, contactsCount: contacts.length }, 'Contacts message sent to WhatsApp and saved to database');
+    await recordAudit(req, { action: 'message.send', targetType: 'message', targetId: messageId, metadata: { room_id: contactsRoomId, content_type: 'contacts', to: cleanPhone } });
 
-    res.json({ success: true, to: cleanPhone, type: 'contacts', message_id: messageId, whatsapp_message_id: waMessageId, result });
+    res.status(202).json({ success: true, to: cleanPhone, type: 'contacts', message_id: messageId, whatsapp_message_id: null, status: 'pending', queued: true, message });
   } catch (err) {
     if (err._messageId) return res.status(500).json({ error: 'Failed to send contacts', message: err.message, message_id: err._messageId });
     res.status(500).json({ error: 'Failed to send contacts', message: err.message });
@@ -389,211 +661,178 @@ router.post('/send-contacts', async (req, res) => {
 /**
  * Send location message
  * POST /messages/send-location
- * body: { to, location: { latitude, longitude, name?, address? }, room_id, replyTo?, user_id?, sender_name? }
+ * body: { to, location: { latitude, longitude, name?, address? }, room_id, replyTo? }
  */
-router.post('/send-location', async (req, res) => {
+router.post('/send-location', requireSendPermission, requireBodyRoomAccess, requireRoomRecipient, async (req, res) => {
   try {
-    const { to, location, room_id, replyTo, user_id } = req.body;
+    const { to, location, room_id, replyTo } = req.body;
     
-    // REQUIRED: Validate user_id for all outgoing messages
-    if (!user_id) {
-      return res.status(400).json({ 
-        error: 'user_id is required for all outgoing messages. Only agents/admin can send location.',
-        required_fields: ['to', 'location', 'room_id', 'user_id']
-      });
-    }
-    const validatedUserId = await validateUserId(user_id, true);
+    // Sender is always the authenticated user
+    const validatedUserId = req.user.id;
     if (!to || !location || typeof location.latitude !== 'number' || typeof location.longitude !== 'number' || !room_id) {
       return res.status(400).json({ error: 'to, room_id and location.latitude/longitude required' });
     }
     const cleanPhone = validateWhatsAppPhoneNumber(to);
     const locationRoomId = room_id;
+    const channel = await channelForRoom(locationRoomId);
 
-    // 1) Send to WhatsApp first to get message ID
-    let result;
-    try {
-      result = await sendLocationMessage(cleanPhone, location, { replyTo });
-    } catch (sendErr) {
-      logger.error({ err: sendErr, to: cleanPhone, location }, 'Failed to send location message to WhatsApp');
-      throw new Error(`WhatsApp send failed: ${sendErr.message}`);
-    }
-
-    // 2) Get WhatsApp message ID from response
-    const waMessageId = result.messages?.[0]?.id || null;
-    
-    // 3) Insert to database with WhatsApp message ID already included
     const messageId = uuidv4();
     const meta = { direction: 'outgoing', source: 'api', type: 'location', location };
     if (replyTo) meta.reply_to = replyTo;
-    
-    const messageData = {
-      id: messageId,
-      room_id: locationRoomId,
-      user_id: validatedUserId,
-      content_type: 'location',
-      content_text: `Location: ${location.latitude}, ${location.longitude}`,
-      media_type: null,
-      media_id: null,
-      gcs_filename: null,
-      gcs_url: null,
-      file_size: null,
-      mime_type: null,
-      original_filename: null,
-      wa_message_id: waMessageId, // Insert with WhatsApp message ID directly
-      reply_to_wa_message_id: replyTo || null,
-      metadata: meta,
-      created_at: new Date().toISOString()
-    };
-    
-    try {
-      await insertMessage(messageData);
-    } catch (insertErr) {
-      logger.error({ err: insertErr, messageId, waMessageId, to: cleanPhone }, 'Failed to insert location message to database (message already sent to WhatsApp)');
-      // Don't throw error here since WhatsApp message was sent successfully
-    }
 
-    // Emit Socket.IO event
-    if (io) {
-      const messagePayload = {
+    const { message } = await enqueueOutboundMessage({ io }, {
+      message: {
         id: messageId,
         room_id: locationRoomId,
         user_id: validatedUserId,
         content_type: 'location',
         content_text: `Location: ${location.latitude}, ${location.longitude}`,
-        wa_message_id: waMessageId,
-        status: 'sent',
-        status_timestamp: messageData.created_at,
         reply_to_wa_message_id: replyTo || null,
-        reaction_emoji: null,
-        reaction_to_wa_message_id: null,
-        media_type: null,
-        media_id: null,
-        gcs_filename: null,
-        gcs_url: null,
-        file_size: null,
-        mime_type: null,
-        original_filename: null,
-        metadata: meta,
-        created_at: messageData.created_at,
-        updated_at: messageData.created_at
-      };
-      
-      io.to(`room:${locationRoomId}`).emit('room:new_message', messagePayload);
-      io.emit('new_message', messagePayload);
-      
-      logger.info({ messageId, roomId: locationRoomId }, '📡 Emitting new_message events for location');
-    }
+        metadata: meta
+      },
+      to: cleanPhone,
+      channel,
+      kind: 'location',
+      payload: { location, replyTo }
+    });
+
+    logger.info({ to: cleanPhone, messageId, location }, 'Location message queued for WhatsApp');
 
-    logger.info({ to: cleanPhone, messageId, waMessageId, location }, 'Location message sent to WhatsApp and saved to database');
+    await recordAudit(req, { action: 'message.send', targetType: 'message', targetId: messageId, metadata: { room_id: locationRoomId, content_type: 'location', to: cleanPhone } });
 
-    res.json({ success: true, to: cleanPhone, type: 'location', message_id: messageId, whatsapp_message_id: waMessageId, result });
+    res.status(202).json({ success: true, to: cleanPhone, type: 'location', message_id: messageId, whatsapp_message_id: null, status: 'pending', queued: true, message });
   } catch (err) {
     if (err._messageId) return res.status(500).json({ error: 'Failed to send location', message: err.message, message_id: err._messageId });
     res.status(500).json({ error: 'Failed to send location', message: err.message });
   }
 });
 
+/**
+ * Share catalog products (e.g. loan products) in a room
+ * POST /messages/send-product
+ * body: { to, room_id, catalog_id?, product_retailer_id, body?, footer?, replyTo? }              single product
+ *    or { to, room_id, catalog_id?, header, body, footer?, sections: [{ title, product_items: [{ product_retailer_id }] }], replyTo? }
+ * catalog_id defaults to WHATSAPP_CATALOG_ID
+ */
+router.post('/send-product', requireSendPermission, requireBodyRoomAccess, requireRoomRecipient, async (req, res) => {
+  try {
+    const { to, room_id, catalog_id, product_retailer_id, header, body, footer, sections, replyTo } = req.body;
+
+    // Sender is always the authenticated user
+    const validatedUserId = req.user.id;
+    const isList = sections !== undefined;
+    if (!to || !room_id || (!isList && !product_retailer_id)) {
+      return res.status(400).json({ error: 'to, room_id and product_retailer_id (or sections[]) required' });
+    }
+
+    if (isList) {
+      // WhatsApp limits: 10 sections, 30 products, header and body required
+      const productCount = Array.isArray(sections)
+        ? sections.reduce((sum, section) => sum + (Array.isArray(section?.product_items) ? section.product_items.length : 0), 0)
+        : 0;
+      if (!Array.isArray(sections) || sections.length === 0 || sections.length > 10 ||
+          sections.some(section => !section?.title || !Array.isArray(section.product_items) || section.product_items.length === 0)) {
+        return res.status(400).json({ error: 'sections must be 1-10 items of { title, product_items: [{ product_retailer_id }] }' });
+      }
+      if (productCount > 30) {
+        return res.status(400).json({ error: 'A product list can contain at most 30 products' });
+      }
+      if (!header || !body) {
+        return res.status(400).json({ error: 'header and body required for a product list' });
+      }
+    }
+
+    const cleanPhone = validateWhatsAppPhoneNumber(to);
+    const productRoomId = room_id;
+    const channel = await channelForRoom(productRoomId);
+
+    const messageId = uuidv4();
+    const contentType = isList ? 'product_list' : 'product';
+    const contentText = isList
+      ? `Products: ${header}`
+      : `Product: ${product_retailer_id}`;
+    const meta = {
+      direction: 'outgoing',
+      source: 'api',
+      type: contentType,
+      catalog_id: catalog_id || null,
+      ...(isList ? { header, sections } : { product_retailer_id }),
+      body: body || null,
+      footer: footer || null
+    };
+    if (replyTo) meta.reply_to = replyTo;
+
+    const { message } = await enqueueOutboundMessage({ io }, {
+      message: {
+        id: messageId,
+        room_id: productRoomId,
+        user_id: validatedUserId,
+        content_type: contentType,
+        content_text: contentText,
+        reply_to_wa_message_id: replyTo || null,
+        metadata: meta
+      },
+      to: cleanPhone,
+      channel,
+      kind: contentType,
+      payload: isList
+        ? { catalogId: catalog_id, header, body, footer, sections, replyTo }
+        : { catalogId: catalog_id, productRetailerId: product_retailer_id, body, footer, replyTo }
+    });
+
+    logger.info({ to: cleanPhone, messageId, contentType }, 'Product message queued for WhatsApp');
+
+    await recordAudit(req, { action: 'message.send', targetType: 'message', targetId: messageId, metadata: { room_id: productRoomId, content_type: contentType, to: cleanPhone } });
+
+    res.status(202).json({ success: true, to: cleanPhone, type: contentType, message_id: messageId, whatsapp_message_id: null, status: 'pending', queued: true, message });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to send product', message: err.message });
+  }
+});
+
 /**
  * Send reaction to a message
  * POST /messages/send-reaction
  * body: { to, message_id, emoji, room_id }
  */
-router.post('/send-reaction', async (req, res) => {
+router.post('/send-reaction', requireSendPermission, requireBodyRoomAccess, requireRoomRecipient, async (req, res) => {
   try {
-    const { to, message_id, emoji, room_id, user_id } = req.body;
+    const { to, message_id, emoji, room_id } = req.body;
     
-    // REQUIRED: Validate user_id for all outgoing messages
-    if (!user_id) {
-      return res.status(400).json({ 
-        error: 'user_id is required for all outgoing messages. Only agents/admin can send reactions.',
-        required_fields: ['to', 'message_id', 'emoji', 'room_id', 'user_id']
-      });
-    }
-    const validatedUserId = await validateUserId(user_id, true);
+    // Sender is always the authenticated user
+    const validatedUserId = req.user.id;
     if (!to || !message_id || !emoji || !room_id) {
       return res.status(400).json({ error: 'to, message_id, emoji, and room_id are required' });
     }
     const cleanPhone = validateWhatsAppPhoneNumber(to);
     const reactionRoomId = room_id;
+    const channel = await channelForRoom(reactionRoomId);
 
-    // 1) Send to WhatsApp first to get message ID
-    let result;
-    try {
-      result = await sendReactionMessage(cleanPhone, message_id, emoji);
-    } catch (sendErr) {
-      logger.error({ err: sendErr, to: cleanPhone, message_id, emoji }, 'Failed to send reaction message to WhatsApp');
-      throw new Error(`WhatsApp send failed: ${sendErr.message}`);
-    }
-
-    // 2) Get WhatsApp message ID from response
-    const waMessageId = result.messages?.[0]?.id || null;
-    
-    // 3) Insert to database with WhatsApp message ID already included
-    const messageId = uuidv4();
-    const meta = { direction: 'outgoing', source: 'api', type: 'reaction', reaction: { emoji, message_id } };
-    
-    const messageData = {
-      id: messageId,
-      room_id: reactionRoomId,
-      user_id: validatedUserId,
-      content_type: 'reaction',
-      content_text: `Reaction ${emoji} to ${message_id}`,
-      media_type: null,
-      media_id: null,
-      gcs_filename: null,
-      gcs_url: null,
-      file_size: null,
-      mime_type: null,
-      original_filename: null,
-      wa_message_id: waMessageId, // Insert with WhatsApp message ID directly
-      reaction_emoji: emoji,
-      reaction_to_wa_message_id: message_id,
-      metadata: meta,
-      created_at: new Date().toISOString()
-    };
-    
-    try {
-      await insertMessage(messageData);
-    } catch (insertErr) {
-      logger.error({ err: insertErr, messageId, waMessageId, to: cleanPhone }, 'Failed to insert reaction message to database (message already sent to WhatsApp)');
-      // Don't throw error here since WhatsApp message was sent successfully
-    }
+    const messageId = uuidv4();
+    const meta = { direction: 'outgoing', source: 'api', type: 'reaction', reaction: { emoji, message_id } };
 
-    // Emit Socket.IO event
-    if (io) {
-      const messagePayload = {
+    const { message } = await enqueueOutboundMessage({ io }, {
+      message: {
         id: messageId,
         room_id: reactionRoomId,
         user_id: validatedUserId,
         content_type: 'reaction',
         content_text: `Reaction ${emoji} to ${message_id}`,
-        wa_message_id: waMessageId,
-        status: 'sent',
-        status_timestamp: messageData.created_at,
-        reply_to_wa_message_id: null,
         reaction_emoji: emoji,
         reaction_to_wa_message_id: message_id,
-        media_type: null,
-        media_id: null,
-        gcs_filename: null,
-        gcs_url: null,
-        file_size: null,
-        mime_type: null,
-        original_filename: null,
-        metadata: meta,
-        created_at: messageData.created_at,
-        updated_at: messageData.created_at
-      };
-      
-      io.to(`room:${reactionRoomId}`).emit('room:new_message', messagePayload);
-      io.emit('new_message', messagePayload);
-      
-      logger.info({ messageId, roomId: reactionRoomId }, '📡 Emitting new_message events for reaction');
-    }
+        metadata: meta
+      },
+      to: cleanPhone,
+      channel,
+      kind: 'reaction',
+      payload: { messageId: message_id, emoji }
+    });
 
-    logger.info({ to: cleanPhone, messageId, waMessageId, emoji, reactionTo: message_id }, 'Reaction message sent to WhatsApp and saved to database');
+    logger.info({ to: cleanPhone, messageId, emoji, reactionTo: message_id }, 'Reaction queued for WhatsApp');
 
-    res.json({ success: true, to: cleanPhone, type: 'reaction', message_id: messageId, whatsapp_message_id: waMessageId, result });
+    await recordAudit(req, { action: 'message.send', targetType: 'message', targetId: messageId, metadata: { room_id: reactionRoomId, content_type: 'reaction', to: cleanPhone } });
+
+    res.status(202).json({ success: true, to: cleanPhone, type: 'reaction', message_id: messageId, whatsapp_message_id: null, status: 'pending', queued: true, message });
   } catch (err) {
     res.status(500).json({ error: 'Failed to send reaction', message: err.message });
   }
@@ -603,24 +842,17 @@ router.post('/send-reaction', async (req, res) => {
  * Send media message to WhatsApp
  * POST /messages/send-media
  */
-router.post('/send-media', async (req, res) => {
+router.post('/send-media', requireSendPermission, requireBodyRoomAccess, requireRoomRecipient, async (req, res) => {
   try {
-    const { to, mediaType, mediaId, mediaUrl, caption, filename, room_id, replyTo, user_id } = req.body;
+    const { to, mediaType, mediaId, mediaUrl, caption, filename, room_id, replyTo } = req.body;
     
-    // REQUIRED: user_id for all outgoing messages
-    if (!user_id) {
-      return res.status(400).json({ 
-        error: 'user_id is required for all outgoing messages. Only agents/admin can send media.',
-        required_fields: ['to', 'mediaType', 'room_id', 'user_id']
-      });
-    }
     
-    // Validate user_id
-    const validatedUserId = await validateUserId(user_id, true);
+    // Sender is always the authenticated user
+    const validatedUserId = req.user.id;
     
     if (!to || !mediaType || !room_id) {
       return res.status(400).json({ 
-        error: 'Missing required fields: to, mediaType, room_id, user_id' 
+        error: 'Missing required fields: to, mediaType, room_id' 
       });
     }
     
@@ -634,65 +866,11 @@ router.post('/send-media', async (req, res) => {
     
     // Use room_id from frontend directly
     const roomId = room_id;
+    const channel = await channelForRoom(roomId);
     
-    let result;
-    
-    if (mediaId) {
-      // Send using WhatsApp media ID
-      result = await sendMediaMessage(cleanPhone, mediaType, mediaId, {
-        caption,
-        filename,
-        replyTo
-      });
-    } else {
-      // Send using URL
-      result = await sendMediaByUrl(cleanPhone, mediaType, mediaUrl, {
-        caption,
-        filename,
-        replyTo
-      });
-    }
-    
-    const waMessageId = result.messages?.[0]?.id || null;
-    
-    // Save to database
     const messageId = uuidv4();
-    const messageData = {
-      id: messageId,
-      room_id: roomId,
-      user_id: validatedUserId,
-      content_type: 'media',
-      content_text: caption || null,
-      media_type: mediaType,
-      media_id: mediaId || null,
-      gcs_filename: null,
-      gcs_url: mediaUrl || null,
-      file_size: null,
-      mime_type: null,
-      original_filename: filename || null,
-      wa_message_id: waMessageId,
-      reply_to_wa_message_id: replyTo || null,
-      reaction_emoji: null,
-      reaction_to_wa_message_id: null,
-      metadata: {
-        direction: 'outgoing',
-        source: 'api',
-        type: 'media',
-        media_source: mediaId ? 'whatsapp_media_id' : 'url'
-      },
-      created_at: new Date().toISOString()
-    };
-    
-    try {
-      await insertMessage(messageData);
-      logger.info({ messageId, waMessageId, roomId: roomId }, 'Media message saved to database');
-    } catch (insertErr) {
-      logger.error({ err: insertErr, messageId, waMessageId }, 'Failed to insert media message to database (message already sent to WhatsApp)');
-    }
-    
-    // Emit Socket.IO event
-    if (io) {
-      const messagePayload = {
+    const { message } = await enqueueOutboundMessage({ io }, {
+      message: {
         id: messageId,
         room_id: roomId,
         user_id: validatedUserId,
@@ -700,45 +878,43 @@ router.post('/send-media', async (req, res) => {
         content_text: caption || null,
         media_type: mediaType,
         media_id: mediaId || null,
-        gcs_filename: null,
         gcs_url: mediaUrl || null,
-        file_size: null,
-        mime_type: null,
         original_filename: filename || null,
-        wa_message_id: waMessageId,
-        status: 'sent',
-        status_timestamp: messageData.created_at,
         reply_to_wa_message_id: replyTo || null,
-        reaction_emoji: null,
-        reaction_to_wa_message_id: null,
-        metadata: messageData.metadata,
-        created_at: messageData.created_at,
-        updated_at: messageData.created_at
-      };
-      
-      io.to(`room:${roomId}`).emit('room:new_message', messagePayload);
-      io.emit('new_message', messagePayload);
-      
-      logger.info({ messageId, roomId: roomId }, '📡 Emitting new_message events for media');
-    }
+        metadata: {
+          direction: 'outgoing',
+          source: 'api',
+          type: 'media',
+          media_source: mediaId ? 'whatsapp_media_id' : 'url'
+        }
+      },
+      to: cleanPhone,
+      channel,
+      kind: 'media',
+      // Media ids must have been uploaded to the room's channel
+      payload: { mediaType, mediaId: mediaId || null, mediaUrl: mediaUrl || null, caption, filename, replyTo }
+    });
     
     logger.info({ 
       to: cleanPhone, 
       mediaType,
       mediaId: mediaId || 'url',
-      messageId,
-      waMessageId 
-    }, 'Media message sent to WhatsApp and saved to database');
+      messageId
+    }, 'Media message queued for WhatsApp');
     
-    res.json({
+    await recordAudit(req, { action: 'message.send', targetType: 'message', targetId: messageId, metadata: { room_id: roomId, content_type: mediaType, to: cleanPhone } });
+
+    res.status(202).json({
       success: true,
       to: cleanPhone,
       mediaType,
       mediaId: mediaId || null,
       mediaUrl: mediaUrl || null,
       message_id: messageId,
-      whatsapp_message_id: waMessageId,
-      result
+      whatsapp_message_id: null,
+      status: 'pending',
+      queued: true,
+      message
     });
     
   } catch (err) {
@@ -760,17 +936,10 @@ router.post('/send-media', async (req, res) => {
  * - Audio: ❌ Caption not supported (ignored by WhatsApp)
  * - Document: ⚠️ Caption supported but may not display in all clients
  */
-router.post('/send-media-file', upload.single('media'), async (req, res) => {
+router.post('/send-media-file', requireSendPermission, upload.single('media'), requireBodyRoomAccess, requireRoomRecipient, async (req, res) => {
   try {
-    const { to, caption, room_id, replyTo, user_id } = req.body;
+    const { to, caption, room_id, replyTo } = req.body;
     
-    // REQUIRED: Validate user_id for all outgoing messages
-    if (!user_id) {
-      return res.status(400).json({ 
-        error: 'user_id is required for all outgoing messages. Only agents/admin can send media.',
-        required_fields: ['to', 'media', 'room_id', 'user_id']
-      });
-    }
     
     if (!to || !room_id) {
       return res.status(400).json({ error: 'Phone number (to) and room_id required' });
@@ -780,7 +949,8 @@ router.post('/send-media-file', upload.single('media'), async (req, res) => {
       return res.status(400).json({ error: 'Media file required' });
     }
     
-    const validatedUserId = await validateUserId(user_id, true);
+    // Sender is always the authenticated user
+    const validatedUserId = req.user.id;
     
     const cleanPhone = validateWhatsAppPhoneNumber(to);
     const { buffer, originalname, mimetype } = req.file;
@@ -799,61 +969,20 @@ router.post('/send-media-file', upload.single('media'), async (req, res) => {
     
     // Use room_id from frontend directly
     const roomId = room_id;
+    const channel = await channelForRoom(roomId);
     
     // 1. Upload media to WhatsApp
     const uploadResult = await uploadMediaToWhatsApp({
       buffer,
       filename: originalname,
-      mimeType: mimetype
-    });
-    
-    // 2. Send media message
-    const sendResult = await sendMediaMessage(cleanPhone, mediaType, uploadResult.id, {
-      caption,
-      filename: originalname,
-      replyTo
+      mimeType: mimetype,
+      channel
     });
     
-    const waMessageId = sendResult.messages?.[0]?.id || null;
-    
-    // 2.5. Save media message to database
+    // 2. Queue the media message (the upload stays synchronous, the media id is reused on retry)
     const mediaMessageId = uuidv4();
-    const mediaMessageData = {
-      id: mediaMessageId,
-      room_id: roomId,
-      user_id: validatedUserId,
-      content_type: 'media',
-      content_text: caption || null,
-      media_type: mediaType,
-      media_id: uploadResult.id,
-      gcs_filename: null,
-      gcs_url: null,
-      file_size: buffer.length,
-      mime_type: mimetype,
-      original_filename: originalname,
-      wa_message_id: waMessageId,
-      reply_to_wa_message_id: replyTo || null,
-      reaction_emoji: null,
-      reaction_to_wa_message_id: null,
-      metadata: {
-        direction: 'outgoing',
-        source: 'api',
-        type: 'media',
-        upload_method: 'send-media-file'
-      },
-      created_at: new Date().toISOString()
-    };
-    
-    try {
-      await insertMessage(mediaMessageData);
-      logger.info({ messageId: mediaMessageId, waMessageId, roomId: roomId }, 'Media message saved to database');
-    } catch (insertErr) {
-      logger.error({ err: insertErr, messageId: mediaMessageId, waMessageId }, 'Failed to insert media message to database (message already sent to WhatsApp)');
-    }
-    
-    // Emit Socket.IO event for media message
-    if (io) {
-      const messagePayload = {
+    const { message } = await enqueueOutboundMessage({ io }, {
+      message: {
         id: mediaMessageId,
         room_id: roomId,
         user_id: validatedUserId,
@@ -861,38 +990,34 @@ router.post('/send-media-file', upload.single('media'), async (req, res) => {
         content_text: caption || null,
         media_type: mediaType,
         media_id: uploadResult.id,
-        gcs_filename: null,
-        gcs_url: null,
         file_size: buffer.length,
         mime_type: mimetype,
         original_filename: originalname,
-        wa_message_id: waMessageId,
-        status: 'sent',
-        status_timestamp: mediaMessageData.created_at,
         reply_to_wa_message_id: replyTo || null,
-        reaction_emoji: null,
-        reaction_to_wa_message_id: null,
-        metadata: mediaMessageData.metadata,
-        created_at: mediaMessageData.created_at,
-        updated_at: mediaMessageData.created_at
-      };
-      
-      io.to(`room:${roomId}`).emit('room:new_message', messagePayload);
-      io.emit('new_message', messagePayload);
-      
-      logger.info({ messageId: mediaMessageId, roomId: roomId }, '📡 Emitting new_message events for media file');
-    }
+        metadata: {
+          direction: 'outgoing',
+          source: 'api',
+          type: 'media',
+          upload_method: 'send-media-file'
+        }
+      },
+      to: cleanPhone,
+      channel,
+      kind: 'media',
+      payload: { mediaType, mediaId: uploadResult.id, caption, filename: originalname, replyTo }
+    });
     
     logger.info({ 
       to: cleanPhone,
       mediaType,
       filename: originalname,
       mediaId: uploadResult.id,
-      mediaMessageId,
-      waMessageId
-    }, 'Media uploaded, sent to WhatsApp, and saved to database successfully');
+      mediaMessageId
+    }, 'Media uploaded to WhatsApp and queued for sending');
     
-    res.json({
+    await recordAudit(req, { action: 'message.send', targetType: 'message', targetId: mediaMessageId, metadata: { room_id: roomId, content_type: mediaType, to: cleanPhone } });
+
+    res.status(202).json({
       success: true,
       to: cleanPhone,
       mediaType,
@@ -900,9 +1025,11 @@ router.post('/send-media-file', upload.single('media'), async (req, res) => {
       size: buffer.length,
       message_id: mediaMessageId,
       whatsapp_media_id: uploadResult.id,
-      whatsapp_message_id: waMessageId,
+      whatsapp_message_id: null,
+      status: 'pending',
+      queued: true,
       upload: uploadResult,
-      send: sendResult
+      message
     });
     
   } catch (err) {
@@ -922,7 +1049,7 @@ router.post('/send-media-file', upload.single('media'), async (req, res) => {
 /**
  * Combined flow: upload to Supabase Storage + persist DB + upload to WhatsApp + send to WhatsApp
  * POST /messages/send-media-combined
- * Form fields: media (file), to (phone), room_id (required), caption (optional), user_id (required)
+ * Form fields: media (file), to (phone), room_id (required), caption (optional)
  * 
  * Caption Support by Media Type:
  * - Image: ✅ Caption supported natively by WhatsApp
@@ -930,20 +1057,13 @@ router.post('/send-media-file', upload.single('media'), async (req, res) => {
  * - Audio: ❌ Caption not supported (ignored by WhatsApp)
  * - Document: ⚠️ Caption supported but may not display in all clients
  */
-router.post('/send-media-combined', upload.single('media'), async (req, res) => {
+router.post('/send-media-combined', requireSendPermission, upload.single('media'), requireBodyRoomAccess, requireRoomRecipient, async (req, res) => {
   try {
-    const { to, caption = '', room_id, replyTo, user_id } = req.body;
+    const { to, caption = '', room_id, replyTo } = req.body;
     
-    // REQUIRED: Validate user_id for all outgoing messages
-    if (!user_id) {
-      return res.status(400).json({ 
-        error: 'user_id is required for all outgoing messages. Only agents/admin can send media.',
-        required_fields: ['to', 'media', 'room_id', 'user_id']
-      });
-    }
     
-    // Validate user_id and other required fields
-    const validatedUserId = await validateUserId(user_id, true);
+    // Sender is always the authenticated user
+    const validatedUserId = req.user.id;
 
     if (!to || !room_id) {
       return res.status(400).json({ error: 'Phone number (to) and room_id required' });
@@ -1004,6 +1124,7 @@ router.post('/send-media-combined', upload.single('media'), async (req, res) =>
 
     // Use room_id from frontend directly
     const mediaRoomId = room_id;
+    const channel = await channelForRoom(mediaRoomId);
     
     logger.info({ 
       to: cleanPhone, 
@@ -1013,7 +1134,7 @@ router.post('/send-media-combined', upload.single('media'), async (req, res) =>
       conversionPerformed 
     }, '🚀 Starting OPTIMIZED combined media flow with parallel uploads');
 
-    let supabaseStorage, messageId, waUpload, sendResult;
+    let supabaseStorage, messageId, waUpload, queued;
 
     try {
       // OPTIMIZATION: Run Supabase Storage upload and WhatsApp upload in PARALLEL
@@ -1034,7 +1155,8 @@ router.post('/send-media-combined', upload.single('media'), async (req, res) =>
         uploadMediaToWhatsApp({
           buffer: processedBuffer,
           filename: processedFilename,
-          mimeType: processedMimetype
+          mimeType: processedMimetype,
+          channel
         })
       ]);
 
@@ -1074,46 +1196,7 @@ router.post('/send-media-combined', upload.single('media'), async (req, res) =>
         };
       }
 
-      // 3) Send WhatsApp message using media ID
-      logger.info({ mediaId: waUpload.id }, '📤 Sending WhatsApp message...');
-      
-      sendResult = await sendMediaMessage(cleanPhone, mediaType, waUpload.id, {
-        caption: caption || '',
-        filename: processedFilename,
-        replyTo
-      });
-      
-      // CRITICAL: Validate WhatsApp send result
-      if (!sendResult || !sendResult.messages || sendResult.messages.length === 0) {
-        logger.error({ 
-          sendResult,
-          mediaId: waUpload.id,
-          to: cleanPhone,
-          mediaType
-        }, '❌ WhatsApp send failed - no messages in response');
-        throw new Error('WhatsApp send failed: No messages in response');
-      }
-      
-      const waMessageId = sendResult.messages?.[0]?.id || null;
-      
-      if (!waMessageId) {
-        logger.error({ 
-          sendResult,
-          mediaId: waUpload.id,
-          to: cleanPhone
-        }, '❌ WhatsApp send failed - no message ID in response');
-        throw new Error('WhatsApp send failed: No message ID returned');
-      }
-      
-      logger.info({ 
-        waMessageId, 
-        mediaId: waUpload.id,
-        to: cleanPhone,
-        converted: conversionPerformed,
-        sendResultFull: sendResult
-      }, '✅ WhatsApp message sent successfully');
-
-      // 4) Create DB row with ALL data at once (optimized - single query)
+      // 3) Create the DB row as pending and queue the send (the media id is reused on retry)
       messageId = uuidv4();
       
       const metadata = {
@@ -1122,7 +1205,6 @@ router.post('/send-media-combined', upload.single('media'), async (req, res) =>
         filename: originalname,
         upload_step: 'complete',
         whatsapp_media_id: waUpload.id,
-        whatsapp_message_id: waMessageId,
         ...(conversionPerformed && {
           audio_conversion: {
             original_format: mimetype,
@@ -1137,75 +1219,8 @@ router.post('/send-media-combined', upload.single('media'), async (req, res) =>
       
       const storedName = (supabaseStorage.gcsFilename || '').split('/').pop() || processedFilename;
       
-      const messageData = {
-        id: messageId,
-        room_id: mediaRoomId,
-        user_id: validatedUserId,
-        content_type: 'media',
-        content_text: caption || null,
-        media_type: mediaType,
-        media_id: waUpload.id, // Already have media ID
-        gcs_filename: supabaseStorage.gcsFilename,
-        gcs_url: supabaseStorage.url,
-        file_size: supabaseStorage.size,
-        mime_type: processedMimetype, // Store converted MIME type
-        original_filename: storedName,
-        wa_message_id: waMessageId, // Already have message ID
-        status: null,
-        status_timestamp: null,
-        reply_to_wa_message_id: replyTo || null,
-        reaction_emoji: null,
-        reaction_to_wa_message_id: null,
-        metadata: metadata,
-        created_at: new Date().toISOString()
-      };
-      
-      logger.info({ 
-        messageData,
-        fieldTypes: {
-          id: typeof messageData.id,
-          room_id: typeof messageData.room_id,
-          user_id: typeof messageData.user_id,
-          content_type: typeof messageData.content_type,
-          content_text: typeof messageData.content_text,
-          media_type: typeof messageData.media_type,
-          media_id: typeof messageData.media_id,
-          wa_message_id: typeof messageData.wa_message_id,
-          metadata: typeof messageData.metadata,
-          metadataIsObject: messageData.metadata !== null && typeof messageData.metadata === 'object',
-          metadataKeys: messageData.metadata ? Object.keys(messageData.metadata) : null
-        }
-      }, '💾 About to insert message to database - DETAILED DEBUG');
-      
-      try {
-        logger.info({ messageId, step: 'before_insert' }, '🔍 Starting database insert...');
-        await insertMessage(messageData);
-        logger.info({ messageId, step: 'after_insert' }, '✅ Database insert successful');
-      } catch (insertErr) {
-        logger.error({ 
-          err: insertErr,
-          errMessage: insertErr.message,
-          errStack: insertErr.stack,
-          errCode: insertErr.code,
-          messageData,
-          step: 'database_insert_failed'
-        }, '❌ CRITICAL: Database insert FAILED - but WhatsApp message already sent');
-        
-        // Don't throw - WhatsApp message already sent successfully
-        // Just log the error and continue with response
-      }
-      
-      logger.info({ 
-        messageId, 
-        room_id: cleanPhone, 
-        mediaId: waUpload.id,
-        waMessageId,
-        hasSupabaseBackup: !!supabaseStorage?.url
-      }, '✅ Message record created in database with complete data');
-
-      // Emit Socket.IO event
-      if (io) {
-        const messagePayload = {
+      queued = await enqueueOutboundMessage({ io }, {
+        message: {
           id: messageId,
           room_id: mediaRoomId,
           user_id: validatedUserId,
@@ -1216,30 +1231,21 @@ router.post('/send-media-combined', upload.single('media'), async (req, res) =>
           gcs_filename: supabaseStorage.gcsFilename,
           gcs_url: supabaseStorage.url,
           file_size: supabaseStorage.size,
-          mime_type: processedMimetype, // Use converted MIME type
+          mime_type: processedMimetype, // Store converted MIME type
           original_filename: storedName,
-          wa_message_id: waMessageId,
-          status: 'sent',
-          status_timestamp: messageData.created_at,
           reply_to_wa_message_id: replyTo || null,
-          reaction_emoji: null,
-          reaction_to_wa_message_id: null,
-          metadata: metadata,
-          created_at: messageData.created_at,
-          updated_at: messageData.created_at
-        };
-        
-        io.to(`room:${mediaRoomId}`).emit('room:new_message', messagePayload);
-        io.emit('new_message', messagePayload);
-        
-        logger.info({ messageId, roomId: mediaRoomId }, '📡 Emitting new_message events for media combined');
-      }
+          metadata
+        },
+        to: cleanPhone,
+        channel,
+        kind: 'media',
+        payload: { mediaType, mediaId: waUpload.id, caption: caption || '', filename: processedFilename, replyTo }
+      });
 
       logger.info({
         to: cleanPhone,
         mediaType,
         mediaId: waUpload.id,
-        waMessageId,
         gcsFilename: supabaseStorage?.gcsFilename || 'backup_failed',
         gcsUrl: supabaseStorage?.url || null,
         messageId,
@@ -1253,9 +1259,11 @@ router.post('/send-media-combined', upload.single('media'), async (req, res) =>
             convertedSize: processedBuffer.length
           }
         })
-      }, '🎉 OPTIMIZED combined media flow completed successfully (parallel uploads)');
+      }, '🎉 Combined media flow completed, message queued for WhatsApp');
+
+      await recordAudit(req, { action: 'message.send', targetType: 'message', targetId: messageId, metadata: { room_id: mediaRoomId, content_type: mediaType, to: cleanPhone } });
 
-      return res.json({
+      return res.status(202).json({
         success: true,
         to: cleanPhone,
         mediaType,
@@ -1263,7 +1271,10 @@ router.post('/send-media-combined', upload.single('media'), async (req, res) =>
         size: processedBuffer.length, // Return converted size
         message_id: messageId,
         whatsapp_media_id: waUpload.id,
-        whatsapp_message_id: waMessageId,
+        whatsapp_message_id: null,
+        status: 'pending',
+        queued: true,
+        message: queued.message,
         storage_url: supabaseStorage?.url || null,
         storage_filename: supabaseStorage?.gcsFilename || null,
         storage_backup_success: !!supabaseStorage?.url,
@@ -1288,8 +1299,8 @@ router.post('/send-media-combined', upload.single('media'), async (req, res) =>
         errStack: waErr.stack,
         filename: originalname,
         step: 'whatsapp_or_database'
-      }, '❌ Failed in WhatsApp operations or database insert');
-      throw new Error(`WhatsApp/Database operation failed: ${waErr.message}`);
+      }, '❌ Failed in WhatsApp upload or queueing the message');
+      throw new Error(`WhatsApp upload or queueing failed: ${waErr.message}`);
     }
 
   } catch (err) {
@@ -1303,7 +1314,7 @@ router.post('/send-media-combined', upload.single('media'), async (req, res) =>
       hasSupabaseStorage: !!supabaseStorage,
       hasMessageId: !!messageId,
       hasWaUpload: !!waUpload,
-      hasSendResult: !!sendResult
+      queued: !!queued
     }, '❌❌❌ Combined media flow failed');
     
     return res.status(500).json({ 
@@ -1315,7 +1326,7 @@ router.post('/send-media-combined', upload.single('media'), async (req, res) =>
           storage_upload: !!supabaseStorage,
           database_insert: !!messageId,
           whatsapp_upload: !!waUpload,
-          whatsapp_send: !!sendResult
+          queued: !!queued
         }
       }
     });
@@ -1333,11 +1344,14 @@ router.post('/upload-media', upload.single('media'), async (req, res) => {
     }
     
     const { buffer, originalname, mimetype } = req.file;
+    // Media ids only work on the phone number they were uploaded to
+    const channel = await getChannel(req.body.channel_id || null);
     
     const result = await uploadMediaToWhatsApp({
       buffer,
       filename: originalname,
-      mimeType: mimetype
+      mimeType: mimetype,
+      channel
     });
     
     logger.info({ 
@@ -1370,24 +1384,71 @@ router.post('/upload-media', upload.single('media'), async (req, res) => {
 });
 
 /**
- * Get message status
+ * Get current message status
  * GET /messages/:messageId/status
  */
-router.get('/:messageId/status', async (req, res) => {
+router.get('/:messageId/status', requireMessageAccess, async (req, res) => {
+  const { message } = req;
+  res.json({
+    success: true,
+    message_id: message.id,
+    wa_message_id: message.wa_message_id || null,
+    room_id: message.room_id,
+    status: message.status || null,
+    status_timestamp: message.status_timestamp || null,
+    send_error: message.metadata?.send_error || null
+  });
+});
+
+/**
+ * Send a failed outgoing message again through the outbound queue
+ * POST /messages/:messageId/retry
+ */
+router.post('/:messageId/retry', requireSendPermission, requireMessageAccess, async (req, res) => {
   try {
-    const { messageId } = req.params;
-    
-    // This would require implementing status tracking in your database
-    // For now, return a simple response
+    const { message } = req;
+    const result = await retryOutboundMessage(message);
+
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, error: result.message, status: message.status || null });
+    }
+
+    await recordAudit(req, { action: 'message.retry', targetType: 'message', targetId: message.id, metadata: { room_id: message.room_id, previous_status: message.status } });
+
+    res.status(202).json({ success: true, message_id: message.id, status: 'pending', queued: true, message: result.data });
+  } catch (err) {
+    logger.error({ err, messageId: req.params.messageId }, 'Failed to retry message');
+    res.status(500).json({ success: false, error: 'Failed to retry message', message: err.message });
+  }
+});
+
+/**
+ * Get full status timeline of a message, oldest first
+ * Includes out-of-order events that did not change the current status (applied: false)
+ * GET /messages/:messageId/status-history
+ */
+router.get('/:messageId/status-history', requireMessageAccess, async (req, res) => {
+  try {
+    const { message } = req;
+    const { rows } = await getStatusHistory(message.id);
+
     res.json({
-      message_id: messageId,
-      status: 'Status tracking not yet implemented',
-      note: 'Check your database for message status updates from webhooks'
+      success: true,
+      message_id: message.id,
+      wa_message_id: message.wa_message_id || null,
+      current_status: message.status || null,
+      history: rows.map(entry => ({
+        status: entry.status,
+        timestamp: entry.timestamp,
+        applied: entry.applied !== false,
+        recipient_id: entry.recipient_id || null,
+        errors: entry.metadata?.statuses?.find(s => s.id === message.wa_message_id && s.status === entry.status)?.errors || null,
+        received_at: entry.created_at
+      }))
     });
-    
   } catch (err) {
-    logger.error({ err, messageId: req.params.messageId }, 'Failed to get message status');
-    res.status(500).json({ error: 'Failed to get message status' });
+    logger.error({ err, messageId: req.params.messageId }, 'Failed to get message status history');
+    res.status(500).json({ success: false, error: 'Failed to get message status history' });
   }
 });
 
@@ -1395,7 +1456,7 @@ router.get('/:messageId/status', async (req, res) => {
  * Debug message delivery status
  * GET /messages/debug/:waMessageId
  */
-router.get('/debug/:waMessageId', async (req, res) => {
+router.get('/debug/:waMessageId', requireDebugPermission, async (req, res) => {
   try {
     const { waMessageId } = req.params;
     
@@ -1455,7 +1516,7 @@ router.get('/debug/:waMessageId', async (req, res) => {
  * - If provided → Use existing room
  * - If empty/null → Create new room (customer baru)
  */
-router.post('/send-template', async (req, res) => {
+router.post('/send-template', requirePermission('templates.send'), requireBodyRoomAccess, requireRoomRecipient, async (req, res) => {
   try {
     const { 
       to, 
@@ -1463,39 +1524,29 @@ router.post('/send-template', async (req, res) => {
       languageCode, 
       parameters = [],
       room_id,
-      replyTo,
-      user_id
+      channel_id,
+      replyTo
     } = req.body;
     
-    // REQUIRED: Validate user_id for template messages (templates can ONLY be sent by agents/admin)
-    if (!user_id) {
-      return res.status(400).json({ 
-        error: 'user_id is REQUIRED for template messages. Only agents/admin can send templates, never customers.',
-        required_fields: ['to', 'templateName', 'languageCode', 'user_id'],
-        note: 'Template messages are business-initiated conversations that can only be sent by your team.'
-      });
-    }
     
-    // Validate user_id 
-    const validatedUserId = await validateUserId(user_id, true);
+    // Sender is always the authenticated user
+    const validatedUserId = req.user.id;
     
     if (!to || !templateName || !languageCode) {
       return res.status(400).json({ 
-        error: 'Missing required fields: to, templateName, languageCode, user_id',
+        error: 'Missing required fields: to, templateName, languageCode',
         note: 'room_id is OPTIONAL - if empty, backend will create new room for new customer',
         examples: {
           new_customer: {
             to: '6287879565390',
             templateName: 'hello_world',
             languageCode: 'en_US',
-            user_id: 'agent-001',
             room_id: null // Backend akan buatkan room baru
           },
           existing_customer: {
             to: '6287879565390',
             templateName: 'hello_world',
             languageCode: 'en_US',
-            user_id: 'agent-001',
             room_id: 'existing-room-uuid-123' // Pakai room yang sudah ada
           },
           with_parameters: {
@@ -1503,7 +1554,6 @@ router.post('/send-template', async (req, res) => {
             templateName: 'welcome_message',
             languageCode: 'en_US',
             parameters: ['John Doe', 'Premium Package', '2024'],
-            user_id: 'supervisor-001',
             room_id: null // Opsional
           },
           explanation: 'Parameters will replace {{1}}, {{2}}, {{3}} etc. in your template. languageCode must match what you registered in Meta Business Manager.'
@@ -1517,15 +1567,30 @@ router.post('/send-template', async (req, res) => {
     let templateFullRoomId;
     let roomCreated = false;
     let leadsId = null;
+    let channel;
     
     if (room_id) {
-      // Use existing room from frontend
+      // Use existing room from frontend (and the WhatsApp number it is bound to)
       templateFullRoomId = room_id;
+      channel = await channelForRoom(room_id);
       logger.info({ room_id, to: cleanPhone }, '📦 Using existing room_id from frontend');
     } else {
+      // New conversations start on the requested channel_id, default channel otherwise
+      channel = await getSendingChannel({ channel_id: channel_id || null });
+
       // Create new lead + room for new customer
       const { getLeads, insertLead } = await import('../db.js');
       
+      // An existing conversation for this phone on this channel may belong to another agent
+      const existingRoom = await findRoomForChannel(cleanPhone, channel.id);
+      if (existingRoom && !(await canAccessRoom(req.user, existingRoom.id))) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied. This customer already has a room you are not assigned to.',
+          room_id: existingRoom.id
+        });
+      }
+      
       try {
         // 1. Check if lead already exists for this phone
         const existingLeadResult = await getLeads({ phone: cleanPhone });
@@ -1560,6 +1625,7 @@ router.post('/send-template', async (req, res) => {
               leadsId,
               leadData: newLeadData
             }, '✅ New lead created for template message');
+            await publishEvent('lead.created', { lead: newLeadResult.rows[0], source: 'template_message' });
           } else {
             logger.warn({ phone: cleanPhone }, '⚠️ Failed to create lead, proceeding without leads_id');
           }
@@ -1575,6 +1641,7 @@ router.post('/send-template', async (req, res) => {
       templateFullRoomId = await ensureRoomAndGetId(cleanPhone, { 
         phone: cleanPhone,
         leads_id: leadsId, // Pass leads_id to room creation
+        channel_id: channel.id,
         source: 'template_message',
         template_name: templateName,
         title: 'Personal'
@@ -1589,153 +1656,8 @@ router.post('/send-template', async (req, res) => {
       }, '🆕 Created new room for new customer (template message)');
     }
 
-    // Send template message first
-    let result;
-    try {
-      logger.info({ 
-        to: cleanPhone,
-        templateName,
-        languageCode,
-        parameters,
-        user_id: validatedUserId
-      }, '🚀 Sending template message to WhatsApp...');
-      
-      result = await sendTemplateMessage(cleanPhone, templateName, languageCode, parameters, { replyTo });
-      
-      logger.info({ 
-        templateName,
-        fullResult: result,
-        resultType: typeof result,
-        resultKeys: Object.keys(result || {}),
-        messages: result?.messages,
-        messagesLength: result?.messages?.length,
-        firstMessage: result?.messages?.[0],
-        firstMessageType: typeof result?.messages?.[0],
-        firstMessageKeys: result?.messages?.[0] ? Object.keys(result.messages[0]) : null
-      }, '✅ WhatsApp API response received');
-    } catch (sendErr) {
-      logger.error({ 
-        err: sendErr,
-        errorMessage: sendErr.message,
-        errorStack: sendErr.stack,
-        templateName, 
-        to: cleanPhone,
-        languageCode,
-        parameters
-      }, '❌ Failed to send template message to WhatsApp');
-      
-      // Return detailed error to help debug
-      return res.status(500).json({
-        success: false,
-        error: 'Failed to send template message to WhatsApp',
-        message: sendErr.message,
-        details: {
-          to: cleanPhone,
-          templateName,
-          languageCode,
-          parametersCount: parameters.length,
-          possible_causes: [
-            'Template does not exist in WhatsApp Business Manager',
-            'Template not approved yet',
-            'Template name or language code mismatch',
-            'Parameters count mismatch with template variables',
-            'WhatsApp API credentials invalid',
-            'Phone number not registered with WhatsApp Business API'
-          ],
-          troubleshooting_steps: [
-            `1. Check if template '${templateName}' exists: GET /messages/templates`,
-            '2. Verify template status is APPROVED in Meta Business Manager',
-            `3. Confirm language code '${languageCode}' matches template registration`,
-            `4. Verify parameters count (sent: ${parameters.length}) matches template variables`,
-            '5. Test with a simple template like "hello_world" first'
-          ]
-        }
-      });
-    }
-
-    const waMessageId = result.messages?.[0]?.id || null;
-    
-    logger.info({ 
-      templateName,
-      waMessageIdFromResponse: waMessageId,
-      waMessageIdType: typeof waMessageId,
-      responseMessages: result.messages,
-      extractionPath: 'result.messages[0].id',
-      extractionResult: {
-        'result': !!result,
-        'result.messages': !!result?.messages,
-        'result.messages.length': result?.messages?.length,
-        'result.messages[0]': !!result?.messages?.[0],
-        'result.messages[0].id': result?.messages?.[0]?.id
-      }
-    }, 'WhatsApp message ID extraction analysis');
-
-    // Insert to database with WhatsApp message ID included
-    const messageId = uuidv4();
-    const templateMeta = { 
-      direction: 'outgoing', 
-      source: 'api', 
-      type: 'template', 
-      templateName, 
-      languageCode,
-      parameters: parameters.length > 0 ? parameters : undefined
-    };
-    
-    const messageData = {
-      id: messageId,
-      room_id: templateFullRoomId,
-      user_id: validatedUserId,
-      content_type: 'template',
-      content_text: `Template: ${templateName}${parameters.length > 0 ? ` (${parameters.join(', ')})` : ''}`,
-      media_type: null,
-      media_id: null,
-      gcs_filename: null,
-      gcs_url: null,
-      file_size: null,
-      mime_type: null,
-      original_filename: null,
-      wa_message_id: waMessageId,
-      reply_to_wa_message_id: replyTo || null,
-      reaction_emoji: null,
-      reaction_to_wa_message_id: null,
-      metadata: templateMeta,
-      created_at: new Date().toISOString()
-    };
-    
-    try {
-      logger.info({ 
-        messageId, 
-        waMessageId,
-        templateName,
-        messageDataPreview: {
-          id: messageData.id,
-          wa_message_id: messageData.wa_message_id,
-          content_text: messageData.content_text,
-          room_id: messageData.room_id
-        }
-      }, 'About to insert template message to database');
-      
-      await insertMessage(messageData);
-      
-      logger.info({ 
-        messageId, 
-        waMessageId,
-        templateName,
-        insertSuccess: true
-      }, 'Template message sent and saved to database successfully');
-    } catch (insertErr) {
-      logger.error({ 
-        err: insertErr, 
-        messageId, 
-        waMessageId, 
-        templateName,
-        messageDataAtError: messageData
-      }, 'Failed to insert template message to database (message already sent to WhatsApp)');
-      // Don't throw error here since WhatsApp message was sent successfully
-    }
-
-    // Auto-assign room to agent if user role is 'agent' (non-blocking, runs in background)
-    // This MUST run BEFORE Socket.IO emit so frontend gets updated participant list
+    // Auto-assign room to the sender if they can only see assigned rooms
+    // This MUST run BEFORE the message is queued (and emitted) so frontend gets updated participant list
     const { getUserById, checkRoomParticipant, addRoomParticipant } = await import('../db.js');
     
     // Run auto-assign synchronously to ensure it completes before response
@@ -1745,8 +1667,8 @@ router.post('/send-template', async (req, res) => {
       if (userResult && userResult.rows && userResult.rows.length > 0) {
         const user = userResult.rows[0];
         
-        // ONLY auto-assign if user role is 'agent' (not admin/supervisor)
-        if (user.role === 'agent') {
+        // ONLY auto-assign users without rooms.view_all (they would lose access to the room otherwise)
+        if (!hasPermission(req.user, 'rooms.view_all')) {
           // Check if agent already assigned to this room
           const participantCheck = await checkRoomParticipant(templateFullRoomId, validatedUserId);
           const isAlreadyAssigned = participantCheck.rows.length > 0;
@@ -1766,6 +1688,19 @@ router.post('/send-template', async (req, res) => {
               user_role: user.role,
               action: 'auto_assign_agent_to_room'
             }, '✅ Auto-assigned agent to room for template message');
+            await recordAudit(req, {
+              action: 'room.assign',
+              targetType: 'room',
+              targetId: templateFullRoomId,
+              metadata: { user_id: validatedUserId, auto_assigned: true }
+            });
+            await publishEvent('room.assigned', {
+              room_id: templateFullRoomId,
+              user_id: validatedUserId,
+              user_name: user.name,
+              assigned_by: validatedUserId,
+              auto_assigned: true
+            });
           } else {
             logger.info({ 
               room_id: templateFullRoomId,
@@ -1777,7 +1712,7 @@ router.post('/send-template', async (req, res) => {
           logger.info({ 
             user_id: validatedUserId,
             user_role: user.role
-          }, `ℹ️ User role is '${user.role}' - skipping auto-assignment (only agents are auto-assigned)`);
+          }, `ℹ️ User role '${user.role}' can see all rooms - skipping auto-assignment`);
         }
       }
     } catch (assignErr) {
@@ -1789,65 +1724,60 @@ router.post('/send-template', async (req, res) => {
       }, '⚠️ Failed to auto-assign agent to room (non-critical error)');
     }
 
-    // Emit Socket.IO event for template message (AFTER auto-assign completes)
-    if (io) {
-      const messagePayload = {
+    // Save as pending and queue (AFTER auto-assign completes); template errors such as an unapproved
+    // template or a parameter mismatch come back as a failed status with the WhatsApp error code
+    const messageId = uuidv4();
+    const templateMeta = { 
+      direction: 'outgoing', 
+      source: 'api', 
+      type: 'template', 
+      templateName, 
+      languageCode,
+      parameters: parameters.length > 0 ? parameters : undefined
+    };
+
+    const { message } = await enqueueOutboundMessage({ io }, {
+      message: {
         id: messageId,
         room_id: templateFullRoomId,
         user_id: validatedUserId,
         content_type: 'template',
         content_text: `Template: ${templateName}${parameters.length > 0 ? ` (${parameters.join(', ')})` : ''}`,
-        wa_message_id: waMessageId || null,
-        status: 'sent',
-        status_timestamp: messageData.created_at,
         reply_to_wa_message_id: replyTo || null,
-        reaction_emoji: null,
-        reaction_to_wa_message_id: null,
-        media_type: null,
-        media_id: null,
-        gcs_filename: null,
-        gcs_url: null,
-        file_size: null,
-        mime_type: null,
-        original_filename: null,
-        metadata: templateMeta,
-        created_at: messageData.created_at,
-        updated_at: messageData.created_at
-      };
-      
-      io.to(`room:${templateFullRoomId}`).emit('room:new_message', messagePayload);
-      io.emit('new_message', messagePayload);
-      
-      logger.info({ 
-        messageId, 
-        roomId: templateFullRoomId,
-        templateName,
-        userId: validatedUserId
-      }, '📡 Emitting new_message events for template message');
-    }
+        metadata: templateMeta
+      },
+      to: cleanPhone,
+      channel,
+      kind: 'template',
+      payload: { templateName, languageCode, parameters, replyTo }
+    });
 
     logger.info({ 
       to: cleanPhone, 
       templateName, 
       parameters: parameters.length,
-      messageId, 
-      waMessageId 
-    }, 'Template message sent successfully');
+      messageId,
+      roomId: templateFullRoomId
+    }, 'Template message queued for WhatsApp');
     
-    res.json({
+    await recordAudit(req, { action: 'template.send', targetType: 'message', targetId: messageId, metadata: { room_id: templateFullRoomId, template_name: templateName, to: cleanPhone } });
+
+    res.status(202).json({
       success: true,
       to: cleanPhone,
       templateName,
       languageCode,
       parameters,
       message_id: messageId,
-      whatsapp_message_id: waMessageId,
+      whatsapp_message_id: null,
+      status: 'pending',
+      queued: true,
       database_saved: {
         message_id: messageId,
-        whatsapp_message_id: waMessageId,
+        whatsapp_message_id: null,
         room_id: templateFullRoomId
       },
-      result
+      message
     });
     
   } catch (err) {
@@ -1872,12 +1802,14 @@ router.post('/send-template', async (req, res) => {
 /**
  * Get available template messages
  * GET /messages/templates
+ * Query params: channel_id (templates of that number's WABA, default channel otherwise)
  */
 router.get('/templates', async (req, res) => {
   try {
     const { config } = await import('../config.js');
+    const channel = await getChannel(req.query.channel_id || null);
     
-    if (!config.whatsapp.businessAccountId) {
+    if (!channel.waba_id) {
       return res.status(500).json({
         error: 'WhatsApp Business Account ID not configured',
         message: 'Please set WHATSAPP_BUSINESS_ACCOUNT_ID in your environment variables',
@@ -1891,10 +1823,10 @@ router.get('/templates', async (req, res) => {
     }
     
     // Use WhatsApp Business Account ID, not Phone Number ID for templates
-    const response = await fetch(`${config.whatsapp.baseUrl}/${config.whatsapp.graphVersion}/${config.whatsapp.businessAccountId}/message_templates`, {
+    const response = await fetch(`${config.whatsapp.baseUrl}/${config.whatsapp.graphVersion}/${channel.waba_id}/message_templates`, {
       method: 'GET',
       headers: {
-        'Authorization': `Bearer ${config.whatsapp.accessToken}`,
+        'Authorization': `Bearer ${channel.access_token}`,
         'Content-Type': 'application/json'
       }
     });
@@ -1981,24 +1913,17 @@ router.get('/templates', async (req, res) => {
  * Test template message with parameters
  * POST /messages/test-template
  */
-router.post('/test-template', async (req, res) => {
+router.post('/test-template', requireDebugPermission, async (req, res) => {
   try {
-    const { to, templateName = 'hello_world', languageCode = 'en_US', parameters = [], user_id } = req.body;
+    const { to, templateName = 'hello_world', languageCode = 'en_US', parameters = [] } = req.body;
     
-    // REQUIRED: user_id for template testing 
-    if (!user_id) {
-      return res.status(400).json({ 
-        error: 'user_id is required for template testing. Only agents/admin can send templates.',
-        required_fields: ['to', 'user_id']
-      });
-    }
     
     if (!to) {
       return res.status(400).json({ error: 'Phone number (to) required' });
     }
     
-    // Validate user_id
-    const validatedUserId = await validateUserId(user_id, true);
+    // Sender is always the authenticated user
+    const validatedUserId = req.user.id;
     
     const cleanPhone = validateWhatsAppPhoneNumber(to);
     
@@ -2068,20 +1993,13 @@ router.post('/test-template', async (req, res) => {
  * Test database and storage operations
  * POST /messages/test-db
  */
-router.post('/test-db', async (req, res) => {
+router.post('/test-db', requireDebugPermission, async (req, res) => {
   try {
-    const { to = '6287879565390', user_id } = req.body;
+    const { to = '6287879565390' } = req.body;
     
-    // REQUIRED: user_id for database test messages
-    if (!user_id) {
-      return res.status(400).json({ 
-        error: 'user_id is required for database test. Only agents/admin can create test messages.',
-        required_fields: ['user_id']
-      });
-    }
     
-    // Validate user_id
-    const validatedUserId = await validateUserId(user_id, true);
+    // Sender is always the authenticated user
+    const validatedUserId = req.user.id;
     
     const cleanPhone = validateWhatsAppPhoneNumber(to);
     
@@ -2152,7 +2070,7 @@ router.post('/test-db', async (req, res) => {
  * Test storage upload
  * POST /messages/test-storage
  */
-router.post('/test-storage', upload.single('media'), async (req, res) => {
+router.post('/test-storage', requireDebugPermission, upload.single('media'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'Media file required for storage test' });
@@ -2268,7 +2186,7 @@ router.get('/caption-support', async (req, res) => {
  * Get message from database by message ID
  * GET /messages/verify/:messageId
  */
-router.get('/verify/:messageId', async (req, res) => {
+router.get('/verify/:messageId', requireDebugPermission, async (req, res) => {
   try {
     const { messageId } = req.params;
     
@@ -2316,26 +2234,18 @@ router.get('/verify/:messageId', async (req, res) => {
  * Debug WhatsApp template response
  * POST /messages/debug-template-response
  */
-router.post('/debug-template-response', async (req, res) => {
+router.post('/debug-template-response', requireDebugPermission, async (req, res) => {
   try {
     const { 
       to = '6287879565390', 
       templateName = 'hello_world', 
       languageCode = 'en_US', 
-      parameters = [],
-      user_id
+      parameters = []
     } = req.body;
     
-    // REQUIRED: user_id for template debugging
-    if (!user_id) {
-      return res.status(400).json({ 
-        error: 'user_id is required for template debugging. Only agents/admin can send templates.',
-        required_fields: ['user_id']
-      });
-    }
     
-    // Validate user_id
-    const validatedUserId = await validateUserId(user_id, true);
+    // Sender is always the authenticated user
+    const validatedUserId = req.user.id;
     
     const cleanPhone = validateWhatsAppPhoneNumber(to);
     
@@ -2405,24 +2315,17 @@ router.post('/debug-template-response', async (req, res) => {
  * Send test message (for development/testing)
  * POST /messages/test
  */
-router.post('/test', async (req, res) => {
+router.post('/test', requireDebugPermission, async (req, res) => {
   try {
-    const { to, user_id } = req.body;
+    const { to } = req.body;
     
-    // REQUIRED: user_id for test messages
-    if (!user_id) {
-      return res.status(400).json({ 
-        error: 'user_id is required for test messages. Only agents/admin can send test messages.',
-        required_fields: ['to', 'user_id']
-      });
-    }
     
     if (!to) {
       return res.status(400).json({ error: 'Phone number (to) required' });
     }
     
-    // Validate user_id
-    const validatedUserId = await validateUserId(user_id, true);
+    // Sender is always the authenticated user
+    const validatedUserId = req.user.id;
     
     const cleanPhone = validateWhatsAppPhoneNumber(to);
     const testMessage = `Hello! This is a test message from Boztell Backend at ${new Date().toLocaleString('id-ID')}. Your phone number: ${cleanPhone}`;
@@ -0,0 +1,138 @@
+import express from 'express';
+import { getOrders, getOrderById, updateOrder } from '../db.js';
+import { ORDER_STATUSES, canTransitionOrderStatus } from '../services/orderService.js';
+import { requirePermission, hasPermission, canAccessRoom } from '../middleware/auth.js';
+import { recordAudit } from '../services/auditService.js';
+import { logger } from '../utils/logger.js';
+
+// All routes here run behind authenticateUser (mounted in index.js)
+const router = express.Router();
+
+const MAX_LIMIT = 200;
+
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+}
+
+// Orders are visible to whoever can see their room (rooms.view_all: every order)
+async function canAccessOrder(user, order) {
+  if (hasPermission(user, 'rooms.view_all')) return true;
+  return !!order.room_id && canAccessRoom(user, order.room_id);
+}
+
+// List orders with line items, newest first
+router.get('/', async (req, res) => {
+  try {
+    const { room_id, lead_id, status, from, to, page = 1, limit = 50 } = req.query;
+
+    if (status && !ORDER_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `Unknown status: ${status} (allowed: ${ORDER_STATUSES.join(', ')})` });
+    }
+
+    const fromDate = parseDate(from);
+    const toDate = parseDate(to);
+    if (fromDate === undefined || toDate === undefined) {
+      return res.status(400).json({ success: false, error: 'from and to must be valid dates (ISO 8601)' });
+    }
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_LIMIT);
+
+    const { rows, totalCount } = await getOrders({
+      room_id,
+      lead_id,
+      status,
+      from: fromDate,
+      to: toDate,
+      // Without rooms.view_all only orders of assigned rooms
+      participant_user_id: hasPermission(req.user, 'rooms.view_all') ? null : req.user.id,
+      limit: pageSize,
+      offset: (pageNumber - 1) * pageSize
+    });
+
+    res.json({
+      success: true,
+      data: rows,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total: totalCount,
+        pages: Math.ceil(totalCount / pageSize)
+      }
+    });
+  } catch (error) {
+    logger.error({ error }, 'Failed to get orders');
+    res.status(500).json({ success: false, error: 'Failed to get orders' });
+  }
+});
+
+// Single order with line items
+router.get('/:id', async (req, res) => {
+  try {
+    const { rows } = await getOrderById(req.params.id);
+
+    if (rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Order not found' });
+    }
+
+    if (!(await canAccessOrder(req.user, rows[0]))) {
+      return res.status(403).json({ success: false, error: 'Access denied to this order' });
+    }
+
+    res.json({ success: true, data: rows[0] });
+  } catch (error) {
+    logger.error({ error }, 'Failed to get order');
+    res.status(500).json({ success: false, error: 'Failed to get order' });
+  }
+});
+
+// Move an order through received -> confirmed -> fulfilled (or cancelled)
+router.patch('/:id/status', requirePermission('orders.manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status } = req.body;
+
+    if (!ORDER_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `status must be one of: ${ORDER_STATUSES.join(', ')}` });
+    }
+
+    const { rows: existing } = await getOrderById(id);
+    if (existing.length === 0) {
+      return res.status(404).json({ success: false, error: 'Order not found' });
+    }
+
+    if (!(await canAccessOrder(req.user, existing[0]))) {
+      return res.status(403).json({ success: false, error: 'Access denied to this order' });
+    }
+
+    const currentStatus = existing[0].status;
+    if (!canTransitionOrderStatus(currentStatus, status)) {
+      return res.status(409).json({ success: false, error: `Order cannot move from ${currentStatus} to ${status}` });
+    }
+
+    // Only applies if nobody changed the status since it was read
+    const { rows, rowCount } = await updateOrder(id, { status }, currentStatus);
+    if (rowCount === 0) {
+      return res.status(409).json({ success: false, error: 'Order status was changed by someone else, reload and try again' });
+    }
+
+    logger.info({ orderId: id, from: currentStatus, to: status, userId: req.user.id }, 'Order status updated');
+    await recordAudit(req, {
+      action: 'order.status_update',
+      targetType: 'order',
+      targetId: id,
+      before: { status: currentStatus },
+      after: { status },
+      metadata: { room_id: existing[0].room_id }
+    });
+
+    res.json({ success: true, data: rows[0] });
+  } catch (error) {
+    logger.error({ error }, 'Failed to update order status');
+    res.status(500).json({ success: false, error: 'Failed to update order status' });
+  }
+});
+
+export default router;
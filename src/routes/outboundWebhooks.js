@@ -0,0 +1,281 @@
+import express from 'express';
+import {
+  getWebhookSubscriptions,
+  getWebhookSubscriptionById,
+  insertWebhookSubscription,
+  updateWebhookSubscription,
+  deleteWebhookSubscription,
+  getWebhookDeliveries,
+  getWebhookDeliveryById
+} from '../db.js';
+import {
+  OUTBOUND_EVENT_TYPES,
+  generateWebhookSecret,
+  invalidateSubscriptionCache,
+  queueEventDeliveries,
+  redeliverWebhook
+} from '../services/outboundWebhookService.js';
+import { requirePermission } from '../middleware/auth.js';
+import { recordAudit } from '../services/auditService.js';
+import { logger } from '../utils/logger.js';
+
+// All routes here run behind authenticateUser (mounted in index.js)
+const router = express.Router();
+
+router.use(requirePermission('integrations.manage'));
+
+const DELIVERY_STATUSES = ['pending', 'delivering', 'succeeded', 'failed', 'dead'];
+const MAX_LIMIT = 200;
+
+/**
+ * Validate url and event_types, returns an error message or null
+ */
+function validateSubscription({ url, event_types }) {
+  if (url !== undefined) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return 'url must be a valid URL';
+    }
+    if (!['https:', 'http:'].includes(parsed.protocol)) {
+      return 'url must use http or https';
+    }
+  }
+
+  if (event_types !== undefined) {
+    if (!Array.isArray(event_types) || event_types.length === 0) {
+      return 'event_types must be a non-empty array';
+    }
+    const unknown = event_types.filter(type => !OUTBOUND_EVENT_TYPES.includes(type));
+    if (unknown.length > 0) {
+      return `Unknown event types: ${unknown.join(', ')} (allowed: ${OUTBOUND_EVENT_TYPES.join(', ')})`;
+    }
+  }
+
+  return null;
+}
+
+// The secret is only returned on create and rotate
+function withoutSecret(subscription) {
+  const { secret, ...rest } = subscription;
+  return rest;
+}
+
+// Event types that can be subscribed to
+router.get('/event-types', (req, res) => {
+  res.json({ success: true, data: OUTBOUND_EVENT_TYPES });
+});
+
+// List subscriptions
+router.get('/', async (req, res) => {
+  try {
+    const { rows } = await getWebhookSubscriptions();
+    res.json({ success: true, data: rows.map(withoutSecret) });
+  } catch (error) {
+    logger.error({ error }, 'Failed to get webhook subscriptions');
+    res.status(500).json({ success: false, error: 'Failed to get webhook subscriptions' });
+  }
+});
+
+// Register an endpoint; the response contains the signing secret (shown once)
+router.post('/', async (req, res) => {
+  try {
+    const { url, event_types, description = null } = req.body;
+
+    if (!url || !event_types) {
+      return res.status(400).json({ success: false, error: 'url and event_types are required' });
+    }
+
+    const validationError = validateSubscription({ url, event_types });
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const { rows } = await insertWebhookSubscription({
+      url,
+      description,
+      event_types: [...new Set(event_types)],
+      secret: generateWebhookSecret(),
+      created_by: req.user.id
+    });
+    invalidateSubscriptionCache();
+
+    logger.info({ subscriptionId: rows[0].id, url, eventTypes: event_types, createdBy: req.user.id }, 'Webhook subscription created');
+    await recordAudit(req, { action: 'webhook_subscription.create', targetType: 'webhook_subscription', targetId: rows[0].id, after: withoutSecret(rows[0]) });
+
+    res.status(201).json({ success: true, data: rows[0] });
+  } catch (error) {
+    logger.error({ error }, 'Failed to create webhook subscription');
+    res.status(500).json({ success: false, error: 'Failed to create webhook subscription' });
+  }
+});
+
+// Update url, event types, description or is_active
+router.put('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { url, event_types, description, is_active } = req.body;
+
+    const validationError = validateSubscription({ url, event_types });
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const updates = {};
+    if (url !== undefined) updates.url = url;
+    if (event_types !== undefined) updates.event_types = [...new Set(event_types)];
+    if (description !== undefined) updates.description = description;
+    if (is_active !== undefined) updates.is_active = is_active === true;
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ success: false, error: 'Nothing to update (url, event_types, description, is_active)' });
+    }
+
+    const { rows: beforeRows } = await getWebhookSubscriptionById(id);
+    const { rows } = await updateWebhookSubscription(id, updates);
+
+    if (rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Webhook subscription not found' });
+    }
+    invalidateSubscriptionCache();
+
+    await recordAudit(req, {
+      action: 'webhook_subscription.update',
+      targetType: 'webhook_subscription',
+      targetId: id,
+      before: beforeRows[0] ? withoutSecret(beforeRows[0]) : null,
+      after: withoutSecret(rows[0])
+    });
+
+    res.json({ success: true, data: withoutSecret(rows[0]) });
+  } catch (error) {
+    logger.error({ error }, 'Failed to update webhook subscription');
+    res.status(500).json({ success: false, error: 'Failed to update webhook subscription' });
+  }
+});
+
+// Issue a new signing secret (the old one stops working immediately)
+router.post('/:id/rotate-secret', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { rows } = await updateWebhookSubscription(id, { secret: generateWebhookSecret() });
+
+    if (rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Webhook subscription not found' });
+    }
+    invalidateSubscriptionCache();
+
+    await recordAudit(req, { action: 'webhook_subscription.rotate_secret', targetType: 'webhook_subscription', targetId: id });
+
+    res.json({ success: true, data: rows[0] });
+  } catch (error) {
+    logger.error({ error }, 'Failed to rotate webhook secret');
+    res.status(500).json({ success: false, error: 'Failed to rotate webhook secret' });
+  }
+});
+
+// Delete a subscription and its delivery log
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { rows } = await deleteWebhookSubscription(id);
+
+    if (rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Webhook subscription not found' });
+    }
+    invalidateSubscriptionCache();
+
+    await recordAudit(req, { action: 'webhook_subscription.delete', targetType: 'webhook_subscription', targetId: id, before: withoutSecret(rows[0]) });
+
+    res.json({ success: true, message: 'Webhook subscription deleted successfully' });
+  } catch (error) {
+    logger.error({ error }, 'Failed to delete webhook subscription');
+    res.status(500).json({ success: false, error: 'Failed to delete webhook subscription' });
+  }
+});
+
+// Queue a 'ping' event for this endpoint only
+router.post('/:id/test', async (req, res) => {
+  try {
+    const { rows } = await getWebhookSubscriptionById(req.params.id);
+
+    if (rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Webhook subscription not found' });
+    }
+
+    const result = await queueEventDeliveries(rows, 'ping', { message: 'Test delivery', requested_by: req.user.id });
+
+    res.json({ success: true, message: 'Test event queued', data: result });
+  } catch (error) {
+    logger.error({ error }, 'Failed to queue test webhook');
+    res.status(500).json({ success: false, error: 'Failed to queue test webhook' });
+  }
+});
+
+// Delivery log of one endpoint, newest first
+router.get('/:id/deliveries', async (req, res) => {
+  try {
+    const { status, event_type, page = 1, limit = 50 } = req.query;
+
+    const statuses = status ? String(status).split(',').map(s => s.trim()).filter(Boolean) : [];
+    const unknown = statuses.filter(s => !DELIVERY_STATUSES.includes(s));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown status: ${unknown.join(', ')} (allowed: ${DELIVERY_STATUSES.join(', ')})`
+      });
+    }
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_LIMIT);
+
+    const { rows, totalCount } = await getWebhookDeliveries({
+      subscription_id: req.params.id,
+      status: statuses.length > 0 ? statuses : null,
+      event_type,
+      limit: pageSize,
+      offset: (pageNumber - 1) * pageSize
+    });
+
+    res.json({
+      success: true,
+      data: rows,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total: totalCount,
+        pages: Math.ceil(totalCount / pageSize)
+      }
+    });
+  } catch (error) {
+    logger.error({ error }, 'Failed to get webhook deliveries');
+    res.status(500).json({ success: false, error: 'Failed to get webhook deliveries' });
+  }
+});
+
+// Send a delivery again (fresh attempt budget)
+router.post('/:id/deliveries/:deliveryId/redeliver', async (req, res) => {
+  try {
+    const { id, deliveryId } = req.params;
+
+    const { rows } = await getWebhookDeliveryById(deliveryId);
+    if (rows.length === 0 || rows[0].subscription_id !== id) {
+      return res.status(404).json({ success: false, error: 'Delivery not found' });
+    }
+
+    const result = await redeliverWebhook(deliveryId);
+    if (!result.success) {
+      return res.status(409).json({ success: false, error: result.message });
+    }
+
+    await recordAudit(req, { action: 'webhook_delivery.redeliver', targetType: 'webhook_delivery', targetId: deliveryId, metadata: { subscription_id: id } });
+
+    res.json({ success: true, message: result.message, data: result.delivery });
+  } catch (error) {
+    logger.error({ error }, 'Failed to redeliver webhook');
+    res.status(500).json({ success: false, error: 'Failed to redeliver webhook' });
+  }
+});
+
+export default router;
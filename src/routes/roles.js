@@ -0,0 +1,180 @@
+import express from 'express';
+import { getRoles, getRoleByName, insertRole, updateRole, deleteRole, countUsersWithRole } from '../db.js';
+import { PERMISSIONS, SYSTEM_ROLES, findUnknownPermissions, invalidateRoleCache } from '../services/permissionService.js';
+import { requirePermission } from '../middleware/auth.js';
+import { recordAudit } from '../services/auditService.js';
+import { logger } from '../utils/logger.js';
+
+// All routes here run behind authenticateUser (mounted in index.js)
+const router = express.Router();
+
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_]{1,49}$/;
+
+/**
+ * Validate a permissions payload, returns an error message or null
+ */
+function validatePermissions(permissions) {
+  if (!Array.isArray(permissions)) {
+    return 'permissions must be an array';
+  }
+  const unknown = findUnknownPermissions(permissions);
+  if (unknown.length > 0) {
+    return `Unknown permissions: ${unknown.join(', ')}`;
+  }
+  return null;
+}
+
+// Permission catalog
+router.get('/permissions', requirePermission('roles.manage', 'users.manage'), (req, res) => {
+  res.json({
+    success: true,
+    data: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+  });
+});
+
+// List roles
+router.get('/', requirePermission('roles.manage', 'users.manage'), async (req, res) => {
+  try {
+    const { rows } = await getRoles();
+    res.json({ success: true, data: rows });
+  } catch (error) {
+    logger.error({ error }, 'Failed to get roles');
+    res.status(500).json({ success: false, error: 'Failed to get roles' });
+  }
+});
+
+// Get single role
+router.get('/:name', requirePermission('roles.manage', 'users.manage'), async (req, res) => {
+  try {
+    const { rows } = await getRoleByName(req.params.name);
+
+    if (rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Role not found' });
+    }
+
+    res.json({ success: true, data: rows[0] });
+  } catch (error) {
+    logger.error({ error }, 'Failed to get role');
+    res.status(500).json({ success: false, error: 'Failed to get role' });
+  }
+});
+
+// Create role
+router.post('/', requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const { name, description = null, permissions = [] } = req.body;
+
+    if (!name || !ROLE_NAME_PATTERN.test(name)) {
+      return res.status(400).json({
+        success: false,
+        error: 'name is required (lowercase letters, digits and underscores, e.g. team_lead)'
+      });
+    }
+
+    const permissionError = validatePermissions(permissions);
+    if (permissionError) {
+      return res.status(400).json({ success: false, error: permissionError });
+    }
+
+    const existing = await getRoleByName(name);
+    if (existing.rows.length > 0) {
+      return res.status(409).json({ success: false, error: 'Role already exists' });
+    }
+
+    const { rows } = await insertRole({
+      name,
+      description,
+      permissions: [...new Set(permissions)],
+      is_system: false
+    });
+    invalidateRoleCache();
+
+    logger.info({ role: name, permissions, createdBy: req.user.id }, 'Role created');
+    await recordAudit(req, { action: 'role.create', targetType: 'role', targetId: name, after: rows[0] });
+
+    res.status(201).json({ success: true, data: rows[0] });
+  } catch (error) {
+    logger.error({ error }, 'Failed to create role');
+    res.status(500).json({ success: false, error: 'Failed to create role' });
+  }
+});
+
+// Update role description/permissions (name is immutable, users reference it)
+router.put('/:name', requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { description, permissions } = req.body;
+
+    const updates = {};
+    if (description !== undefined) updates.description = description;
+    if (permissions !== undefined) {
+      const permissionError = validatePermissions(permissions);
+      if (permissionError) {
+        return res.status(400).json({ success: false, error: permissionError });
+      }
+      updates.permissions = [...new Set(permissions)];
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ success: false, error: 'Nothing to update (description, permissions)' });
+    }
+
+    // Keep at least one role able to manage roles
+    if (updates.permissions && !updates.permissions.includes('roles.manage') && name === req.user.role) {
+      return res.status(400).json({ success: false, error: 'You cannot remove roles.manage from your own role' });
+    }
+
+    const { rows: beforeRows } = await getRoleByName(name);
+    const { rows } = await updateRole(name, updates);
+
+    if (rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Role not found' });
+    }
+    invalidateRoleCache();
+
+    logger.info({ role: name, updates, updatedBy: req.user.id }, 'Role updated');
+    await recordAudit(req, { action: 'role.update', targetType: 'role', targetId: name, before: beforeRows[0], after: rows[0] });
+
+    res.json({ success: true, data: rows[0] });
+  } catch (error) {
+    logger.error({ error }, 'Failed to update role');
+    res.status(500).json({ success: false, error: 'Failed to update role' });
+  }
+});
+
+// Delete role (not built-in roles, not roles still assigned to users)
+router.delete('/:name', requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    if (SYSTEM_ROLES.includes(name)) {
+      return res.status(400).json({ success: false, error: 'Built-in roles cannot be deleted' });
+    }
+
+    const usage = await countUsersWithRole(name);
+    const userCount = usage.rows[0].count;
+    if (userCount > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `Role is still assigned to ${userCount} user(s)`
+      });
+    }
+
+    const { rows } = await deleteRole(name);
+
+    if (rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Role not found' });
+    }
+    invalidateRoleCache();
+
+    logger.info({ role: name, deletedBy: req.user.id }, 'Role deleted');
+    await recordAudit(req, { action: 'role.delete', targetType: 'role', targetId: name, before: rows[0] });
+
+    res.json({ success: true, message: 'Role deleted successfully' });
+  } catch (error) {
+    logger.error({ error }, 'Failed to delete role');
+    res.status(500).json({ success: false, error: 'Failed to delete role' });
+  }
+});
+
+export default router;
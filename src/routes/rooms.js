@@ -1,88 +1,83 @@
 import express from 'express';
 import { getRoomsByUser, getAllRoomsWithDetails } from '../db.js';
 import { logger } from '../utils/logger.js';
+import { hasPermission, requireRoomAccess, requirePermission } from '../middleware/auth.js';
+import { listChannels } from '../services/channelService.js';
+import { recordAudit } from '../services/auditService.js';
+import { publishEvent } from '../services/outboundWebhookService.js';
+import { removeUserFromRoom } from '../socket/index.js';
 
+// All routes here run behind authenticateUser (mounted in index.js)
 const router = express.Router();
 
 /**
- * Get all rooms or rooms by user_id
- * - Query param: user_id (optional) - filter rooms based on user role
- * - If user_id provided AND role = 'agent': returns rooms from room_participants (assigned rooms only)
- * - If user_id provided AND role = 'admin'/'supervisor': returns ALL rooms
- * - If no user_id: returns all rooms (public access)
+ * Get rooms visible to the authenticated user
+ * - without rooms.view_all: returns rooms from room_participants (assigned rooms only)
+ * - with rooms.view_all: returns ALL rooms
+ * Query params: channel_id (only rooms of that WhatsApp number)
  */
 router.get('/', async (req, res) => {
   try {
-    const { user_id } = req.query;
-
-    // If user_id provided, check user role first
-    if (user_id) {
-      const { getUserById } = await import('../db.js');
-      
-      // Get user info to check role
-      const userResult = await getUserById(user_id);
-      
-      if (!userResult || !userResult.rows || userResult.rows.length === 0) {
-        return res.status(404).json({
-          success: false,
-          error: 'User not found',
-          user_id
-        });
-      }
-      
-      const user = userResult.rows[0];
-      
-      // If user is agent, get only assigned rooms from room_participants
-      if (user.role === 'agent') {
-        const result = await getRoomsByUser(user_id);
-        
-        logger.info('Agent accessed assigned rooms', {
-          user_id,
-          user_name: user.name,
-          user_role: user.role,
-          roomCount: result.rowCount
-        });
-
-        return res.json({
-          success: true,
-          data: {
-            rooms: result.rows,
-            total_count: result.rowCount,
-            filtered_by: 'agent_assigned_rooms',
-            user_id,
-            user_role: user.role
-          }
-        });
+    const user = req.user;
+    const { channel_id } = req.query;
+
+    let filters = {};
+    if (channel_id) {
+      const channel = (await listChannels()).find(c => c.id === channel_id);
+      if (!channel) {
+        return res.status(400).json({ success: false, error: 'Unknown channel_id' });
       }
+      // Rooms from before channels existed belong to the default channel
+      filters = { channel_id, include_unbound: channel.is_default };
+    }
+
+    // Without rooms.view_all only assigned rooms from room_participants
+    if (!hasPermission(user, 'rooms.view_all')) {
+      const result = await getRoomsByUser(user.id, filters);
       
-      // If user is admin/supervisor, return ALL rooms (ignore room_participants)
-      logger.info('Admin/Supervisor accessed all rooms', {
-        user_id,
+      logger.info({
+        user_id: user.id,
         user_name: user.name,
-        user_role: user.role
+        user_role: user.role,
+        roomCount: result.rowCount
+      }, 'User accessed assigned rooms');
+
+      return res.json({
+        success: true,
+        data: {
+          rooms: result.rows,
+          total_count: result.rowCount,
+          filtered_by: 'assigned_rooms',
+          channel_id: channel_id || null,
+          user_id: user.id,
+          user_role: user.role
+        }
       });
     }
 
-    // No filter OR admin/supervisor: get all rooms
-    const result = await getAllRoomsWithDetails();
-    const rooms = result.rows;
+    // rooms.view_all: get all rooms (ignore room_participants)
+    const result = await getAllRoomsWithDetails(filters);
     
-    logger.info('Accessed all rooms', {
-      user_id: user_id || 'none',
+    logger.info({
+      user_id: user.id,
+      user_role: user.role,
       roomCount: result.rowCount
-    });
+    }, 'User accessed all rooms');
 
     res.json({
       success: true,
       data: {
-        rooms: rooms,
+        rooms: result.rows,
         total_count: result.rowCount,
-        filtered_by: user_id ? 'admin_all_rooms' : 'public_all_rooms'
+        filtered_by: 'all_rooms',
+        channel_id: channel_id || null,
+        user_id: user.id,
+        user_role: user.role
       }
     });
 
   } catch (error) {
-    logger.error('Error getting rooms:', error);
+    logger.error({ err: error }, 'Error getting rooms');
     res.status(500).json({
       success: false,
       error: 'Failed to get rooms',
@@ -94,7 +89,7 @@ router.get('/', async (req, res) => {
 /**
  * Get specific room details
  */
-router.get('/:roomId', async (req, res) => {
+router.get('/:roomId', requireRoomAccess(), async (req, res) => {
   try {
     const { roomId } = req.params;
 
@@ -113,6 +108,7 @@ router.get('/:roomId', async (req, res) => {
       room_id: room.room_id,
       phone: room.room_phone,
       title: room.room_title || 'Personal',
+      channel_id: room.channel_id || null,
       created_at: room.room_created_at,
       updated_at: room.room_updated_at,
       leads_id: room.leads_id || null,
@@ -135,7 +131,7 @@ router.get('/:roomId', async (req, res) => {
     });
 
   } catch (error) {
-    logger.error('Error getting room details:', error);
+    logger.error({ err: error }, 'Error getting room details');
     res.status(500).json({
       success: false,
       error: 'Failed to get room details',
@@ -145,9 +141,9 @@ router.get('/:roomId', async (req, res) => {
 });
 
 /**
- * Assign user to room (add room participant)
+ * Assign user to room (add room participant) - requires rooms.assign
  */
-router.post('/:roomId/assign', async (req, res) => {
+router.post('/:roomId/assign', requirePermission('rooms.assign'), async (req, res) => {
   try {
     const { roomId } = req.params;
     const { user_id } = req.body;
@@ -208,6 +204,21 @@ router.post('/:roomId/assign', async (req, res) => {
       action: 'room_assignment' 
     }, 'User assigned to room successfully');
 
+    await recordAudit(req, {
+      action: 'room.assign',
+      targetType: 'room',
+      targetId: roomId,
+      after: participantData,
+      metadata: { user_id, user_name: targetUser.name }
+    });
+    await publishEvent('room.assigned', {
+      room_id: roomId,
+      user_id,
+      user_name: targetUser.name,
+      assigned_by: req.user.id,
+      auto_assigned: false
+    });
+
     res.json({ 
       success: true, 
       message: 'User assigned to room successfully',
@@ -227,9 +238,9 @@ router.post('/:roomId/assign', async (req, res) => {
 });
 
 /**
- * Unassign user from room (remove room participant by user_id)
+ * Unassign user from room (remove room participant by user_id) - requires rooms.assign
  */
-router.delete('/:roomId/assign/:userId', async (req, res) => {
+router.delete('/:roomId/assign/:userId', requirePermission('rooms.assign'), async (req, res) => {
   try {
     const { roomId, userId } = req.params;
 
@@ -260,6 +271,16 @@ router.delete('/:roomId/assign/:userId', async (req, res) => {
       action: 'room_unassignment' 
     }, 'User unassigned from room successfully');
 
+    await removeUserFromRoom(userId, roomId);
+
+    await recordAudit(req, {
+      action: 'room.unassign',
+      targetType: 'room',
+      targetId: roomId,
+      before: result.rows[0] || null,
+      metadata: { user_id: userId }
+    });
+
     res.json({ 
       success: true, 
       message: 'User unassigned from room successfully',
@@ -275,9 +296,9 @@ router.delete('/:roomId/assign/:userId', async (req, res) => {
 });
 
 /**
- * Remove room participant by participant ID
+ * Remove room participant by participant ID - requires rooms.assign
  */
-router.delete('/participants/:participantId', async (req, res) => {
+router.delete('/participants/:participantId', requirePermission('rooms.assign'), async (req, res) => {
   try {
     const { participantId } = req.params;
 
@@ -300,6 +321,18 @@ router.delete('/participants/:participantId', async (req, res) => {
       action: 'participant_removal' 
     }, 'Room participant removed successfully');
 
+    if (result.rows[0]) {
+      await removeUserFromRoom(result.rows[0].user_id, result.rows[0].room_id);
+    }
+
+    await recordAudit(req, {
+      action: 'room.unassign',
+      targetType: 'room',
+      targetId: result.rows[0]?.room_id,
+      before: result.rows[0],
+      metadata: { participant_id: participantId, user_id: result.rows[0]?.user_id }
+    });
+
     res.json({ 
       success: true, 
       message: 'Room participant removed successfully',
@@ -317,7 +350,7 @@ router.delete('/participants/:participantId', async (req, res) => {
 /**
  * Get room participants
  */
-router.get('/:roomId/participants', async (req, res) => {
+router.get('/:roomId/participants', requireRoomAccess(), async (req, res) => {
   try {
     const { roomId } = req.params;
 
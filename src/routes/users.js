@@ -5,14 +5,21 @@ import {
   updateUserData, 
   removeUser, 
   getUsersFiltered,
-  getSingleUser 
+  getSingleUser,
+  unlockUser
 } from '../services/userService.js';
+import { requirePermission, hasPermission } from '../middleware/auth.js';
+import { roleExists } from '../services/permissionService.js';
+import { recordAudit } from '../services/auditService.js';
+import { disconnectUser } from '../socket/index.js';
 import { logger } from '../utils/logger.js';
 
 const router = express.Router();
 
+// All routes here run behind authenticateUser (mounted in index.js)
+
 // Get all users
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('users.view'), async (req, res) => {
   try {
     const { role, is_active } = req.query;
     const filters = {};
@@ -33,10 +40,15 @@ router.get('/', async (req, res) => {
   }
 });
 
-// Get single user
+// Get single user (own profile, or any user with users.view)
 router.get('/:id', async (req, res) => {
   try {
     const { id } = req.params;
+
+    if (id !== req.user.id && !hasPermission(req.user, 'users.view')) {
+      return res.status(403).json({ success: false, error: 'Access denied' });
+    }
+
     const result = await getSingleUser(id);
 
     if (result.success) {
@@ -51,7 +63,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // Create new user
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('users.manage'), async (req, res) => {
   try {
     const {
       email,
@@ -70,6 +82,10 @@ router.post('/', async (req, res) => {
       });
     }
 
+    if (!(await roleExists(role))) {
+      return res.status(400).json({ success: false, error: `Unknown role: ${role}` });
+    }
+
     const userData = {
       email,
       name,
@@ -83,6 +99,7 @@ router.post('/', async (req, res) => {
     const result = await createUser(userData);
 
     if (result.success) {
+      await recordAudit(req, { action: 'user.create', targetType: 'user', targetId: result.user.id, after: result.user });
       res.status(201).json({ success: true, data: result.user });
     } else {
       res.status(400).json({ success: false, error: result.message });
@@ -94,11 +111,15 @@ router.post('/', async (req, res) => {
 });
 
 // Update user
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('users.manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const { name, phone, email, role, avatar_url, is_active } = req.body;
 
+    if (role !== undefined && !(await roleExists(role))) {
+      return res.status(400).json({ success: false, error: `Unknown role: ${role}` });
+    }
+
     const updates = {};
     if (name !== undefined) updates.name = name;
     if (phone !== undefined) updates.phone = phone;
@@ -107,9 +128,15 @@ router.put('/:id', async (req, res) => {
     if (avatar_url !== undefined) updates.avatar_url = avatar_url;
     if (is_active !== undefined) updates.is_active = is_active;
 
+    const before = await getSingleUser(id);
     const result = await updateUserData(id, updates);
 
     if (result.success) {
+      // Open sockets were authorized with the old role (or for an active account)
+      if ((role !== undefined && role !== before.user?.role) || is_active === false) {
+        disconnectUser(id);
+      }
+      await recordAudit(req, { action: 'user.update', targetType: 'user', targetId: id, before: before.user, after: result.user });
       res.json({ success: true, data: result.user });
     } else {
       res.status(404).json({ success: false, error: result.message });
@@ -121,12 +148,15 @@ router.put('/:id', async (req, res) => {
 });
 
 // Delete user
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('users.manage'), async (req, res) => {
   try {
     const { id } = req.params;
+    const before = await getSingleUser(id);
     const result = await removeUser(id);
 
     if (result.success) {
+      disconnectUser(id);
+      await recordAudit(req, { action: 'user.delete', targetType: 'user', targetId: id, before: before.user });
       res.json({ success: true, message: result.message });
     } else {
       res.status(404).json({ success: false, error: result.message });
@@ -137,6 +167,26 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+// Unlock an account locked by repeated failed logins
+router.post('/:id/unlock', requirePermission('users.manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const before = await getSingleUser(id);
+    const result = await unlockUser(id);
+
+    if (result.success) {
+      logger.info({ userId: id, unlockedBy: req.user.id }, 'User account unlocked');
+      await recordAudit(req, { action: 'user.unlock', targetType: 'user', targetId: id, before: before.user, after: result.user });
+      res.json({ success: true, message: result.message, data: result.user });
+    } else {
+      res.status(404).json({ success: false, error: result.message });
+    }
+  } catch (error) {
+    logger.error({ error }, 'Failed to unlock user');
+    res.status(500).json({ success: false, error: 'Failed to unlock user' });
+  }
+});
+
 // Get agents only
 router.get('/agents/list', async (req, res) => {
   try {
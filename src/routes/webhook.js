@@ -2,9 +2,9 @@ import crypto from 'crypto';
 import express from 'express';
 import { config } from '../config.js';
 import { logger } from '../utils/logger.js';
-import { routeWhatsAppWebhook } from './webhooks/whatsappHandlers.js';
+import { enqueueWebhookEvent } from '../services/webhookInboxService.js';
 
-export function createWebhookRouter(io) {
+export function createWebhookRouter() {
   const router = express.Router();
 
   // For raw body signature validation, express.json({ verify }) configured in index.js
@@ -54,70 +54,32 @@ export function createWebhookRouter(io) {
     }
 
     const body = req.body;
-    
-    logger.info({ 
-      bodyObject: body?.object,
-      entryCount: body?.entry?.length || 0
-    }, 'Webhook body parsed successfully');
 
+    // Persist and acknowledge at once; the inbox worker processes the payload with retries.
+    // Only a failed insert returns 500, so Meta redelivers payloads we never stored.
     try {
-      logger.info({ 
-        entryCount: body.entry?.length || 0,
-        object: body.object 
-      }, 'Processing WhatsApp webhook body');
-      
-      const results = await routeWhatsAppWebhook({ io, body });
-      
-      // Check if any processing failed
-      const hasErrors = results.some(result => result.error || result.success === false);
-      
-      if (hasErrors) {
-        const errors = results.filter(r => r.error || r.success === false);
-        logger.error({ 
-          errors,
-          processedCount: results.length - errors.length,
-          totalCount: results.length
-        }, 'Some webhook events failed to process');
-        
-        // Return 500 if any critical processing failed
-        return res.status(500).json({ 
-          error: 'Some events failed to process',
-          processed: results.length - errors.length,
-          failed: errors.length,
-          errors: errors.map(e => e.error || 'Processing failed')
-        });
-      }
-      
-      logger.info({ 
-        processedCount: results.length,
-        entryCount: body.entry?.length || 0 
-      }, 'WhatsApp webhook processed successfully');
-      
-      // Return success with processing details
-      res.status(200).json({
-        success: true,
-        processed: results.length,
-        results: results.map(r => ({
-          type: r.type,
-          room_id: r.room_id,
-          message_id: r.message_id,
-          wa_message_id: r.wa_message_id,
-          public_url: r.public_url || r.media_url || undefined
-        }))
+      const event = await enqueueWebhookEvent('whatsapp', body, {
+        rawBody: req.rawBody,
+        signature: req.get('X-Hub-Signature-256') || null
       });
-      
+
+      logger.info({
+        eventId: event.id,
+        object: body?.object,
+        entryCount: body?.entry?.length || 0
+      }, 'WhatsApp webhook stored in inbox');
+
+      res.status(200).json({ success: true, event_id: event.id });
     } catch (err) {
       logger.error({ 
         error: err.message,
         stack: err.stack,
-        name: err.name,
         body: req.body
-      }, 'Failed processing WhatsApp webhook');
+      }, 'Failed to store WhatsApp webhook');
       
       res.status(500).json({ 
-        error: 'Webhook processing failed',
-        message: err.message,
-        type: err.name
+        error: 'Webhook could not be stored',
+        message: err.message
       });
     }
   });
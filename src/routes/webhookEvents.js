@@ -0,0 +1,134 @@
+import express from 'express';
+import { getWebhookEvents, getWebhookEventById } from '../db.js';
+import { redriveWebhookEvent, replayWebhookEvent } from '../services/webhookInboxService.js';
+import { requirePermission } from '../middleware/auth.js';
+import { recordAudit } from '../services/auditService.js';
+import { logger } from '../utils/logger.js';
+
+const EVENT_STATUSES = ['pending', 'processing', 'processed', 'failed', 'dead'];
+const MAX_LIMIT = 200;
+
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+}
+
+export function createWebhookEventsRouter(io) {
+  // All routes here run behind authenticateUser (mounted in index.js)
+  const router = express.Router();
+
+  router.use(requirePermission('webhooks.manage'));
+
+// Search the archive: failed and dead-lettered by default, status=all for everything
+router.get('/', async (req, res) => {
+  try {
+    const { status = 'failed,dead', source, q, from, to, page = 1, limit = 50 } = req.query;
+
+    const fromDate = parseDate(from);
+    const toDate = parseDate(to);
+    if (fromDate === undefined || toDate === undefined) {
+      return res.status(400).json({ success: false, error: 'from and to must be valid dates (ISO 8601)' });
+    }
+
+    const statuses = status === 'all' ? [] : String(status).split(',').map(s => s.trim()).filter(Boolean);
+    const unknown = statuses.filter(s => !EVENT_STATUSES.includes(s));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown status: ${unknown.join(', ')} (allowed: ${EVENT_STATUSES.join(', ')})`
+      });
+    }
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_LIMIT);
+
+    const { rows, totalCount } = await getWebhookEvents({
+      status: statuses.length > 0 ? statuses : null,
+      source,
+      search: q,
+      from: fromDate,
+      to: toDate,
+      limit: pageSize,
+      offset: (pageNumber - 1) * pageSize
+    });
+
+    res.json({
+      success: true,
+      data: rows,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total: totalCount,
+        pages: Math.ceil(totalCount / pageSize)
+      }
+    });
+  } catch (error) {
+    logger.error({ error }, 'Failed to get webhook events');
+    res.status(500).json({ success: false, error: 'Failed to get webhook events' });
+  }
+});
+
+// Single event with its raw payload
+router.get('/:id', async (req, res) => {
+  try {
+    const { rows } = await getWebhookEventById(req.params.id);
+
+    if (rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Webhook event not found' });
+    }
+
+    res.json({ success: true, data: rows[0] });
+  } catch (error) {
+    logger.error({ error }, 'Failed to get webhook event');
+    res.status(500).json({ success: false, error: 'Failed to get webhook event' });
+  }
+});
+
+// Re-drive a failed or dead event (fresh attempt budget)
+router.post('/:id/redrive', async (req, res) => {
+  try {
+    const result = await redriveWebhookEvent(req.params.id);
+
+    if (!result.success) {
+      const status = result.message === 'Webhook event not found' ? 404 : 400;
+      return res.status(status).json({ success: false, error: result.message });
+    }
+
+    await recordAudit(req, { action: 'webhook_event.redrive', targetType: 'webhook_event', targetId: req.params.id });
+
+    res.json({ success: true, message: result.message, data: result.event });
+  } catch (error) {
+    logger.error({ error }, 'Failed to re-drive webhook event');
+    res.status(500).json({ success: false, error: 'Failed to re-drive webhook event' });
+  }
+});
+
+// Replay a stored payload through the current handlers; { "dry_run": true } only reports planned writes
+router.post('/:id/replay', async (req, res) => {
+  try {
+    const dryRun = req.body?.dry_run === true || req.query.dry_run === 'true';
+    const result = await replayWebhookEvent({ io }, req.params.id, { dryRun });
+
+    if (result.message === 'Webhook event not found') {
+      return res.status(404).json({ success: false, error: result.message });
+    }
+
+    if (!dryRun) {
+      await recordAudit(req, {
+        action: 'webhook_event.replay',
+        targetType: 'webhook_event',
+        targetId: req.params.id,
+        metadata: { success: result.success, results: result.results.length }
+      });
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error({ error }, 'Failed to replay webhook event');
+    res.status(500).json({ success: false, error: 'Failed to replay webhook event' });
+  }
+});
+
+  return router;
+}
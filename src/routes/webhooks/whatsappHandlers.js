@@ -1,14 +1,30 @@
 import { logger } from '../../utils/logger.js';
 import { handleIncomingMessage } from '../../services/messageService.js';
 import { handleIncomingMedia } from '../../services/mediaService.js';
-import { ensureRoom } from '../../services/roomService.js';
-import { handleMessageStatus } from '../../services/statusService.js';
-import { handleSystemEvent } from '../../services/systemService.js';
+import { ensureRoom, findRoomForChannel } from '../../services/roomService.js';
+import { getChannelByPhoneNumberId } from '../../services/channelService.js';
+import { handleMessageStatus, canTransitionStatus } from '../../services/statusService.js';
+import { handleSystemEvent, getChangedNumber } from '../../services/systemService.js';
+import { handleAccountEvent, normalizeAccountEvent, eventTimeOf, ACCOUNT_EVENT_FIELDS } from '../../services/accountEventService.js';
+import { recordLeadAttribution, normalizeReferral } from '../../services/attributionService.js';
+import { parseFlowResponse, applyFlowResponse, planFlowResponse } from '../../services/flowService.js';
+import { recordOrder, summarizeOrder } from '../../services/orderService.js';
+import { handleCallEvent, normalizeCallEvent, getCallCustomerPhone } from '../../services/callService.js';
+import { getMessageByWaId } from '../../db.js';
 
 /**
  * Route WhatsApp webhook events to appropriate handlers
+ * @param {object} options
+ * @param {import('socket.io').Server} options.io - socket.io server
+ * @param {object} options.body - webhook payload
+ * @param {boolean} [options.dryRun] - read but never write: planned writes are collected instead
+ * @param {Array} [options.plannedWrites] - receives { table, operation, ... } entries in a dry run
  */
-export async function routeWhatsAppWebhook({ io, body }) {
+export async function routeWhatsAppWebhook({ io, body, dryRun = false, plannedWrites = [] }) {
+  // Passed to every handler below; writes go through the save* helpers so a dry run can intercept them.
+  // channel is set per 'messages' / 'calls' change to the WhatsApp number it arrived on.
+  const ctx = { io, dryRun, plannedWrites, channel: null };
+
   try {
     logger.info({ 
       hasEntry: !!body?.entry,
@@ -45,7 +61,8 @@ export async function routeWhatsAppWebhook({ io, body }) {
         
         if (field === 'messages') {
           try {
-            const processed = await processMessagesField(io, value);
+            const channel = await channelForChange(value);
+            const processed = await processMessagesField({ ...ctx, channel }, value);
             results.push(...processed);
           } catch (fieldError) {
             logger.error({ 
@@ -61,6 +78,23 @@ export async function routeWhatsAppWebhook({ io, body }) {
               field 
             });
           }
+        } else if (field === 'calls') {
+          try {
+            const channel = await channelForChange(value);
+            results.push(...await processCallsField({ ...ctx, channel }, value));
+          } catch (fieldError) {
+            logger.error({ err: fieldError, field, value }, 'Error processing calls field');
+            results.push({ error: fieldError.message, type: 'processing_error', field });
+          }
+        } else if (ACCOUNT_EVENT_FIELDS.includes(field)) {
+          try {
+            results.push(await saveAccountEvent(ctx, { field, value, wabaId: entry.id || null, time: entry.time || null }));
+          } catch (fieldError) {
+            logger.error({ err: fieldError, field, value }, 'Error processing account event field');
+            results.push({ error: fieldError.message, type: 'processing_error', field });
+          }
+        } else {
+          logger.warn({ field }, 'Unhandled webhook field, ignoring');
         }
       }
     }
@@ -81,20 +115,232 @@ export async function routeWhatsAppWebhook({ io, body }) {
   }
 }
 
+/**
+ * WhatsApp channel of a 'messages' or 'calls' change, from value.metadata.phone_number_id.
+ * Unknown numbers fail the event so it is retried (and can be re-driven once the channel is added).
+ */
+async function channelForChange(value) {
+  const phoneNumberId = value?.metadata?.phone_number_id || null;
+  const channel = await getChannelByPhoneNumberId(phoneNumberId);
+
+  if (!channel) {
+    throw new Error(`Unknown WhatsApp phone_number_id ${phoneNumberId}, register it in whatsapp_channels`);
+  }
+
+  return channel;
+}
+
+/**
+ * Write helpers. Outside a dry run they call the services; in a dry run they only read
+ * and record what would have been written.
+ */
+async function ensureRoomFor(ctx, phone, metadata) {
+  const channelId = ctx.channel?.id || null;
+
+  if (!ctx.dryRun) {
+    return await ensureRoom(phone, { ...metadata, channel_id: channelId }, ctx.io);
+  }
+
+  const existing = await findRoomForChannel(phone, channelId);
+  if (existing) {
+    return existing;
+  }
+
+  ctx.plannedWrites.push({
+    table: 'rooms',
+    operation: 'insert',
+    data: { phone, title: metadata.title, channel_id: channelId },
+    note: 'Lead is looked up by phone and created if missing'
+  });
+  return { id: null, phone };
+}
+
+async function saveReferral(ctx, room, referral, waMessageId) {
+  if (!ctx.dryRun) {
+    try {
+      return await recordLeadAttribution({ room, referral, waMessageId });
+    } catch (err) {
+      // Attribution is reporting data: the message itself must still be stored
+      logger.warn({ err, roomId: room.id, waMessageId }, 'Failed to record lead attribution, continuing');
+      return { success: false, error: err.message };
+    }
+  }
+
+  ctx.plannedWrites.push({
+    table: 'lead_attributions',
+    operation: 'insert',
+    data: { room_id: room.id, lead_id: room.leads_id || null, wa_message_id: waMessageId, ...normalizeReferral(referral) },
+    note: 'Also sets leads.utm_id to source_id when the lead has none'
+  });
+  return { success: true, dry_run: true };
+}
+
+async function saveFlowResponse(ctx, roomId, response) {
+  if (!ctx.dryRun) {
+    try {
+      return await applyFlowResponse({ roomId, response });
+    } catch (err) {
+      // The reply is still stored as a message; the lead can be updated by hand
+      logger.warn({ err, roomId, flowToken: response.flow_token }, 'Failed to apply Flow response to lead, continuing');
+      return { applied: false, reason: err.message };
+    }
+  }
+
+  const plan = await planFlowResponse(roomId, response);
+  if (plan.lead && Object.keys(plan.updates).length > 0) {
+    ctx.plannedWrites.push({
+      table: 'leads',
+      operation: 'update',
+      match: { id: plan.lead.id },
+      data: plan.updates,
+      note: `Flow mapping ${plan.mapping.name}`
+    });
+  }
+  return { applied: false, dry_run: true, mapping_id: plan.mapping?.id || null, reason: plan.reason };
+}
+
+async function saveOrder(ctx, room, order, waMessageId) {
+  if (!ctx.dryRun) {
+    return (await recordOrder({ room, waMessageId, order })).order;
+  }
+
+  const { items, ...totals } = summarizeOrder(order);
+  ctx.plannedWrites.push({
+    table: 'orders',
+    operation: 'insert',
+    data: { room_id: room.id, lead_id: room.leads_id || null, wa_message_id: waMessageId, catalog_id: order.catalog_id || null, ...totals },
+    items
+  });
+  return { id: null, ...totals };
+}
+
+async function saveCallEvent(ctx, room, call, customerName) {
+  if (!ctx.dryRun) {
+    return await handleCallEvent({ io: ctx.io, channel: ctx.channel }, { room, call, customerName });
+  }
+
+  const { log, text } = normalizeCallEvent(call);
+  ctx.plannedWrites.push({
+    table: 'call_logs',
+    operation: 'insert',
+    data: { ...log, room_id: room.id },
+    note: 'Skipped if this call id and event are already logged'
+  });
+  ctx.plannedWrites.push({
+    table: 'messages',
+    operation: 'insert',
+    data: { room_id: room.id, user_id: null, content_type: 'call', content_text: text },
+    ...(log.is_missed && { note: 'Missed call: participants get a push notification' })
+  });
+  return { type: 'call_event', success: true, dry_run: true, call_id: log.call_id, event: log.event, missed: log.is_missed, room_id: room.id };
+}
+
+async function saveIncomingMessage(ctx, input) {
+  if (!ctx.dryRun) {
+    return await handleIncomingMessage({ io: ctx.io, channel: ctx.channel }, input);
+  }
+
+  ctx.plannedWrites.push({ table: 'messages', operation: 'insert', data: input });
+  return { success: true, dry_run: true, room_id: input.room_id, message_id: null, wa_message_id: input.wa_message_id };
+}
+
+async function saveIncomingMedia(ctx, input) {
+  if (!ctx.dryRun) {
+    return await handleIncomingMedia({ io: ctx.io, channel: ctx.channel }, input);
+  }
+
+  ctx.plannedWrites.push({
+    table: 'messages',
+    operation: 'insert',
+    data: input,
+    note: 'Media is downloaded from WhatsApp and uploaded to storage first'
+  });
+  return { type: 'media_message', success: true, dry_run: true, room_id: input.room_id, wa_message_id: input.wa_message_id };
+}
+
+async function saveSystemEvent(ctx, eventData) {
+  if (!ctx.dryRun) {
+    return await handleSystemEvent({ io: ctx.io, channel: ctx.channel }, eventData);
+  }
+
+  ctx.plannedWrites.push({ table: 'system_events', operation: 'insert', data: eventData, note: 'Skipped if this system message is already recorded' });
+
+  const newPhone = getChangedNumber(eventData.system);
+  if (newPhone && newPhone !== eventData.from) {
+    ctx.plannedWrites.push({
+      table: 'rooms',
+      operation: 'update',
+      match: { id: eventData.room_id },
+      data: { phone: newPhone },
+      note: 'Lead phone is moved too, the old number is kept in phone_aliases and a system message is posted'
+    });
+  }
+  return { type: 'system_event', success: true, dry_run: true, room_id: eventData.room_id };
+}
+
+async function saveMessageStatus(ctx, status, value) {
+  if (!ctx.dryRun) {
+    return await handleMessageStatus({ io: ctx.io }, status, value);
+  }
+
+  const { rows } = await getMessageByWaId(status.id);
+  const message = rows[0];
+  if (!message) {
+    return { type: 'status_update', dry_run: true, wa_message_id: status.id, status: status.status, applied: false };
+  }
+
+  const statusTimestamp = new Date(parseInt(status.timestamp) * 1000).toISOString();
+  const applied = canTransitionStatus(message.status, status.status);
+  if (applied) {
+    ctx.plannedWrites.push({
+      table: 'messages',
+      operation: 'update',
+      match: { id: message.id },
+      data: { status: status.status, status_timestamp: statusTimestamp },
+      previous: { status: message.status }
+    });
+  }
+  ctx.plannedWrites.push({
+    table: 'message_status_history',
+    operation: 'insert',
+    data: { message_id: message.id, status: status.status, timestamp: statusTimestamp, applied },
+    note: 'Skipped if this exact event is already recorded'
+  });
+
+  return { type: 'status_update', dry_run: true, wa_message_id: status.id, status: status.status, applied };
+}
+
+async function saveAccountEvent(ctx, change) {
+  if (!ctx.dryRun) {
+    return await handleAccountEvent({ io: ctx.io }, change);
+  }
+
+  const normalized = normalizeAccountEvent(change.field, change.value);
+  ctx.plannedWrites.push({
+    table: 'whatsapp_account_events',
+    operation: 'insert',
+    data: { field: change.field, waba_id: change.wabaId, event_time: eventTimeOf(change.time), ...normalized },
+    note: 'Skipped (no alert) if this exact change is already recorded'
+  });
+  return { type: 'account_event', success: true, dry_run: true, field: change.field, event: normalized.event };
+}
+
 /**
  * Process the 'messages' field from webhook payload
  */
-async function processMessagesField(io, value) {
+async function processMessagesField(ctx, value) {
   const results = [];
   
   // Handle incoming messages
   if (value.messages) {
     for (const message of value.messages) {
       try {
-        const result = await processIncomingMessage(io, message, value);
+        const result = await processIncomingMessage(ctx, message, value);
         results.push(result);
       } catch (err) {
         logger.error({ err, message }, 'Failed to process incoming message');
+        // Reported as an error so the inbox worker retries the event
+        results.push({ error: err.message, type: 'processing_error', wa_message_id: message.id });
       }
     }
   }
@@ -103,10 +349,11 @@ async function processMessagesField(io, value) {
   if (value.statuses) {
     for (const status of value.statuses) {
       try {
-        const result = await handleMessageStatus(status, value);
+        const result = await saveMessageStatus(ctx, status, value);
         results.push(result);
       } catch (err) {
         logger.error({ err, status }, 'Failed to process message status');
+        results.push({ error: err.message, type: 'processing_error', wa_message_id: status.id });
       }
     }
   }
@@ -115,17 +362,48 @@ async function processMessagesField(io, value) {
   if (value.errors) {
     for (const error of value.errors) {
       logger.error({ error, metadata: value.metadata }, 'WhatsApp API error received');
-      results.push({ type: 'error', error });
+      // Informational, the same payload would report it again: never retried by the inbox
+      results.push({ type: 'error', error, permanent: true });
     }
   }
   
   return results;
 }
 
+/**
+ * Process the 'calls' field (WhatsApp Business Calling): each call event goes to the
+ * customer's room timeline. Call permission statuses in value.statuses are only logged.
+ */
+async function processCallsField(ctx, value) {
+  const results = [];
+  const contacts = value.contacts || [];
+
+  for (const call of value.calls || []) {
+    try {
+      const phone = getCallCustomerPhone(call);
+      const contact = contacts.find(c => c.wa_id === phone) || {};
+      const customerName = contact.profile?.name || null;
+
+      const room = await ensureRoomFor(ctx, phone, { phone, title: customerName || 'Personal' });
+      results.push(await saveCallEvent(ctx, room, call, customerName));
+    } catch (err) {
+      logger.error({ err, callId: call.id, event: call.event }, 'Failed to process call event');
+      // Reported as an error so the inbox worker retries the event
+      results.push({ error: err.message, type: 'processing_error', call_id: call.id });
+    }
+  }
+
+  for (const status of value.statuses || []) {
+    logger.info({ status }, 'Call status received, not stored');
+  }
+
+  return results;
+}
+
 /**
  * Process individual incoming message based on type
  */
-async function processIncomingMessage(io, message, value) {
+async function processIncomingMessage(ctx, message, value) {
   try {
     logger.info({ 
       messageType: message?.type,
@@ -134,6 +412,23 @@ async function processIncomingMessage(io, message, value) {
     }, 'Starting processIncomingMessage');
     
     const { type, from, id: wa_message_id, timestamp } = message;
+
+    // Meta delivers at least once: a message we already stored is a successful no-op
+    if (wa_message_id) {
+      const existing = await getMessageByWaId(wa_message_id);
+      if (existing.rows.length > 0) {
+        logger.info({ wa_message_id, roomId: existing.rows[0].room_id }, 'Duplicate webhook message ignored');
+        return {
+          type: 'duplicate_message',
+          success: true,
+          duplicate: true,
+          room_id: existing.rows[0].room_id,
+          message_id: existing.rows[0].id,
+          wa_message_id
+        };
+      }
+    }
+
     const contacts = value.contacts || [];
     const metadata = value.metadata || {};
     const context = message.context || null;
@@ -145,11 +440,18 @@ async function processIncomingMessage(io, message, value) {
     logger.info({ 
       from, 
       senderName, 
-      hasIo: !!io 
+      dryRun: ctx.dryRun 
     }, 'Ensuring room exists');
     
     // Ensure room exists and get room ID
-    const room = await ensureRoom(from, { phone: from, title: senderName || 'Personal' }, io);
+    // Messages from a Click-to-WhatsApp ad carry a referral (any message type)
+    const referral = message.referral || null;
+
+    const room = await ensureRoomFor(ctx, from, {
+      phone: from,
+      title: senderName || 'Personal',
+      utm_id: referral?.source_id ? String(referral.source_id) : null
+    });
     const roomId = room.id;
     
     logger.info({ 
@@ -157,6 +459,10 @@ async function processIncomingMessage(io, message, value) {
       from 
     }, 'Room ensured successfully');
 
+    if (referral) {
+      await saveReferral(ctx, room, referral, wa_message_id);
+    }
+
     const baseMessage = {
       room_id: roomId,
       user_id: null, // Customer messages have user_id as null
@@ -176,52 +482,53 @@ async function processIncomingMessage(io, message, value) {
     
     switch (type) {
       case 'text':
-        return await handleTextMessage(io, { ...baseMessage, text: message.text });
+        return await handleTextMessage(ctx, { ...baseMessage, text: message.text });
         
       case 'image':
       case 'video':
       case 'audio':
       case 'document':
       case 'sticker':
-        return await handleMediaMessage(io, { ...baseMessage, media: message[type] });
+        return await handleMediaMessage(ctx, { ...baseMessage, media: message[type] });
         
       case 'location':
-        return await handleLocationMessage(io, { ...baseMessage, location: message.location });
+        return await handleLocationMessage(ctx, { ...baseMessage, location: message.location });
         
       case 'contacts':
-        return await handleContactsMessage(io, { ...baseMessage, contacts: message.contacts });
+        return await handleContactsMessage(ctx, { ...baseMessage, contacts: message.contacts });
         
       case 'reaction':
-        return await handleReactionMessage(io, { ...baseMessage, reaction: message.reaction });
+        return await handleReactionMessage(ctx, { ...baseMessage, reaction: message.reaction });
         
       case 'interactive':
-        return await handleInteractiveMessage(io, { ...baseMessage, interactive: message.interactive });
+        return await handleInteractiveMessage(ctx, { ...baseMessage, interactive: message.interactive });
         
       case 'button':
-        return await handleButtonMessage(io, { ...baseMessage, button: message.button });
+        return await handleButtonMessage(ctx, { ...baseMessage, button: message.button });
         
       case 'order':
-        return await handleOrderMessage(io, { ...baseMessage, order: message.order });
+        return await handleOrderMessage(ctx, { ...baseMessage, order: message.order, room });
         
       case 'system':
-        return await handleSystemEvent({ ...baseMessage, system: message.system });
+        return await saveSystemEvent(ctx, { ...baseMessage, system: message.system });
         
       case 'referral':
-        return await handleReferralMessage(io, { ...baseMessage, referral: message.referral });
+        return await handleReferralMessage(ctx, { ...baseMessage, referral: message.referral });
         
       case 'unsupported':
         // WhatsApp sends unsupported type for messages it can't process
-        return await handleUnsupportedMessage(io, { ...baseMessage, unsupported: message.unsupported });
+        return await handleUnsupportedMessage(ctx, { ...baseMessage, unsupported: message.unsupported });
         
       case 'request_welcome':
         // Customer clicked "Get Started" button
-        return await handleRequestWelcome(io, baseMessage);
+        return await handleRequestWelcome(ctx, baseMessage);
         
       default:
         logger.warn({ type, message }, 'Unknown message type received');
         return { 
           type: 'unknown_message', 
           success: false,
+          permanent: true, // a retry cannot make the type known
           error: `Unknown message type: ${type}`,
           room_id: roomId,
           wa_message_id
@@ -251,9 +558,9 @@ async function processIncomingMessage(io, message, value) {
 /**
  * Handle text messages
  */
-async function handleTextMessage(io, messageData) {
+async function handleTextMessage(ctx, messageData) {
   try {
-    const result = await handleIncomingMessage({ io }, {
+    const result = await saveIncomingMessage(ctx, {
       room_id: messageData.room_id,
       user_id: null, // null = customer message (incoming)
       content_type: 'text',
@@ -291,10 +598,10 @@ async function handleTextMessage(io, messageData) {
 /**
  * Handle media messages (image, video, audio, document, sticker)
  */
-async function handleMediaMessage(io, messageData) {
+async function handleMediaMessage(ctx, messageData) {
   const { media, type } = messageData;
   
-  return await handleIncomingMedia({ io }, {
+  return await saveIncomingMedia(ctx, {
     room_id: messageData.room_id,
     user_id: null, // null = customer message (incoming)
     content_type: 'media',
@@ -317,10 +624,10 @@ async function handleMediaMessage(io, messageData) {
 /**
  * Handle location messages
  */
-async function handleLocationMessage(io, messageData) {
+async function handleLocationMessage(ctx, messageData) {
   const { location } = messageData;
   
-  return await handleIncomingMessage({ io }, {
+  return await saveIncomingMessage(ctx, {
     room_id: messageData.room_id,
     user_id: null, // null = customer message (incoming)
     content_type: 'location',
@@ -343,11 +650,11 @@ async function handleLocationMessage(io, messageData) {
 /**
  * Handle contact sharing messages
  */
-async function handleContactsMessage(io, messageData) {
+async function handleContactsMessage(ctx, messageData) {
   const { contacts } = messageData;
   const contactsList = contacts.map(c => c.name?.formatted_name || 'Contact').join(', ');
   
-  return await handleIncomingMessage({ io }, {
+  return await saveIncomingMessage(ctx, {
     room_id: messageData.room_id,
     user_id: null, // null = customer message (incoming)
     content_type: 'contacts',
@@ -365,10 +672,10 @@ async function handleContactsMessage(io, messageData) {
 /**
  * Handle reaction messages
  */
-async function handleReactionMessage(io, messageData) {
+async function handleReactionMessage(ctx, messageData) {
   const { reaction } = messageData;
   
-  return await handleIncomingMessage({ io }, {
+  return await saveIncomingMessage(ctx, {
     room_id: messageData.room_id,
     user_id: null, // null = customer message (incoming)
     content_type: 'reaction',
@@ -386,7 +693,7 @@ async function handleReactionMessage(io, messageData) {
 /**
  * Handle interactive messages (lists, buttons)
  */
-async function handleInteractiveMessage(io, messageData) {
+async function handleInteractiveMessage(ctx, messageData) {
   const { interactive } = messageData;
   const { type: interactiveType } = interactive;
   
@@ -402,12 +709,24 @@ async function handleInteractiveMessage(io, messageData) {
       responseText = `List option selected: ${interactive.list_reply.title}`;
       responseData = { list_reply: interactive.list_reply };
       break;
+    case 'nfm_reply': {
+      // WhatsApp Flows: answers are in response_json, mapped onto the lead before the message is stored
+      const { nfm_reply: nfmReply } = interactive;
+      const response = parseFlowResponse(nfmReply);
+      const flowResult = await saveFlowResponse(ctx, messageData.room_id, response);
+      responseText = `Flow response: ${nfmReply.body || nfmReply.name || 'submitted'}`;
+      responseData = {
+        nfm_reply: { name: nfmReply.name || null, body: nfmReply.body || null, response },
+        flow_mapping: flowResult
+      };
+      break;
+    }
     default:
       responseText = `Interactive response: ${interactiveType}`;
       responseData = interactive;
   }
   
-  return await handleIncomingMessage({ io }, {
+  return await saveIncomingMessage(ctx, {
     room_id: messageData.room_id,
     user_id: null, // null = customer message (incoming)
     content_type: 'interactive',
@@ -425,10 +744,10 @@ async function handleInteractiveMessage(io, messageData) {
 /**
  * Handle button messages (legacy)
  */
-async function handleButtonMessage(io, messageData) {
+async function handleButtonMessage(ctx, messageData) {
   const { button } = messageData;
   
-  return await handleIncomingMessage({ io }, {
+  return await saveIncomingMessage(ctx, {
     room_id: messageData.room_id,
     user_id: null, // null = customer message (incoming)
     content_type: 'button',
@@ -446,20 +765,27 @@ async function handleButtonMessage(io, messageData) {
 /**
  * Handle order messages
  */
-async function handleOrderMessage(io, messageData) {
+async function handleOrderMessage(ctx, messageData) {
   const { order } = messageData;
+
+  // Stored as an order first so the message can point at it
+  const savedOrder = await saveOrder(ctx, messageData.room, order, messageData.wa_message_id);
+  const total = savedOrder.currency ? `${savedOrder.currency} ${savedOrder.total_amount}` : `${savedOrder.total_amount}`;
   
-  return await handleIncomingMessage({ io }, {
+  return await saveIncomingMessage(ctx, {
     room_id: messageData.room_id,
     user_id: null, // null = customer message (incoming)
     content_type: 'order',
-    content_text: `Order placed with ${order.product_items?.length || 0} items`,
+    content_text: `Order placed with ${order.product_items?.length || 0} items (total ${total})`,
     wa_message_id: messageData.wa_message_id,
     status: 'received',
     reply_to_wa_message_id: messageData.context?.id || null,
     metadata: {
       timestamp: messageData.timestamp,
-      order
+      order,
+      order_id: savedOrder.id,
+      order_total: savedOrder.total_amount,
+      order_currency: savedOrder.currency
     }
   });
 }
@@ -467,14 +793,16 @@ async function handleOrderMessage(io, messageData) {
 /**
  * Handle referral messages
  */
-async function handleReferralMessage(io, messageData) {
+async function handleReferralMessage(ctx, messageData) {
   const { referral } = messageData;
   
-  return await handleIncomingMessage({ io }, {
+  return await saveIncomingMessage(ctx, {
     room_id: messageData.room_id,
     user_id: null, // null = customer message (incoming)
     content_type: 'referral',
-    content_text: `Referral from ${referral.source_type}: ${referral.source_id}`,
+    content_text: referral.headline
+      ? `Referral from ${referral.source_type}: ${referral.headline}`
+      : `Referral from ${referral.source_type}: ${referral.source_id}`,
     wa_message_id: messageData.wa_message_id,
     status: 'received',
     reply_to_wa_message_id: messageData.context?.id || null,
@@ -488,10 +816,10 @@ async function handleReferralMessage(io, messageData) {
 /**
  * Handle unsupported message types
  */
-async function handleUnsupportedMessage(io, messageData) {
+async function handleUnsupportedMessage(ctx, messageData) {
   const { unsupported } = messageData;
   
-  return await handleIncomingMessage({ io }, {
+  return await saveIncomingMessage(ctx, {
     room_id: messageData.room_id,
     user_id: null, // null = customer message (incoming)
     content_type: 'unsupported',
@@ -509,8 +837,8 @@ async function handleUnsupportedMessage(io, messageData) {
 /**
  * Handle request_welcome (Customer clicked "Get Started" button)
  */
-async function handleRequestWelcome(io, messageData) {
-  return await handleIncomingMessage({ io }, {
+async function handleRequestWelcome(ctx, messageData) {
+  return await saveIncomingMessage(ctx, {
     room_id: messageData.room_id,
     user_id: null, // null = customer message (incoming)
     content_type: 'system',
@@ -0,0 +1,67 @@
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import { hashPin, legacyPinToString } from '../utils/pinHash.js';
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * One-time backfill: hash plaintext PINs into users.pin_hash and clear users.pin.
+ * Run after applying 2026_10_19_hash_user_pins.sql. Safe to re-run; users that
+ * already have a pin_hash are skipped.
+ *
+ *   node src/scripts/hash-existing-pins.js
+ */
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY // Use service key for admin operations
+);
+
+async function hashExistingPins() {
+  try {
+    console.log('🚀 Hashing plaintext user PINs...');
+
+    const { data: users, error } = await supabase
+      .from('users')
+      .select('id, email, pin, pin_hash')
+      .not('pin', 'is', null);
+
+    if (error) {
+      throw new Error(`Fetching users failed: ${error.message}`);
+    }
+
+    let hashed = 0;
+    let cleared = 0;
+
+    for (const user of users) {
+      const updates = { pin: null };
+
+      if (!user.pin_hash) {
+        updates.pin_hash = await hashPin(legacyPinToString(user.pin));
+        hashed++;
+      } else {
+        cleared++;
+      }
+
+      const { error: updateError } = await supabase
+        .from('users')
+        .update(updates)
+        .eq('id', user.id);
+
+      if (updateError) {
+        throw new Error(`Updating user ${user.id} failed: ${updateError.message}`);
+      }
+
+      console.log(`  ✔ ${user.email}`);
+    }
+
+    console.log(`\n✅ Done: ${hashed} PIN(s) hashed, ${cleared} stale plaintext PIN(s) cleared`);
+
+  } catch (error) {
+    console.error('❌ PIN backfill failed:', error.message);
+    process.exit(1);
+  }
+}
+
+hashExistingPins();
@@ -0,0 +1,147 @@
+import { insertAccountEvent, isUniqueViolation } from '../db.js';
+import { emitToPermission } from '../socket/broadcast.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Account Event Service
+ * Non-message webhook fields: template status/quality, phone number quality,
+ * account and business capability updates. Stored in whatsapp_account_events and
+ * pushed to roles with account_events.view as 'whatsapp:account_event'.
+ */
+
+export const ACCOUNT_EVENT_FIELDS = [
+  'message_template_status_update',
+  'message_template_quality_update',
+  'phone_number_quality_update',
+  'account_update',
+  'business_capability_update'
+];
+
+// Events that need someone to act now (sending is blocked or about to be)
+const CRITICAL_EVENTS = [
+  'REJECTED', 'PAUSED', 'DISABLED', 'PENDING_DELETION',
+  'FLAGGED', 'DOWNGRADE',
+  'ACCOUNT_VIOLATION', 'ACCOUNT_RESTRICTION', 'DISABLED_UPDATE', 'ACCOUNT_DELETED'
+];
+
+function severityFor(event, qualityScore = null) {
+  if (CRITICAL_EVENTS.includes(event) || qualityScore === 'RED') return 'critical';
+  if (qualityScore === 'YELLOW') return 'warning';
+  return 'info';
+}
+
+/**
+ * Map a change.value to the stored columns
+ * @returns {object} { event, severity, template_*, phone_number, summary }
+ */
+export function normalizeAccountEvent(field, value = {}) {
+  switch (field) {
+    case 'message_template_status_update': {
+      const reason = value.reason && value.reason !== 'NONE' ? ` (${value.reason})` : '';
+      return {
+        event: value.event || null,
+        severity: severityFor(value.event),
+        template_id: value.message_template_id ? String(value.message_template_id) : null,
+        template_name: value.message_template_name || null,
+        template_language: value.message_template_language || null,
+        summary: `Template ${value.message_template_name} [${value.message_template_language}] is now ${value.event}${reason}`
+      };
+    }
+
+    case 'message_template_quality_update':
+      return {
+        event: value.new_quality_score || null,
+        severity: severityFor(null, value.new_quality_score),
+        template_id: value.message_template_id ? String(value.message_template_id) : null,
+        template_name: value.message_template_name || null,
+        template_language: value.message_template_language || null,
+        summary: `Template ${value.message_template_name} quality changed from ${value.previous_quality_score} to ${value.new_quality_score}`
+      };
+
+    case 'phone_number_quality_update': {
+      const limit = value.current_limit ? `, messaging limit ${value.current_limit}` : '';
+      return {
+        event: value.event || null,
+        severity: severityFor(value.event),
+        phone_number: value.display_phone_number || null,
+        summary: `Phone number ${value.display_phone_number} quality event ${value.event}${limit}`
+      };
+    }
+
+    case 'account_update':
+      return {
+        event: value.event || null,
+        severity: severityFor(value.event),
+        phone_number: value.phone_number || null,
+        summary: `Account update ${value.event}` +
+          (value.violation_info?.violation_type ? `: ${value.violation_info.violation_type}` : '') +
+          (value.ban_info?.waba_ban_state ? `: ban state ${value.ban_info.waba_ban_state}` : '')
+      };
+
+    case 'business_capability_update':
+      return {
+        event: 'CAPABILITY_UPDATE',
+        severity: 'info',
+        summary: `Business capabilities updated (max daily conversations per phone: ${value.max_daily_conversation_per_phone ?? 'n/a'}, ` +
+          `max phone numbers per WABA: ${value.max_phone_numbers_per_waba ?? 'n/a'})`
+      };
+
+    default:
+      return { event: null, severity: 'info', summary: `Unhandled account field ${field}` };
+  }
+}
+
+/**
+ * Stored event_time of a change: entry.time (unix seconds), now when the webhook has none
+ */
+export function eventTimeOf(time) {
+  const date = time ? new Date(parseInt(time) * 1000) : new Date();
+  return Number.isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
+}
+
+/**
+ * Persist an account-level webhook change and alert admins
+ * @param {object} deps - dependencies
+ * @param {import('socket.io').Server} deps.io - socket.io server
+ * @param {object} change - { field, value, wabaId, time } - time is entry.time
+ * @returns {Promise<object>} { type, success, duplicate?, field, event, severity, account_event_id }
+ */
+export async function handleAccountEvent({ io }, { field, value, wabaId = null, time = null }) {
+  const normalized = normalizeAccountEvent(field, value);
+
+  let event;
+  try {
+    const { rows } = await insertAccountEvent({
+      field,
+      waba_id: wabaId,
+      event_time: eventTimeOf(time),
+      ...normalized,
+      payload: value || {}
+    });
+    event = rows[0];
+  } catch (err) {
+    if (!isUniqueViolation(err)) throw err;
+    // Redelivered change: already stored and alerted
+    logger.debug({ field, event: normalized.event, wabaId }, 'Duplicate account event ignored');
+    return { type: 'account_event', success: true, duplicate: true, field, event: normalized.event, severity: normalized.severity };
+  }
+
+  await emitToPermission(io, 'account_events.view', 'whatsapp:account_event', event);
+
+  logger[normalized.severity === 'critical' ? 'warn' : 'info']({
+    field,
+    event: normalized.event,
+    severity: normalized.severity,
+    templateName: normalized.template_name,
+    accountEventId: event.id
+  }, normalized.summary);
+
+  return {
+    type: 'account_event',
+    success: true,
+    field,
+    event: normalized.event,
+    severity: normalized.severity,
+    account_event_id: event.id
+  };
+}
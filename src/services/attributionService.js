@@ -0,0 +1,77 @@
+import { getLeadById, updateLead, insertLeadAttribution, getLeadAttributions, isUniqueViolation } from '../db.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Attribution Service
+ * Messages sent from a Click-to-WhatsApp ad (or a boosted post) carry a `referral` block.
+ * It is stored in lead_attributions, linked to the room's lead; the ad id (source_id) of the
+ * first touch becomes the lead's utm_id.
+ */
+
+/**
+ * Map a webhook referral block to lead_attributions columns
+ * @param {object} referral - message.referral as received
+ */
+export function normalizeReferral(referral = {}) {
+  return {
+    source_type: referral.source_type || null,
+    source_id: referral.source_id ? String(referral.source_id) : null,
+    source_url: referral.source_url || null,
+    ctwa_clid: referral.ctwa_clid || null,
+    headline: referral.headline || null,
+    body: referral.body || null,
+    media_type: referral.media_type || null,
+    image_url: referral.image_url || null,
+    video_url: referral.video_url || null,
+    thumbnail_url: referral.thumbnail_url || null
+  };
+}
+
+/**
+ * Store the referral of an inbound message and fill the lead's utm_id if it has none
+ * @param {object} input
+ * @param {object} input.room - rooms row (leads_id)
+ * @param {object} input.referral - message.referral as received
+ * @param {string} input.waMessageId - WhatsApp id of the message that carried it
+ * @returns {Promise<object>} { success, duplicate?, attribution? }
+ */
+export async function recordLeadAttribution({ room, referral, waMessageId }) {
+  const normalized = normalizeReferral(referral);
+
+  const lead = room?.leads_id ? (await getLeadById(room.leads_id)).rows[0] || null : null;
+  const isFirstTouch = lead ? (await getLeadAttributions(lead.id)).rows.length === 0 : false;
+
+  let attribution;
+  try {
+    const { rows } = await insertLeadAttribution({
+      lead_id: lead?.id || null,
+      room_id: room?.id || null,
+      wa_message_id: waMessageId || null,
+      ...normalized,
+      is_first_touch: isFirstTouch,
+      referral
+    });
+    attribution = rows[0];
+  } catch (err) {
+    // Redelivered webhook: the referral of this message is already stored
+    if (isUniqueViolation(err)) {
+      return { success: true, duplicate: true };
+    }
+    throw err;
+  }
+
+  // Leads created before the referral arrived (or by hand) keep an explicit utm_id
+  if (lead && !lead.utm_id && normalized.source_id) {
+    await updateLead(lead.id, { utm_id: normalized.source_id });
+  }
+
+  logger.info({
+    leadId: lead?.id || null,
+    roomId: room?.id || null,
+    sourceType: normalized.source_type,
+    sourceId: normalized.source_id,
+    isFirstTouch
+  }, 'Lead attribution recorded from referral');
+
+  return { success: true, attribution };
+}
@@ -0,0 +1,66 @@
+import { insertAuditLog } from '../db.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Audit Service
+ * Writes the append-only audit trail (table audit_logs).
+ * Recording never throws: a failed audit write is logged and the request carries on.
+ */
+
+// Never copied into audit rows
+const REDACTED_FIELDS = ['pin', 'pin_hash', 'access_token', 'secret'];
+
+function redact(record) {
+  if (!record || typeof record !== 'object') return record ?? null;
+  const copy = { ...record };
+  for (const field of REDACTED_FIELDS) {
+    if (field in copy) copy[field] = '[redacted]';
+  }
+  return copy;
+}
+
+/**
+ * Field-level diff between two records
+ * @returns {object|null} { field: { from, to } } for every changed field, null if nothing changed
+ */
+export function diffRecords(before, after) {
+  if (!before || !after) return null;
+
+  const changes = {};
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  for (const field of fields) {
+    if (field === 'updated_at' || REDACTED_FIELDS.includes(field)) continue;
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changes[field] = { from: before[field] ?? null, to: after[field] ?? null };
+    }
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+/**
+ * Record an audit entry for the authenticated request
+ * @param {object} req - Express request (actor from req.user, ip and user agent from the request)
+ * @param {object} entry - { action, targetType, targetId, before?, after?, metadata? }
+ */
+export async function recordAudit(req, { action, targetType, targetId = null, before = null, after = null, metadata = null }) {
+  try {
+    await insertAuditLog({
+      actor_id: req.user?.id || null,
+      actor_role: req.user?.role || null,
+      action,
+      target_type: targetType,
+      target_id: targetId !== null && targetId !== undefined ? String(targetId) : null,
+      changes: diffRecords(before, after),
+      before: redact(before),
+      after: redact(after),
+      metadata,
+      ip_address: req.ip || null,
+      user_agent: req.get?.('user-agent') || null,
+      created_at: new Date().toISOString()
+    });
+  } catch (err) {
+    logger.error({ err, action, targetType, targetId }, 'Failed to write audit log');
+  }
+}
@@ -0,0 +1,141 @@
+import { insertCallLog, getCallLog, updateCallLog, isUniqueViolation } from '../db.js';
+import { handleIncomingMessage } from './messageService.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Call Service
+ * WhatsApp Business Calling sends a 'calls' webhook field with one event per call phase
+ * (connect, terminate). Each event is stored in call_logs and posted in the room timeline as a
+ * message with content_type 'call'. Missed calls push a notification to the room's participants.
+ */
+
+const toIso = (unixSeconds) => unixSeconds ? new Date(parseInt(unixSeconds) * 1000).toISOString() : null;
+
+function formatDuration(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const rest = seconds % 60;
+  return minutes > 0 ? `${minutes}m ${rest}s` : `${rest}s`;
+}
+
+/**
+ * Customer side of a call (the business number is the other side)
+ * @param {object} call - calls[] entry as received
+ */
+export function getCallCustomerPhone(call) {
+  return call.direction === 'BUSINESS_INITIATED' ? call.to : call.from;
+}
+
+/**
+ * Map a calls[] entry to call_logs columns and the timeline text
+ * @param {object} call - calls[] entry as received
+ * @returns {object} { log, text }
+ */
+export function normalizeCallEvent(call) {
+  const event = String(call.event || 'unknown').toLowerCase();
+  const userInitiated = call.direction !== 'BUSINESS_INITIATED';
+  const duration = call.duration !== undefined ? parseInt(call.duration) || 0 : null;
+  const answered = duration > 0 || !!call.start_time;
+  // A customer's call that ended without ever being picked up
+  const isMissed = event === 'terminate' && userInitiated && !answered;
+
+  let text;
+  if (event === 'connect') {
+    text = userInitiated ? 'Incoming WhatsApp call' : 'Outgoing WhatsApp call';
+  } else if (isMissed) {
+    text = 'Missed WhatsApp call';
+  } else if (event === 'terminate') {
+    text = answered && duration !== null
+      ? `WhatsApp call ended (${formatDuration(duration)})`
+      : `WhatsApp call ended${call.status ? ` (${call.status})` : ''}`;
+  } else {
+    text = `WhatsApp call ${event}`;
+  }
+
+  return {
+    text,
+    log: {
+      call_id: call.id,
+      event,
+      direction: call.direction || null,
+      from_phone: call.from || null,
+      to_phone: call.to || null,
+      status: call.status || null,
+      is_missed: isMissed,
+      start_time: toIso(call.start_time),
+      end_time: toIso(call.end_time),
+      duration_seconds: duration,
+      payload: call,
+      occurred_at: toIso(call.timestamp) || new Date().toISOString()
+    }
+  };
+}
+
+/**
+ * Store a call event and post it in the room timeline (idempotent per call id and event)
+ * @param {object} deps - dependencies
+ * @param {import('socket.io').Server} deps.io - socket.io server
+ * @param {object} [deps.channel] - WhatsApp channel the call arrived on
+ * @param {object} input - { room, call, customerName }
+ * @returns {Promise<object>} { type, success, duplicate?, call_id, event, missed, room_id, message_id }
+ */
+export async function handleCallEvent({ io, channel = null }, { room, call, customerName = null }) {
+  const { log, text } = normalizeCallEvent(call);
+
+  let callLog;
+  try {
+    const { rows } = await insertCallLog({ ...log, room_id: room.id });
+    callLog = rows[0];
+  } catch (err) {
+    if (!isUniqueViolation(err)) throw err;
+    // Redelivered event: only finish what the first attempt did not
+    const { rows } = await getCallLog(log.call_id, log.event);
+    callLog = rows[0];
+    if (callLog.message_id) {
+      return { type: 'call_event', success: true, duplicate: true, call_id: log.call_id, event: log.event, room_id: room.id, message_id: callLog.message_id };
+    }
+  }
+
+  const result = await handleIncomingMessage({ io, channel }, {
+    room_id: room.id,
+    user_id: null,
+    content_type: 'call',
+    content_text: text,
+    sender: customerName || getCallCustomerPhone(call),
+    wa_timestamp: log.occurred_at,
+    // Only missed calls are worth a push notification
+    notify: log.is_missed,
+    metadata: {
+      call: {
+        call_log_id: callLog.id,
+        call_id: log.call_id,
+        event: log.event,
+        direction: log.direction,
+        status: log.status,
+        missed: log.is_missed,
+        start_time: log.start_time,
+        end_time: log.end_time,
+        duration_seconds: log.duration_seconds
+      }
+    }
+  });
+
+  await updateCallLog(callLog.id, { message_id: result.message_id });
+
+  logger.info({
+    callId: log.call_id,
+    event: log.event,
+    roomId: room.id,
+    missed: log.is_missed,
+    durationSeconds: log.duration_seconds
+  }, 'Call event logged');
+
+  return {
+    type: 'call_event',
+    success: true,
+    call_id: log.call_id,
+    event: log.event,
+    missed: log.is_missed,
+    room_id: room.id,
+    message_id: result.message_id
+  };
+}
@@ -0,0 +1,128 @@
+import { config } from '../config.js';
+import { getChannels } from '../db.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Channel Service
+ * WhatsApp phone numbers this deployment sends from and receives on (table whatsapp_channels).
+ * Rooms carry the channel_id of the number the customer wrote to; rooms without one belong to
+ * the default channel. With no rows in the table the WHATSAPP_* env vars are the only channel.
+ */
+
+const CACHE_TTL_MS = 60 * 1000;
+let channelCache = null;
+let channelCacheLoadedAt = 0;
+
+// Single-number setup from env (id null = rooms not bound to a channel)
+function envChannel() {
+  return {
+    id: null,
+    display_name: 'Default',
+    phone_number_id: config.whatsapp.phoneNumberId || null,
+    display_phone_number: null,
+    waba_id: config.whatsapp.businessAccountId || null,
+    access_token: config.whatsapp.accessToken || null,
+    is_default: true,
+    is_active: true
+  };
+}
+
+async function loadChannels() {
+  if (channelCache && Date.now() - channelCacheLoadedAt < CACHE_TTL_MS) {
+    return channelCache;
+  }
+
+  try {
+    const { rows } = await getChannels();
+    channelCache = rows;
+    channelCacheLoadedAt = Date.now();
+    return rows;
+  } catch (err) {
+    // Keep sending through the last known channels (or env) if the table is unreachable
+    logger.error({ err }, 'Failed to load WhatsApp channels, using cached or env channel');
+    return channelCache || [];
+  }
+}
+
+/**
+ * Drop cached channels (call after any change to whatsapp_channels)
+ */
+export function invalidateChannelCache() {
+  channelCache = null;
+  channelCacheLoadedAt = 0;
+}
+
+/**
+ * All channels; the env channel when the registry is empty
+ * @returns {Promise<object[]>}
+ */
+export async function listChannels() {
+  const channels = await loadChannels();
+  return channels.length > 0 ? channels : [envChannel()];
+}
+
+/**
+ * Channel used for rooms without channel_id: the registered default, else the env channel
+ * @returns {Promise<object>}
+ */
+export async function getDefaultChannel() {
+  const channels = await loadChannels();
+  return channels.find(channel => channel.is_default) || envChannel();
+}
+
+/**
+ * Resolve a room's channel_id to a channel
+ * @param {string|null} channelId - null for the default channel
+ * @returns {Promise<object>}
+ */
+export async function getChannel(channelId) {
+  if (!channelId) {
+    return getDefaultChannel();
+  }
+
+  const channels = await loadChannels();
+  const channel = channels.find(c => c.id === channelId);
+  if (!channel) {
+    throw new Error(`WhatsApp channel not found: ${channelId}`);
+  }
+  return channel;
+}
+
+/**
+ * Channel a webhook change arrived on (value.metadata.phone_number_id)
+ * @param {string} phoneNumberId
+ * @returns {Promise<object|null>} null if the number is not registered
+ */
+export async function getChannelByPhoneNumberId(phoneNumberId) {
+  const channels = await loadChannels();
+  const channel = channels.find(c => c.phone_number_id === phoneNumberId);
+  if (channel) return channel;
+
+  const fallback = envChannel();
+  // Without a registry every number maps to the env channel, as before channels existed
+  if (channels.length === 0 || (phoneNumberId && phoneNumberId === fallback.phone_number_id)) {
+    return fallback;
+  }
+  return null;
+}
+
+/**
+ * Channel to send through for a room; refuses deactivated channels
+ * @param {object} room - rooms row (channel_id)
+ * @returns {Promise<object>}
+ */
+export async function getSendingChannel(room) {
+  const channel = await getChannel(room?.channel_id || null);
+  if (!channel.is_active) {
+    throw new Error(`WhatsApp channel ${channel.display_name} is deactivated`);
+  }
+  return channel;
+}
+
+/**
+ * Channel without its access token, safe to return from the API
+ */
+export function toPublicChannel(channel) {
+  const { access_token, ...rest } = channel;
+  return { ...rest, has_access_token: !!access_token };
+}
@@ -0,0 +1,208 @@
+import { getFlowMappings, getRoomById, getLeadById, updateLead } from '../db.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Flow Service
+ * WhatsApp Flows replies arrive as interactive `nfm_reply` messages; response_json holds the
+ * answers plus the flow_token the flow was sent with. A flow mapping (table flow_mappings)
+ * matched on that token copies answers onto the lead of the room.
+ */
+
+// Lead columns a flow answer may be written to (anything else goes to custom_attributes.<key>)
+export const FLOW_LEAD_FIELDS = ['name', 'outstanding', 'loan_type'];
+
+const CUSTOM_ATTRIBUTE_PREFIX = 'custom_attributes.';
+const CUSTOM_ATTRIBUTE_KEY = /^[a-zA-Z0-9_]{1,64}$/;
+const CACHE_TTL_MS = 60 * 1000;
+
+let mappingCache = null;
+let mappingCacheLoadedAt = 0;
+
+async function loadMappings() {
+  if (mappingCache && Date.now() - mappingCacheLoadedAt < CACHE_TTL_MS) {
+    return mappingCache;
+  }
+
+  const { rows } = await getFlowMappings();
+  mappingCache = rows;
+  mappingCacheLoadedAt = Date.now();
+  return rows;
+}
+
+/**
+ * Drop cached mappings (call after any change to flow_mappings)
+ */
+export function invalidateFlowMappingCache() {
+  mappingCache = null;
+  mappingCacheLoadedAt = 0;
+}
+
+/**
+ * Answers of a Flow reply; response_json is a JSON string in the webhook
+ * @param {object} nfmReply - interactive.nfm_reply as received
+ * @returns {object} parsed answers ({} when missing or not valid JSON)
+ */
+export function parseFlowResponse(nfmReply = {}) {
+  const raw = nfmReply.response_json;
+  if (!raw) return {};
+  if (typeof raw === 'object') return raw;
+
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (err) {
+    logger.warn({ err, responseJson: String(raw).slice(0, 500) }, 'Invalid Flow response_json');
+    return {};
+  }
+}
+
+/**
+ * Validate field_mappings, returns an error message or null
+ * @param {Array} fieldMappings - [{ flow_field, target }]
+ */
+export function validateFieldMappings(fieldMappings) {
+  if (!Array.isArray(fieldMappings) || fieldMappings.length === 0) {
+    return 'field_mappings must be a non-empty array of { flow_field, target }';
+  }
+
+  for (const mapping of fieldMappings) {
+    if (!mapping || typeof mapping.flow_field !== 'string' || !mapping.flow_field.trim()) {
+      return 'Every field mapping needs a flow_field';
+    }
+
+    const target = mapping.target;
+    const isCustom = typeof target === 'string' && target.startsWith(CUSTOM_ATTRIBUTE_PREFIX);
+    if (isCustom && !CUSTOM_ATTRIBUTE_KEY.test(target.slice(CUSTOM_ATTRIBUTE_PREFIX.length))) {
+      return `Invalid custom attribute target: ${target} (letters, digits and _ only)`;
+    }
+    if (!isCustom && !FLOW_LEAD_FIELDS.includes(target)) {
+      return `Invalid target: ${target} (allowed: ${FLOW_LEAD_FIELDS.join(', ')} or ${CUSTOM_ATTRIBUTE_PREFIX}<key>)`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Active mapping for a flow_token: exact match or '<flow_token>:' prefix, longest wins
+ * @param {string} flowToken
+ * @returns {Promise<object|null>}
+ */
+export async function findFlowMapping(flowToken) {
+  if (!flowToken) return null;
+
+  const matches = (await loadMappings()).filter(mapping =>
+    mapping.is_active &&
+    (flowToken === mapping.flow_token || flowToken.startsWith(`${mapping.flow_token}:`))
+  );
+
+  return matches.sort((a, b) => b.flow_token.length - a.flow_token.length)[0] || null;
+}
+
+// Answer values as stored: outstanding as a number ("Rp 5.000.000" -> 5000000), text trimmed
+function coerceValue(target, value) {
+  if (value === undefined || value === null || value === '') return undefined;
+
+  if (target === 'outstanding') {
+    if (typeof value === 'number') return value;
+    const digits = String(value).replace(/[^\d]/g, '');
+    return digits ? Number(digits) : undefined;
+  }
+
+  if (target.startsWith(CUSTOM_ATTRIBUTE_PREFIX)) {
+    return typeof value === 'string' ? value.trim() : value;
+  }
+
+  return Array.isArray(value) ? value.join(', ') : String(value).trim();
+}
+
+/**
+ * Lead changes for a Flow reply under a mapping
+ * @param {object} mapping - flow_mappings row
+ * @param {object} response - parsed response_json
+ * @returns {object} { updates, customAttributes, missing }
+ */
+export function buildLeadUpdates(mapping, response) {
+  const updates = {};
+  const customAttributes = {};
+  const missing = [];
+
+  for (const { flow_field, target } of mapping.field_mappings || []) {
+    const value = coerceValue(target, response[flow_field]);
+    if (value === undefined) {
+      missing.push(flow_field);
+      continue;
+    }
+
+    if (target.startsWith(CUSTOM_ATTRIBUTE_PREFIX)) {
+      customAttributes[target.slice(CUSTOM_ATTRIBUTE_PREFIX.length)] = value;
+    } else {
+      updates[target] = value;
+    }
+  }
+
+  return { updates, customAttributes, missing };
+}
+
+/**
+ * Resolve mapping and lead for a Flow reply without writing anything
+ * @param {string} roomId - room the reply arrived in
+ * @param {object} response - parsed response_json
+ * @returns {Promise<object>} { mapping?, lead?, updates?, missing?, reason? }
+ */
+export async function planFlowResponse(roomId, response) {
+  const mapping = await findFlowMapping(response.flow_token);
+  if (!mapping) {
+    return { reason: response.flow_token ? `No flow mapping for flow_token ${response.flow_token}` : 'Flow response has no flow_token' };
+  }
+
+  const { rows: roomRows } = roomId ? await getRoomById(roomId) : { rows: [] };
+  const leadId = roomRows[0]?.leads_id;
+  const { rows: leadRows } = leadId ? await getLeadById(leadId) : { rows: [] };
+  const lead = leadRows[0];
+  if (!lead) {
+    return { mapping, reason: 'Room has no lead' };
+  }
+
+  const { updates, customAttributes, missing } = buildLeadUpdates(mapping, response);
+  if (Object.keys(customAttributes).length > 0) {
+    updates.custom_attributes = { ...(lead.custom_attributes || {}), ...customAttributes };
+  }
+
+  return { mapping, lead, updates, missing };
+}
+
+/**
+ * Copy mapped Flow answers onto the room's lead
+ * @param {object} input
+ * @param {string} input.roomId - room the reply arrived in
+ * @param {object} input.response - parsed response_json
+ * @returns {Promise<object>} { applied, mapping_id?, lead_id?, fields?, missing?, reason? }
+ */
+export async function applyFlowResponse({ roomId, response }) {
+  const plan = await planFlowResponse(roomId, response);
+
+  if (!plan.lead || Object.keys(plan.updates).length === 0) {
+    const reason = plan.reason || 'No mapped fields in the response';
+    logger.info({ roomId, flowToken: response.flow_token, mappingId: plan.mapping?.id || null, reason }, 'Flow response not applied to lead');
+    return { applied: false, mapping_id: plan.mapping?.id || null, reason, missing: plan.missing };
+  }
+
+  await updateLead(plan.lead.id, plan.updates);
+
+  logger.info({
+    roomId,
+    leadId: plan.lead.id,
+    mappingId: plan.mapping.id,
+    fields: Object.keys(plan.updates),
+    missing: plan.missing
+  }, 'Flow response applied to lead');
+
+  return {
+    applied: true,
+    mapping_id: plan.mapping.id,
+    lead_id: plan.lead.id,
+    fields: Object.keys(plan.updates),
+    missing: plan.missing
+  };
+}
@@ -3,14 +3,21 @@ import FormData from 'form-data';
 import { v4 as uuidv4 } from 'uuid';
 import { config } from '../config.js';
 import { logger } from '../utils/logger.js';
-import { insertMessage } from '../db.js';
+import { emitToRoomAudience } from '../socket/broadcast.js';
+import { publishEvent } from './outboundWebhookService.js';
+import { insertMessage, isUniqueViolation } from '../db.js';
 import { uploadBuffer, uploadStream } from './storageService.js';
 import { sendPushNotification, sendMulticastNotification } from './fcmService.js';
+import { channelCredentials } from './whatsappService.js';
+import { incomingWaTimestamp } from './messageService.js';
 
 /**
  * Handle incoming media message from WhatsApp webhook
+ * @param {object} deps - dependencies
+ * @param {import('socket.io').Server} deps.io - socket.io server
+ * @param {object} [deps.channel] - WhatsApp channel the media was received on
  */
-export async function handleIncomingMedia({ io }, input) {
+export async function handleIncomingMedia({ io, channel = null }, input) {
   const messageId = uuidv4();
   
   try {
@@ -30,7 +37,7 @@ export async function handleIncomingMedia({ io }, input) {
       // 1. Download media from WhatsApp API
       logger.info('Downloading media from WhatsApp API');
       try {
-        mediaData = await downloadWhatsAppMedia(input.media_id);
+        mediaData = await downloadWhatsAppMedia(input.media_id, channel);
       } catch (err) {
         if (config.env === 'development') {
           logger.warn('WhatsApp API failed in development, using test data');
@@ -58,21 +65,31 @@ export async function handleIncomingMedia({ io }, input) {
     
     // 3. Save to database
     const storedName = (gcsData.gcsFilename || '').split('/').pop() || input.filename;
-    const message = await saveMediaMessage({
-      id: messageId,
-      room_id: input.room_id,
-      user_id: input.user_id, // null for customer messages from webhook
-      media_type: input.media_type,
-      media_id: input.media_id,
-      caption: input.caption,
-      gcs_filename: gcsData.gcsFilename,
-      gcs_url: gcsData.url,
-      file_size: gcsData.size,
-      mime_type: gcsData.contentType,
-      original_filename: storedName,
-      wa_message_id: input.wa_message_id,
-      metadata: input.metadata || {}
-    });
+    let message;
+    try {
+      message = await saveMediaMessage({
+        id: messageId,
+        room_id: input.room_id,
+        user_id: input.user_id, // null for customer messages from webhook
+        media_type: input.media_type,
+        media_id: input.media_id,
+        caption: input.caption,
+        gcs_filename: gcsData.gcsFilename,
+        gcs_url: gcsData.url,
+        file_size: gcsData.size,
+        mime_type: gcsData.contentType,
+        original_filename: storedName,
+        wa_message_id: input.wa_message_id,
+        metadata: input.metadata || {}
+      });
+    } catch (err) {
+      // Same WhatsApp message processed concurrently by another worker: nothing left to do
+      if (isUniqueViolation(err) && input.wa_message_id) {
+        logger.info({ waMessageId: input.wa_message_id, roomId: input.room_id }, 'Duplicate incoming media message ignored');
+        return { type: 'media_message', success: true, duplicate: true, room_id: input.room_id, wa_message_id: input.wa_message_id };
+      }
+      throw err;
+    }
     
     // 4. Emit to Socket.io room - use direct message structure with explicit null fallbacks
     const mediaPayload = {
@@ -91,6 +108,7 @@ export async function handleIncomingMedia({ io }, input) {
       wa_message_id: input.wa_message_id || null,
       status: message.status || 'received',
       status_timestamp: message.status_timestamp || null,
+      wa_timestamp: message.wa_timestamp || null,
       reply_to_wa_message_id: input.reply_to_wa_message_id || null,
       reaction_emoji: null,
       reaction_to_wa_message_id: null,
@@ -104,7 +122,8 @@ export async function handleIncomingMedia({ io }, input) {
     
     // Emit direct message object (not wrapped)
     io.to(`room:${input.room_id}`).emit('room:new_message', mediaPayload);
-    io.emit('new_message', mediaPayload);
+    await emitToRoomAudience(io, input.room_id, 'new_message', mediaPayload);
+    await publishEvent('message.received', { message: mediaPayload, customer_phone: null });
     
     logger.info({ 
       messageId,
@@ -145,15 +164,19 @@ export async function handleIncomingMedia({ io }, input) {
 
 /**
  * Download media from WhatsApp Cloud API
+ * @param {string} mediaId
+ * @param {object} [channel] - WhatsApp channel the media was received on (its token is used)
  */
-export async function downloadWhatsAppMedia(mediaId) {
+export async function downloadWhatsAppMedia(mediaId, channel = null) {
   try {
+    const { accessToken } = channelCredentials(channel);
+
     // 1. Get media URL
     const urlResponse = await axios.get(
       `${config.whatsapp.baseUrl}/${config.whatsapp.graphVersion}/${mediaId}`,
       {
         headers: {
-          'Authorization': `Bearer ${config.whatsapp.accessToken}`
+          'Authorization': `Bearer ${accessToken}`
         }
       }
     );
@@ -171,7 +194,7 @@ export async function downloadWhatsAppMedia(mediaId) {
     // 2. Download the actual media file
     const mediaResponse = await axios.get(url, {
       headers: {
-        'Authorization': `Bearer ${config.whatsapp.accessToken}`
+        'Authorization': `Bearer ${accessToken}`
       },
       responseType: 'arraybuffer',
       timeout: 30000, // 30 seconds for large files
@@ -220,9 +243,12 @@ export async function downloadWhatsAppMedia(mediaId) {
 
 /**
  * Upload media to WhatsApp Cloud API
+ * @param {object} [channel] - WhatsApp channel to upload to (media ids are per phone number)
  */
-export async function uploadMediaToWhatsApp({ buffer, filename, mimeType }) {
+export async function uploadMediaToWhatsApp({ buffer, filename, mimeType, channel = null }) {
   try {
+    const { phoneNumberId, accessToken } = channelCredentials(channel);
+
     const form = new FormData();
     form.append('messaging_product', 'whatsapp');
     form.append('file', buffer, {
@@ -231,11 +257,11 @@ export async function uploadMediaToWhatsApp({ buffer, filename, mimeType }) {
     });
     
     const response = await axios.post(
-      `${config.whatsapp.baseUrl}/${config.whatsapp.graphVersion}/${config.whatsapp.phoneNumberId}/media`,
+      `${config.whatsapp.baseUrl}/${config.whatsapp.graphVersion}/${phoneNumberId}/media`,
       form,
       {
         headers: {
-          'Authorization': `Bearer ${config.whatsapp.accessToken}`,
+          'Authorization': `Bearer ${accessToken}`,
           ...form.getHeaders()
         },
         maxContentLength: 100 * 1024 * 1024, // 100MB
@@ -274,6 +300,7 @@ async function saveMediaMessage(data) {
     wa_message_id: data.wa_message_id,
     reply_to_wa_message_id: replyTo,
     metadata: data.metadata || {},
+    wa_timestamp: incomingWaTimestamp(data),
     created_at: new Date().toISOString()
   };
   
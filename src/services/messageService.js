@@ -1,6 +1,8 @@
 import { v4 as uuidv4 } from 'uuid';
-import { insertMessage, getRoomParticipants, deleteDeviceTokens } from '../db.js';
+import { insertMessage, isUniqueViolation, getRoomParticipants, deleteDeviceTokens } from '../db.js';
 import { logger } from '../utils/logger.js';
+import { emitToRoomAudience } from '../socket/broadcast.js';
+import { publishEvent } from './outboundWebhookService.js';
 import { ensureRoom } from './roomService.js';
 import { sendAutoReply, markMessageAsRead } from './whatsappService.js';
 
@@ -8,6 +10,7 @@ import { sendAutoReply, markMessageAsRead } from './whatsappService.js';
  * Save incoming message, ensure room exists, emit to socket room, and send push to participants.
  * @param {object} deps - dependencies
  * @param {import('socket.io').Server} deps.io - socket.io server
+ * @param {object} [deps.channel] - WhatsApp channel the message was received on (read receipt, auto-reply)
  * @param {object} input - message input
  * @param {string} input.room_id
  * @param {string|null} input.user_id - null for customer messages, user ID for agent messages
@@ -15,8 +18,10 @@ import { sendAutoReply, markMessageAsRead } from './whatsappService.js';
  * @param {string} input.content_text
  * @param {string} [input.wa_message_id]
  * @param {object} [input.metadata] - Additional message metadata
+ * @param {string} [input.wa_timestamp] - ISO time the message happened (default: metadata.timestamp, else now)
+ * @param {boolean} [input.notify] - false to skip push notifications (default true)
  */
-export async function handleIncomingMessage({ io }, input) {
+export async function handleIncomingMessage({ io, channel = null }, input) {
   try {
     // Note: input.room_id is already the actual room UUID from webhook handler
     
@@ -42,11 +47,22 @@ export async function handleIncomingMessage({ io }, input) {
       reaction_emoji: reactionEmoji,
       reaction_to_wa_message_id: reactionToWa,
       metadata: input.metadata || {},
+      wa_timestamp: incomingWaTimestamp(input),
       created_at: new Date().toISOString()
     };
 
-    const { rows } = await insertMessage(messageData);
-    const message = rows[0];
+    let message;
+    try {
+      const { rows } = await insertMessage(messageData);
+      message = rows[0];
+    } catch (err) {
+      // Same WhatsApp message processed concurrently by another worker: nothing left to do
+      if (isUniqueViolation(err) && input.wa_message_id) {
+        logger.info({ waMessageId: input.wa_message_id, roomId: input.room_id }, 'Duplicate incoming message ignored');
+        return { success: true, duplicate: true, room_id: input.room_id, wa_message_id: input.wa_message_id };
+      }
+      throw err;
+    }
 
     logger.info({ 
       messageId: id,
@@ -82,6 +98,7 @@ export async function handleIncomingMessage({ io }, input) {
       reaction_emoji: message.reaction_emoji || null,
       reaction_to_wa_message_id: message.reaction_to_wa_message_id || null,
       status_timestamp: message.status_timestamp || null,
+      wa_timestamp: message.wa_timestamp || null,
       // Media fields (explicitly null if not present)
       media_type: message.media_type || null,
       media_id: message.media_id || null,
@@ -110,6 +127,7 @@ export async function handleIncomingMessage({ io }, input) {
             room_id: roomDetail.room_id,
             room_phone: roomDetail.room_phone,
             room_title: roomDetail.room_title || 'Personal',
+            channel_id: roomDetail.channel_id || null,
             room_created_at: roomDetail.room_created_at,
             room_updated_at: roomDetail.room_updated_at,
             
@@ -138,8 +156,8 @@ export async function handleIncomingMessage({ io }, input) {
             participants: roomDetail.participants || []
           };
           
-          // Emit global event for all agents/admins to see new room with complete data
-          io.emit('new_room_complete', newRoomCompletePayload);
+          // New rooms have no participants yet, so this reaches roles with rooms.view_all
+          await emitToRoomAudience(io, input.room_id, 'new_room_complete', newRoomCompletePayload);
           
           logger.info({ 
             roomId: input.room_id,
@@ -157,9 +175,12 @@ export async function handleIncomingMessage({ io }, input) {
     // 3b. Emit to room-specific channel (best practice for scalability)
     io.to(`room:${input.room_id}`).emit('room:new_message', messagePayload);
     
-    // 3c. ALSO emit global event for existing rooms (backward compatibility)
+    // 3c. ALSO emit new_message to the room's participants and supervisors/admins (user/role channels)
     // Frontend expects message object directly, not wrapped
-    io.emit('new_message', messagePayload);
+    await emitToRoomAudience(io, input.room_id, 'new_message', messagePayload);
+
+    // 3d. Subscribed external systems
+    await publishEvent('message.received', { message: messagePayload, customer_phone: input.customer_phone || null });
     
     logger.info({ 
       messageId: message.id,
@@ -171,19 +192,21 @@ export async function handleIncomingMessage({ io }, input) {
     }, '📡 Emitting message events via Socket.IO');
 
     // 4. Send push notifications to participants
-    await sendPushNotifications(input.room_id, {
-      title: input.sender,
-      message: input.content_text,
-      room_id: input.room_id,
-      sender: input.sender,
-      message_id: id,
-      type: input.content_type
-    });
+    if (input.notify !== false) {
+      await sendPushNotifications(input.room_id, {
+        title: input.sender,
+        message: input.content_text,
+        room_id: input.room_id,
+        sender: input.sender,
+        message_id: id,
+        type: input.content_type
+      });
+    }
 
     // 5. Mark message as read in WhatsApp (optional)
     if (input.wa_message_id) {
       try {
-        await markMessageAsRead(input.wa_message_id);
+        await markMessageAsRead(input.wa_message_id, { channel });
       } catch (err) {
         logger.warn({ err, waMessageId: input.wa_message_id }, 'Failed to mark message as read');
       }
@@ -192,7 +215,7 @@ export async function handleIncomingMessage({ io }, input) {
     // 6. Send auto-reply if it's a text message and we have customer phone
     if (input.content_type === 'text' && input.content_text && input.customer_phone) {
       try {
-        const autoReply = await sendAutoReply(input.customer_phone, input.content_text);
+        const autoReply = await sendAutoReply(input.customer_phone, input.content_text, { channel });
         if (autoReply) {
           logger.info({ 
             roomId: input.room_id,
@@ -225,6 +248,18 @@ export async function handleIncomingMessage({ io }, input) {
   }
 }
 
+/**
+ * wa_timestamp of an incoming message: the WhatsApp timestamp when the webhook carried one
+ * (handlers put it in metadata.timestamp, in milliseconds), otherwise now
+ * @param {object} input - { wa_timestamp?, metadata? }
+ * @returns {string} ISO timestamp
+ */
+export function incomingWaTimestamp(input) {
+  if (input.wa_timestamp) return input.wa_timestamp;
+  const ms = Number(input.metadata?.timestamp);
+  return Number.isFinite(ms) && ms > 0 ? new Date(ms).toISOString() : new Date().toISOString();
+}
+
 /**
  * Send push notifications to room participants
  */
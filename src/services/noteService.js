@@ -0,0 +1,149 @@
+import { v4 as uuidv4 } from 'uuid';
+import { insertMessage, getUsersByIds, getDeviceTokensByUserIds, deleteDeviceTokens, checkRoomParticipant } from '../db.js';
+import { getPermissionsForRole } from './permissionService.js';
+import { emitToRoomAudience, userChannel } from '../socket/broadcast.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Note Service
+ * Internal notes are messages with content_type 'note' written by an agent inside a room.
+ * They sit in the timeline with the WhatsApp messages but are never sent to WhatsApp and never
+ * published to outbound webhooks. Mentions are written as @[Name](user-id) in the text.
+ */
+
+export const NOTE_CONTENT_TYPE = 'note';
+
+const MENTION_PATTERN = /@\[([^\]]+)\]\(([0-9a-f-]{36})\)/gi;
+
+/**
+ * User ids mentioned in a note text (@[Name](user-id)), without duplicates
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function parseMentions(text) {
+  return [...new Set([...(text || '').matchAll(MENTION_PATTERN)].map(match => match[2].toLowerCase()))];
+}
+
+/**
+ * Note text with mention markup rendered as @Name (push notifications)
+ * @param {string} text
+ */
+export function renderMentions(text) {
+  return (text || '').replace(MENTION_PATTERN, '@$1');
+}
+
+/**
+ * Resolve mentioned users and check they can see the room (a push would leak the note otherwise)
+ * @returns {Promise<object>} { users, invalid } - invalid: ids that are unknown, inactive or without access
+ */
+async function resolveMentionedUsers(roomId, userIds) {
+  const { rows } = await getUsersByIds(userIds);
+  const users = [];
+
+  for (const user of rows) {
+    if (user.is_active === false) continue;
+    const permissions = await getPermissionsForRole(user.role);
+    if (permissions.includes('rooms.view_all') || (await checkRoomParticipant(roomId, user.id)).rowCount > 0) {
+      users.push(user);
+    }
+  }
+
+  const allowed = new Set(users.map(user => user.id));
+  return { users, invalid: userIds.filter(id => !allowed.has(id)) };
+}
+
+async function notifyMentionedUsers(note, author, userIds) {
+  try {
+    const { rows } = await getDeviceTokensByUserIds(userIds);
+    const tokens = rows.map(row => row.device_token).filter(Boolean);
+    if (tokens.length === 0) return;
+
+    const { sendMulticastNotification } = await import('./fcmService.js');
+    const result = await sendMulticastNotification({
+      tokens,
+      payload: {
+        title: `${author.name || 'Agent'} mentioned you`,
+        message: renderMentions(note.content_text),
+        room_id: note.room_id,
+        sender: author.name || '',
+        message_id: note.id,
+        type: 'note_mention'
+      }
+    });
+
+    if (result.invalidTokens?.length > 0) {
+      await deleteDeviceTokens(result.invalidTokens);
+    }
+  } catch (err) {
+    // The note is saved; a missed push is not worth failing the request
+    logger.warn({ err, noteId: note.id }, 'Failed to send mention notifications');
+  }
+}
+
+/**
+ * Save an internal note, emit it to the room and notify mentioned users
+ * @param {object} deps - dependencies
+ * @param {import('socket.io').Server} deps.io - socket.io server
+ * @param {object} input
+ * @param {string} input.roomId
+ * @param {object} input.author - authenticated user ({ id, name })
+ * @param {string} input.text - may contain @[Name](user-id) mentions
+ * @param {string[]} [input.mentions] - extra user ids to mention
+ * @returns {Promise<object>} { note } or { error, invalid_mentions } when a mention is not allowed
+ */
+export async function createNote({ io }, { roomId, author, text, mentions = [] }) {
+  const mentionIds = [...new Set([...parseMentions(text), ...mentions.map(id => String(id).toLowerCase())])]
+    .filter(id => id !== author.id);
+
+  const { users: mentionedUsers, invalid } = await resolveMentionedUsers(roomId, mentionIds);
+  if (invalid.length > 0) {
+    return { error: 'Mentioned users must be active and have access to this room', invalid_mentions: invalid };
+  }
+
+  const now = new Date().toISOString();
+  const { rows } = await insertMessage({
+    id: uuidv4(),
+    room_id: roomId,
+    user_id: author.id,
+    content_type: NOTE_CONTENT_TYPE,
+    content_text: text,
+    wa_message_id: null,
+    metadata: {
+      internal: true,
+      mentions: mentionedUsers.map(user => ({ user_id: user.id, name: user.name }))
+    },
+    wa_timestamp: now,
+    created_at: now
+  });
+  const note = rows[0];
+
+  const payload = {
+    id: note.id,
+    room_id: note.room_id,
+    user_id: note.user_id,
+    content_type: note.content_type,
+    content_text: note.content_text,
+    wa_message_id: null,
+    status: note.status || null,
+    metadata: note.metadata,
+    wa_timestamp: note.wa_timestamp,
+    created_at: note.created_at,
+    updated_at: note.updated_at
+  };
+
+  if (io) {
+    io.to(`room:${roomId}`).emit('room:new_message', payload);
+    await emitToRoomAudience(io, roomId, 'new_message', payload);
+    for (const user of mentionedUsers) {
+      io.to(userChannel(user.id)).emit('note:mention', { ...payload, author: { id: author.id, name: author.name || null } });
+    }
+  }
+
+  if (mentionedUsers.length > 0) {
+    await notifyMentionedUsers(note, author, mentionedUsers.map(user => user.id));
+  }
+
+  logger.info({ noteId: note.id, roomId, authorId: author.id, mentions: mentionedUsers.length }, 'Internal note created');
+
+  return { note: payload };
+}
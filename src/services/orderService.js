@@ -0,0 +1,126 @@
+import { insertOrder, getOrderByWaMessageId, isUniqueViolation } from '../db.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Order Service
+ * Carts sent from a WhatsApp catalog arrive as 'order' messages
+ * ({ catalog_id, text, product_items: [{ product_retailer_id, quantity, item_price, currency }] }).
+ * Each one is stored as an order with line items and totals (tables orders, order_items).
+ */
+
+export const ORDER_STATUSES = ['received', 'confirmed', 'fulfilled', 'cancelled'];
+
+// Status an order may move to from each status; fulfilled and cancelled are final
+const ORDER_TRANSITIONS = {
+  received: ['confirmed', 'cancelled'],
+  confirmed: ['fulfilled', 'cancelled'],
+  fulfilled: [],
+  cancelled: []
+};
+
+/**
+ * Statuses an order must currently have to move to nextStatus
+ * @param {string} nextStatus
+ * @returns {string[]|null} null for an unknown status
+ */
+export function allowedPreviousOrderStatuses(nextStatus) {
+  if (!ORDER_STATUSES.includes(nextStatus)) {
+    return null;
+  }
+  return ORDER_STATUSES.filter(status => ORDER_TRANSITIONS[status].includes(nextStatus));
+}
+
+/**
+ * Whether an order may move from currentStatus to nextStatus
+ */
+export function canTransitionOrderStatus(currentStatus, nextStatus) {
+  const allowed = allowedPreviousOrderStatuses(nextStatus);
+  if (!allowed) return false;
+  return allowed.includes(currentStatus);
+}
+
+// Money in the catalog currency, rounded to cents
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Line items and totals of a webhook order object
+ * @param {object} order - message.order as received
+ * @returns {object} { items, total_amount, item_count, currency }
+ */
+export function summarizeOrder(order = {}) {
+  const items = (order.product_items || []).map(item => {
+    const quantity = parseInt(item.quantity) || 0;
+    const itemPrice = Number(item.item_price) || 0;
+    return {
+      product_retailer_id: String(item.product_retailer_id),
+      quantity,
+      item_price: itemPrice,
+      currency: item.currency || null,
+      line_total: roundAmount(quantity * itemPrice)
+    };
+  });
+
+  const currencies = [...new Set(items.map(item => item.currency).filter(Boolean))];
+
+  return {
+    items,
+    total_amount: roundAmount(items.reduce((sum, item) => sum + item.line_total, 0)),
+    item_count: items.reduce((sum, item) => sum + item.quantity, 0),
+    // A total over mixed currencies means nothing: keep it but flag the currency as unknown
+    currency: currencies.length === 1 ? currencies[0] : null
+  };
+}
+
+/**
+ * Store an order message as an order (idempotent per WhatsApp message)
+ * @param {object} input
+ * @param {object} input.room - rooms row (id, leads_id)
+ * @param {string} input.waMessageId - WhatsApp id of the order message
+ * @param {object} input.order - message.order as received
+ * @returns {Promise<object>} { order, duplicate }
+ */
+export async function recordOrder({ room, waMessageId, order }) {
+  if (waMessageId) {
+    const existing = await getOrderByWaMessageId(waMessageId);
+    if (existing.rows.length > 0) {
+      return { order: existing.rows[0], duplicate: true };
+    }
+  }
+
+  const summary = summarizeOrder(order);
+  if (summary.currency === null && summary.items.length > 0) {
+    logger.warn({ waMessageId, roomId: room?.id }, 'Order items use different currencies, storing without currency');
+  }
+
+  try {
+    const { rows } = await insertOrder({
+      room_id: room?.id || null,
+      lead_id: room?.leads_id || null,
+      wa_message_id: waMessageId || null,
+      catalog_id: order.catalog_id || null,
+      currency: summary.currency,
+      total_amount: summary.total_amount,
+      item_count: summary.item_count,
+      customer_note: order.text || null,
+      payload: order
+    }, summary.items);
+
+    logger.info({
+      orderId: rows[0].id,
+      roomId: room?.id || null,
+      leadId: room?.leads_id || null,
+      total: summary.total_amount,
+      currency: summary.currency,
+      items: summary.items.length
+    }, 'Order recorded');
+
+    return { order: rows[0], duplicate: false };
+  } catch (err) {
+    // Same order message processed concurrently
+    if (isUniqueViolation(err) && waMessageId) {
+      const existing = await getOrderByWaMessageId(waMessageId);
+      return { order: existing.rows[0], duplicate: true };
+    }
+    throw err;
+  }
+}
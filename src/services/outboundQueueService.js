@@ -0,0 +1,468 @@
+import { config } from '../config.js';
+import {
+  insertMessage,
+  updateMessage,
+  getMessage,
+  insertOutboundJob,
+  claimOutboundJobs,
+  updateOutboundJob,
+  getOutboundJobByMessageId,
+  updateMessageStatus,
+  insertStatusHistory,
+  isUniqueViolation
+} from '../db.js';
+import {
+  sendTextMessage,
+  sendMediaMessage,
+  sendMediaByUrl,
+  sendTemplateMessage,
+  sendContactsMessage,
+  sendLocationMessage,
+  sendReactionMessage,
+  sendProductMessage,
+  sendProductListMessage
+} from './whatsappService.js';
+import { getSendingChannel } from './channelService.js';
+import { allowedPreviousStatuses } from './statusService.js';
+import { publishEvent } from './outboundWebhookService.js';
+import { emitToRoomAudience } from '../socket/broadcast.js';
+import { computeBackoffMs } from '../utils/backoff.js';
+import { createPoller } from '../utils/poller.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Outbound Queue Service
+ * Agent messages are saved first with status 'pending' and one outbound_queue row describing the
+ * WhatsApp call (kind + payload). The worker below makes the call: on success the message gets its
+ * wa_message_id and status 'sent'; transient and rate-limit errors are retried with exponential
+ * backoff; anything else (or running out of attempts) marks the message 'failed' with the
+ * WhatsApp error code. Every change is pushed as 'message:status_update' like webhook statuses.
+ */
+
+// kind -> WhatsApp send call, payload is outbound_queue.payload
+const SENDERS = {
+  text: (to, p, channel) => sendTextMessage(to, p.text, { replyTo: p.replyTo, channel }),
+  media: (to, p, channel) => {
+    const options = { caption: p.caption, filename: p.filename, replyTo: p.replyTo, channel };
+    return p.mediaId
+      ? sendMediaMessage(to, p.mediaType, p.mediaId, options)
+      : sendMediaByUrl(to, p.mediaType, p.mediaUrl, options);
+  },
+  template: (to, p, channel) => sendTemplateMessage(to, p.templateName, p.languageCode, p.parameters || [], { replyTo: p.replyTo, channel }),
+  contacts: (to, p, channel) => sendContactsMessage(to, p.contacts, { replyTo: p.replyTo, channel }),
+  location: (to, p, channel) => sendLocationMessage(to, p.location, { replyTo: p.replyTo, channel }),
+  reaction: (to, p, channel) => sendReactionMessage(to, p.messageId, p.emoji, { channel }),
+  product: (to, p, channel) => sendProductMessage(to, p, { replyTo: p.replyTo, channel }),
+  product_list: (to, p, channel) => sendProductListMessage(to, p, { replyTo: p.replyTo, channel })
+};
+
+export const OUTBOUND_KINDS = Object.keys(SENDERS);
+
+// Graph API error codes worth another attempt: throttling and temporary Meta-side failures
+const RATE_LIMIT_ERROR_CODES = [4, 80007, 130429, 131048, 131056];
+const TRANSIENT_ERROR_CODES = [1, 2, 131000, 131016, 133004];
+
+let poller = null;
+let socketServer = null;
+
+/**
+ * Whether a failed send should be retried
+ * @param {Error} err - error thrown by a whatsappService send function
+ * @returns {object} { code, retryable, rateLimited, message } - code is the Graph API error code (null without one)
+ */
+export function classifySendError(err) {
+  const waError = err.whatsappError || null;
+  const code = waError?.code ?? null;
+  const rateLimited = err.status === 429 || RATE_LIMIT_ERROR_CODES.includes(code);
+  // fetch rejects with 'fetch failed' (network) or AbortError (timeout) before Meta answered;
+  // other errors without an HTTP status are local validation errors (e.g. missing catalog_id)
+  const networkError = err.status === undefined && (err.message === 'fetch failed' || err.name === 'AbortError');
+  const retryable = (
+    rateLimited ||
+    networkError ||
+    err.status >= 500 ||
+    TRANSIENT_ERROR_CODES.includes(code)
+  );
+
+  return {
+    code,
+    retryable,
+    rateLimited,
+    message: waError?.error_data?.details || waError?.message || err.message
+  };
+}
+
+// Socket payload with explicit null fallbacks, same shape as the other new_message emits
+function toMessagePayload(message) {
+  return {
+    id: message.id,
+    room_id: message.room_id,
+    user_id: message.user_id || null,
+    content_type: message.content_type,
+    content_text: message.content_text || null,
+    wa_message_id: message.wa_message_id || null,
+    status: message.status || null,
+    status_timestamp: message.status_timestamp || null,
+    reply_to_wa_message_id: message.reply_to_wa_message_id || null,
+    reaction_emoji: message.reaction_emoji || null,
+    reaction_to_wa_message_id: message.reaction_to_wa_message_id || null,
+    media_type: message.media_type || null,
+    media_id: message.media_id || null,
+    gcs_filename: message.gcs_filename || null,
+    gcs_url: message.gcs_url || null,
+    file_size: message.file_size || null,
+    mime_type: message.mime_type || null,
+    original_filename: message.original_filename || null,
+    metadata: message.metadata || null,
+    wa_timestamp: message.wa_timestamp || null,
+    created_at: message.created_at,
+    updated_at: message.updated_at || message.created_at
+  };
+}
+
+async function emitStatus(roomId, statusPayload) {
+  if (socketServer && roomId) {
+    socketServer.to(`room:${roomId}`).emit('message:status_update', statusPayload);
+  }
+  await publishEvent('message.status', statusPayload);
+}
+
+/**
+ * Save an outgoing message as pending and queue it for sending
+ * @param {object} deps - dependencies
+ * @param {import('socket.io').Server} deps.io - socket.io server
+ * @param {object} input
+ * @param {object} input.message - messages row to insert (id, room_id, user_id, content_type, ...)
+ * @param {string} input.to - recipient phone (validated)
+ * @param {object} [input.channel] - channel to send through (getSendingChannel of the room)
+ * @param {string} input.kind - one of OUTBOUND_KINDS
+ * @param {object} input.payload - arguments for the send call of that kind
+ * @returns {Promise<object>} { message, job } - message is the socket/API payload
+ */
+export async function enqueueOutboundMessage({ io }, { message, to, channel = null, kind, payload }) {
+  if (!SENDERS[kind]) {
+    throw new Error(`Unknown outbound message kind: ${kind}`);
+  }
+
+  const now = new Date().toISOString();
+  const { rows } = await insertMessage({
+    ...message,
+    wa_message_id: null,
+    status: 'pending',
+    status_timestamp: now,
+    wa_timestamp: now,
+    created_at: message.created_at || now
+  });
+  const saved = rows[0];
+
+  let job;
+  try {
+    const inserted = await insertOutboundJob({
+      message_id: saved.id,
+      room_id: saved.room_id,
+      channel_id: channel?.id || null,
+      to_phone: to,
+      kind,
+      payload,
+      created_by: saved.user_id || null
+    });
+    job = inserted.rows[0];
+  } catch (err) {
+    // Without a queue row nothing would ever send it: show it as failed so the agent can retry
+    await updateMessage(saved.id, { status: 'failed', status_timestamp: new Date().toISOString() }).catch(() => {});
+    throw err;
+  }
+
+  const messagePayload = toMessagePayload(saved);
+  if (io) {
+    io.to(`room:${saved.room_id}`).emit('room:new_message', messagePayload);
+    await emitToRoomAudience(io, saved.room_id, 'new_message', messagePayload);
+  }
+
+  poller?.wake();
+  logger.info({ messageId: saved.id, jobId: job.id, roomId: saved.room_id, kind }, 'Outbound message queued');
+
+  return { message: messagePayload, job };
+}
+
+/**
+ * Make sure an already saved message has its queue row. Used when enqueueOutboundMessage is repeated
+ * with the same message id: the message exists, but the job insert may have failed or never run.
+ * @param {object} input
+ * @param {string} input.messageId - id of the saved messages row
+ * @param {string} input.to - recipient phone (validated)
+ * @param {object} [input.channel] - channel to send through
+ * @param {string} input.kind - one of OUTBOUND_KINDS
+ * @param {object} input.payload - arguments for the send call of that kind
+ * @returns {Promise<object>} { job, created } - created is false when the job already existed
+ */
+export async function ensureOutboundJob({ messageId, to, channel = null, kind, payload }) {
+  const existing = await getOutboundJobByMessageId(messageId);
+  if (existing.rows[0]) {
+    return { job: existing.rows[0], created: false };
+  }
+
+  const { rows } = await getMessage(messageId);
+  const message = rows[0];
+  if (!message) {
+    throw new Error(`Message ${messageId} not found`);
+  }
+
+  let job;
+  try {
+    const inserted = await insertOutboundJob({
+      message_id: message.id,
+      room_id: message.room_id,
+      channel_id: channel?.id || null,
+      to_phone: to,
+      kind,
+      payload,
+      created_by: message.user_id || null
+    });
+    job = inserted.rows[0];
+  } catch (err) {
+    if (!isUniqueViolation(err)) throw err;
+    const { rows: raced } = await getOutboundJobByMessageId(messageId);
+    return { job: raced[0], created: false };
+  }
+
+  // enqueueOutboundMessage marks the message failed when its job insert fails; it is queued now
+  if (message.status === 'failed') {
+    const now = new Date().toISOString();
+    await updateMessage(message.id, { status: 'pending', status_timestamp: now });
+    await emitStatus(message.room_id, {
+      message_id: message.id,
+      wa_message_id: message.wa_message_id || null,
+      room_id: message.room_id,
+      status: 'pending',
+      previous_status: message.status,
+      status_timestamp: now,
+      recipient_id: to,
+      errors: null
+    });
+  }
+
+  poller?.wake();
+  logger.info({ messageId: message.id, jobId: job.id, roomId: message.room_id, kind }, 'Missing outbound job queued');
+
+  return { job, created: true };
+}
+
+// WhatsApp accepted the message: store its wamid and move it to 'sent' through the same conditional
+// update as status webhooks, so a delivered/read that already arrived is not overwritten
+async function recordSent(job, waMessageId, sentAt) {
+  await updateOutboundJob(job.id, {
+    status: 'sent',
+    locked_at: null,
+    wa_message_id: waMessageId,
+    sent_at: sentAt,
+    last_error: null,
+    error_code: null
+  });
+
+  if (!waMessageId) {
+    throw new Error('WhatsApp response has no message id');
+  }
+  await updateMessage(job.message_id, { wa_message_id: waMessageId });
+
+  const updated = await updateMessageStatus(waMessageId, 'sent', sentAt, allowedPreviousStatuses('sent'));
+  const applied = updated.rowCount > 0;
+  await insertStatusHistory({
+    message_id: job.message_id,
+    status: 'sent',
+    timestamp: sentAt,
+    recipient_id: job.to_phone,
+    applied,
+    metadata: { source: 'outbound_queue', job_id: job.id }
+  });
+
+  if (applied) {
+    await emitStatus(job.room_id, {
+      message_id: job.message_id,
+      wa_message_id: waMessageId,
+      room_id: updated.rows[0]?.room_id || job.room_id,
+      status: 'sent',
+      previous_status: 'pending',
+      status_timestamp: sentAt,
+      recipient_id: job.to_phone,
+      errors: null
+    });
+  }
+}
+
+// Send error: retry with backoff, or fail the message when the error is final or attempts ran out
+async function recordSendFailure(job, err) {
+  const { maxAttempts, retryBaseSeconds, retryMaxSeconds } = config.outboundQueue;
+  const failure = classifySendError(err);
+  const final = !failure.retryable || job.attempts >= maxAttempts;
+  const delayMs = computeBackoffMs(job.attempts, retryBaseSeconds * 1000, retryMaxSeconds * 1000);
+
+  await updateOutboundJob(job.id, {
+    status: final ? 'failed' : 'pending',
+    next_attempt_at: new Date(Date.now() + delayMs).toISOString(),
+    locked_at: null,
+    last_error: failure.message,
+    error_code: failure.code !== null ? String(failure.code) : null
+  });
+
+  if (final) {
+    const failedAt = new Date().toISOString();
+    const { rows } = await getMessage(job.message_id);
+    const metadata = {
+      ...(rows[0]?.metadata || {}),
+      send_error: { code: failure.code, message: failure.message, attempts: job.attempts }
+    };
+    await updateMessage(job.message_id, { status: 'failed', status_timestamp: failedAt, metadata });
+
+    await emitStatus(job.room_id, {
+      message_id: job.message_id,
+      wa_message_id: null,
+      room_id: job.room_id,
+      status: 'failed',
+      previous_status: 'pending',
+      status_timestamp: failedAt,
+      recipient_id: job.to_phone,
+      // Same shape as WhatsApp status errors
+      errors: [{ code: failure.code, title: failure.message }]
+    });
+  }
+
+  logger[final ? 'error' : 'warn']({
+    jobId: job.id,
+    messageId: job.message_id,
+    kind: job.kind,
+    attempts: job.attempts,
+    maxAttempts,
+    errorCode: failure.code,
+    rateLimited: failure.rateLimited,
+    error: failure.message,
+    nextAttemptInMs: final ? null : delayMs
+  }, final ? 'Outbound message failed' : 'Outbound message send failed, will retry');
+
+  return { success: false, final, error: failure.message, error_code: failure.code };
+}
+
+/**
+ * Send one claimed queue row and record the outcome
+ * @param {object} job - outbound_queue row (attempts already counts this attempt)
+ */
+export async function deliverOutboundMessage(job) {
+  let waMessageId;
+  try {
+    // A deactivated number fails without an HTTP status, so the message is failed at once
+    const channel = await getSendingChannel({ channel_id: job.channel_id });
+
+    const result = await SENDERS[job.kind](job.to_phone, job.payload, channel);
+    waMessageId = result.messages?.[0]?.id || null;
+  } catch (err) {
+    return recordSendFailure(job, err);
+  }
+
+  // From here on the customer has the message: a failure must never lead to sending it again
+  const sentAt = new Date().toISOString();
+  try {
+    await recordSent(job, waMessageId, sentAt);
+  } catch (err) {
+    logger.error({ err, jobId: job.id, messageId: job.message_id, waMessageId }, 'Outbound message sent, but recording it failed');
+    // Keep the job from being claimed and sent again
+    await updateOutboundJob(job.id, {
+      status: 'sent',
+      locked_at: null,
+      wa_message_id: waMessageId,
+      sent_at: sentAt,
+      last_error: `Sent, but recording it failed: ${err.message}`
+    }).catch(updateErr => logger.error({ err: updateErr, jobId: job.id }, 'Failed to mark outbound job sent'));
+    return { success: true, wa_message_id: waMessageId, recorded: false };
+  }
+
+  logger.info({ jobId: job.id, messageId: job.message_id, kind: job.kind, waMessageId, attempts: job.attempts }, 'Outbound message sent');
+  return { success: true, wa_message_id: waMessageId };
+}
+
+/**
+ * Claim and send one batch of due messages
+ * @returns {Promise<boolean>} true if the batch was full (more messages are probably waiting)
+ */
+async function sendDueMessages() {
+  const { batchSize, staleLockSeconds } = config.outboundQueue;
+  const { rows: jobs } = await claimOutboundJobs(batchSize, staleLockSeconds);
+
+  for (const job of jobs) {
+    await deliverOutboundMessage(job);
+  }
+
+  return jobs.length === batchSize;
+}
+
+/**
+ * Start the background send worker (once per process)
+ * @param {object} deps
+ * @param {import('socket.io').Server} deps.io - socket.io server for status updates
+ */
+export function startOutboundQueueWorker({ io }) {
+  if (poller) return;
+  socketServer = io;
+  poller = createPoller({
+    name: 'outbound-queue',
+    intervalMs: config.outboundQueue.pollIntervalMs,
+    run: sendDueMessages
+  });
+  poller.start();
+}
+
+export function stopOutboundQueueWorker() {
+  poller?.stop();
+  poller = null;
+}
+
+/**
+ * Queue a failed message again with a fresh attempt budget
+ * @param {object} message - messages row
+ * @returns {Promise<object>} { success, message, status? } - status is the HTTP status on refusal
+ */
+export async function retryOutboundMessage(message) {
+  const { rows } = await getOutboundJobByMessageId(message.id);
+  const job = rows[0];
+
+  if (!job) {
+    return { success: false, status: 400, message: 'Message was not sent through the outbound queue' };
+  }
+
+  // Final send error, or accepted by WhatsApp and reported failed later by a status webhook
+  if (job.status !== 'failed' && message.status !== 'failed') {
+    return { success: false, status: 409, message: `Only failed messages can be retried (status: ${message.status})` };
+  }
+
+  const now = new Date().toISOString();
+  await updateOutboundJob(job.id, {
+    status: 'pending',
+    attempts: 0,
+    next_attempt_at: now,
+    locked_at: null,
+    last_error: null,
+    error_code: null
+  });
+
+  const { send_error, ...metadata } = message.metadata || {};
+  const updated = await updateMessage(message.id, {
+    status: 'pending',
+    status_timestamp: now,
+    metadata: { ...metadata, retried_at: now }
+  });
+
+  await emitStatus(message.room_id, {
+    message_id: message.id,
+    wa_message_id: message.wa_message_id || null,
+    room_id: message.room_id,
+    status: 'pending',
+    previous_status: message.status,
+    status_timestamp: now,
+    recipient_id: job.to_phone,
+    errors: null
+  });
+
+  poller?.wake();
+  logger.info({ messageId: message.id, jobId: job.id, previousStatus: message.status }, 'Outbound message re-queued');
+
+  return { success: true, message: 'Message queued', data: toMessagePayload(updated.rows[0]) };
+}
@@ -0,0 +1,270 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { config } from '../config.js';
+import {
+  getWebhookSubscriptions,
+  getWebhookSubscriptionById,
+  insertWebhookDeliveries,
+  claimWebhookDeliveries,
+  updateWebhookDelivery,
+  getWebhookDeliveryById
+} from '../db.js';
+import { computeBackoffMs } from '../utils/backoff.js';
+import { createPoller } from '../utils/poller.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Outbound Webhook Service
+ * Other systems subscribe to events (table webhook_subscriptions). publishEvent queues one
+ * webhook_deliveries row per matching subscription; the worker below POSTs them with an
+ * HMAC-SHA256 signature and retries with exponential backoff, dead after maxAttempts.
+ *
+ * Request: POST <url>, body { id, type, created_at, data }
+ *   X-Boztell-Event: <type>
+ *   X-Boztell-Delivery: <delivery id>
+ *   X-Boztell-Timestamp: <unix seconds>
+ *   X-Boztell-Signature: sha256=<hex HMAC of "<timestamp>.<raw body>" with the subscription secret>
+ */
+
+export const OUTBOUND_EVENT_TYPES = [
+  'message.received',
+  'message.status',
+  'lead.created',
+  'lead.status_changed',
+  'room.assigned'
+];
+
+const RESPONSE_BODY_LIMIT = 2000;
+const CACHE_TTL_MS = 30 * 1000;
+
+let poller = null;
+let subscriptionCache = null;
+let subscriptionCacheLoadedAt = 0;
+
+async function loadActiveSubscriptions() {
+  if (subscriptionCache && Date.now() - subscriptionCacheLoadedAt < CACHE_TTL_MS) {
+    return subscriptionCache;
+  }
+
+  const { rows } = await getWebhookSubscriptions({ active_only: true });
+  subscriptionCache = rows;
+  subscriptionCacheLoadedAt = Date.now();
+  return rows;
+}
+
+/**
+ * Drop cached subscriptions (call after any change to webhook_subscriptions)
+ */
+export function invalidateSubscriptionCache() {
+  subscriptionCache = null;
+  subscriptionCacheLoadedAt = 0;
+}
+
+/**
+ * New random signing secret for a subscription
+ */
+export function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Signature sent in X-Boztell-Signature (receivers recompute it over the raw body)
+ * @param {string} secret - subscription secret
+ * @param {number|string} timestamp - X-Boztell-Timestamp value
+ * @param {string} body - raw request body
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Queue an event for the given subscriptions
+ * @returns {Promise<object>} { event_id, queued }
+ */
+export async function queueEventDeliveries(subscriptions, type, data) {
+  const event = { id: uuidv4(), type, created_at: new Date().toISOString(), data };
+
+  if (subscriptions.length === 0) {
+    return { event_id: event.id, queued: 0 };
+  }
+
+  await insertWebhookDeliveries(subscriptions.map(subscription => ({
+    subscription_id: subscription.id,
+    event_id: event.id,
+    event_type: type,
+    payload: event
+  })));
+  poller?.wake();
+
+  return { event_id: event.id, queued: subscriptions.length };
+}
+
+/**
+ * Publish an event to every active subscription for its type.
+ * Never throws: like socket emits, a failed publish must not fail the action that triggered it.
+ * @param {string} type - one of OUTBOUND_EVENT_TYPES
+ * @param {object} data - event data
+ */
+export async function publishEvent(type, data) {
+  try {
+    const subscriptions = (await loadActiveSubscriptions())
+      .filter(subscription => subscription.event_types.includes(type));
+
+    const result = await queueEventDeliveries(subscriptions, type, data);
+    if (result.queued > 0) {
+      logger.debug({ type, eventId: result.event_id, queued: result.queued }, 'Outbound webhook event queued');
+    }
+    return result;
+  } catch (err) {
+    logger.error({ err, type }, 'Failed to publish outbound webhook event');
+    return { event_id: null, queued: 0 };
+  }
+}
+
+/**
+ * POST one claimed delivery and record the outcome
+ * @param {object} delivery - webhook_deliveries row (attempts already counts this attempt)
+ */
+export async function deliverWebhook(delivery) {
+  const { maxAttempts, retryBaseSeconds, retryMaxSeconds, timeoutMs } = config.outboundWebhooks;
+
+  const { rows } = await getWebhookSubscriptionById(delivery.subscription_id);
+  const subscription = rows[0];
+
+  if (!subscription || !subscription.is_active) {
+    await updateWebhookDelivery(delivery.id, {
+      status: 'dead',
+      locked_at: null,
+      last_error: 'Subscription is disabled'
+    });
+    return { success: false, dead: true, error: 'Subscription is disabled' };
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  let responseStatus = null;
+  let responseBody = null;
+
+  try {
+    const response = await fetch(subscription.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Boztell-Webhooks/1.0',
+        'X-Boztell-Event': delivery.event_type,
+        'X-Boztell-Delivery': String(delivery.id),
+        'X-Boztell-Timestamp': String(timestamp),
+        'X-Boztell-Signature': signWebhookPayload(subscription.secret, timestamp, body)
+      },
+      body,
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+
+    responseStatus = response.status;
+    responseBody = (await response.text()).slice(0, RESPONSE_BODY_LIMIT);
+
+    if (!response.ok) {
+      throw new Error(`Endpoint responded ${response.status}`);
+    }
+
+    await updateWebhookDelivery(delivery.id, {
+      status: 'succeeded',
+      locked_at: null,
+      response_status: responseStatus,
+      response_body: responseBody,
+      last_error: null,
+      delivered_at: new Date().toISOString()
+    });
+
+    logger.info({ deliveryId: delivery.id, subscriptionId: subscription.id, type: delivery.event_type, attempts: delivery.attempts }, 'Outbound webhook delivered');
+    return { success: true, response_status: responseStatus };
+  } catch (err) {
+    const dead = delivery.attempts >= maxAttempts;
+    const delayMs = computeBackoffMs(delivery.attempts, retryBaseSeconds * 1000, retryMaxSeconds * 1000);
+    const error = err.name === 'TimeoutError' ? `Timed out after ${timeoutMs}ms` : err.message;
+
+    await updateWebhookDelivery(delivery.id, {
+      status: dead ? 'dead' : 'failed',
+      next_attempt_at: new Date(Date.now() + delayMs).toISOString(),
+      locked_at: null,
+      response_status: responseStatus,
+      response_body: responseBody,
+      last_error: error
+    });
+
+    logger[dead ? 'error' : 'warn']({
+      deliveryId: delivery.id,
+      subscriptionId: subscription.id,
+      url: subscription.url,
+      attempts: delivery.attempts,
+      maxAttempts,
+      error,
+      nextAttemptInMs: dead ? null : delayMs
+    }, dead ? 'Outbound webhook delivery dead-lettered' : 'Outbound webhook delivery failed, will retry');
+
+    return { success: false, dead, error };
+  }
+}
+
+/**
+ * Claim and deliver one batch of due deliveries
+ * @returns {Promise<boolean>} true if the batch was full (more deliveries are probably waiting)
+ */
+async function deliverDueWebhooks() {
+  const { batchSize, staleLockSeconds } = config.outboundWebhooks;
+  const { rows: deliveries } = await claimWebhookDeliveries(batchSize, staleLockSeconds);
+
+  // Events reach each endpoint in the order they happened
+  for (const delivery of deliveries) {
+    await deliverWebhook(delivery);
+  }
+
+  return deliveries.length === batchSize;
+}
+
+/**
+ * Start the background delivery worker (once per process)
+ */
+export function startOutboundWebhookWorker() {
+  if (poller) return;
+  poller = createPoller({
+    name: 'outbound-webhooks',
+    intervalMs: config.outboundWebhooks.pollIntervalMs,
+    run: deliverDueWebhooks
+  });
+  poller.start();
+}
+
+export function stopOutboundWebhookWorker() {
+  poller?.stop();
+  poller = null;
+}
+
+/**
+ * Queue a failed or dead delivery again with a fresh attempt budget
+ * @param {number|string} deliveryId
+ * @returns {Promise<object>} {success, message, delivery?}
+ */
+export async function redeliverWebhook(deliveryId) {
+  const { rows } = await getWebhookDeliveryById(deliveryId);
+
+  if (rows.length === 0) {
+    return { success: false, message: 'Delivery not found' };
+  }
+
+  if (rows[0].status === 'delivering') {
+    return { success: false, message: 'Delivery is in progress' };
+  }
+
+  const updated = await updateWebhookDelivery(deliveryId, {
+    status: 'pending',
+    attempts: 0,
+    next_attempt_at: new Date().toISOString(),
+    locked_at: null
+  });
+
+  poller?.wake();
+  logger.info({ deliveryId, previousStatus: rows[0].status }, 'Outbound webhook delivery re-queued');
+
+  return { success: true, message: 'Delivery queued', delivery: updated.rows[0] };
+}
@@ -0,0 +1,122 @@
+import { getRoles } from '../db.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Permission Service
+ * Routes check named permissions; roles (table `roles`, referenced by users.role)
+ * group them. Add a permission here before using it in a route.
+ */
+
+export const PERMISSIONS = {
+  'leads.view_all': 'See and edit every lead (otherwise only leads of assigned rooms)',
+  'leads.create': 'Create leads manually',
+  'leads.delete': 'Delete leads',
+  'leads.bulk_update': 'Update many leads at once',
+  'leads.export': 'Export leads as CSV',
+  'leads.stats': 'View lead statistics',
+  'rooms.view_all': 'See and reply in every room (otherwise only assigned rooms)',
+  'rooms.assign': 'Assign and unassign users to rooms',
+  'messages.send': 'Send messages in accessible rooms',
+  'templates.send': 'Send WhatsApp template messages',
+  'users.view': 'List and view all users',
+  'users.manage': 'Create, update, delete and unlock users',
+  'roles.manage': 'Create, update and delete roles',
+  'audit.view': 'Read the audit log',
+  'webhooks.manage': 'Inspect and re-drive failed webhook events',
+  'account_events.view': 'Receive and read WhatsApp template, quality and account alerts',
+  'channels.manage': 'Register and configure WhatsApp phone numbers',
+  'integrations.manage': 'Manage outbound webhook subscriptions and their delivery log',
+  'orders.manage': 'Confirm, fulfil and cancel orders in accessible rooms',
+  'flows.manage': 'Map WhatsApp Flows answers onto lead fields',
+  'system.debug': 'Use debug and test endpoints'
+};
+
+// Used when the roles table is missing a built-in role (e.g. before the migration has run)
+const DEFAULT_ROLES = {
+  admin: Object.keys(PERMISSIONS),
+  supervisor: [
+    'leads.view_all', 'leads.create', 'leads.delete', 'leads.bulk_update', 'leads.export', 'leads.stats',
+    'rooms.view_all', 'rooms.assign',
+    'messages.send', 'templates.send', 'orders.manage',
+    'users.view'
+  ],
+  agent: ['messages.send', 'templates.send', 'orders.manage']
+};
+
+export const SYSTEM_ROLES = Object.keys(DEFAULT_ROLES);
+
+const CACHE_TTL_MS = 60 * 1000;
+let roleCache = null;
+let roleCacheLoadedAt = 0;
+
+async function loadRoles() {
+  if (roleCache && Date.now() - roleCacheLoadedAt < CACHE_TTL_MS) {
+    return roleCache;
+  }
+
+  const roles = new Map(Object.entries(DEFAULT_ROLES));
+
+  try {
+    const { rows } = await getRoles();
+    for (const role of rows) {
+      roles.set(role.name, role.permissions || []);
+    }
+  } catch (err) {
+    // Keep serving the built-in roles if the table is unreachable
+    logger.error({ err }, 'Failed to load roles, using built-in defaults');
+    return roleCache || roles;
+  }
+
+  roleCache = roles;
+  roleCacheLoadedAt = Date.now();
+  return roles;
+}
+
+/**
+ * Drop cached roles (call after any change to the roles table)
+ */
+export function invalidateRoleCache() {
+  roleCache = null;
+  roleCacheLoadedAt = 0;
+}
+
+/**
+ * Get permissions granted to a role name (empty for unknown roles)
+ * @param {string} roleName
+ * @returns {Promise<string[]>}
+ */
+export async function getPermissionsForRole(roleName) {
+  const roles = await loadRoles();
+  return [...(roles.get(roleName) || [])];
+}
+
+/**
+ * Get the names of all roles granting a permission
+ * @param {string} permission
+ * @returns {Promise<string[]>}
+ */
+export async function getRolesWithPermission(permission) {
+  const roles = await loadRoles();
+  return [...roles.entries()]
+    .filter(([, permissions]) => permissions.includes(permission))
+    .map(([name]) => name);
+}
+
+/**
+ * Check whether a role name exists
+ * @param {string} roleName
+ * @returns {Promise<boolean>}
+ */
+export async function roleExists(roleName) {
+  const roles = await loadRoles();
+  return roles.has(roleName);
+}
+
+/**
+ * Return the permissions in the list that are not in the catalog
+ * @param {string[]} permissions
+ * @returns {string[]}
+ */
+export function findUnknownPermissions(permissions) {
+  return permissions.filter(permission => !PERMISSIONS[permission]);
+}
@@ -1,23 +1,75 @@
 import { v4 as uuidv4 } from 'uuid';
-import { getRoomById, getRoomByPhone as getRoomByPhoneDb, insertRoom, updateRoom, deleteRoom as deleteRoomDb, listRooms as listRoomsDb } from '../db.js';
+import { getRoomById, getRoomByPhone as getRoomByPhoneDb, insertRoom, updateRoom, deleteRoom as deleteRoomDb, listRooms as listRoomsDb, getPhoneAliasByOldPhone } from '../db.js';
 import { logger } from '../utils/logger.js';
+import { getDefaultChannel } from './channelService.js';
+import { publishEvent } from './outboundWebhookService.js';
+
+// Alias hops followed at most (a customer changing numbers back and forth must not loop)
+const MAX_ALIAS_HOPS = 5;
+
+async function findRoomByPhone(phone, channelId) {
+  const bound = await getRoomByPhoneDb(phone, channelId || null);
+  if (bound.rows.length > 0) {
+    return bound.rows[0];
+  }
+
+  if (!channelId) {
+    return null;
+  }
+
+  const defaultChannel = await getDefaultChannel();
+  if (defaultChannel.id !== channelId) {
+    return null;
+  }
+
+  const unbound = await getRoomByPhoneDb(phone, null);
+  return unbound.rows[0] || null;
+}
+
+/**
+ * Find the room of a customer on one WhatsApp channel
+ * Rooms created before channels existed (channel_id null) belong to the default channel.
+ * A number the customer has moved away from resolves to the room of their new number.
+ * @param {string} phone - Customer phone number
+ * @param {string|null} channelId - whatsapp_channels.id, null for the default channel
+ * @returns {object|null} Room data or null if the customer has no room on this channel
+ */
+export async function findRoomForChannel(phone, channelId = null) {
+  let currentPhone = phone;
+
+  for (let hop = 0; hop <= MAX_ALIAS_HOPS; hop++) {
+    const room = await findRoomByPhone(currentPhone, channelId);
+    if (room) {
+      return room;
+    }
+
+    const { rows } = await getPhoneAliasByOldPhone(currentPhone);
+    if (rows.length === 0 || rows[0].new_phone === currentPhone) {
+      return null;
+    }
+    currentPhone = rows[0].new_phone;
+  }
+
+  logger.warn({ phone, channelId }, 'Phone alias chain too long, treating as a new customer');
+  return null;
+}
 
 /**
  * Ensure room exists in database, create if not exists
  * Auto-creates lead if phone number doesn't exist in leads table
  * @param {string} phone - Customer phone number
- * @param {object} metadata - Optional room metadata (leads_id, title, etc.)
+ * @param {object} metadata - Optional room metadata (leads_id, title, channel_id, utm_id for a new lead, etc.)
  * @param {object} io - Socket.IO instance for broadcasting new room event
  * @returns {object} Room data
  */
 export async function ensureRoom(phone, metadata = {}, io = null) {
   try {
-    // Check if room already exists by phone number
-    const existingResult = await getRoomByPhoneDb(phone);
+    // One room per customer and WhatsApp channel
+    const existingRoom = await findRoomForChannel(phone, metadata.channel_id || null);
     
-    if (existingResult && existingResult.rows && existingResult.rows.length > 0) {
-      logger.debug({ phone }, 'Room already exists');
-      return existingResult.rows[0];
+    if (existingRoom) {
+      logger.debug({ phone, channelId: metadata.channel_id || null }, 'Room already exists');
+      return existingRoom;
     }
     
     // Use leads_id from metadata if provided, otherwise try to find/create lead
@@ -44,7 +96,7 @@ export async function ensureRoom(phone, metadata = {}, io = null) {
             loan_type: metadata.loan_type || 'personal_loan',
             leads_status: 'cold',
             contact_status: 'not_contacted', // Will be updated when customer replies
-            utm_id: null
+            utm_id: metadata.utm_id || null // Ad id when the first message came from a Click-to-WhatsApp ad
           };
           
           const newLeadResult = await insertLead(leadData);
@@ -56,6 +108,7 @@ export async function ensureRoom(phone, metadata = {}, io = null) {
               leadsId, 
               leadData 
             }, 'New lead created automatically for room');
+            await publishEvent('lead.created', { lead: newLeadResult.rows[0], source: 'whatsapp' });
           }
         }
       } catch (leadErr) {
@@ -74,6 +127,7 @@ export async function ensureRoom(phone, metadata = {}, io = null) {
       leads_id: leadsId,
       phone: phone,
       title: roomTitle,
+      channel_id: metadata.channel_id || null,
       created_at: new Date().toISOString(),
       updated_at: new Date().toISOString()
     };
@@ -0,0 +1,327 @@
+import { config } from '../config.js';
+import {
+  insertScheduledMessage,
+  updateScheduledMessage,
+  claimScheduledMessages,
+  getLastCustomerMessageAt,
+  isUniqueViolation
+} from '../db.js';
+import { getRoom } from './roomService.js';
+import { getSendingChannel } from './channelService.js';
+import { validateWhatsAppPhoneNumber } from './whatsappService.js';
+import { enqueueOutboundMessage, ensureOutboundJob } from './outboundQueueService.js';
+import { createPoller } from '../utils/poller.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Scheduled Message Service
+ * Agents schedule a text or template message for a room. At the due time the worker below hands it to
+ * the outbound queue, so it becomes a normal message (pending -> sent/failed) with the same id as the
+ * scheduled row. Free-form text is only allowed inside WhatsApp's 24-hour customer service window,
+ * which is checked again at send time; templates can be sent at any time.
+ */
+
+export const SCHEDULED_KINDS = ['text', 'template'];
+export const SCHEDULED_STATUSES = ['scheduled', 'processing', 'sent', 'failed', 'cancelled'];
+export const CUSTOMER_WINDOW_HOURS = 24;
+
+const MAX_SCHEDULE_DAYS = 90;
+const MAX_TEXT_LENGTH = 4096;
+
+let poller = null;
+let socketServer = null;
+
+/**
+ * State of the customer service window of a room
+ * @param {string} roomId
+ * @param {Date} [at] - moment to check (default now)
+ * @returns {Promise<object>} { open, last_customer_message_at, expires_at }
+ */
+export async function getCustomerWindow(roomId, at = new Date()) {
+  const lastCustomerMessageAt = await getLastCustomerMessageAt(roomId);
+  const expiresAt = lastCustomerMessageAt
+    ? new Date(new Date(lastCustomerMessageAt).getTime() + CUSTOMER_WINDOW_HOURS * 60 * 60 * 1000)
+    : null;
+
+  return {
+    open: !!expiresAt && expiresAt > at,
+    last_customer_message_at: lastCustomerMessageAt,
+    expires_at: expiresAt ? expiresAt.toISOString() : null
+  };
+}
+
+/**
+ * Validate a create/edit request body into scheduled_messages columns
+ * @param {object} body - { type, text, templateName, languageCode, parameters, replyTo, scheduled_at }
+ * @param {object} [current] - scheduled_messages row being edited; body fields override it
+ * @returns {object} { fields } or { error }
+ */
+export function buildScheduledFields(body, current = null) {
+  const pick = (key, fallback) => (body[key] !== undefined ? body[key] : fallback);
+  const kind = pick('type', current?.kind || 'text');
+  const scheduledAt = new Date(pick('scheduled_at', current?.scheduled_at));
+
+  if (!SCHEDULED_KINDS.includes(kind)) {
+    return { error: `type must be one of: ${SCHEDULED_KINDS.join(', ')}` };
+  }
+  if (Number.isNaN(scheduledAt.getTime())) {
+    return { error: 'scheduled_at must be an ISO 8601 timestamp' };
+  }
+  if (scheduledAt <= new Date()) {
+    return { error: 'scheduled_at must be in the future' };
+  }
+  if (scheduledAt > new Date(Date.now() + MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000)) {
+    return { error: `scheduled_at can be at most ${MAX_SCHEDULE_DAYS} days ahead` };
+  }
+
+  const fields = {
+    kind,
+    scheduled_at: scheduledAt.toISOString(),
+    reply_to: pick('replyTo', current?.reply_to) || null,
+    content_text: null,
+    template_name: null,
+    language_code: null,
+    parameters: []
+  };
+
+  if (kind === 'text') {
+    const text = pick('text', current?.content_text);
+    if (typeof text !== 'string' || !text.trim()) {
+      return { error: 'text is required for a text message' };
+    }
+    if (text.length > MAX_TEXT_LENGTH) {
+      return { error: `text can be at most ${MAX_TEXT_LENGTH} characters` };
+    }
+    fields.content_text = text;
+  } else {
+    const templateName = pick('templateName', current?.template_name);
+    const languageCode = pick('languageCode', current?.language_code);
+    const parameters = pick('parameters', current?.parameters || []);
+    if (!templateName || !languageCode) {
+      return { error: 'templateName and languageCode are required for a template message' };
+    }
+    if (!Array.isArray(parameters)) {
+      return { error: 'parameters must be an array' };
+    }
+    fields.template_name = templateName;
+    fields.language_code = languageCode;
+    fields.parameters = parameters.map(String);
+  }
+
+  return { fields };
+}
+
+// Warning for text messages that will probably be refused at send time
+function windowWarning(fields, customerWindow) {
+  if (fields.kind !== 'text') return null;
+  if (customerWindow.expires_at && customerWindow.expires_at >= fields.scheduled_at) return null;
+  return `The ${CUSTOMER_WINDOW_HOURS}-hour customer window is closed at scheduled_at unless the customer writes again; the message will fail then. Use a template to be sure it is sent.`;
+}
+
+function emitScheduledUpdate(io, scheduled) {
+  if (io && scheduled) {
+    io.to(`room:${scheduled.room_id}`).emit('scheduled_message:updated', scheduled);
+  }
+}
+
+/**
+ * Schedule a text or template message
+ * @param {object} deps
+ * @param {import('socket.io').Server} deps.io - socket.io server
+ * @param {object} input
+ * @param {string} input.roomId
+ * @param {object} input.author - authenticated user
+ * @param {object} input.fields - from buildScheduledFields
+ * @returns {Promise<object>} { scheduled, customer_window, warning }
+ */
+export async function scheduleMessage({ io }, { roomId, author, fields }) {
+  const { rows } = await insertScheduledMessage({
+    ...fields,
+    room_id: roomId,
+    created_by: author.id,
+    status: 'scheduled'
+  });
+  const scheduled = rows[0];
+  const customerWindow = await getCustomerWindow(roomId);
+
+  emitScheduledUpdate(io, scheduled);
+  logger.info({ scheduledId: scheduled.id, roomId, kind: scheduled.kind, scheduledAt: scheduled.scheduled_at, userId: author.id }, 'Message scheduled');
+
+  return { scheduled, customer_window: customerWindow, warning: windowWarning(fields, customerWindow) };
+}
+
+/**
+ * Change content or time of a message that is still waiting
+ * @returns {Promise<object>} { scheduled, customer_window, warning } or { conflict: true } when it already left 'scheduled'
+ */
+export async function editScheduledMessage({ io }, { scheduled, fields }) {
+  const { rows, rowCount } = await updateScheduledMessage(scheduled.id, fields, 'scheduled');
+  if (rowCount === 0) {
+    return { conflict: true };
+  }
+
+  const customerWindow = await getCustomerWindow(scheduled.room_id);
+  emitScheduledUpdate(io, rows[0]);
+  logger.info({ scheduledId: scheduled.id, scheduledAt: rows[0].scheduled_at }, 'Scheduled message updated');
+
+  return { scheduled: rows[0], customer_window: customerWindow, warning: windowWarning(fields, customerWindow) };
+}
+
+/**
+ * Cancel a message that is still waiting
+ * @returns {Promise<object>} { scheduled } or { conflict: true } when it already left 'scheduled'
+ */
+export async function cancelScheduledMessage({ io }, { scheduled, user }) {
+  const { rows, rowCount } = await updateScheduledMessage(scheduled.id, {
+    status: 'cancelled',
+    cancelled_by: user.id,
+    cancelled_at: new Date().toISOString()
+  }, 'scheduled');
+  if (rowCount === 0) {
+    return { conflict: true };
+  }
+
+  emitScheduledUpdate(io, rows[0]);
+  logger.info({ scheduledId: scheduled.id, userId: user.id }, 'Scheduled message cancelled');
+
+  return { scheduled: rows[0] };
+}
+
+async function failScheduledMessage(scheduled, error, errorCode = null) {
+  const { rows } = await updateScheduledMessage(scheduled.id, {
+    status: 'failed',
+    locked_at: null,
+    error,
+    error_code: errorCode
+  });
+  emitScheduledUpdate(socketServer, rows[0]);
+  logger.warn({ scheduledId: scheduled.id, roomId: scheduled.room_id, error, errorCode }, 'Scheduled message not sent');
+}
+
+/**
+ * Hand one claimed scheduled message to the outbound queue
+ * @param {object} scheduled - scheduled_messages row (status 'processing')
+ */
+export async function dispatchScheduledMessage(scheduled) {
+  try {
+    const room = await getRoom(scheduled.room_id);
+    if (!room) {
+      return await failScheduledMessage(scheduled, 'Room no longer exists', 'room_not_found');
+    }
+    if (!scheduled.created_by) {
+      return await failScheduledMessage(scheduled, 'The user who scheduled the message no longer exists', 'author_removed');
+    }
+
+    if (scheduled.kind === 'text') {
+      const customerWindow = await getCustomerWindow(room.id);
+      if (!customerWindow.open) {
+        return await failScheduledMessage(
+          scheduled,
+          `Customer service window (${CUSTOMER_WINDOW_HOURS}h) is closed, only templates can be sent`,
+          'customer_window_closed'
+        );
+      }
+    }
+
+    const channel = await getSendingChannel(room);
+    const to = validateWhatsAppPhoneNumber(room.phone);
+    const isTemplate = scheduled.kind === 'template';
+    const parameters = scheduled.parameters || [];
+    const metadata = {
+      direction: 'outgoing',
+      source: 'scheduled',
+      type: scheduled.kind,
+      scheduled_message_id: scheduled.id,
+      scheduled_at: scheduled.scheduled_at
+    };
+    if (isTemplate) {
+      Object.assign(metadata, {
+        templateName: scheduled.template_name,
+        languageCode: scheduled.language_code,
+        parameters: parameters.length > 0 ? parameters : undefined
+      });
+    }
+    if (scheduled.reply_to) metadata.reply_to = scheduled.reply_to;
+
+    const kind = scheduled.kind;
+    const payload = isTemplate
+      ? { templateName: scheduled.template_name, languageCode: scheduled.language_code, parameters, replyTo: scheduled.reply_to }
+      : { text: scheduled.content_text, replyTo: scheduled.reply_to };
+
+    try {
+      // The message reuses the scheduled row id: a row re-claimed after a crash cannot be sent twice
+      await enqueueOutboundMessage({ io: socketServer }, {
+        message: {
+          id: scheduled.id,
+          room_id: room.id,
+          user_id: scheduled.created_by,
+          content_type: scheduled.kind,
+          content_text: isTemplate
+            ? `Template: ${scheduled.template_name}${parameters.length > 0 ? ` (${parameters.join(', ')})` : ''}`
+            : scheduled.content_text,
+          reply_to_wa_message_id: scheduled.reply_to || null,
+          metadata
+        },
+        to,
+        channel,
+        kind,
+        payload
+      });
+    } catch (err) {
+      if (!isUniqueViolation(err)) throw err;
+      // Saved by an earlier attempt; its queue row may still be missing (job insert failed or crash)
+      const { created } = await ensureOutboundJob({ messageId: scheduled.id, to, channel, kind, payload });
+      logger.info({ scheduledId: scheduled.id, jobCreated: created }, 'Scheduled message was already saved');
+    }
+
+    const { rows } = await updateScheduledMessage(scheduled.id, {
+      status: 'sent',
+      locked_at: null,
+      message_id: scheduled.id,
+      sent_at: new Date().toISOString(),
+      error: null,
+      error_code: null
+    });
+    emitScheduledUpdate(socketServer, rows[0]);
+    logger.info({ scheduledId: scheduled.id, roomId: room.id, kind: scheduled.kind }, 'Scheduled message queued for sending');
+  } catch (err) {
+    logger.error({ err, scheduledId: scheduled.id }, 'Failed to dispatch scheduled message');
+    await failScheduledMessage(scheduled, err.message);
+  }
+}
+
+/**
+ * Claim and dispatch one batch of due scheduled messages
+ * @returns {Promise<boolean>} true if the batch was full (more messages are probably due)
+ */
+async function dispatchDueMessages() {
+  const { batchSize, staleLockSeconds } = config.scheduledMessages;
+  const { rows } = await claimScheduledMessages(batchSize, staleLockSeconds);
+
+  for (const scheduled of rows) {
+    await dispatchScheduledMessage(scheduled);
+  }
+
+  return rows.length === batchSize;
+}
+
+/**
+ * Start the background scheduler (once per process)
+ * @param {object} deps
+ * @param {import('socket.io').Server} deps.io - socket.io server
+ */
+export function startScheduledMessageWorker({ io }) {
+  if (poller) return;
+  socketServer = io;
+  poller = createPoller({
+    name: 'scheduled-messages',
+    intervalMs: config.scheduledMessages.pollIntervalMs,
+    run: dispatchDueMessages
+  });
+  poller.start();
+}
+
+export function stopScheduledMessageWorker() {
+  poller?.stop();
+  poller = null;
+}
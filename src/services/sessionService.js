@@ -0,0 +1,166 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { config } from '../config.js';
+import { insertUserSession, getUserSession, revokeUserSession } from '../db.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Session Token Service
+ * Issues and verifies signed access tokens (JWT compatible, HS256).
+ * Every token is backed by a row in user_sessions so it can be revoked before it expires.
+ */
+
+// Required like the Supabase keys: a per-process random secret would log everyone out on every
+// restart and reject tokens issued by other instances
+if (!config.auth.tokenSecret) {
+  throw new Error('AUTH_TOKEN_SECRET is required');
+}
+const tokenSecret = config.auth.tokenSecret;
+
+function base64UrlEncode(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', tokenSecret).update(data).digest('base64url');
+}
+
+/**
+ * Issue a signed access token for a user and persist its session
+ * @param {object} user - Authenticated user row
+ * @param {object} context - Request context (ip, user_agent)
+ * @returns {object} { token, token_type, expires_at, session_id }
+ */
+export async function issueSessionToken(user, context = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const exp = now + config.auth.tokenTtlSeconds;
+  const sessionId = uuidv4();
+
+  const header = base64UrlEncode(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64UrlEncode(JSON.stringify({
+    sub: user.id,
+    role: user.role,
+    jti: sessionId,
+    iat: now,
+    exp
+  }));
+  const token = `${header}.${payload}.${sign(`${header}.${payload}`)}`;
+
+  await insertUserSession({
+    id: sessionId,
+    user_id: user.id,
+    issued_at: new Date(now * 1000).toISOString(),
+    expires_at: new Date(exp * 1000).toISOString(),
+    ip_address: context.ip || null,
+    user_agent: context.user_agent || null
+  });
+
+  logger.info({ userId: user.id, sessionId }, 'Session token issued');
+
+  return {
+    token,
+    token_type: 'Bearer',
+    expires_at: new Date(exp * 1000).toISOString(),
+    session_id: sessionId
+  };
+}
+
+/**
+ * Verify token signature and expiry (no database lookup)
+ * @param {string} token
+ * @returns {object} { valid, payload?, reason? }
+ */
+export function verifyTokenSignature(token) {
+  if (!token || typeof token !== 'string') {
+    return { valid: false, reason: 'Missing token' };
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    return { valid: false, reason: 'Malformed token' };
+  }
+
+  const [header, payload, signature] = parts;
+  const expected = sign(`${header}.${payload}`);
+
+  const signatureBuffer = Buffer.from(signature);
+  const expectedBuffer = Buffer.from(expected);
+  if (signatureBuffer.length !== expectedBuffer.length || !crypto.timingSafeEqual(signatureBuffer, expectedBuffer)) {
+    return { valid: false, reason: 'Invalid token signature' };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    return { valid: false, reason: 'Malformed token' };
+  }
+
+  if (!claims.sub || !claims.jti || !claims.exp) {
+    return { valid: false, reason: 'Malformed token' };
+  }
+
+  if (claims.exp <= Math.floor(Date.now() / 1000)) {
+    return { valid: false, reason: 'Token expired' };
+  }
+
+  return { valid: true, payload: claims };
+}
+
+/**
+ * Fully validate a token: signature, expiry and session revocation state
+ * @param {string} token
+ * @returns {object} { valid, payload?, session?, reason? }
+ */
+export async function validateSessionToken(token) {
+  const verified = verifyTokenSignature(token);
+  if (!verified.valid) {
+    return verified;
+  }
+
+  const { rows } = await getUserSession(verified.payload.jti);
+  const session = rows[0];
+
+  if (!session || session.user_id !== verified.payload.sub) {
+    return { valid: false, reason: 'Session not found' };
+  }
+
+  if (session.revoked_at) {
+    return { valid: false, reason: 'Session revoked' };
+  }
+
+  return { valid: true, payload: verified.payload, session };
+}
+
+/**
+ * Revoke the session behind a token
+ * @param {string} token
+ * @returns {object} { success, message, session_id? }
+ */
+export async function revokeSessionToken(token) {
+  const verified = verifyTokenSignature(token);
+  if (!verified.valid) {
+    return { success: false, message: verified.reason };
+  }
+
+  const result = await revokeUserSession(verified.payload.jti);
+
+  if (result.rowCount === 0) {
+    return { success: false, message: 'Session not found or already revoked' };
+  }
+
+  logger.info({ userId: verified.payload.sub, sessionId: verified.payload.jti }, 'Session token revoked');
+  return { success: true, message: 'Logged out successfully', session_id: verified.payload.jti };
+}
+
+/**
+ * Extract bearer token from an Authorization header value
+ * @param {string} headerValue
+ * @returns {string|null}
+ */
+export function extractBearerToken(headerValue) {
+  if (!headerValue || typeof headerValue !== 'string') return null;
+  const [scheme, token] = headerValue.split(' ');
+  if (!scheme || scheme.toLowerCase() !== 'bearer' || !token) return null;
+  return token.trim();
+}
@@ -1,45 +1,117 @@
 import { logger } from '../utils/logger.js';
+import { publishEvent } from './outboundWebhookService.js';
 import { updateMessageStatus as updateMessageStatusDb, insertStatusHistory, getMessageByWaId, getMessageStats as getMessageStatsDb } from '../db.js';
 
+// Outbound status precedence: a message only moves forward (pending < sent < delivered < read).
+// failed is terminal; only a retry (which resets the message to pending) can leave it.
+const STATUS_RANK = { pending: 0, sent: 1, delivered: 2, read: 3 };
+const TERMINAL_STATUS = 'failed';
+
+/**
+ * Statuses a message may currently have for `nextStatus` to be applied
+ * @returns {string[]|null} null when the status never changes messages.status (unknown status)
+ */
+export function allowedPreviousStatuses(nextStatus) {
+  if (nextStatus === TERMINAL_STATUS) {
+    return Object.keys(STATUS_RANK);
+  }
+  if (!(nextStatus in STATUS_RANK)) {
+    return null;
+  }
+  return Object.keys(STATUS_RANK).filter(status => STATUS_RANK[status] < STATUS_RANK[nextStatus]);
+}
+
+/**
+ * Whether a status event moves a message forward from its current status
+ */
+export function canTransitionStatus(currentStatus, nextStatus) {
+  const allowed = allowedPreviousStatuses(nextStatus);
+  if (!allowed) return false;
+  return !currentStatus || allowed.includes(currentStatus);
+}
+
 /**
  * Handle WhatsApp message status updates (sent, delivered, read, failed)
+ * Every event is written to message_status_history; messages.status only moves forward.
+ * @param {object} deps - dependencies
+ * @param {import('socket.io').Server} deps.io - socket.io server
+ * @param {object} status - entry of value.statuses from the webhook
+ * @param {object} metadata - webhook value the status came in
  */
-export async function handleMessageStatus(status, metadata) {
+export async function handleMessageStatus({ io }, status, metadata) {
   const { id: wa_message_id, status: messageStatus, timestamp, recipient_id } = status;
+  const statusTimestamp = new Date(parseInt(timestamp) * 1000).toISOString();
   
   try {
-    // Update message status in database
-    const messageRows = await updateMessageStatusDb(
-      wa_message_id,
-      messageStatus,
-      new Date(parseInt(timestamp) * 1000).toISOString()
-    );
+    const messageResult = await getMessageByWaId(wa_message_id);
+    const message = messageResult.rows[0];
+
+    if (!message) {
+      logger.debug({ wa_message_id, status: messageStatus }, 'Status update for unknown message, ignoring');
+      return { type: 'status_update', wa_message_id, status: messageStatus, applied: false };
+    }
+
+    // Conditional update: the database re-checks the current status, so concurrent webhooks stay monotonic
+    let applied = false;
+    if (canTransitionStatus(message.status, messageStatus)) {
+      const updated = await updateMessageStatusDb(
+        wa_message_id,
+        messageStatus,
+        statusTimestamp,
+        allowedPreviousStatuses(messageStatus)
+      );
+      applied = updated.rowCount > 0;
+    }
+
+    // Record every event, including the ones that did not change the status.
+    // The (message_id, status, timestamp) unique index turns a redelivered event into a no-op.
+    const history = await insertStatusHistory({
+      message_id: message.id,
+      status: messageStatus,
+      timestamp: statusTimestamp,
+      recipient_id,
+      applied,
+      metadata: metadata || {}
+    }).catch(err => {
+      // Non-critical, don't throw
+      logger.warn({ err, message_id: message.id }, 'Failed to log status history');
+      return null;
+    });
+    const duplicate = !applied && history?.rowCount === 0;
     
-    // Log status history if message was found
-    if (messageRows.rows.length > 0) {
-      await insertStatusHistory({
-        message_id: messageRows.rows[0].id,
-        status: messageStatus,
-        timestamp: new Date(parseInt(timestamp) * 1000).toISOString(),
-        recipient_id,
-        metadata: metadata || {}
-      }).catch(err => {
-        // Non-critical, don't throw
-        logger.warn({ err, message_id: messageRows.rows[0].id }, 'Failed to log status history');
-      });
+    if (duplicate) {
+      logger.debug({ wa_message_id, status: messageStatus }, 'Duplicate status event ignored');
+    } else if (!applied) {
+      logger.info({
+        wa_message_id,
+        currentStatus: message.status,
+        receivedStatus: messageStatus
+      }, 'Out-of-order status, recorded in history but keeping current status');
     }
     
-    // Emit status update to relevant room
-    const messageResult = await getMessageByWaId(wa_message_id);
-    const roomId = messageResult.rows[0]?.room_id;
-    if (roomId) {
-      // You can emit status updates to the room if needed
-      // io.to(`room:${roomId}`).emit('message:status_update', { wa_message_id, status: messageStatus });
+    // Push the tick change to agents viewing the room and to subscribed systems
+    if (applied) {
+      const statusPayload = {
+        message_id: message.id,
+        wa_message_id,
+        room_id: message.room_id,
+        status: messageStatus,
+        previous_status: message.status || null,
+        status_timestamp: statusTimestamp,
+        recipient_id: recipient_id || null,
+        // WhatsApp error details, present on failed messages
+        errors: status.errors || null
+      };
+
+      if (message.room_id && io) {
+        io.to(`room:${message.room_id}`).emit('message:status_update', statusPayload);
+      }
+      await publishEvent('message.status', statusPayload);
     }
     
-    logger.debug({ wa_message_id, status: messageStatus }, 'Message status updated');
+    logger.debug({ wa_message_id, status: messageStatus, roomId: message.room_id, applied }, 'Message status processed');
     
-    return { type: 'status_update', wa_message_id, status: messageStatus };
+    return { type: 'status_update', wa_message_id, status: messageStatus, applied, duplicate };
     
   } catch (err) {
     logger.error({ err, wa_message_id, status: messageStatus }, 'Failed to handle message status');
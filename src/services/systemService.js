@@ -1,38 +1,193 @@
 import { logger } from '../utils/logger.js';
-import { insertSystemEvent, getSystemEvents as getSystemEventsDb } from '../db.js';
+import {
+  insertSystemEvent,
+  getSystemEvents as getSystemEventsDb,
+  getRoomById,
+  updateRoom,
+  getLeadById,
+  getLeads,
+  updateLead,
+  insertPhoneAlias,
+  getMessageByWaId,
+  isUniqueViolation
+} from '../db.js';
+import { emitToRoomAudience } from '../socket/broadcast.js';
+import { handleIncomingMessage } from './messageService.js';
+import { findRoomForChannel } from './roomService.js';
+
+// system.type values announcing a new number (older payloads used customer_changed / wa_id_changed keys)
+const NUMBER_CHANGE_TYPES = ['customer_changed_number', 'user_changed_number'];
+
+/**
+ * New WhatsApp number announced by a system message, or null if it is not a number change
+ * @param {object} system - message.system as received
+ * @returns {string|null}
+ */
+export function getChangedNumber(system = {}) {
+  const isNumberChange = NUMBER_CHANGE_TYPES.includes(system.type) || system.customer_changed || system.wa_id_changed;
+  if (!isNumberChange) return null;
+
+  const newPhone = system.new_wa_id || system.wa_id || null;
+  return newPhone ? String(newPhone) : null;
+}
+
+/**
+ * Move a room and its lead to the customer's new number, keep the old one as an alias,
+ * post a system message in the room timeline and tell the room audience
+ * @param {object} deps - dependencies
+ * @param {import('socket.io').Server} deps.io - socket.io server
+ * @param {object} [deps.channel] - WhatsApp channel the change arrived on
+ * @param {object} change - { room_id, old_phone, new_phone, wa_message_id, body, timestamp, system }
+ */
+export async function migrateCustomerNumber({ io, channel = null }, change) {
+  const { room_id, old_phone, new_phone, wa_message_id, body, timestamp, system } = change;
+
+  const { rows: roomRows } = await getRoomById(room_id);
+  const room = roomRows[0];
+  if (!room) {
+    throw new Error(`Room not found for number change: ${room_id}`);
+  }
+
+  // The customer may already have written from the new number: keep both rooms, link them via the alias
+  const existingRoom = await findRoomForChannel(new_phone, room.channel_id || null);
+  const conflictRoomId = existingRoom && existingRoom.id !== room.id ? existingRoom.id : null;
+
+  if (!conflictRoomId && room.phone !== new_phone) {
+    await updateRoom(room.id, { phone: new_phone });
+  }
+
+  let leadMoved = false;
+  if (room.leads_id) {
+    const { rows: leadRows } = await getLeadById(room.leads_id);
+    const lead = leadRows[0];
+    const { rows: leadsWithNewPhone } = await getLeads({ phone: new_phone });
+    const otherLead = leadsWithNewPhone.find(l => l.id !== room.leads_id);
+
+    if (lead && lead.phone === old_phone && !otherLead) {
+      await updateLead(lead.id, { phone: new_phone });
+      leadMoved = true;
+    } else if (otherLead) {
+      logger.warn({ leadId: room.leads_id, otherLeadId: otherLead.id, new_phone }, 'New number already belongs to another lead, lead phone left unchanged');
+    }
+  }
+
+  try {
+    await insertPhoneAlias({
+      old_phone,
+      new_phone,
+      room_id: room.id,
+      lead_id: room.leads_id || null,
+      wa_message_id: wa_message_id || null,
+      changed_at: new Date(timestamp).toISOString()
+    });
+  } catch (err) {
+    // Replayed webhook: alias already recorded
+    if (!isUniqueViolation(err)) throw err;
+  }
+
+  // Visible in the conversation like any other message
+  await handleIncomingMessage({ io, channel }, {
+    room_id: room.id,
+    user_id: null,
+    content_type: 'system',
+    content_text: body || `Customer changed their number from ${old_phone} to ${new_phone}`,
+    wa_message_id,
+    metadata: {
+      timestamp,
+      system,
+      number_change: { old_phone, new_phone, conflict_room_id: conflictRoomId }
+    }
+  });
+
+  await emitToRoomAudience(io, room.id, 'room:phone_changed', {
+    room_id: room.id,
+    old_phone,
+    new_phone,
+    leads_id: room.leads_id || null,
+    lead_updated: leadMoved,
+    conflict_room_id: conflictRoomId
+  });
+
+  logger.info({
+    roomId: room.id,
+    old_phone,
+    new_phone,
+    leadId: room.leads_id || null,
+    leadMoved,
+    conflictRoomId
+  }, conflictRoomId ? 'Customer number changed, new number already has a room' : 'Customer number changed, room moved to new number');
+
+  return { room_id: room.id, lead_updated: leadMoved, conflict_room_id: conflictRoomId };
+}
 
 /**
  * Handle WhatsApp system events (customer number changed, etc.)
+ * @param {object} deps - dependencies
+ * @param {import('socket.io').Server} deps.io - socket.io server
+ * @param {object} [deps.channel] - WhatsApp channel the event arrived on
+ * @param {object} eventData - { system, room_id, from, wa_message_id, timestamp }
+ * @returns {Promise<object>} { type, event_type, room_id, duplicate?, number_change }
  */
-export async function handleSystemEvent(eventData) {
-  const { system, room_id, sender_id, timestamp } = eventData;
+export async function handleSystemEvent({ io, channel = null }, eventData) {
+  const { system, room_id, from, wa_message_id, timestamp } = eventData;
+  const sender_id = eventData.sender_id || from || null;
   
   try {
     let eventType = 'unknown';
     let description = 'System event occurred';
+    const newPhone = getChangedNumber(system);
     
     if (system) {
-      if (system.customer_changed) {
+      if (newPhone) {
         eventType = 'customer_changed';
-        description = 'Customer number changed';
-      } else if (system.user_changed) {
+        description = `Customer number changed from ${from} to ${newPhone}`;
+      } else if (system.type === 'customer_identity_changed' || system.user_changed) {
         eventType = 'user_changed';
         description = 'User information changed';
+      } else if (system.customer_changed) {
+        eventType = 'customer_changed';
+        description = 'Customer number changed';
       } else if (system.wa_id_changed) {
         eventType = 'wa_id_changed';
         description = 'WhatsApp ID changed';
       }
     }
     
-    // Log system event
-    await insertSystemEvent({
-      room_id,
-      sender_id,
-      event_type: eventType,
-      description,
-      event_data: system || {},
-      timestamp: new Date(timestamp).toISOString()
-    });
+    const isNumberChange = !!(newPhone && from && newPhone !== from);
+
+    // Log system event, once per WhatsApp system message
+    try {
+      await insertSystemEvent({
+        room_id,
+        sender_id,
+        wa_message_id: wa_message_id || null,
+        event_type: eventType,
+        description,
+        event_data: system || {},
+        timestamp: new Date(timestamp).toISOString()
+      });
+    } catch (err) {
+      if (!isUniqueViolation(err)) throw err;
+      // Redelivered event: only finish a number change the first attempt did not (its system message is posted last)
+      const finished = !isNumberChange || (await getMessageByWaId(wa_message_id)).rows.length > 0;
+      if (finished) {
+        logger.debug({ room_id, wa_message_id, event_type: eventType }, 'Duplicate system event ignored');
+        return { type: 'system_event', event_type: eventType, room_id, duplicate: true, number_change: null };
+      }
+    }
+
+    let numberChange = null;
+    if (isNumberChange) {
+      numberChange = await migrateCustomerNumber({ io, channel }, {
+        room_id,
+        old_phone: from,
+        new_phone: newPhone,
+        wa_message_id,
+        body: system.body,
+        timestamp,
+        system
+      });
+    }
     
     logger.info({ 
       room_id, 
@@ -40,7 +195,7 @@ export async function handleSystemEvent(eventData) {
       event_type: eventType 
     }, 'System event processed');
     
-    return { type: 'system_event', event_type: eventType, room_id };
+    return { type: 'system_event', event_type: eventType, room_id, number_change: numberChange };
     
   } catch (err) {
     logger.error({ err, room_id, sender_id }, 'Failed to handle system event');
@@ -1,10 +1,49 @@
-import { getUserById, getUsers, insertUser, updateUser, deleteUser } from '../db.js';
+import { getUserById, getUsers, insertUser, updateUser, deleteUser, beginLoginAttempt } from '../db.js';
+import { config } from '../config.js';
+import { hashPin, verifyPin, isValidPinFormat, legacyPinToString } from '../utils/pinHash.js';
 
 /**
  * User Authentication Service
  * Handles user authentication with PIN-based login for CRM
  */
 
+/**
+ * Strip credential columns from a user row before it leaves the service
+ */
+function toSafeUser(user) {
+  const { pin, pin_hash, ...safeUser } = user;
+  return safeUser;
+}
+
+/**
+ * Check a PIN against the stored hash, falling back to the legacy plaintext
+ * column for rows the backfill script has not reached yet
+ */
+async function checkUserPin(user, pin) {
+  if (user.pin_hash) {
+    return verifyPin(pin, user.pin_hash);
+  }
+  return user.pin !== null && user.pin !== undefined && String(pin) === legacyPinToString(user.pin);
+}
+
+/**
+ * Count a login attempt before the PIN is checked, refused while the account is locked.
+ * The lock check and the counter update are one statement in the database, so parallel
+ * guesses cannot all pass the check; a successful login resets the counter.
+ * @returns {Promise<object>} { allowed, failed_login_attempts, locked_until }
+ */
+async function beginAttempt(user) {
+  const { rows } = await beginLoginAttempt(user.id, {
+    maxFailed: config.auth.maxFailedLogins,
+    baseSeconds: config.auth.lockoutBaseSeconds,
+    maxSeconds: config.auth.lockoutMaxSeconds
+  });
+  if (!rows[0]) {
+    throw new Error(`User ${user.id} not found`);
+  }
+  return rows[0];
+}
+
 /**
  * Authenticate user with phone/email and PIN
  */
@@ -23,23 +62,53 @@ export async function authenticateUser(identifier, pin) {
     
     const user = result.rows[0];
     
-    // Validate PIN (6-digit integer)
-    if (!pin || pin.toString().length !== 6) {
+    // Validate PIN (6 digits)
+    if (!isValidPinFormat(pin)) {
       return { success: false, message: 'PIN must be 6 digits' };
     }
     
-    // Compare PIN (stored as integer)
-    if (parseInt(pin) !== user.pin) {
-      return { success: false, message: 'Invalid PIN' };
+    const attempt = await beginAttempt(user);
+    const lockedResponse = {
+      success: false,
+      locked: true,
+      message: 'Account is temporarily locked due to too many failed login attempts',
+      locked_until: attempt.locked_until
+    };
+    
+    // Refuse while the account is locked
+    if (!attempt.allowed) {
+      return lockedResponse;
+    }
+    
+    if (!(await checkUserPin(user, pin))) {
+      await updateUser(user.id, { last_failed_login_at: new Date().toISOString() });
+      
+      // This attempt reached the limit and locked the account
+      if (attempt.locked_until) {
+        return lockedResponse;
+      }
+      
+      return {
+        success: false,
+        message: 'Invalid PIN',
+        remaining_attempts: config.auth.maxFailedLogins - attempt.failed_login_attempts
+      };
+    }
+    
+    // Successful login: reset lockout state and upgrade legacy plaintext PINs
+    const resetUpdates = { failed_login_attempts: 0, locked_until: null };
+    if (!user.pin_hash) {
+      resetUpdates.pin_hash = await hashPin(pin);
+      resetUpdates.pin = null;
     }
     
-    // Remove sensitive data from response
-    const { pin: userPin, ...safeUser } = user;
+    const updated = await updateUser(user.id, resetUpdates);
+    const authenticatedUser = updated.rows?.[0] || { ...user, ...resetUpdates };
     
     return {
       success: true,
       message: 'Authentication successful',
-      user: safeUser
+      user: toSafeUser(authenticatedUser)
     };
     
   } catch (error) {
@@ -91,7 +160,7 @@ export async function createUser(userData) {
     }
     
     // Validate PIN is 6 digits
-    if (userData.pin.toString().length !== 6) {
+    if (!isValidPinFormat(userData.pin)) {
       return { success: false, message: 'PIN must be 6 digits' };
     }
     
@@ -111,7 +180,7 @@ export async function createUser(userData) {
       name: userData.name,
       phone: userData.phone,
       email: userData.email,
-      pin: parseInt(userData.pin),
+      pin_hash: await hashPin(userData.pin),
       role: userData.role || 'agent',
       avatar_url: userData.avatar_url || null,
       is_active: userData.is_active !== undefined ? userData.is_active : true
@@ -120,13 +189,10 @@ export async function createUser(userData) {
     const result = await insertUser(userDataToInsert);
     
     if (result.rows && result.rows.length > 0) {
-      const user = result.rows[0];
-      const { pin, ...safeUser } = user;
-      
       return {
         success: true,
         message: 'User created successfully',
-        user: safeUser
+        user: toSafeUser(result.rows[0])
       };
     }
     
@@ -152,17 +218,17 @@ export async function updateUserPin(userId, oldPin, newPin) {
     const user = result.rows[0];
     
     // Validate old PIN
-    if (parseInt(oldPin) !== user.pin) {
+    if (!isValidPinFormat(oldPin) || !(await checkUserPin(user, oldPin))) {
       return { success: false, message: 'Invalid current PIN' };
     }
     
     // Validate new PIN
-    if (!newPin || newPin.toString().length !== 6) {
+    if (!isValidPinFormat(newPin)) {
       return { success: false, message: 'New PIN must be 6 digits' };
     }
     
-    // Update PIN
-    const updateResult = await updateUser(userId, { pin: parseInt(newPin) });
+    // Update PIN (hashed; clears any legacy plaintext value)
+    const updateResult = await updateUser(userId, { pin_hash: await hashPin(newPin), pin: null });
     
     if (updateResult.rows && updateResult.rows.length > 0) {
       return {
@@ -188,10 +254,7 @@ export async function getAllUsers() {
     
     if (result.rows) {
       // Remove sensitive data
-      const safeUsers = result.rows.map(user => {
-        const { pin, ...safeUser } = user;
-        return safeUser;
-      });
+      const safeUsers = result.rows.map(toSafeUser);
       
       return {
         success: true,
@@ -212,8 +275,8 @@ export async function getAllUsers() {
  */
 export async function updateUserData(userId, updates) {
   try {
-    // Remove PIN from updates if present (use updateUserPin for PIN changes)
-    const { pin, ...safeUpdates } = updates;
+    // Remove credential and lockout fields (use updateUserPin / unlockUser for those)
+    const { pin, pin_hash, failed_login_attempts, locked_until, last_failed_login_at, ...safeUpdates } = updates;
     
     if (Object.keys(safeUpdates).length === 0) {
       return { success: false, message: 'No valid fields to update' };
@@ -222,13 +285,10 @@ export async function updateUserData(userId, updates) {
     const result = await updateUser(userId, safeUpdates);
     
     if (result.rows && result.rows.length > 0) {
-      const user = result.rows[0];
-      const { pin: userPin, ...safeUser } = user;
-      
       return {
         success: true,
         message: 'User updated successfully',
-        user: safeUser
+        user: toSafeUser(result.rows[0])
       };
     }
     
@@ -240,6 +300,32 @@ export async function updateUserData(userId, updates) {
   }
 }
 
+/**
+ * Clear failed login counter and lock (admin)
+ */
+export async function unlockUser(userId) {
+  try {
+    const result = await updateUser(userId, {
+      failed_login_attempts: 0,
+      locked_until: null
+    });
+    
+    if (result.rows && result.rows.length > 0) {
+      return {
+        success: true,
+        message: 'User unlocked successfully',
+        user: toSafeUser(result.rows[0])
+      };
+    }
+    
+    return { success: false, message: 'User not found' };
+    
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    return { success: false, message: 'Failed to unlock user' };
+  }
+}
+
 /**
  * Delete user
  */
@@ -271,10 +357,7 @@ export async function getUsersFiltered(filters = {}) {
     
     if (result.rows) {
       // Remove PIN from all users
-      const safeUsers = result.rows.map(user => {
-        const { pin, ...safeUser } = user;
-        return safeUser;
-      });
+      const safeUsers = result.rows.map(toSafeUser);
       
       return {
         success: true,
@@ -301,12 +384,9 @@ export async function getSingleUser(userId) {
       return { success: false, message: 'User not found' };
     }
     
-    const user = result.rows[0];
-    const { pin, ...safeUser } = user;
-    
     return {
       success: true,
-      user: safeUser
+      user: toSafeUser(result.rows[0])
     };
     
   } catch (error) {
@@ -0,0 +1,216 @@
+import { config } from '../config.js';
+import { insertWebhookEvent, claimWebhookEvents, updateWebhookEvent, getWebhookEventById } from '../db.js';
+import { routeWhatsAppWebhook } from '../routes/webhooks/whatsappHandlers.js';
+import { computeBackoffMs } from '../utils/backoff.js';
+import { createPoller } from '../utils/poller.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Webhook Inbox Service
+ * POST /webhook/whatsapp stores the raw payload (table webhook_events) and answers 200 immediately.
+ * The worker below claims due events and processes them; failures are retried with
+ * exponential backoff and dead-lettered after config.webhookInbox.maxAttempts.
+ */
+
+let poller = null;
+
+/**
+ * Persist a received webhook payload for background processing
+ * @param {string} source - e.g. 'whatsapp'
+ * @param {object} payload - parsed webhook body
+ * @param {object} [archive] - { rawBody, signature } kept verbatim for inspection and replay
+ * @returns {Promise<object>} stored event row (id, source, status, received_at)
+ */
+export async function enqueueWebhookEvent(source, payload, { rawBody = null, signature = null } = {}) {
+  const { rows } = await insertWebhookEvent({
+    source,
+    payload,
+    raw_body: rawBody ? rawBody.toString('utf8') : null,
+    signature
+  });
+  poller?.wake();
+  return rows[0];
+}
+
+// Handler errors are strings, WhatsApp value.errors entries are objects ({ code, title, message })
+function describeError(error) {
+  if (!error || typeof error === 'string') return error;
+  return error.title || error.message || JSON.stringify(error);
+}
+
+/**
+ * Compact per-event outcome stored in webhook_events.result
+ */
+export function summarizeResults(results) {
+  return results.map(result => ({
+    type: result.type || null,
+    success: !(result.error || result.success === false),
+    duplicate: result.duplicate || undefined,
+    error: describeError(result.error) || undefined,
+    permanent: result.permanent || undefined,
+    room_id: result.room_id || undefined,
+    message_id: result.message_id || undefined,
+    wa_message_id: result.wa_message_id || undefined,
+    status: result.status || undefined
+  }));
+}
+
+/**
+ * Process one claimed event and record the outcome
+ * @param {object} deps - dependencies
+ * @param {import('socket.io').Server} deps.io - socket.io server
+ * @param {object} event - webhook_events row (attempts already counts this attempt)
+ */
+export async function processWebhookEvent({ io }, event) {
+  const { maxAttempts, retryBaseSeconds, retryMaxSeconds } = config.webhookInbox;
+
+  let results = null;
+
+  try {
+    results = await routeWhatsAppWebhook({ io, body: event.payload });
+    // Permanent outcomes (unknown message type, WhatsApp error notices) are recorded, not retried
+    const errors = results.filter(result => !result.permanent && (result.error || result.success === false));
+
+    if (errors.length > 0) {
+      throw new Error(errors.map(e => describeError(e.error) || 'Processing failed').join('; '));
+    }
+
+    await updateWebhookEvent(event.id, {
+      status: 'processed',
+      processed_at: new Date().toISOString(),
+      locked_at: null,
+      last_error: null,
+      result: summarizeResults(results)
+    });
+
+    logger.info({ eventId: event.id, attempts: event.attempts, processed: results.length }, 'Webhook event processed');
+    return { success: true, processed: results.length };
+  } catch (err) {
+    const dead = event.attempts >= maxAttempts;
+    const delayMs = computeBackoffMs(event.attempts, retryBaseSeconds * 1000, retryMaxSeconds * 1000);
+
+    await updateWebhookEvent(event.id, {
+      status: dead ? 'dead' : 'failed',
+      next_attempt_at: new Date(Date.now() + delayMs).toISOString(),
+      locked_at: null,
+      last_error: err.message,
+      result: results ? summarizeResults(results) : null
+    });
+
+    logger[dead ? 'error' : 'warn']({
+      err,
+      eventId: event.id,
+      attempts: event.attempts,
+      maxAttempts,
+      nextAttemptInMs: dead ? null : delayMs
+    }, dead ? 'Webhook event dead-lettered' : 'Webhook event failed, will retry');
+
+    return { success: false, dead, error: err.message };
+  }
+}
+
+/**
+ * Claim and process one batch of due events
+ * @returns {Promise<boolean>} true if the batch was full (more events are probably waiting)
+ */
+async function processDueEvents(io) {
+  const { batchSize, staleLockSeconds } = config.webhookInbox;
+  const { rows: events } = await claimWebhookEvents(batchSize, staleLockSeconds);
+
+  // Sequential: events of one conversation must be applied in the order they arrived
+  for (const event of events) {
+    await processWebhookEvent({ io }, event);
+  }
+
+  return events.length === batchSize;
+}
+
+/**
+ * Start the background worker (once per process)
+ * @param {object} deps - dependencies
+ * @param {import('socket.io').Server} deps.io - socket.io server
+ */
+export function startWebhookWorker({ io }) {
+  if (poller) return;
+  poller = createPoller({
+    name: 'webhook-inbox',
+    intervalMs: config.webhookInbox.pollIntervalMs,
+    run: () => processDueEvents(io)
+  });
+  poller.start();
+}
+
+export function stopWebhookWorker() {
+  poller?.stop();
+  poller = null;
+}
+
+/**
+ * Run a stored payload through routeWhatsAppWebhook again with the current code
+ * @param {object} deps - dependencies
+ * @param {import('socket.io').Server} deps.io - socket.io server
+ * @param {number|string} eventId
+ * @param {object} [options] - { dryRun }: report planned writes without writing anything
+ * @returns {Promise<object>} {success, message, dry_run?, results?, planned_writes?}
+ */
+export async function replayWebhookEvent({ io }, eventId, { dryRun = false } = {}) {
+  const { rows } = await getWebhookEventById(eventId);
+
+  if (rows.length === 0) {
+    return { success: false, message: 'Webhook event not found' };
+  }
+
+  const event = rows[0];
+  const plannedWrites = [];
+  const results = await routeWhatsAppWebhook({ io, body: event.payload, dryRun, plannedWrites });
+  const summary = summarizeResults(results);
+  const failed = summary.filter(result => !result.success);
+
+  if (dryRun) {
+    logger.info({ eventId, plannedWrites: plannedWrites.length }, 'Webhook event replayed (dry run)');
+    return { success: true, message: 'Dry run, nothing was written', dry_run: true, results: summary, planned_writes: plannedWrites };
+  }
+
+  // A successful replay settles the event; a failed one keeps its status so the worker state is untouched
+  await updateWebhookEvent(eventId, failed.length === 0
+    ? { status: 'processed', processed_at: new Date().toISOString(), locked_at: null, last_error: null, result: summary }
+    : { last_error: failed.map(result => result.error || 'Processing failed').join('; '), result: summary });
+
+  logger.info({ eventId, processed: summary.length, failed: failed.length }, 'Webhook event replayed');
+
+  return {
+    success: failed.length === 0,
+    message: failed.length === 0 ? 'Webhook event replayed' : 'Replay finished with errors',
+    dry_run: false,
+    results: summary
+  };
+}
+
+/**
+ * Put a failed or dead event back in the queue with a fresh attempt budget
+ * @param {number|string} eventId
+ * @returns {Promise<object>} {success, message, event?}
+ */
+export async function redriveWebhookEvent(eventId) {
+  const { rows } = await getWebhookEventById(eventId);
+
+  if (rows.length === 0) {
+    return { success: false, message: 'Webhook event not found' };
+  }
+
+  if (!['failed', 'dead'].includes(rows[0].status)) {
+    return { success: false, message: `Only failed or dead events can be re-driven (status: ${rows[0].status})` };
+  }
+
+  const updated = await updateWebhookEvent(eventId, {
+    status: 'pending',
+    attempts: 0,
+    next_attempt_at: new Date().toISOString(),
+    locked_at: null
+  });
+
+  poller?.wake();
+  logger.info({ eventId, previousStatus: rows[0].status }, 'Webhook event re-driven');
+
+  return { success: true, message: 'Webhook event queued for processing', event: updated.rows[0] };
+}
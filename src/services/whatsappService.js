@@ -8,7 +8,7 @@ const FormData = globalThis.FormData || (await import('form-data')).default;
  * Send text message to WhatsApp Business API
  * @param {string} to - Recipient phone number (with country code)
  * @param {string} text - Message text
- * @param {object} options - Additional options
+ * @param {object} options - Additional options (replyTo, channel)
  * @returns {object} WhatsApp API response
  */
 export async function sendTextMessage(to, text, options = {}) {
@@ -26,7 +26,7 @@ export async function sendTextMessage(to, text, options = {}) {
       payload.context = { message_id: options.replyTo };
     }
     
-    const response = await callWhatsAppAPI('/messages', payload);
+    const response = await callWhatsAppAPI('/messages', payload, 'POST', options.channel);
     
     logger.info({ 
       to, 
@@ -47,21 +47,23 @@ export async function sendTextMessage(to, text, options = {}) {
  * @param {Buffer} buffer - File buffer
  * @param {string} filename - Original filename
  * @param {string} mimeType - MIME type
+ * @param {object} [channel] - WhatsApp channel to upload to (media ids are per phone number)
  * @returns {object} WhatsApp media upload response
  */
-export async function uploadMediaToWhatsApp({ buffer, filename, mimeType }) {
+export async function uploadMediaToWhatsApp({ buffer, filename, mimeType, channel = null }) {
   try {
     const formData = new FormData();
     formData.append('file', new Blob([buffer], { type: mimeType }), filename);
     formData.append('type', mimeType);
     formData.append('messaging_product', 'whatsapp');
     
-    const url = `${config.whatsapp.baseUrl}/${config.whatsapp.graphVersion}/${config.whatsapp.phoneNumberId}/media`;
+    const { phoneNumberId, accessToken } = channelCredentials(channel);
+    const url = `${config.whatsapp.baseUrl}/${config.whatsapp.graphVersion}/${phoneNumberId}/media`;
     
     const response = await fetch(url, {
       method: 'POST',
       headers: {
-        'Authorization': `Bearer ${config.whatsapp.accessToken}`
+        'Authorization': `Bearer ${accessToken}`
       },
       body: formData
     });
@@ -92,7 +94,7 @@ export async function uploadMediaToWhatsApp({ buffer, filename, mimeType }) {
  * @param {string} to - Recipient phone number
  * @param {string} mediaType - 'image', 'video', 'audio', 'document'
  * @param {string} mediaId - WhatsApp media ID
- * @param {object} options - Additional options (caption, filename, etc.)
+ * @param {object} options - Additional options (caption, filename, replyTo, channel)
  * @returns {object} WhatsApp API response
  */
 export async function sendMediaMessage(to, mediaType, mediaId, options = {}) {
@@ -121,7 +123,7 @@ export async function sendMediaMessage(to, mediaType, mediaId, options = {}) {
       payload.context = { message_id: options.replyTo };
     }
 
-    const response = await callWhatsAppAPI('/messages', payload);
+    const response = await callWhatsAppAPI('/messages', payload, 'POST', options.channel);
     
     logger.info({ 
       to, 
@@ -143,7 +145,7 @@ export async function sendMediaMessage(to, mediaType, mediaId, options = {}) {
  * @param {string} to - Recipient phone number
  * @param {string} mediaType - 'image', 'video', 'audio', 'document'
  * @param {string} mediaUrl - Public URL to media file
- * @param {object} options - Additional options
+ * @param {object} options - Additional options (caption, filename, replyTo, channel)
  * @returns {object} WhatsApp API response
  */
 export async function sendMediaByUrl(to, mediaType, mediaUrl, options = {}) {
@@ -172,7 +174,7 @@ export async function sendMediaByUrl(to, mediaType, mediaUrl, options = {}) {
       payload.context = { message_id: options.replyTo };
     }
 
-    const response = await callWhatsAppAPI('/messages', payload);
+    const response = await callWhatsAppAPI('/messages', payload, 'POST', options.channel);
     
     logger.info({ 
       to, 
@@ -195,9 +197,10 @@ export async function sendMediaByUrl(to, mediaType, mediaUrl, options = {}) {
  * @param {string} templateName - Template name
  * @param {string} languageCode - Language code (e.g., 'en', 'id')
  * @param {array} parameters - Template parameters
+ * @param {object} options - Additional options (channel)
  * @returns {object} WhatsApp API response
  */
-export async function sendTemplateMessage(to, templateName, languageCode = 'en', parameters = []) {
+export async function sendTemplateMessage(to, templateName, languageCode = 'en', parameters = [], options = {}) {
   try {
     const payload = {
       messaging_product: 'whatsapp',
@@ -221,7 +224,7 @@ export async function sendTemplateMessage(to, templateName, languageCode = 'en',
       }];
     }
     
-    const response = await callWhatsAppAPI('/messages', payload);
+    const response = await callWhatsAppAPI('/messages', payload, 'POST', options.channel);
     
     logger.info({ 
       to, 
@@ -242,7 +245,7 @@ export async function sendTemplateMessage(to, templateName, languageCode = 'en',
  * Send auto-reply to incoming message
  * @param {string} to - Customer phone number
  * @param {string} originalMessage - Original message from customer
- * @param {object} options - Reply options
+ * @param {object} options - Reply options (skipAutoReply, channel)
  * @returns {object} WhatsApp API response or null if no reply needed
  */
 export async function sendAutoReply(to, originalMessage, options = {}) {
@@ -264,7 +267,7 @@ export async function sendAutoReply(to, originalMessage, options = {}) {
     
     // Send reply if we have one
     if (replyText && !options.skipAutoReply) {
-      return await sendTextMessage(to, replyText);
+      return await sendTextMessage(to, replyText, { channel: options.channel });
     }
     
     return null;
@@ -279,9 +282,10 @@ export async function sendAutoReply(to, originalMessage, options = {}) {
 /**
  * Mark message as read
  * @param {string} messageId - WhatsApp message ID to mark as read
+ * @param {object} options - { channel } the message was received on
  * @returns {object} WhatsApp API response
  */
-export async function markMessageAsRead(messageId) {
+export async function markMessageAsRead(messageId, options = {}) {
   try {
     const payload = {
       messaging_product: 'whatsapp',
@@ -289,7 +293,7 @@ export async function markMessageAsRead(messageId) {
       message_id: messageId
     };
     
-    const response = await callWhatsAppAPI('/messages', payload);
+    const response = await callWhatsAppAPI('/messages', payload, 'POST', options.channel);
     
     logger.debug({ messageId }, 'Message marked as read');
     return response;
@@ -303,11 +307,12 @@ export async function markMessageAsRead(messageId) {
 /**
  * Get WhatsApp media URL and download info
  * @param {string} mediaId - WhatsApp media ID
+ * @param {object} options - { channel } the media was received on
  * @returns {object} Media info with download URL
  */
-export async function getWhatsAppMedia(mediaId) {
+export async function getWhatsAppMedia(mediaId, options = {}) {
   try {
-    const response = await callWhatsAppAPI(`/${mediaId}`, null, 'GET');
+    const response = await callWhatsAppAPI(`/${mediaId}`, null, 'GET', options.channel);
     
     logger.debug({ mediaId, url: response.url }, 'Retrieved WhatsApp media info');
     return response;
@@ -318,20 +323,34 @@ export async function getWhatsAppMedia(mediaId) {
   }
 }
 
+/**
+ * Phone number id and token of a channel (see channelService), env values when none is given
+ * @param {object|null} channel - whatsapp_channels row
+ * @returns {{ phoneNumberId: string, accessToken: string }}
+ */
+export function channelCredentials(channel = null) {
+  return {
+    phoneNumberId: channel?.phone_number_id || config.whatsapp.phoneNumberId,
+    accessToken: channel?.access_token || config.whatsapp.accessToken
+  };
+}
+
 /**
  * Call WhatsApp Business API
  * @param {string} endpoint - API endpoint (e.g., '/messages')
  * @param {object} payload - Request payload (null for GET)
  * @param {string} method - HTTP method (GET, POST)
+ * @param {object} [channel] - WhatsApp channel to send from (env number when omitted)
  * @returns {object} API response
  */
-async function callWhatsAppAPI(endpoint, payload = null, method = 'POST') {
-  const url = `${config.whatsapp.baseUrl}/${config.whatsapp.graphVersion}/${config.whatsapp.phoneNumberId}${endpoint}`;
+async function callWhatsAppAPI(endpoint, payload = null, method = 'POST', channel = null) {
+  const { phoneNumberId, accessToken } = channelCredentials(channel);
+  const url = `${config.whatsapp.baseUrl}/${config.whatsapp.graphVersion}/${phoneNumberId}${endpoint}`;
   
   const options = {
     method,
     headers: {
-      'Authorization': `Bearer ${config.whatsapp.accessToken}`,
+      'Authorization': `Bearer ${accessToken}`,
       'Content-Type': 'application/json'
     }
   };
@@ -357,7 +376,15 @@ async function callWhatsAppAPI(endpoint, payload = null, method = 'POST') {
       url 
     }, 'WhatsApp API call failed');
     
-    throw new Error(`WhatsApp API error: ${response.status} ${response.statusText} - ${errorText}`);
+    const err = new Error(`WhatsApp API error: ${response.status} ${response.statusText} - ${errorText}`);
+    // Graph API error body: { error: { message, type, code, error_subcode, error_data } }
+    err.status = response.status;
+    try {
+      err.whatsappError = JSON.parse(errorText).error || null;
+    } catch {
+      err.whatsappError = null;
+    }
+    throw err;
   }
   
   const data = await response.json();
@@ -405,7 +432,7 @@ export async function sendContactsMessage(to, contacts, options = {}) {
       contacts
     };
     if (options.replyTo) payload.context = { message_id: options.replyTo };
-    const response = await callWhatsAppAPI('/messages', payload);
+    const response = await callWhatsAppAPI('/messages', payload, 'POST', options.channel);
     logger.info({ to, count: contacts?.length, messageId: response.messages?.[0]?.id }, 'Contacts message sent');
     return response;
   } catch (err) {
@@ -424,7 +451,7 @@ export async function sendLocationMessage(to, location, options = {}) {
       location
     };
     if (options.replyTo) payload.context = { message_id: options.replyTo };
-    const response = await callWhatsAppAPI('/messages', payload);
+    const response = await callWhatsAppAPI('/messages', payload, 'POST', options.channel);
     logger.info({ to, messageId: response.messages?.[0]?.id }, 'Location message sent');
     return response;
   } catch (err) {
@@ -434,7 +461,7 @@ export async function sendLocationMessage(to, location, options = {}) {
 }
 
 // Send reaction object
-export async function sendReactionMessage(to, messageId, emoji) {
+export async function sendReactionMessage(to, messageId, emoji, options = {}) {
   try {
     const payload = {
       messaging_product: 'whatsapp',
@@ -445,7 +472,7 @@ export async function sendReactionMessage(to, messageId, emoji) {
         emoji
       }
     };
-    const response = await callWhatsAppAPI('/messages', payload);
+    const response = await callWhatsAppAPI('/messages', payload, 'POST', options.channel);
     logger.info({ to, messageId, emoji, waId: response.messages?.[0]?.id }, 'Reaction sent');
     return response;
   } catch (err) {
@@ -453,3 +480,86 @@ export async function sendReactionMessage(to, messageId, emoji) {
     throw err;
   }
 }
+
+// Catalog id for product messages: explicit, else WHATSAPP_CATALOG_ID
+function resolveCatalogId(catalogId) {
+  const resolved = catalogId || config.whatsapp.catalogId;
+  if (!resolved) {
+    throw new Error('catalog_id is required (or set WHATSAPP_CATALOG_ID)');
+  }
+  return String(resolved);
+}
+
+/**
+ * Send a single-product message from a catalog
+ * @param {string} to - Recipient phone number
+ * @param {object} product - { catalogId?, productRetailerId, body?, footer? }
+ * @param {object} options - Additional options (replyTo, channel)
+ * @returns {object} WhatsApp API response
+ */
+export async function sendProductMessage(to, { catalogId, productRetailerId, body, footer }, options = {}) {
+  try {
+    const interactive = {
+      type: 'product',
+      action: {
+        catalog_id: resolveCatalogId(catalogId),
+        product_retailer_id: String(productRetailerId)
+      }
+    };
+    if (body) interactive.body = { text: body };
+    if (footer) interactive.footer = { text: footer };
+
+    const payload = {
+      messaging_product: 'whatsapp',
+      to,
+      type: 'interactive',
+      interactive
+    };
+    if (options.replyTo) payload.context = { message_id: options.replyTo };
+    const response = await callWhatsAppAPI('/messages', payload, 'POST', options.channel);
+    logger.info({ to, productRetailerId, messageId: response.messages?.[0]?.id }, 'Product message sent');
+    return response;
+  } catch (err) {
+    logger.error({ err, to, productRetailerId }, 'Failed to send product message');
+    throw err;
+  }
+}
+
+/**
+ * Send a multi-product message (up to 10 sections, 30 products) from a catalog
+ * @param {string} to - Recipient phone number
+ * @param {object} productList - { catalogId?, header, body, footer?, sections: [{ title, product_items: [{ product_retailer_id }] }] }
+ * @param {object} options - Additional options (replyTo, channel)
+ * @returns {object} WhatsApp API response
+ */
+export async function sendProductListMessage(to, { catalogId, header, body, footer, sections }, options = {}) {
+  try {
+    const interactive = {
+      type: 'product_list',
+      header: { type: 'text', text: header },
+      body: { text: body },
+      action: {
+        catalog_id: resolveCatalogId(catalogId),
+        sections: sections.map(section => ({
+          title: section.title,
+          product_items: section.product_items.map(item => ({ product_retailer_id: String(item.product_retailer_id) }))
+        }))
+      }
+    };
+    if (footer) interactive.footer = { text: footer };
+
+    const payload = {
+      messaging_product: 'whatsapp',
+      to,
+      type: 'interactive',
+      interactive
+    };
+    if (options.replyTo) payload.context = { message_id: options.replyTo };
+    const response = await callWhatsAppAPI('/messages', payload, 'POST', options.channel);
+    logger.info({ to, sections: sections.length, messageId: response.messages?.[0]?.id }, 'Product list message sent');
+    return response;
+  } catch (err) {
+    logger.error({ err, to }, 'Failed to send product list message');
+    throw err;
+  }
+}
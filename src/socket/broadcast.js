@@ -0,0 +1,73 @@
+import { config } from '../config.js';
+import { getRoomParticipantUserIds } from '../db.js';
+import { getRolesWithPermission } from '../services/permissionService.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Socket fan-out
+ * Every authenticated socket joins `user:<id>`, `role:<role>` and `session:<id>` (see socket/index.js).
+ * Conversation events go to the room's participants plus roles with rooms.view_all,
+ * never to every connected client.
+ */
+
+export const userChannel = (userId) => `user:${userId}`;
+export const roleChannel = (role) => `role:${role}`;
+export const sessionChannel = (sessionId) => `session:${sessionId}`;
+
+/**
+ * Emit an event to everyone allowed to see a room. Never throws, failures are logged
+ * @param {import('socket.io').Server} io
+ * @param {string} roomId
+ * @param {string} event - e.g. 'new_message', 'new_room_complete'
+ * @param {object} payload
+ */
+export async function emitToRoomAudience(io, roomId, event, payload) {
+  if (!io) return;
+
+  if (config.socket.legacyGlobalEvents) {
+    io.emit(event, payload);
+    return;
+  }
+
+  try {
+    const [participants, roles] = await Promise.all([
+      getRoomParticipantUserIds(roomId),
+      getRolesWithPermission('rooms.view_all')
+    ]);
+
+    const channels = [
+      ...participants.rows.map(participant => userChannel(participant.user_id)),
+      ...roles.map(roleChannel)
+    ];
+
+    if (channels.length === 0) {
+      logger.warn({ roomId, event }, 'No socket audience for room event');
+      return;
+    }
+
+    // Socket.IO delivers once per socket even when it is in several of these channels
+    io.to(channels).emit(event, payload);
+  } catch (err) {
+    // Real-time delivery is best effort, the data is already saved
+    logger.error({ err, roomId, event }, 'Failed to emit room event');
+  }
+}
+
+/**
+ * Emit an event to every role granting a permission (e.g. admin alerts). Never throws
+ * @param {import('socket.io').Server} io
+ * @param {string} permission
+ * @param {string} event
+ * @param {object} payload
+ */
+export async function emitToPermission(io, permission, event, payload) {
+  if (!io) return;
+
+  try {
+    const roles = await getRolesWithPermission(permission);
+    if (roles.length === 0) return;
+    io.to(roles.map(roleChannel)).emit(event, payload);
+  } catch (err) {
+    logger.error({ err, permission, event }, 'Failed to emit permission event');
+  }
+}
@@ -1,32 +1,163 @@
 import { Server } from 'socket.io';
 import { logger } from '../utils/logger.js';
+import { resolveUserFromToken, canAccessRoom, hasPermission } from '../middleware/auth.js';
+import { extractBearerToken } from '../services/sessionService.js';
+import { userChannel, roleChannel, sessionChannel } from './broadcast.js';
+
+// While a socket sends events, its session and user are validated again at most this often
+const SESSION_RECHECK_MS = 60 * 1000;
+// setTimeout cannot wait longer (about 24.8 days)
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+let socketServer = null;
+
+/**
+ * Read the session token from the handshake
+ * Clients send it as io(url, { auth: { token } }); the Authorization header is accepted too
+ */
+function getHandshakeToken(socket) {
+  const { auth = {}, headers = {} } = socket.handshake;
+  return auth.token || extractBearerToken(headers.authorization);
+}
+
+// room_id of a client event payload; clients can send anything (null, strings, numbers)
+function roomIdOf(payload) {
+  const roomId = payload?.room_id;
+  return typeof roomId === 'string' && roomId.length > 0 ? roomId : null;
+}
+
+/**
+ * Disconnect the sockets opened with one session (logout, revocation)
+ * @param {string} sessionId - user_sessions.id
+ */
+export function disconnectSession(sessionId) {
+  socketServer?.in(sessionChannel(sessionId)).disconnectSockets(true);
+}
+
+/**
+ * Disconnect every socket of a user (role change, deactivation, deletion); clients reconnect with fresh rights
+ * @param {string} userId
+ */
+export function disconnectUser(userId) {
+  socketServer?.in(userChannel(userId)).disconnectSockets(true);
+}
+
+/**
+ * Remove a user's sockets from a room channel after unassignment (rooms.view_all keeps seeing every room)
+ * @param {string} userId
+ * @param {string} roomId
+ */
+export async function removeUserFromRoom(userId, roomId) {
+  if (!socketServer) return;
+  const sockets = await socketServer.in(userChannel(userId)).fetchSockets();
+  for (const socket of sockets) {
+    if (!hasPermission(socket.data.user, 'rooms.view_all')) {
+      socket.leave(`room:${roomId}`);
+    }
+  }
+}
 
 export function setupSocket(server) {
   const io = new Server(server, {
     cors: { origin: '*', methods: ['GET', 'POST'] }
   });
+  socketServer = io;
+
+  // Same credential as the REST API, the socket is bound to the user for its lifetime
+  io.use(async (socket, next) => {
+    try {
+      const token = getHandshakeToken(socket);
+      if (!token) {
+        return next(new Error('Authentication required'));
+      }
+
+      const resolved = await resolveUserFromToken(token);
+      if (resolved.error) {
+        logger.warn({ id: socket.id, reason: resolved.error }, 'socket authentication failed');
+        return next(new Error(resolved.error));
+      }
+
+      socket.data.user = resolved.user;
+      socket.data.session = resolved.session;
+      socket.data.checkedAt = Date.now();
+      next();
+    } catch (err) {
+      logger.error({ err, id: socket.id }, 'socket authentication error');
+      next(new Error('Authentication failed'));
+    }
+  });
 
   io.on('connection', (socket) => {
-    logger.info({ id: socket.id }, 'socket connected');
+    const { user, session } = socket.data;
+    logger.info({ id: socket.id, userId: user.id }, 'socket connected');
+
+    // Personal and role channels for targeted fan-out (socket/broadcast.js), session channel for logout
+    socket.join(userChannel(user.id));
+    socket.join(roleChannel(user.role));
+    socket.join(sessionChannel(session.id));
+
+    // The session token expires while the socket may stay open
+    const expiresInMs = new Date(session.expires_at).getTime() - Date.now();
+    const expiryTimer = expiresInMs < MAX_TIMER_MS
+      ? setTimeout(() => {
+        logger.info({ id: socket.id, userId: user.id }, 'socket session expired');
+        socket.disconnect(true);
+      }, Math.max(expiresInMs, 0))
+      : null;
+
+    // Revocation, deactivation or a role change made elsewhere (another instance) is noticed on the next event
+    socket.use(async (packet, next) => {
+      if (Date.now() - socket.data.checkedAt < SESSION_RECHECK_MS) return next();
+      try {
+        const resolved = await resolveUserFromToken(getHandshakeToken(socket));
+        if (resolved.error || resolved.user.role !== user.role) {
+          logger.info({ id: socket.id, userId: user.id, reason: resolved.error || 'Role changed' }, 'socket session no longer valid');
+          next(new Error(resolved.error || 'Role changed'));
+          return socket.disconnect(true);
+        }
+        socket.data.user = resolved.user;
+        socket.data.checkedAt = Date.now();
+        next();
+      } catch (err) {
+        logger.error({ err, id: socket.id, userId: user.id }, 'socket session check failed');
+        next(new Error('Session check failed'));
+      }
+    });
+
+    socket.on('room:join', async (payload) => {
+      const roomId = roomIdOf(payload);
+      try {
+        if (!roomId || !(await canAccessRoom(socket.data.user, roomId))) {
+          logger.warn({ id: socket.id, userId: user.id, room_id: roomId }, 'socket room:join denied');
+          return socket.emit('room:join_error', { room_id: roomId, error: 'Access denied to this room' });
+        }
 
-    socket.on('room:join', ({ room_id }) => {
-      const roomKey = `room:${room_id}`;
-      socket.join(roomKey);
-      socket.emit('room:joined', { room_id });
+        socket.join(`room:${roomId}`);
+        socket.emit('room:joined', { room_id: roomId });
+      } catch (err) {
+        logger.error({ err, userId: user.id, room_id: roomId }, 'socket room:join failed');
+        socket.emit('room:join_error', { room_id: roomId, error: 'Failed to join room' });
+      }
     });
 
-    socket.on('room:leave', ({ room_id }) => {
-      const roomKey = `room:${room_id}`;
-      socket.leave(roomKey);
-      socket.emit('room:left', { room_id });
+    socket.on('room:leave', (payload) => {
+      const roomId = roomIdOf(payload);
+      if (!roomId) return;
+      socket.leave(`room:${roomId}`);
+      socket.emit('room:left', { room_id: roomId });
     });
 
-    socket.on('typing', ({ room_id, user_id, is_typing }) => {
-      socket.to(`room:${room_id}`).emit('typing', { room_id, user_id, is_typing });
+    socket.on('typing', (payload) => {
+      // Only relay into rooms this socket has been allowed to join
+      const roomId = roomIdOf(payload);
+      const roomKey = `room:${roomId}`;
+      if (!roomId || !socket.rooms.has(roomKey)) return;
+      socket.to(roomKey).emit('typing', { room_id: roomId, user_id: user.id, user_name: user.name, is_typing: payload.is_typing });
     });
 
     socket.on('disconnect', () => {
-      logger.info({ id: socket.id }, 'socket disconnected');
+      clearTimeout(expiryTimer);
+      logger.info({ id: socket.id, userId: user.id }, 'socket disconnected');
     });
   });
 
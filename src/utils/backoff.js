@@ -0,0 +1,11 @@
+/**
+ * Exponential backoff delay for the given attempt number (1-based)
+ * @param {number} attempt - Attempt number, 1 for the first retry
+ * @param {number} baseMs - Delay for the first attempt
+ * @param {number} maxMs - Upper bound for the delay
+ * @returns {number} Delay in milliseconds
+ */
+export function computeBackoffMs(attempt, baseMs, maxMs) {
+  const exponent = Math.max(0, attempt - 1);
+  return Math.min(baseMs * Math.pow(2, exponent), maxMs);
+}
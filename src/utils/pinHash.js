@@ -0,0 +1,71 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt cost parameters (N=2^14, r=8, p=1 ~ 16MB memory per hash)
+const SCRYPT_N = 16384;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+/**
+ * Hash a PIN with a random salt using scrypt
+ * Output format: scrypt$N$r$p$<salt base64>$<hash base64>
+ * @param {string|number} pin
+ * @returns {Promise<string>}
+ */
+export async function hashPin(pin) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const derived = await scrypt(String(pin), salt, KEY_LENGTH, { N: SCRYPT_N, r: SCRYPT_R, p: SCRYPT_P });
+  return ['scrypt', SCRYPT_N, SCRYPT_R, SCRYPT_P, salt.toString('base64'), derived.toString('base64')].join('$');
+}
+
+/**
+ * Verify a PIN against a stored scrypt hash (constant time)
+ * @param {string|number} pin
+ * @param {string} storedHash
+ * @returns {Promise<boolean>}
+ */
+export async function verifyPin(pin, storedHash) {
+  if (!isPinHash(storedHash)) return false;
+
+  const [, n, r, p, saltB64, hashB64] = storedHash.split('$');
+  const expected = Buffer.from(hashB64, 'base64');
+  const derived = await scrypt(String(pin), Buffer.from(saltB64, 'base64'), expected.length, {
+    N: parseInt(n),
+    r: parseInt(r),
+    p: parseInt(p)
+  });
+
+  return crypto.timingSafeEqual(derived, expected);
+}
+
+/**
+ * Check whether a value looks like a hash produced by hashPin()
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isPinHash(value) {
+  return typeof value === 'string' && value.startsWith('scrypt$') && value.split('$').length === 6;
+}
+
+/**
+ * Validate PIN format (exactly 6 digits)
+ * @param {string|number} pin
+ * @returns {boolean}
+ */
+export function isValidPinFormat(pin) {
+  return /^\d{6}$/.test(String(pin ?? ''));
+}
+
+/**
+ * PIN from the legacy integer users.pin column as the 6-digit string it was entered as
+ * (the integer column dropped leading zeros: 001234 was stored as 1234)
+ * @param {number|string} legacyPin
+ * @returns {string}
+ */
+export function legacyPinToString(legacyPin) {
+  return String(legacyPin).padStart(6, '0');
+}
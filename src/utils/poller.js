@@ -0,0 +1,81 @@
+import { logger } from './logger.js';
+import { computeBackoffMs } from './backoff.js';
+
+// Longest pause after consecutive failed runs (e.g. database unreachable)
+const MAX_ERROR_BACKOFF_MS = 60 * 1000;
+
+/**
+ * Run an async task on an interval without overlapping runs
+ * @param {object} options
+ * @param {string} options.name - Used in logs
+ * @param {number} options.intervalMs - Delay between the end of one run and the start of the next
+ * @param {Function} options.run - Async task; returning true means "more work is waiting", run again at once
+ * @returns {{ start: Function, stop: Function, wake: Function }}
+ */
+export function createPoller({ name, intervalMs, run }) {
+  let timer = null;
+  let running = false;
+  let stopped = true;
+  let wakeRequested = false;
+  let consecutiveFailures = 0;
+
+  async function tick() {
+    timer = null;
+    if (stopped || running) return;
+
+    running = true;
+    wakeRequested = false;
+    let moreWork = false;
+    let delayMs = intervalMs;
+    try {
+      moreWork = await run();
+      consecutiveFailures = 0;
+      if (moreWork || wakeRequested) delayMs = 0;
+    } catch (err) {
+      consecutiveFailures++;
+      delayMs = Math.max(intervalMs, computeBackoffMs(consecutiveFailures, intervalMs, MAX_ERROR_BACKOFF_MS));
+      logger.error({ err, poller: name, consecutiveFailures, retryInMs: delayMs }, 'Poller run failed');
+    } finally {
+      running = false;
+    }
+
+    schedule(delayMs);
+  }
+
+  function schedule(delayMs) {
+    if (stopped || timer) return;
+    timer = setTimeout(tick, delayMs);
+    // Never keep the process alive just for polling
+    timer.unref?.();
+  }
+
+  return {
+    start() {
+      if (!stopped) return;
+      stopped = false;
+      logger.info({ poller: name, intervalMs }, 'Poller started');
+      schedule(0);
+    },
+    stop() {
+      stopped = true;
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+      logger.info({ poller: name }, 'Poller stopped');
+    },
+    // Run as soon as possible instead of waiting for the next interval
+    wake() {
+      if (stopped) return;
+      if (running) {
+        wakeRequested = true;
+        return;
+      }
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+      schedule(0);
+    }
+  };
+}